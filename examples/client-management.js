@@ -128,14 +128,8 @@ async function clientReportingAndEvaluations(clientId) {
     });
     console.log('Client reports:', reports);
     
-    // 3. Export client data (example structure)
-    const clientExport = {
-      client: await carespace.clients.getClient(clientId),
-      programs: await carespace.clients.getClientPrograms(clientId),
-      evaluations: evaluations,
-      reports: reports,
-      exportDate: new Date().toISOString()
-    };
+    // 3. Export client data, fetching every page of each collection
+    const clientExport = await carespace.clients.exportClient(clientId);
     
     console.log('Client export data prepared');
     console.log('Export summary:', {
@@ -90,36 +90,28 @@ async function comprehensiveErrorHandling() {
 }
 
 async function retryLogicExample() {
-  const maxRetries = 3;
-  let retryCount = 0;
-  
-  while (retryCount < maxRetries) {
-    try {
-      console.log(`Attempt ${retryCount + 1}/${maxRetries}`);
-      const users = await carespace.users.getUsers();
-      console.log('Success! Got users:', users.length);
-      break; // Success, exit retry loop
-      
-    } catch (error) {
-      retryCount++;
-      
-      if (error instanceof TimeoutError || error instanceof NetworkError) {
+  // The SDK retries timeouts, network failures, 5xx and 429 responses on its own.
+  // Tune the behaviour with the `retry` option instead of hand-rolling a loop.
+  const resilientCarespace = new CarespaceAPI({
+    baseURL: 'https://api.carespace.ai',
+    apiKey: 'your-api-key-here',
+    retry: {
+      maxAttempts: 3,
+      baseDelay: 1000,
+      onRetry: (error, attempt, delay) => {
         console.log(`Retryable error: ${error.message}`);
-        
-        if (retryCount < maxRetries) {
-          const delay = Math.pow(2, retryCount) * 1000; // Exponential backoff
-          console.log(`Waiting ${delay}ms before retry...`);
-          await new Promise(resolve => setTimeout(resolve, delay));
-        } else {
-          console.log('Max retries reached, giving up');
-          throw error;
-        }
-      } else {
-        // Non-retryable error, throw immediately
-        console.log('Non-retryable error, not retrying');
-        throw error;
+        console.log(`Attempt ${attempt} failed, waiting ${Math.round(delay)}ms before retry...`);
       }
     }
+  });
+
+  try {
+    const users = await resilientCarespace.users.getUsers();
+    console.log('Success! Got users:', users.length);
+  } catch (error) {
+    // Either a non-retryable error or max retries reached
+    console.log('Giving up:', error.message);
+    throw error;
   }
 }
 
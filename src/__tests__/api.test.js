@@ -1,5 +1,6 @@
 import { describe, it, expect, beforeEach } from '@jest/globals';
 import { CarespaceAPI } from '../api.js';
+import { MemoryTokenStore } from '../token-store.js';
 
 describe('CarespaceAPI', () => {
   let api;
@@ -19,6 +20,13 @@ describe('CarespaceAPI', () => {
       expect(api.programs).toBeDefined();
     });
 
+    it('should enable session mode when a token store is given', () => {
+      const store = new MemoryTokenStore();
+      const sessionApi = new CarespaceAPI({ tokenStore: store });
+      expect(sessionApi.client.session.store).toBe(store);
+      expect(api.client.session).toBeNull();
+    });
+
     it('should create a client instance', () => {
       expect(api.client).toBeDefined();
       expect(typeof api.client.setApiKey).toBe('function');
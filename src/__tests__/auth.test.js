@@ -23,7 +23,10 @@ describe('AuthAPI', () => {
 
       const result = await authAPI.login(credentials);
 
-      expect(mockClient.post).toHaveBeenCalledWith('/auth/login', credentials);
+      expect(mockClient.post).toHaveBeenCalledWith('/auth/login', credentials, {
+        route: '/auth/login',
+        skipAuthRefresh: true
+      });
       expect(result).toEqual({ token: 'test-token' });
     });
   });
@@ -34,7 +37,10 @@ describe('AuthAPI', () => {
 
       const result = await authAPI.logout();
 
-      expect(mockClient.post).toHaveBeenCalledWith('/auth/logout', undefined);
+      expect(mockClient.post).toHaveBeenCalledWith('/auth/logout', undefined, {
+        route: '/auth/logout',
+        skipAuthRefresh: true
+      });
       expect(result).toEqual({ success: true });
     });
   });
@@ -46,11 +52,49 @@ describe('AuthAPI', () => {
 
       const result = await authAPI.refreshToken(refreshToken);
 
-      expect(mockClient.post).toHaveBeenCalledWith('/auth/refresh', { refresh_token: refreshToken });
+      expect(mockClient.post).toHaveBeenCalledWith(
+        '/auth/refresh',
+        { refresh_token: refreshToken },
+        { route: '/auth/refresh', skipAuthRefresh: true }
+      );
       expect(result).toEqual({ token: 'new-token' });
     });
   });
 
+  describe('session mode', () => {
+    beforeEach(() => {
+      mockClient.session = {
+        setTokens: jest.fn(),
+        clear: jest.fn()
+      };
+    });
+
+    it('should store tokens returned by login', async () => {
+      const tokens = { access_token: 'access', refresh_token: 'refresh' };
+      mockClient.post.mockResolvedValue(tokens);
+
+      await authAPI.login({ email: 'test@example.com', password: 'password' });
+
+      expect(mockClient.session.setTokens).toHaveBeenCalledWith(tokens);
+    });
+
+    it('should store tokens returned by refreshToken', async () => {
+      const tokens = { access_token: 'new-access' };
+      mockClient.post.mockResolvedValue(tokens);
+
+      await authAPI.refreshToken('refresh');
+
+      expect(mockClient.session.setTokens).toHaveBeenCalledWith(tokens);
+    });
+
+    it('should clear the session on logout even when the request fails', async () => {
+      mockClient.post.mockRejectedValue(new Error('offline'));
+
+      await expect(authAPI.logout()).rejects.toThrow('offline');
+      expect(mockClient.session.clear).toHaveBeenCalled();
+    });
+  });
+
   describe('forgotPassword', () => {
     it('should make POST request to /auth/forgot-password', async () => {
       const email = 'test@example.com';
@@ -58,7 +102,7 @@ describe('AuthAPI', () => {
 
       const result = await authAPI.forgotPassword(email);
 
-      expect(mockClient.post).toHaveBeenCalledWith('/auth/forgot-password', { email });
+      expect(mockClient.post).toHaveBeenCalledWith('/auth/forgot-password', { email }, { route: '/auth/forgot-password' });
       expect(result).toEqual({ success: true });
     });
   });
@@ -71,7 +115,7 @@ describe('AuthAPI', () => {
 
       const result = await authAPI.resetPassword(token, password);
 
-      expect(mockClient.post).toHaveBeenCalledWith('/auth/reset-password', { token, password });
+      expect(mockClient.post).toHaveBeenCalledWith('/auth/reset-password', { token, password }, { route: '/auth/reset-password' });
       expect(result).toEqual({ success: true });
     });
   });
@@ -87,7 +131,7 @@ describe('AuthAPI', () => {
       expect(mockClient.post).toHaveBeenCalledWith('/auth/change-password', {
         current_password: currentPassword,
         new_password: newPassword
-      });
+      }, { route: '/auth/change-password', skipAuthReplay: true });
       expect(result).toEqual({ success: true });
     });
   });
@@ -99,7 +143,7 @@ describe('AuthAPI', () => {
 
       const result = await authAPI.verifyEmail(token);
 
-      expect(mockClient.post).toHaveBeenCalledWith('/auth/verify-email', { token });
+      expect(mockClient.post).toHaveBeenCalledWith('/auth/verify-email', { token }, { route: '/auth/verify-email' });
       expect(result).toEqual({ success: true });
     });
   });
@@ -111,7 +155,7 @@ describe('AuthAPI', () => {
 
       const result = await authAPI.resendVerification(email);
 
-      expect(mockClient.post).toHaveBeenCalledWith('/auth/resend-verification', { email });
+      expect(mockClient.post).toHaveBeenCalledWith('/auth/resend-verification', { email }, { route: '/auth/resend-verification' });
       expect(result).toEqual({ success: true });
     });
   });
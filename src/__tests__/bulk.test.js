@@ -0,0 +1,154 @@
+import { describe, it, expect, jest } from '@jest/globals';
+import { runBulk } from '../bulk.js';
+import { createMockCarespace } from '../mock/index.js';
+import { ValidationError, NotFoundError } from '../errors.js';
+
+const delay = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+describe('runBulk', () => {
+  it('should never run more items than the concurrency at once', async () => {
+    let active = 0;
+    let peak = 0;
+
+    const report = await runBulk([1, 2, 3, 4, 5, 6, 7], async (item) => {
+      active++;
+      peak = Math.max(peak, active);
+      await delay(5);
+      active--;
+      return item * 2;
+    }, { concurrency: 3 });
+
+    expect(peak).toBe(3);
+    expect(report.succeeded.map(entry => entry.result)).toEqual([2, 4, 6, 8, 10, 12, 14]);
+    expect(report).toMatchObject({ total: 7, failed: [], skipped: [], stopped: false });
+  });
+
+  it('should report failed items with their error in item order', async () => {
+    const error = new Error('boom');
+
+    const report = await runBulk(['a', 'b', 'c'], async (item) => {
+      if (item === 'b') {
+        throw error;
+      }
+      return item;
+    });
+
+    expect(report.succeeded.map(entry => entry.index)).toEqual([0, 2]);
+    expect(report.failed).toEqual([{ index: 1, item: 'b', error }]);
+  });
+
+  it('should stop starting items after the first failure with stopOnError', async () => {
+    const worker = jest.fn(async (item) => {
+      if (item === 2) {
+        throw new Error('fail');
+      }
+    });
+
+    const report = await runBulk([1, 2, 3, 4], worker, { concurrency: 1, stopOnError: true });
+
+    expect(worker).toHaveBeenCalledTimes(2);
+    expect(report.stopped).toBe(true);
+    expect(report.skipped).toEqual([{ index: 2, item: 3 }, { index: 3, item: 4 }]);
+  });
+
+  it('should report progress and ignore callback errors', async () => {
+    const events = [];
+
+    await runBulk([1, 2], async (item) => item, {
+      concurrency: 1,
+      onProgress: (progress) => {
+        events.push(progress);
+        throw new Error('ignored');
+      }
+    });
+
+    expect(events).toEqual([
+      { completed: 1, total: 2, succeeded: 1, failed: 0, index: 0, item: 1, result: 1, error: undefined },
+      { completed: 2, total: 2, succeeded: 2, failed: 0, index: 1, item: 2, result: 2, error: undefined }
+    ]);
+  });
+
+  it('should stop once the signal is aborted', async () => {
+    const controller = new AbortController();
+
+    const report = await runBulk([1, 2, 3], async (item) => {
+      controller.abort();
+      return item;
+    }, { concurrency: 1, signal: controller.signal });
+
+    expect(report.succeeded).toHaveLength(1);
+    expect(report.skipped).toHaveLength(2);
+    expect(report.stopped).toBe(true);
+  });
+
+  it('should reject an invalid concurrency', async () => {
+    await expect(runBulk([1], async () => {}, { concurrency: 0 }))
+      .rejects.toThrow('concurrency must be a positive integer, got 0');
+  });
+});
+
+describe('bulk API helpers', () => {
+  const seed = {
+    clients: [{ id: 'c1', name: 'Jo' }, { id: 'c2', name: 'Sam' }],
+    programs: [{ id: 'p1', name: 'Knee rehab' }]
+  };
+
+  it('should create clients and report invalid ones', async () => {
+    const carespace = createMockCarespace();
+
+    const report = await carespace.clients.bulkCreate([
+      { name: 'Alex' },
+      { email: 'no-name@example.com' },
+      { name: 'Robin' }
+    ], { concurrency: 2 });
+
+    expect(report.succeeded.map(entry => entry.result.name)).toEqual(['Alex', 'Robin']);
+    expect(report.failed[0].index).toBe(1);
+    expect(report.failed[0].error).toBeInstanceOf(ValidationError);
+    expect((await carespace.clients.getClients()).data).toHaveLength(2);
+  });
+
+  it('should assign a program to many clients', async () => {
+    const carespace = createMockCarespace({ seed });
+    const progress = jest.fn();
+
+    const report = await carespace.clients.bulkAssignProgram(
+      ['c1', { id: 'c2' }, 'missing'],
+      'p1',
+      { startDate: '2024-01-01' },
+      { onProgress: progress }
+    );
+
+    expect(report.succeeded).toHaveLength(2);
+    expect(report.failed[0]).toMatchObject({ item: 'missing', error: expect.any(NotFoundError) });
+    expect(progress).toHaveBeenCalledTimes(3);
+    expect((await carespace.clients.getClientPrograms('c2')).data[0].id).toBe('p1');
+  });
+
+  it('should update clients and pass request options to every call', async () => {
+    const carespace = createMockCarespace({ seed });
+
+    const report = await carespace.clients.bulkUpdate(
+      [{ id: 'c1', status: 'discharged' }, { id: 'c2', status: 'inactive' }],
+      { headers: { 'X-Import': 'clinic-a' } }
+    );
+
+    expect(report.succeeded.map(entry => entry.result.status)).toEqual(['discharged', 'inactive']);
+    expect(carespace.mock.calls.map(call => [call.data, call.headers['X-Import']])).toEqual([
+      [{ status: 'discharged' }, 'clinic-a'],
+      [{ status: 'inactive' }, 'clinic-a']
+    ]);
+  });
+
+  it('should create users', async () => {
+    const carespace = createMockCarespace();
+
+    const report = await carespace.users.bulkCreate([
+      { name: 'Pat', email: 'pat@example.com' },
+      { name: 'Lee', email: 'lee@example.com' }
+    ]);
+
+    expect(report.succeeded).toHaveLength(2);
+    expect(report.failed).toEqual([]);
+  });
+});
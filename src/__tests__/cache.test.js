@@ -0,0 +1,166 @@
+import { describe, it, expect, beforeEach, afterEach, jest } from '@jest/globals';
+import { createHash } from 'crypto';
+import { HttpCache, LRUCacheStore } from '../cache.js';
+import { CarespaceClient } from '../client.js';
+import axios from 'axios';
+
+describe('LRUCacheStore', () => {
+  it('should evict the least recently used entry', () => {
+    const store = new LRUCacheStore({ maxEntries: 2 });
+    store.set('a', 1);
+    store.set('b', 2);
+    store.get('a');
+    store.set('c', 3);
+
+    expect(store.keys()).toEqual(['a', 'c']);
+    expect(store.get('b')).toBeUndefined();
+  });
+});
+
+describe('HttpCache', () => {
+  let cache;
+  let send;
+
+  beforeEach(() => {
+    cache = new HttpCache();
+    send = jest.fn();
+  });
+
+  it('should serve fresh entries without a request', async () => {
+    send.mockResolvedValue({ status: 200, data: { id: 1 }, headers: { 'cache-control': 'max-age=60' } });
+
+    await cache.get('/programs/templates', 'token', send);
+    const response = await cache.get('/programs/templates', 'token', send);
+
+    expect(send).toHaveBeenCalledTimes(1);
+    expect(response).toEqual(expect.objectContaining({ data: { id: 1 }, status: 200, cached: true }));
+  });
+
+  it('should revalidate stale entries and serve 304 from the cache', async () => {
+    send
+      .mockResolvedValueOnce({ status: 200, data: { id: 1 }, headers: { etag: '"v1"', 'last-modified': 'Mon, 01 Jan 2024 00:00:00 GMT' } })
+      .mockResolvedValueOnce({ status: 304, data: '', headers: {} });
+
+    await cache.get('/programs/1', 'token', send);
+    const response = await cache.get('/programs/1', 'token', send);
+
+    expect(send).toHaveBeenLastCalledWith({
+      'If-None-Match': '"v1"',
+      'If-Modified-Since': 'Mon, 01 Jan 2024 00:00:00 GMT'
+    });
+    expect(response.data).toEqual({ id: 1 });
+  });
+
+  it('should not store no-store responses or responses without validators', async () => {
+    send
+      .mockResolvedValueOnce({ status: 200, data: {}, headers: { etag: '"v1"', 'cache-control': 'no-store' } })
+      .mockResolvedValueOnce({ status: 200, data: {}, headers: {} });
+
+    await cache.get('/a', 'token', send);
+    await cache.get('/b', 'token', send);
+
+    expect(cache.store.keys()).toEqual([]);
+  });
+
+  it('should keep entries separate per access token', async () => {
+    send.mockResolvedValue({ status: 200, data: {}, headers: { 'cache-control': 'max-age=60' } });
+
+    await cache.get('/users/profile', 'token-a', send);
+    await cache.get('/users/profile', 'token-b', send);
+
+    expect(send).toHaveBeenCalledTimes(2);
+    expect(cache.store.keys().join()).not.toContain('token-a');
+  });
+
+  it('should key entries by the SHA-256 digest of the access token', async () => {
+    send.mockResolvedValue({ status: 200, data: {}, headers: { 'cache-control': 'max-age=60' } });
+
+    await cache.get('/users/profile', 'token-a', send);
+    await cache.get('/users/profile', 'token-b', send);
+
+    const digest = (token) => createHash('sha256').update(token).digest('hex');
+    expect(cache.store.keys()).toEqual([
+      `${digest('token-a')} /users/profile`,
+      `${digest('token-b')} /users/profile`
+    ]);
+  });
+
+  it('should return copies so callers cannot modify cached data', async () => {
+    send.mockResolvedValue({ status: 200, data: { name: 'a' }, headers: { 'cache-control': 'max-age=60' } });
+
+    await cache.get('/programs/1', 'token', send);
+    (await cache.get('/programs/1', 'token', send)).data.name = 'changed';
+
+    expect((await cache.get('/programs/1', 'token', send)).data.name).toBe('a');
+  });
+
+  it('should invalidate the resource and its parent collection', async () => {
+    send.mockResolvedValue({ status: 200, data: {}, headers: { 'cache-control': 'max-age=60' } });
+    await cache.get('/programs/1', 'token', send);
+    await cache.get('/programs?page=1', 'token', send);
+    await cache.get('/programs/2', 'token', send);
+    await cache.get('/programs/1/exercises', 'token', send);
+
+    await cache.invalidate('/programs/1');
+
+    expect(cache.store.keys().map(key => key.split(' ')[1])).toEqual(['/programs/2', '/programs/1/exercises']);
+  });
+});
+
+describe('CarespaceClient cache', () => {
+  let mockAxiosInstance;
+  let client;
+
+  beforeEach(() => {
+    mockAxiosInstance = {
+      get: jest.fn().mockResolvedValue({ status: 200, data: { id: 1 }, headers: { 'cache-control': 'max-age=60' } }),
+      put: jest.fn().mockResolvedValue({ status: 200, data: { id: 1 }, headers: {} }),
+      interceptors: {
+        request: { use: jest.fn() },
+        response: { use: jest.fn() }
+      }
+    };
+    axios.create = jest.fn().mockReturnValue(mockAxiosInstance);
+    client = new CarespaceClient({ apiKey: 'key', cache: true });
+  });
+
+  afterEach(() => {
+    jest.clearAllMocks();
+  });
+
+  it('should serve repeated GETs from the cache', async () => {
+    await client.get('/programs/1');
+    expect(await client.get('/programs/1')).toEqual({ id: 1 });
+    expect(mockAxiosInstance.get).toHaveBeenCalledTimes(1);
+  });
+
+  it('should invalidate cached entries after a successful mutation', async () => {
+    await client.get('/programs/1');
+    await client.put('/programs/1', { name: 'updated' });
+    await client.get('/programs/1');
+
+    expect(mockAxiosInstance.get).toHaveBeenCalledTimes(2);
+  });
+
+  it('should send conditional requests that accept 304', async () => {
+    mockAxiosInstance.get
+      .mockResolvedValueOnce({ status: 200, data: { id: 1 }, headers: { etag: '"v1"' } })
+      .mockResolvedValueOnce({ status: 304, data: '', headers: {} });
+
+    await client.get('/programs/1');
+    expect(await client.get('/programs/1')).toEqual({ id: 1 });
+
+    const config = mockAxiosInstance.get.mock.calls[1][1];
+    expect(config.headers).toEqual({ Authorization: 'Bearer key', 'If-None-Match': '"v1"' });
+    expect(config.validateStatus(304)).toBe(true);
+    expect(config.validateStatus(500)).toBe(false);
+  });
+
+  it('should bypass the cache per call', async () => {
+    await client.get('/programs/1');
+    await client.get('/programs/1', { cache: false });
+
+    expect(mockAxiosInstance.get).toHaveBeenCalledTimes(2);
+    expect(mockAxiosInstance.get).toHaveBeenLastCalledWith('/programs/1', { headers: { Authorization: 'Bearer key' } });
+  });
+});
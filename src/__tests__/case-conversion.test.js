@@ -0,0 +1,120 @@
+import { describe, it, expect } from '@jest/globals';
+import { toSnakeCase, toCamelCase, convertKeys, reviveDates } from '../case-conversion.js';
+import { createMockCarespace } from '../mock/index.js';
+import { ValidationError } from '../errors.js';
+
+describe('key conversion', () => {
+  it('should convert between camelCase and snake_case', () => {
+    expect(toSnakeCase('newPassword')).toBe('new_password');
+    expect(toSnakeCase('patientID')).toBe('patient_id');
+    expect(toSnakeCase('HTMLContent')).toBe('html_content');
+    expect(toSnakeCase('refresh_token')).toBe('refresh_token');
+    expect(toCamelCase('current_password')).toBe('currentPassword');
+    expect(toCamelCase('_id')).toBe('_id');
+    expect(toCamelCase('__meta_data')).toBe('__metaData');
+    expect(toCamelCase('a_b_c')).toBe('aBC');
+    expect(toCamelCase('line__1')).toBe('line1');
+    expect(toCamelCase('accessToken')).toBe('accessToken');
+  });
+
+  it('should convert nested objects and arrays but not other values', () => {
+    const date = new Date('2024-03-01T00:00:00Z');
+
+    expect(convertKeys({ clientId: 'c1', sessions: [{ startedAt: date, painLevel: 2 }], tags: ['knee'] }, toSnakeCase))
+      .toEqual({ client_id: 'c1', sessions: [{ started_at: date, pain_level: 2 }], tags: ['knee'] });
+    expect(convertKeys('client_id', toCamelCase)).toBe('client_id');
+    expect(convertKeys(null, toCamelCase)).toBeNull();
+  });
+});
+
+describe('reviveDates', () => {
+  it('should revive ISO dates and date-times except excluded keys', () => {
+    const revived = reviveDates({
+      createdAt: '2024-03-01T10:00:00.000Z',
+      sessions: [{ date: '2024-03-02' }],
+      dateOfBirth: '1980-01-01',
+      name: '2024',
+      code: '2024-13-45'
+    }, { exclude: ['dateOfBirth'] });
+
+    expect(revived.createdAt).toEqual(new Date('2024-03-01T10:00:00.000Z'));
+    expect(revived.sessions[0].date).toEqual(new Date('2024-03-02T00:00:00.000Z'));
+    expect(revived.dateOfBirth).toBe('1980-01-01');
+    expect(revived.name).toBe('2024');
+    expect(revived.code).toBe('2024-13-45');
+  });
+});
+
+describe('caseConversion option', () => {
+  it('should send snake_case bodies and queries and return camelCase data', async () => {
+    const carespace = createMockCarespace({ caseConversion: true });
+
+    const client = await carespace.clients.createClient({ name: 'Jo', dateOfBirth: '1980-01-01', therapistId: 't1' });
+    await carespace.clients.getClients({ therapistId: 't1', sortBy: 'name' });
+
+    expect(carespace.mock.calls[0].data).toEqual({ name: 'Jo', date_of_birth: '1980-01-01', therapist_id: 't1' });
+    expect(carespace.mock.calls[1].url).toBe('/clients?therapist_id=t1&sort_by=name');
+    expect(client).toMatchObject({ name: 'Jo', dateOfBirth: '1980-01-01', therapistId: 't1' });
+  });
+
+  it('should keep session mode working with camelCase token responses', async () => {
+    const carespace = createMockCarespace({
+      caseConversion: true,
+      session: true,
+      requireAuth: true,
+      seed: { users: [{ id: 'u1', email: 'pt@example.com', password: 'secret' }] }
+    });
+
+    const login = await carespace.auth.login({ email: 'pt@example.com', password: 'secret' });
+
+    expect(login.accessToken).toEqual(expect.any(String));
+    expect(login).not.toHaveProperty('access_token');
+    expect(carespace.client.session.accessToken).toBe(login.accessToken);
+    await expect(carespace.users.getUsers()).resolves.toBeDefined();
+  });
+
+  it('should convert field errors to camelCase', async () => {
+    const carespace = createMockCarespace({
+      caseConversion: true,
+      errors: [{
+        path: '/clients',
+        method: 'post',
+        status: 422,
+        message: 'Invalid',
+        data: { errors: [{ field: 'date_of_birth', message: 'is invalid', code: 'format' }] }
+      }]
+    });
+
+    const error = await carespace.clients.createClient({ name: 'Jo' }).catch(e => e);
+
+    expect(error).toBeInstanceOf(ValidationError);
+    expect(error.errors).toEqual([{ field: 'dateOfBirth', message: 'is invalid', code: 'format' }]);
+  });
+
+  it('should skip conversion per call', async () => {
+    const carespace = createMockCarespace({ caseConversion: true });
+
+    await carespace.client.post('/clients', { name: 'Jo', customField: 1 }, { caseConversion: false });
+
+    expect(carespace.mock.calls[0].data).toEqual({ name: 'Jo', customField: 1 });
+  });
+
+  it('should revive dates in responses with reviveDates', async () => {
+    const carespace = createMockCarespace({
+      reviveDates: { exclude: ['dateOfBirth'] },
+      seed: { clients: [{ id: 'c1', name: 'Jo', dateOfBirth: '1980-01-01', dischargedAt: '2024-03-01T10:00:00Z' }] }
+    });
+
+    const client = await carespace.clients.getClient('c1');
+
+    expect(client.dischargedAt).toBeInstanceOf(Date);
+    expect(client.createdAt).toBeInstanceOf(Date);
+    expect(client.dateOfBirth).toBe('1980-01-01');
+  });
+
+  it('should validate the options', () => {
+    expect(() => createMockCarespace({ caseConversion: 'snake' })).toThrow('caseConversion must be a boolean');
+    expect(() => createMockCarespace({ reviveDates: { exclude: 'dateOfBirth' } }))
+      .toThrow('reviveDates must be a boolean or { exclude: string[] }');
+  });
+});
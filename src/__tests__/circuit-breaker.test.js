@@ -0,0 +1,170 @@
+import { describe, it, expect, beforeEach, afterEach, jest } from '@jest/globals';
+import { CircuitBreaker } from '../circuit-breaker.js';
+import { createMockCarespace } from '../mock/index.js';
+import {
+  AbortError,
+  CircuitOpenError,
+  NotFoundError,
+  ServerError,
+  TimeoutError
+} from '../errors.js';
+
+const fail = (error) => () => Promise.reject(error);
+const succeed = () => Promise.resolve('ok');
+
+describe('CircuitBreaker', () => {
+  let now;
+  let onStateChange;
+  let breaker;
+
+  beforeEach(() => {
+    now = 1000000;
+    jest.spyOn(Date, 'now').mockImplementation(() => now);
+    onStateChange = jest.fn();
+    breaker = new CircuitBreaker({ minimumRequests: 4, failureThreshold: 0.5, resetTimeout: 10000, onStateChange });
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  const run = (fn) => breaker.execute(fn).catch(error => error);
+
+  it('should open once the failure rate reaches the threshold', async () => {
+    await run(succeed);
+    await run(fail(new ServerError()));
+    await run(succeed);
+    expect(breaker.state).toBe('closed');
+
+    await run(fail(new TimeoutError()));
+
+    expect(breaker.state).toBe('open');
+    expect(onStateChange).toHaveBeenCalledWith({ from: 'closed', to: 'open', failures: 2, requests: 4, failureRate: 0.5 });
+  });
+
+  it('should wait for the minimum number of requests', async () => {
+    await run(fail(new ServerError()));
+    await run(fail(new ServerError()));
+    await run(fail(new ServerError()));
+    expect(breaker.state).toBe('closed');
+  });
+
+  it('should count client errors as successes and ignore aborts', async () => {
+    await run(fail(new NotFoundError()));
+    await run(fail(new NotFoundError()));
+    await run(fail(new AbortError()));
+    await run(fail(new ServerError()));
+    await run(fail(new NotFoundError()));
+
+    expect(breaker.getStats()).toEqual({ failures: 1, requests: 4, failureRate: 0.25 });
+    expect(breaker.state).toBe('closed');
+  });
+
+  it('should forget outcomes outside the window', async () => {
+    breaker = new CircuitBreaker({ minimumRequests: 2, windowMs: 1000 });
+    await run(fail(new ServerError()));
+    now += 2000;
+    await run(succeed);
+    expect(breaker.getStats().requests).toBe(1);
+  });
+
+  describe('when open', () => {
+    beforeEach(async () => {
+      for (let i = 0; i < 4; i++) {
+        await run(fail(new ServerError()));
+      }
+      onStateChange.mockClear();
+    });
+
+    it('should fail fast with the time until the next probe', async () => {
+      now += 4000;
+      const fn = jest.fn(succeed);
+
+      const error = await run(fn);
+
+      expect(error).toBeInstanceOf(CircuitOpenError);
+      expect(error.retryAfter).toBe(6);
+      expect(fn).not.toHaveBeenCalled();
+    });
+
+    it('should close after a successful half-open probe', async () => {
+      now += 10000;
+      let finishProbe;
+      const probe = breaker.execute(() => new Promise(resolve => { finishProbe = resolve; }));
+
+      expect(breaker.state).toBe('half-open');
+      await expect(breaker.execute(succeed)).rejects.toThrow(CircuitOpenError);
+
+      finishProbe('ok');
+      await probe;
+
+      expect(breaker.state).toBe('closed');
+      expect(onStateChange.mock.calls.map(([event]) => `${event.from}->${event.to}`))
+        .toEqual(['open->half-open', 'half-open->closed']);
+      await expect(breaker.execute(succeed)).resolves.toBe('ok');
+    });
+
+    it('should resolve the probe when onStateChange throws', async () => {
+      now += 10000;
+      onStateChange.mockImplementation(() => {
+        throw new Error('listener failed');
+      });
+
+      await expect(breaker.execute(succeed)).resolves.toBe('ok');
+      expect(breaker.state).toBe('closed');
+    });
+
+    it('should open again when the probe fails', async () => {
+      now += 10000;
+      await run(fail(new ServerError()));
+
+      expect(breaker.state).toBe('open');
+      expect(await run(succeed)).toBeInstanceOf(CircuitOpenError);
+    });
+
+    it('should close on reset', () => {
+      breaker.reset();
+      expect(breaker.state).toBe('closed');
+      expect(breaker.getStats().requests).toBe(0);
+    });
+  });
+
+  it('should validate the threshold', () => {
+    expect(() => new CircuitBreaker({ failureThreshold: 2 })).toThrow(TypeError);
+  });
+});
+
+describe('CarespaceClient circuit breaker', () => {
+  it('should stop sending requests while the circuit is open', async () => {
+    const onStateChange = jest.fn();
+    const carespace = createMockCarespace({
+      circuitBreaker: { minimumRequests: 2, onStateChange },
+      errors: [{ method: 'get', status: 503, times: 2 }]
+    });
+
+    await expect(carespace.clients.getClients()).rejects.toThrow(ServerError);
+    await expect(carespace.clients.getClients()).rejects.toThrow(ServerError);
+    const error = await carespace.clients.getClients().catch(e => e);
+
+    expect(error).toBeInstanceOf(CircuitOpenError);
+    expect(error).toMatchObject({ method: 'GET', url: '/clients', retryAfter: 30 });
+    expect(carespace.mock.calls).toHaveLength(2);
+    expect(carespace.client.getCircuitState()).toBe('open');
+    expect(onStateChange).toHaveBeenCalledWith(expect.objectContaining({ from: 'closed', to: 'open' }));
+  });
+
+  it('should not retry requests refused by an open circuit', async () => {
+    const carespace = createMockCarespace({
+      retry: { baseDelay: 0, jitter: false },
+      circuitBreaker: { minimumRequests: 2 },
+      errors: [{ method: 'get', status: 500, times: 5 }]
+    });
+
+    await expect(carespace.clients.getClients()).rejects.toThrow(CircuitOpenError);
+    expect(carespace.mock.calls).toHaveLength(2);
+  });
+
+  it('should report closed when disabled', () => {
+    expect(createMockCarespace().client.getCircuitState()).toBe('closed');
+  });
+});
@@ -1,5 +1,6 @@
 import { describe, it, expect, beforeEach, afterEach, jest } from '@jest/globals';
 import { CarespaceClient } from '../client.js';
+import { AbortError, NotFoundError, TimeoutError } from '../errors.js';
 import axios from 'axios';
 
 // Mock axios
@@ -43,7 +44,12 @@ describe('CarespaceClient', () => {
   });
 
   describe('constructor', () => {
-    it('should create axios instance with correct config', () => {
+    beforeEach(() => {
+      mockAxiosInstance.get.mockResolvedValue({ data: {} });
+    });
+
+    it('should create axios instance with correct config', async () => {
+      await client.get('/test');
       expect(mockCreate).toHaveBeenCalledWith({
         baseURL: 'https://api.test.com',
         timeout: 5000,
@@ -53,8 +59,8 @@ describe('CarespaceClient', () => {
       });
     });
 
-    it('should use default baseURL if not provided', () => {
-      new CarespaceClient();
+    it('should use default baseURL if not provided', async () => {
+      await new CarespaceClient().get('/test');
       expect(mockCreate).toHaveBeenCalledWith(
         expect.objectContaining({
           baseURL: 'https://api-dev.carespace.ai'
@@ -62,9 +68,12 @@ describe('CarespaceClient', () => {
       );
     });
 
-    it('should setup request and response interceptors', () => {
-      expect(mockAxiosInstance.interceptors.request.use).toHaveBeenCalled();
-      expect(mockAxiosInstance.interceptors.response.use).toHaveBeenCalled();
+    it('should not create the axios instance before the first request', () => {
+      expect(mockCreate).not.toHaveBeenCalled();
+    });
+
+    it('should reject unknown transports', () => {
+      expect(() => new CarespaceClient({ transport: 'xhr' })).toThrow(TypeError);
     });
   });
 
@@ -76,6 +85,8 @@ describe('CarespaceClient', () => {
   });
 
   describe('HTTP methods', () => {
+    const auth = { headers: { Authorization: 'Bearer test-key' } };
+
     beforeEach(() => {
       mockAxiosInstance.get.mockResolvedValue({ data: { result: 'test' } });
       mockAxiosInstance.post.mockResolvedValue({ data: { result: 'test' } });
@@ -86,35 +97,121 @@ describe('CarespaceClient', () => {
 
     it('should make GET requests', async () => {
       const result = await client.get('/test');
-      expect(mockAxiosInstance.get).toHaveBeenCalledWith('/test', {});
+      expect(mockAxiosInstance.get).toHaveBeenCalledWith('/test', auth);
       expect(result).toEqual({ result: 'test' });
     });
 
     it('should make POST requests', async () => {
       const data = { name: 'test' };
       const result = await client.post('/test', data);
-      expect(mockAxiosInstance.post).toHaveBeenCalledWith('/test', data, {});
+      expect(mockAxiosInstance.post).toHaveBeenCalledWith('/test', data, {
+        headers: { ...auth.headers, 'Idempotency-Key': expect.any(String) }
+      });
       expect(result).toEqual({ result: 'test' });
     });
 
     it('should make PUT requests', async () => {
       const data = { name: 'test' };
       const result = await client.put('/test', data);
-      expect(mockAxiosInstance.put).toHaveBeenCalledWith('/test', data, {});
+      expect(mockAxiosInstance.put).toHaveBeenCalledWith('/test', data, auth);
       expect(result).toEqual({ result: 'test' });
     });
 
     it('should make PATCH requests', async () => {
       const data = { name: 'test' };
       const result = await client.patch('/test', data);
-      expect(mockAxiosInstance.patch).toHaveBeenCalledWith('/test', data, {});
+      expect(mockAxiosInstance.patch).toHaveBeenCalledWith('/test', data, auth);
       expect(result).toEqual({ result: 'test' });
     });
 
     it('should make DELETE requests', async () => {
       const result = await client.delete('/test');
-      expect(mockAxiosInstance.delete).toHaveBeenCalledWith('/test', {});
+      expect(mockAxiosInstance.delete).toHaveBeenCalledWith('/test', auth);
       expect(result).toEqual({ result: 'test' });
     });
+
+    it('should omit the Authorization header without credentials', async () => {
+      await new CarespaceClient().get('/test');
+      expect(mockAxiosInstance.get).toHaveBeenCalledWith('/test', {});
+    });
+  });
+
+  describe('error mapping', () => {
+    beforeEach(() => {
+      client = new CarespaceClient({ retry: false });
+    });
+
+    it('should map cancelled requests to AbortError', async () => {
+      mockAxiosInstance.get.mockRejectedValue(new axios.CanceledError('canceled'));
+      await expect(client.get('/test')).rejects.toThrow(AbortError);
+    });
+
+    it('should map timeouts to TimeoutError', async () => {
+      mockAxiosInstance.get.mockRejectedValue({ request: {}, code: 'ECONNABORTED' });
+      await expect(client.get('/test')).rejects.toThrow(TimeoutError);
+    });
+
+    it('should map error responses by status', async () => {
+      mockAxiosInstance.get.mockRejectedValue({
+        response: { status: 404, statusText: 'Not Found', headers: {}, data: { message: 'Missing' } }
+      });
+      await expect(client.get('/test')).rejects.toThrow(NotFoundError);
+    });
+  });
+
+  describe('transport', () => {
+    it('should send requests through a custom transport', async () => {
+      const transport = { request: jest.fn().mockResolvedValue({ status: 200, headers: {}, data: { ok: true } }) };
+      const custom = new CarespaceClient({ apiKey: 'key', transport });
+
+      await expect(custom.post('/items', { name: 'a' }, { timeout: 100 })).resolves.toEqual({ ok: true });
+      expect(transport.request).toHaveBeenCalledWith({
+        method: 'post',
+        url: '/items',
+        data: { name: 'a' },
+        headers: { Authorization: 'Bearer key', 'Idempotency-Key': expect.any(String) },
+        signal: undefined,
+        timeout: 100,
+        allowNotModified: undefined
+      });
+      expect(mockCreate).not.toHaveBeenCalled();
+    });
+
+    it('should build transports from a factory', async () => {
+      const transport = { request: jest.fn().mockResolvedValue({ status: 200, headers: {}, data: {} }) };
+      const factory = jest.fn().mockReturnValue(transport);
+
+      await new CarespaceClient({ baseURL: 'https://api.test.com', transport: factory }).get('/test');
+
+      expect(factory).toHaveBeenCalledWith({ baseURL: 'https://api.test.com', timeout: 30000, headers: undefined });
+      expect(transport.request).toHaveBeenCalled();
+    });
+  });
+
+  describe('request options', () => {
+    it('should pass signal, timeout and headers to axios', async () => {
+      mockAxiosInstance.get.mockResolvedValue({ data: {} });
+      const controller = new AbortController();
+      const options = { signal: controller.signal, timeout: 1000, headers: { 'X-Trace': '1' } };
+
+      await client.get('/test', options);
+
+      expect(mockAxiosInstance.get).toHaveBeenCalledWith('/test', {
+        ...options,
+        headers: { Authorization: 'Bearer test-key', 'X-Trace': '1' }
+      });
+    });
+
+    it('should stop waiting for a retry when aborted', async () => {
+      const controller = new AbortController();
+      const retryingClient = new CarespaceClient({ retry: { baseDelay: 60000 } });
+      mockAxiosInstance.get.mockImplementation(async () => {
+        setTimeout(() => controller.abort(), 0);
+        throw new TimeoutError();
+      });
+
+      await expect(retryingClient.get('/test', { signal: controller.signal })).rejects.toThrow(AbortError);
+      expect(mockAxiosInstance.get).toHaveBeenCalledTimes(1);
+    });
   });
 });
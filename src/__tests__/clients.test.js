@@ -0,0 +1,55 @@
+import { describe, it, expect, beforeEach, afterEach, jest } from '@jest/globals';
+import { ClientsAPI } from '../api/clients.js';
+
+describe('ClientsAPI', () => {
+  let clientsAPI;
+  let mockClient;
+
+  beforeEach(() => {
+    mockClient = {
+      get: jest.fn().mockResolvedValue({}),
+      post: jest.fn().mockResolvedValue({}),
+      put: jest.fn().mockResolvedValue({}),
+      delete: jest.fn().mockResolvedValue({})
+    };
+    clientsAPI = new ClientsAPI(mockClient);
+  });
+
+  afterEach(() => {
+    jest.clearAllMocks();
+  });
+
+  describe('request options', () => {
+    const options = { signal: new AbortController().signal, timeout: 500, headers: { 'X-Test': '1' } };
+
+    it('should pass options through GET methods', async () => {
+      await clientsAPI.getClientReports('c1', { startDate: '2024-01-01' }, options);
+      expect(mockClient.get).toHaveBeenCalledWith('/clients/c1/reports?startDate=2024-01-01', {
+        route: '/clients/{id}/reports',
+        ...options
+      });
+    });
+
+    it('should pass options through POST methods', async () => {
+      await clientsAPI.assignProgramToClient('c1', 'p1', { startDate: '2024-01-01' }, options);
+      expect(mockClient.post).toHaveBeenCalledWith(
+        '/clients/c1/programs/p1',
+        { startDate: '2024-01-01' },
+        { route: '/clients/{id}/programs/{programId}', ...options }
+      );
+    });
+
+    it('should pass options through PUT and DELETE methods', async () => {
+      await clientsAPI.updateClient('c1', { status: 'active' }, options);
+      await clientsAPI.deleteClient('c1', options);
+
+      expect(mockClient.put).toHaveBeenCalledWith('/clients/c1', { status: 'active' }, { route: '/clients/{id}', ...options });
+      expect(mockClient.delete).toHaveBeenCalledWith('/clients/c1', { route: '/clients/{id}', ...options });
+    });
+
+    it('should pass only the route template by default', async () => {
+      await clientsAPI.getClient('c1');
+      expect(mockClient.get).toHaveBeenCalledWith('/clients/c1', { route: '/clients/{id}' });
+    });
+  });
+});
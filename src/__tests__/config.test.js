@@ -0,0 +1,116 @@
+import { describe, it, expect, jest } from '@jest/globals';
+import { resolveConfig, configFromEnv, getDevHostWarning, ENVIRONMENTS } from '../config.js';
+import { CarespaceAPI } from '../api.js';
+import { CarespaceClient } from '../client.js';
+import { MemoryTokenStore } from '../token-store.js';
+
+describe('resolveConfig', () => {
+  it('should resolve named environments', () => {
+    expect(resolveConfig({ environment: 'production' }))
+      .toEqual({ environment: 'production', baseURL: 'https://api.carespace.ai' });
+    expect(resolveConfig({ environment: 'staging' }).baseURL).toBe(ENVIRONMENTS.staging);
+  });
+
+  it('should keep the development default and treat a bare baseURL as custom', () => {
+    expect(resolveConfig({})).toEqual({ environment: 'development', baseURL: 'https://api-dev.carespace.ai' });
+    expect(resolveConfig({ baseURL: 'http://localhost:3000' }))
+      .toEqual({ environment: 'custom', baseURL: 'http://localhost:3000' });
+  });
+
+  it('should reject invalid options with clear messages', () => {
+    expect(() => resolveConfig({ environment: 'prod' })).toThrow(
+      'environment must be one of production, staging, development, custom, got prod'
+    );
+    expect(() => resolveConfig({ environment: 'custom' })).toThrow('environment \'custom\' requires a baseURL');
+    expect(() => resolveConfig({ baseURL: 'api.carespace.ai' })).toThrow('baseURL must be an absolute http(s) URL');
+    expect(() => resolveConfig({ environment: 'production', baseURL: 'https://api-dev.carespace.ai' }))
+      .toThrow(/does not match environment 'production'/);
+    expect(() => resolveConfig({ apiKey: ' ' })).toThrow('apiKey must be a non-empty string');
+    expect(() => resolveConfig({ timeout: '30s' })).toThrow('timeout must be a positive number of milliseconds');
+    expect(() => resolveConfig({ headers: 'X-App: a' })).toThrow(TypeError);
+    expect(() => resolveConfig({ logLevel: 'verbose' })).toThrow('logLevel must be one of debug, info, warn, error, silent');
+  });
+
+  it('should accept a baseURL matching the environment', () => {
+    expect(resolveConfig({ environment: 'production', baseURL: 'https://api.carespace.ai/' }).environment)
+      .toBe('production');
+  });
+});
+
+describe('configFromEnv', () => {
+  it('should map CARESPACE_* variables to options', () => {
+    expect(configFromEnv({
+      CARESPACE_API_KEY: 'key',
+      CARESPACE_ENVIRONMENT: 'staging',
+      CARESPACE_TIMEOUT: '5000',
+      CARESPACE_RETRY_MAX_ATTEMPTS: '5',
+      CARESPACE_LOG_LEVEL: 'warn',
+      UNRELATED: 'x'
+    })).toEqual({
+      apiKey: 'key',
+      environment: 'staging',
+      timeout: 5000,
+      retry: { maxAttempts: 5 },
+      logLevel: 'warn'
+    });
+  });
+
+  it('should leave out empty variables', () => {
+    expect(configFromEnv({ CARESPACE_API_KEY: 'key', CARESPACE_BASE_URL: '', CARESPACE_TIMEOUT: '' }))
+      .toEqual({ apiKey: 'key' });
+  });
+
+  it('should name the invalid variable', () => {
+    expect(() => configFromEnv({ CARESPACE_TIMEOUT: 'abc' })).toThrow('CARESPACE_TIMEOUT must be a positive number, got \'abc\'');
+    expect(() => configFromEnv({ CARESPACE_RETRY_MAX_ATTEMPTS: '2.5' })).toThrow(/whole number/);
+    expect(() => configFromEnv({ CARESPACE_ENVIRONMENT: 'live' })).toThrow(/^CARESPACE_ENVIRONMENT must be one of/);
+    expect(() => configFromEnv({ CARESPACE_LOG_LEVEL: 'verbose' }))
+      .toThrow('CARESPACE_LOG_LEVEL must be one of debug, info, warn, error, silent, got \'verbose\'');
+  });
+});
+
+describe('CarespaceAPI.fromEnv', () => {
+  it('should create a client from the environment with overrides', () => {
+    const carespace = CarespaceAPI.fromEnv(
+      { timeout: 1000 },
+      { CARESPACE_API_KEY: 'key', CARESPACE_BASE_URL: 'https://proxy.example.com', CARESPACE_TIMEOUT: '5000' }
+    );
+
+    expect(carespace.client).toMatchObject({
+      apiKey: 'key',
+      environment: 'custom',
+      baseURL: 'https://proxy.example.com',
+      timeout: 1000
+    });
+  });
+
+  it('should require an API key unless session mode is enabled', () => {
+    expect(() => CarespaceAPI.fromEnv({}, {})).toThrow('CARESPACE_API_KEY is not set');
+    expect(CarespaceAPI.fromEnv({ apiKey: 'key' }, {}).client.apiKey).toBe('key');
+    expect(CarespaceAPI.fromEnv({ session: true }, {}).client.session).toBeDefined();
+    expect(CarespaceAPI.fromEnv({ tokenStore: new MemoryTokenStore() }, {}).client.session).toBeDefined();
+  });
+});
+
+describe('development host warning', () => {
+  it('should only warn for the development host in production', () => {
+    expect(getDevHostWarning(ENVIRONMENTS.development, { NODE_ENV: 'production' })).toMatch(/development API/);
+    expect(getDevHostWarning(ENVIRONMENTS.production, { NODE_ENV: 'production' })).toBeNull();
+    expect(getDevHostWarning(ENVIRONMENTS.development, { NODE_ENV: 'test' })).toBeNull();
+  });
+
+  it('should log the warning when the client is created', () => {
+    const previous = process.env.NODE_ENV;
+    process.env.NODE_ENV = 'production';
+    const logger = { warn: jest.fn() };
+    try {
+      new CarespaceClient({ logger });
+      new CarespaceClient({ logger, environment: 'production' });
+    } finally {
+      process.env.NODE_ENV = previous;
+    }
+
+    expect(logger.warn).toHaveBeenCalledTimes(1);
+    expect(logger.warn.mock.calls[0][0]).toMatch(/NODE_ENV is production but requests go to the development API/);
+  });
+});
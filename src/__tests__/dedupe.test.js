@@ -0,0 +1,104 @@
+import { describe, it, expect, beforeEach, afterEach, jest } from '@jest/globals';
+import { RequestDeduper } from '../dedupe.js';
+import { CarespaceClient } from '../client.js';
+import { ServerError } from '../errors.js';
+import axios from 'axios';
+
+describe('RequestDeduper', () => {
+  it('should share one call between concurrent callers and release the key', async () => {
+    const deduper = new RequestDeduper();
+    const fn = jest.fn().mockResolvedValue('result');
+
+    const results = await Promise.all([deduper.run('k', fn), deduper.run('k', fn)]);
+
+    expect(results).toEqual(['result', 'result']);
+    expect(fn).toHaveBeenCalledTimes(1);
+    expect(deduper.size).toBe(0);
+  });
+
+  it('should share errors with every caller', async () => {
+    const deduper = new RequestDeduper();
+    const fn = jest.fn().mockRejectedValue(new Error('boom'));
+
+    const results = await Promise.allSettled([deduper.run('k', fn), deduper.run('k', fn)]);
+
+    expect(results.map(result => result.reason.message)).toEqual(['boom', 'boom']);
+    expect(fn).toHaveBeenCalledTimes(1);
+  });
+});
+
+describe('CarespaceClient request deduplication', () => {
+  let mockAxiosInstance;
+  let client;
+
+  beforeEach(() => {
+    mockAxiosInstance = {
+      get: jest.fn().mockResolvedValue({ data: { id: 1 } }),
+      interceptors: {
+        request: { use: jest.fn() },
+        response: { use: jest.fn() }
+      }
+    };
+    axios.create = jest.fn().mockReturnValue(mockAxiosInstance);
+    client = new CarespaceClient({ apiKey: 'key', retry: false });
+  });
+
+  afterEach(() => {
+    jest.clearAllMocks();
+  });
+
+  it('should merge identical concurrent GETs', async () => {
+    const results = await Promise.all([client.get('/clients/1'), client.get('/clients/1')]);
+
+    expect(results).toEqual([{ id: 1 }, { id: 1 }]);
+    expect(mockAxiosInstance.get).toHaveBeenCalledTimes(1);
+  });
+
+  it('should give every merged caller its own copy of the data', async () => {
+    mockAxiosInstance.get.mockResolvedValue({ data: { id: 1, name: 'Jo' } });
+
+    const [a, b] = await Promise.all([client.get('/clients/1'), client.get('/clients/1')]);
+    a.name = 'changed';
+
+    expect(b.name).toBe('Jo');
+    expect(mockAxiosInstance.get).toHaveBeenCalledTimes(1);
+  });
+
+  it('should share errors between merged callers', async () => {
+    mockAxiosInstance.get.mockRejectedValue(new ServerError());
+
+    const results = await Promise.allSettled([client.get('/clients/1'), client.get('/clients/1')]);
+
+    expect(results.every(result => result.reason instanceof ServerError)).toBe(true);
+    expect(mockAxiosInstance.get).toHaveBeenCalledTimes(1);
+  });
+
+  it('should not merge different URLs, credentials or headers', async () => {
+    const first = client.get('/clients/1');
+    const second = client.get('/clients/1?include=programs');
+    const third = client.get('/clients/1', { headers: { 'X-Test': '1' } });
+    client.setApiKey('other-key');
+    const fourth = client.get('/clients/1');
+    await Promise.all([first, second, third, fourth]);
+
+    expect(mockAxiosInstance.get).toHaveBeenCalledTimes(4);
+  });
+
+  it('should let callers opt out', async () => {
+    await Promise.all([client.get('/clients/1'), client.get('/clients/1', { dedupe: false })]);
+    expect(mockAxiosInstance.get).toHaveBeenCalledTimes(2);
+    expect(mockAxiosInstance.get).toHaveBeenLastCalledWith('/clients/1', { headers: { Authorization: 'Bearer key' } });
+  });
+
+  it('should not merge requests carrying an AbortSignal', async () => {
+    const { signal } = new AbortController();
+    await Promise.all([client.get('/clients/1'), client.get('/clients/1', { signal })]);
+    expect(mockAxiosInstance.get).toHaveBeenCalledTimes(2);
+  });
+
+  it('should be disabled with dedupe: false', async () => {
+    const plainClient = new CarespaceClient({ dedupe: false });
+    await Promise.all([plainClient.get('/clients/1'), plainClient.get('/clients/1')]);
+    expect(mockAxiosInstance.get).toHaveBeenCalledTimes(2);
+  });
+});
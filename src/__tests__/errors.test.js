@@ -0,0 +1,127 @@
+import { describe, it, expect } from '@jest/globals';
+import {
+  CarespaceError,
+  ValidationError,
+  ConflictError,
+  PayloadTooLargeError,
+  RateLimitError,
+  NetworkError,
+  createResponseError,
+  parseFieldErrors
+} from '../errors.js';
+import { createMockCarespace } from '../mock/index.js';
+
+const response = (status, data, headers = {}) => ({ status, statusText: '', headers, data });
+
+describe('parseFieldErrors', () => {
+  it('should keep errors already in field, message, code form', () => {
+    expect(parseFieldErrors({ errors: [{ field: 'email', message: 'is invalid', code: 'format' }] }))
+      .toEqual([{ field: 'email', message: 'is invalid', code: 'format' }]);
+  });
+
+  it('should normalize common validation library shapes', () => {
+    expect(parseFieldErrors({ errors: [{ param: 'name', msg: 'Required' }] }))
+      .toEqual([{ field: 'name', message: 'Required', code: null }]);
+    expect(parseFieldErrors({ detail: [{ loc: ['body', 'address', 'zip'], msg: 'field required', type: 'missing' }] }))
+      .toEqual([{ field: 'address.zip', message: 'field required', code: 'missing' }]);
+    expect(parseFieldErrors({ errors: [{ source: { pointer: '/data/attributes/email' }, detail: 'taken', code: 'unique' }] }))
+      .toEqual([{ field: 'email', message: 'taken', code: 'unique' }]);
+    expect(parseFieldErrors({ message: [{ property: 'age', constraints: { min: 'age must not be less than 0' } }] }))
+      .toEqual([{ field: 'age', message: 'age must not be less than 0', code: 'min' }]);
+  });
+
+  it('should flatten maps of field to messages', () => {
+    expect(parseFieldErrors({ errors: { email: ['is invalid', 'is taken'], name: 'is required' } })).toEqual([
+      { field: 'email', message: 'is invalid', code: null },
+      { field: 'email', message: 'is taken', code: null },
+      { field: 'name', message: 'is required', code: null }
+    ]);
+  });
+
+  it('should return an empty list for bodies without field errors', () => {
+    expect(parseFieldErrors(undefined)).toEqual([]);
+    expect(parseFieldErrors('Bad Request')).toEqual([]);
+    expect(parseFieldErrors({ message: 'Bad request', detail: 'Missing body' })).toEqual([]);
+  });
+});
+
+describe('createResponseError', () => {
+  it('should fill ValidationError.errors for 400 and 422 responses', () => {
+    const error = createResponseError(response(422, { errors: { email: ['is invalid'] } }));
+
+    expect(error).toBeInstanceOf(ValidationError);
+    expect(error.message).toBe('is invalid');
+    expect(error.errors).toEqual([{ field: 'email', message: 'is invalid', code: null }]);
+  });
+
+  it('should create ConflictError and PayloadTooLargeError', () => {
+    expect(createResponseError(response(409, { message: 'Email already registered' }))).toBeInstanceOf(ConflictError);
+    expect(createResponseError(response(413, {}))).toBeInstanceOf(PayloadTooLargeError);
+    expect(createResponseError(response(413, {})).message).toBe('HTTP 413: ');
+  });
+
+  it('should read the request id and Retry-After seconds from the headers', () => {
+    const error = createResponseError(response(429, {}, { 'x-request-id': 'req-1', 'retry-after': '30' }));
+
+    expect(error).toBeInstanceOf(RateLimitError);
+    expect(error.requestId).toBe('req-1');
+    expect(error.retryAfter).toBe(30);
+    expect(new NetworkError()).toMatchObject({ requestId: null, retryAfter: null, method: null, url: null });
+  });
+});
+
+describe('toJSON', () => {
+  it('should leave out the response and redact tokens and patient query parameters', () => {
+    const error = new CarespaceError('Token Bearer abc.def rejected', 401, response(401, { email: 'jo@example.com' }));
+    error.method = 'GET';
+    error.url = '/clients?email=jo%40example.com&status=active';
+
+    const json = JSON.parse(JSON.stringify(error));
+
+    expect(json).toEqual({
+      name: 'CarespaceError',
+      message: 'Token Bearer [REDACTED] rejected',
+      statusCode: 401,
+      requestId: null,
+      method: 'GET',
+      url: '/clients?email=%5BREDACTED%5D&status=active',
+      retryAfter: null
+    });
+  });
+
+  it('should include field errors and the idempotency key', () => {
+    const error = new ValidationError('Invalid', 400, null, [{ field: 'name', message: 'Required', code: 'required' }]);
+    error.idempotencyKey = 'key-1';
+
+    expect(error.toJSON()).toMatchObject({
+      errors: [{ field: 'name', message: 'Required', code: 'required' }],
+      idempotencyKey: 'key-1'
+    });
+  });
+});
+
+describe('request errors', () => {
+  it('should carry the method, URL, request id and field errors', async () => {
+    const carespace = createMockCarespace();
+
+    const error = await carespace.clients.createClient({ email: 'jo@example.com' }, { validate: false }).catch(e => e);
+
+    expect(error).toBeInstanceOf(ValidationError);
+    expect(error).toMatchObject({
+      method: 'POST',
+      url: '/clients',
+      requestId: 'mock-request-1',
+      errors: [{ field: 'name', message: 'name is required', code: 'required' }]
+    });
+  });
+
+  it('should carry Retry-After on rate limited responses', async () => {
+    const carespace = createMockCarespace({
+      errors: [{ path: '/clients', status: 429, headers: { 'retry-after': '5' } }]
+    });
+
+    const error = await carespace.clients.getClients({ page: 2 }).catch(e => e);
+
+    expect(error).toMatchObject({ method: 'GET', url: '/clients?page=2', retryAfter: 5 });
+  });
+});
@@ -0,0 +1,185 @@
+import { describe, it, expect, jest } from '@jest/globals';
+import { createHash } from 'crypto';
+import { toCsv, flattenRecord } from '../export.js';
+import { createZip, crc32 } from '../zip.js';
+import { createMockCarespace } from '../mock/index.js';
+
+// Read the stored (uncompressed) entries of a ZIP through its central directory
+function readZip(bytes) {
+  const view = new DataView(bytes.buffer, bytes.byteOffset, bytes.byteLength);
+  const end = bytes.length - 22;
+  expect(view.getUint32(end, true)).toBe(0x06054b50);
+  const files = {};
+  let offset = view.getUint32(end + 16, true);
+  for (let i = 0; i < view.getUint16(end + 10, true); i++) {
+    expect(view.getUint32(offset, true)).toBe(0x02014b50);
+    const size = view.getUint32(offset + 24, true);
+    const nameLength = view.getUint16(offset + 28, true);
+    const local = view.getUint32(offset + 42, true);
+    const name = new TextDecoder().decode(bytes.subarray(offset + 46, offset + 46 + nameLength));
+    const start = local + 30 + view.getUint16(local + 26, true);
+    const data = bytes.subarray(start, start + size);
+    expect(crc32(data)).toBe(view.getUint32(offset + 16, true));
+    files[name] = data;
+    offset += 46 + nameLength;
+  }
+  return files;
+}
+
+const seed = {
+  clients: [{ id: 'c1', name: 'Jo, "JJ"', address: { city: 'Boston' }, tags: ['knee'] }],
+  programs: [{ id: 'p1', name: 'Knee rehab' }, { id: 'p2', name: 'Hip rehab' }],
+  evaluations: [
+    { id: 'ev1', clientId: 'c1', score: 3 },
+    { id: 'ev2', clientId: 'c1', score: 4 },
+    { id: 'ev3', clientId: 'c1', score: 5 },
+    { id: 'ev4', clientId: 'c2', score: 1 }
+  ]
+};
+
+async function createCarespace(options = {}) {
+  const carespace = createMockCarespace({ seed, ...options });
+  await carespace.clients.assignProgramToClient('c1', 'p1');
+  await carespace.clients.assignProgramToClient('c1', 'p2');
+  carespace.mock.calls.length = 0;
+  return carespace;
+}
+
+describe('toCsv', () => {
+  it('should flatten records and escape cells', () => {
+    expect(flattenRecord({ id: 1, address: { city: 'Boston', geo: { lat: 1 } }, meta: {} }))
+      .toEqual({ id: 1, 'address.city': 'Boston', 'address.geo.lat': 1, meta: {} });
+
+    expect(toCsv([
+      { id: 'c1', name: 'Jo, "JJ"', tags: ['a', 'b'] },
+      { id: 'c2', notes: 'line\nbreak', when: new Date('2024-03-01T00:00:00Z'), missing: null }
+    ])).toBe(
+      'id,name,tags,notes,when,missing\r\n' +
+      'c1,"Jo, ""JJ""","[""a"",""b""]",,,\r\n' +
+      'c2,,,"line\nbreak",2024-03-01T00:00:00.000Z,\r\n'
+    );
+    expect(toCsv([])).toBe('');
+  });
+
+  it('should stop spreadsheets from running cells as formulas', () => {
+    expect(toCsv([{
+      name: '=HYPERLINK("https://example.com","x")',
+      a: '+1',
+      b: '-cmd',
+      c: '@SUM(A1)',
+      d: '\tx',
+      e: '\rx',
+      score: -3,
+      note: 'a=b'
+    }])).toBe(
+      'name,a,b,c,d,e,score,note\r\n' +
+      '"\'=HYPERLINK(""https://example.com"",""x"")",\'+1,\'-cmd,\'@SUM(A1),\'\tx,"\'\rx",-3,a=b\r\n'
+    );
+  });
+});
+
+describe('createZip', () => {
+  it('should write a readable archive', () => {
+    const files = readZip(createZip([
+      { name: 'a.txt', data: 'Hello' },
+      { name: 'dir/ü.bin', data: new Uint8Array([1, 2, 3]) }
+    ]));
+
+    expect(Object.keys(files)).toEqual(['a.txt', 'dir/ü.bin']);
+    expect(new TextDecoder().decode(files['a.txt'])).toBe('Hello');
+    expect(Array.from(files['dir/ü.bin'])).toEqual([1, 2, 3]);
+  });
+});
+
+describe('clients.exportClient', () => {
+  it('should fetch the client and every page of each collection as JSON', async () => {
+    const carespace = await createCarespace();
+
+    const document = await carespace.clients.exportClient('c1', { pageSize: 2 });
+
+    expect(document).toEqual({
+      exportedAt: expect.any(String),
+      client: expect.objectContaining({ id: 'c1' }),
+      programs: [expect.objectContaining({ id: 'p1' }), expect.objectContaining({ id: 'p2' })],
+      evaluations: ['ev1', 'ev2', 'ev3'].map(id => expect.objectContaining({ id })),
+      reports: []
+    });
+    expect(carespace.mock.calls.map(call => call.url)).toContain('/clients/c1/evaluations?page=2&limit=2');
+  });
+
+  it('should return flattened CSVs per collection', async () => {
+    const carespace = await createCarespace();
+
+    const csv = await carespace.clients.exportClient('c1', { format: 'csv' });
+
+    expect(Object.keys(csv)).toEqual(['client.csv', 'programs.csv', 'evaluations.csv', 'reports.csv']);
+    expect(csv['client.csv']).toMatch(/address\.city/);
+    expect(csv['client.csv']).toMatch(/"Jo, ""JJ"""/);
+    expect(csv['evaluations.csv'].trim().split('\r\n')).toHaveLength(4);
+    expect(csv['reports.csv']).toBe('');
+  });
+
+  it('should bundle JSON, CSVs and a manifest with checksums in a ZIP', async () => {
+    const carespace = await createCarespace();
+
+    const files = readZip(await carespace.clients.exportClient('c1', { format: 'zip' }));
+    const manifest = JSON.parse(new TextDecoder().decode(files['manifest.json']));
+
+    expect(Object.keys(files)).toEqual([
+      'client.json',
+      'csv/client.csv',
+      'csv/programs.csv',
+      'csv/evaluations.csv',
+      'csv/reports.csv',
+      'manifest.json'
+    ]);
+    expect(manifest).toMatchObject({
+      version: 1,
+      clientId: 'c1',
+      startedAt: expect.any(String),
+      completedAt: expect.any(String),
+      counts: { programs: 2, evaluations: 3, reports: 0 }
+    });
+    manifest.files.forEach(file => {
+      expect(file.bytes).toBe(files[file.path].length);
+      expect(file.sha256).toBe(createHash('sha256').update(files[file.path]).digest('hex'));
+    });
+  });
+
+  it('should stop fetching collections from endpoints that ignore the page parameter', async () => {
+    const carespace = await createCarespace();
+    const get = carespace.clients.get.bind(carespace.clients);
+    const reports = Array.from({ length: 100 }, (_, index) => ({ id: `r${index}` }));
+    const spy = jest.spyOn(carespace.clients, 'get').mockImplementation((path, ...args) => {
+      if (path === '/clients/{id}/evaluations') {
+        return Promise.resolve([{ id: 'ev1' }]);
+      }
+      return path === '/clients/{id}/reports' ? Promise.resolve(reports) : get(path, ...args);
+    });
+
+    const document = await carespace.clients.exportClient('c1');
+
+    expect(document.evaluations).toEqual([{ id: 'ev1' }]);
+    expect(document.reports).toHaveLength(100);
+    const paths = spy.mock.calls.map(([path]) => path);
+    expect(paths.filter(path => path === '/clients/{id}/evaluations')).toHaveLength(1);
+    expect(paths.filter(path => path === '/clients/{id}/reports')).toHaveLength(2);
+  });
+
+  it('should export plain data when models are enabled', async () => {
+    const carespace = await createCarespace({ models: true });
+
+    const document = await carespace.clients.exportClient('c1');
+
+    expect(document.client.constructor).toBe(Object);
+    expect(document.programs[0].constructor).toBe(Object);
+  });
+
+  it('should reject unknown formats and missing clients', async () => {
+    const carespace = await createCarespace();
+
+    await expect(carespace.clients.exportClient('c1', { format: 'xml' }))
+      .rejects.toThrow('format must be one of json, csv, zip, got xml');
+    await expect(carespace.clients.exportClient('missing')).rejects.toMatchObject({ statusCode: 404 });
+  });
+});
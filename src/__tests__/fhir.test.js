@@ -0,0 +1,256 @@
+import { describe, it, expect } from '@jest/globals';
+import {
+  FHIR_SYSTEM,
+  activityDefinitionToExercise,
+  bundleEntries,
+  carePlanToProgram,
+  clientToPatient,
+  createBundle,
+  evaluationToObservation,
+  exerciseToActivityDefinition,
+  observationToEvaluation,
+  patientToClient,
+  programToCarePlan
+} from '../fhir.js';
+import { createMockCarespace } from '../mock/index.js';
+import { ValidationError } from '../errors.js';
+
+const client = {
+  id: 'c1',
+  name: 'Jo Ann Smith',
+  email: 'jo@example.com',
+  phone: '555-0100',
+  dateOfBirth: '1980-02-03',
+  gender: 'female',
+  condition: 'ACL reconstruction',
+  status: 'active',
+  address: { line1: '1 Main St', city: 'Boston', postalCode: '02110' },
+  emergencyContact: { name: 'Sam Smith', phone: '555-0101', relationship: 'spouse' },
+  updatedAt: '2024-03-01T10:00:00.000Z'
+};
+
+const exercise = {
+  id: 'e1',
+  programId: 'p1',
+  name: 'Quad sets',
+  sets: 3,
+  reps: 10,
+  restSeconds: 30,
+  frequency: 'Twice daily',
+  notes: 'Keep the knee straight',
+  videoUrl: 'https://example.com/quad-sets.mp4'
+};
+
+describe('FHIR mapping', () => {
+  it('should map a client to a Patient and back', () => {
+    const patient = clientToPatient(client);
+
+    expect(patient).toEqual({
+      resourceType: 'Patient',
+      id: 'c1',
+      meta: { lastUpdated: '2024-03-01T10:00:00.000Z' },
+      extension: [
+        { url: `${FHIR_SYSTEM}/StructureDefinition/client-status`, valueCode: 'active' },
+        { url: `${FHIR_SYSTEM}/StructureDefinition/client-condition`, valueString: 'ACL reconstruction' }
+      ],
+      identifier: [{ system: `${FHIR_SYSTEM}/client`, value: 'c1' }],
+      active: true,
+      name: [{ use: 'official', text: 'Jo Ann Smith', family: 'Smith', given: ['Jo', 'Ann'] }],
+      telecom: [{ system: 'email', value: 'jo@example.com' }, { system: 'phone', value: '555-0100' }],
+      gender: 'female',
+      birthDate: '1980-02-03',
+      address: [{ line: ['1 Main St'], city: 'Boston', postalCode: '02110' }],
+      contact: [{
+        relationship: [{ text: 'spouse' }],
+        name: { text: 'Sam Smith' },
+        telecom: [{ system: 'phone', value: '555-0101' }]
+      }]
+    });
+
+    const fields = { ...client, metadata: { fhirId: 'c1' } };
+    delete fields.id;
+    delete fields.updatedAt;
+    expect(patientToClient(patient)).toEqual(fields);
+  });
+
+  it('should read Patients from other systems', () => {
+    expect(patientToClient({
+      resourceType: 'Patient',
+      active: false,
+      name: [{ use: 'usual', given: ['Jo'], family: 'Smith' }],
+      gender: 'unknown',
+      birthDate: '1980-02-03'
+    })).toEqual({ name: 'Jo Smith', status: 'inactive', gender: 'unknown', dateOfBirth: '1980-02-03' });
+  });
+
+  it('should map exercises to ActivityDefinitions and back', () => {
+    const definition = exerciseToActivityDefinition(exercise);
+
+    expect(definition).toMatchObject({
+      resourceType: 'ActivityDefinition',
+      url: `${FHIR_SYSTEM}/ActivityDefinition/e1`,
+      status: 'active',
+      kind: 'ServiceRequest',
+      title: 'Quad sets',
+      usage: 'Keep the knee straight',
+      timingTiming: { code: { text: 'Twice daily' } }
+    });
+
+    const fields = { ...exercise };
+    delete fields.id;
+    delete fields.programId;
+    expect(activityDefinitionToExercise(definition)).toEqual(fields);
+  });
+
+  it('should map an assigned program to a CarePlan and back', () => {
+    const program = {
+      id: 'p1',
+      name: 'Knee rehab',
+      category: 'orthopedic',
+      assignment: { status: 'paused', startDate: '2024-01-01', assignedAt: '2023-12-20T09:00:00.000Z' }
+    };
+
+    const carePlan = programToCarePlan(program, { subject: 'Patient/c1', exercises: [exercise] });
+
+    expect(carePlan).toMatchObject({
+      resourceType: 'CarePlan',
+      status: 'on-hold',
+      intent: 'plan',
+      title: 'Knee rehab',
+      subject: { reference: 'Patient/c1' },
+      period: { start: '2024-01-01' },
+      created: '2023-12-20T09:00:00.000Z',
+      activity: [{
+        detail: {
+          kind: 'ServiceRequest',
+          instantiatesCanonical: [`${FHIR_SYSTEM}/ActivityDefinition/e1`],
+          code: { text: 'Quad sets' },
+          status: 'not-started',
+          description: '3 sets x 10 reps, Twice daily'
+        }
+      }]
+    });
+
+    const definitions = { [`${FHIR_SYSTEM}/ActivityDefinition/e1`]: exerciseToActivityDefinition(exercise) };
+    expect(carePlanToProgram(carePlan, definitions)).toEqual({
+      program: { name: 'Knee rehab', category: 'orthopedic' },
+      exercises: [expect.objectContaining({ name: 'Quad sets', sets: 3, reps: 10 })],
+      assignment: { startDate: '2024-01-01', status: 'paused' }
+    });
+    expect(carePlanToProgram(carePlan).exercises).toEqual([
+      { name: 'Quad sets', description: '3 sets x 10 reps, Twice daily' }
+    ]);
+  });
+
+  it('should map evaluations to Observations and back', () => {
+    const observation = evaluationToObservation({
+      id: 'ev1',
+      type: 'Range of motion',
+      date: '2024-02-01T12:00:00.000Z',
+      score: 82,
+      metrics: { kneeFlexion: 110, side: 'left', nested: { ignored: true } },
+      notes: 'Improving'
+    }, { subject: 'Patient/c1' });
+
+    expect(observation).toMatchObject({
+      resourceType: 'Observation',
+      status: 'final',
+      category: [{ coding: [expect.objectContaining({ code: 'exam' })] }],
+      code: { text: 'Range of motion' },
+      effectiveDateTime: '2024-02-01T12:00:00.000Z',
+      valueQuantity: { value: 82 },
+      component: [
+        { code: { text: 'kneeFlexion' }, valueQuantity: { value: 110 } },
+        { code: { text: 'side' }, valueString: 'left' }
+      ],
+      note: [{ text: 'Improving' }]
+    });
+    expect(observationToEvaluation(observation)).toEqual({
+      id: 'ev1',
+      type: 'Range of motion',
+      status: 'completed',
+      date: '2024-02-01T12:00:00.000Z',
+      score: 82,
+      metrics: { kneeFlexion: 110, side: 'left' },
+      notes: 'Improving'
+    });
+  });
+
+  it('should build collection and transaction Bundles', () => {
+    const patient = clientToPatient(client);
+
+    const collection = createBundle([{ fullUrl: 'urn:uuid:patient', resource: patient }]);
+    const transaction = createBundle([patient], { type: 'transaction' });
+
+    expect(collection).toEqual({
+      resourceType: 'Bundle',
+      type: 'collection',
+      timestamp: expect.any(String),
+      entry: [{ fullUrl: 'urn:uuid:patient', resource: patient }]
+    });
+    expect(transaction.entry[0]).toEqual({
+      fullUrl: expect.stringMatching(/^urn:uuid:[0-9a-f-]{36}$/),
+      resource: patient,
+      request: { method: 'POST', url: 'Patient' }
+    });
+    expect(() => createBundle([], { type: 'batch' })).toThrow('type must be one of collection, transaction, got batch');
+    expect(() => bundleEntries({ resourceType: 'Patient' })).toThrow(TypeError);
+  });
+});
+
+describe('carespace.fhir', () => {
+  const seed = {
+    clients: [client],
+    programs: [{ id: 'p1', name: 'Knee rehab' }],
+    exercises: [exercise, { id: 'e2', programId: 'p1', name: 'Heel slides', reps: 15 }],
+    evaluations: [{ id: 'ev1', clientId: 'c1', type: 'Range of motion', score: 82 }],
+    assignments: [{ clientId: 'c1', programId: 'p1', startDate: '2024-01-01' }]
+  };
+
+  it('should export a patient Bundle with subject references', async () => {
+    const carespace = createMockCarespace({ seed });
+
+    const bundle = await carespace.fhir.exportPatient('c1');
+
+    const types = bundle.entry.map(entry => entry.resource.resourceType);
+    expect(types).toEqual(['Patient', 'CarePlan', 'ActivityDefinition', 'ActivityDefinition', 'Observation']);
+    const patientUrl = bundle.entry[0].fullUrl;
+    expect(bundle.entry[1].resource.subject).toEqual({ reference: patientUrl });
+    expect(bundle.entry[1].resource.activity).toHaveLength(2);
+    expect(bundle.entry[4].resource.subject).toEqual({ reference: patientUrl });
+  });
+
+  it('should import an exported Bundle into a new client', async () => {
+    const source = createMockCarespace({ seed });
+    const bundle = await source.fhir.exportPatient('c1', { type: 'transaction' });
+    const carespace = createMockCarespace();
+
+    const result = await carespace.fhir.importPatient(bundle);
+
+    expect(result.client).toMatchObject({ name: 'Jo Ann Smith', condition: 'ACL reconstruction' });
+    expect(result.programs).toHaveLength(1);
+    expect(result.programs[0].exercises.map(item => [item.name, item.sets])).toEqual([
+      ['Quad sets', 3],
+      ['Heel slides', undefined]
+    ]);
+    expect(result.skipped).toEqual([
+      { resourceType: 'Observation', id: 'ev1', reason: 'Evaluations cannot be created through the API' }
+    ]);
+
+    const programs = await carespace.clients.getClientPrograms(result.client.id);
+    expect(programs.data[0]).toMatchObject({
+      name: 'Knee rehab',
+      assignment: expect.objectContaining({ startDate: '2024-01-01' })
+    });
+  });
+
+  it('should reject Bundles without exactly one Patient', async () => {
+    const carespace = createMockCarespace();
+
+    await expect(carespace.fhir.importPatient({ resourceType: 'Patient' })).rejects.toThrow('Expected a FHIR Bundle');
+    await expect(carespace.fhir.importPatient(createBundle([])))
+      .rejects.toThrow('Expected a Bundle with exactly one Patient, got 0');
+    await expect(carespace.fhir.importPatient(createBundle([{ resourceType: 'Patient' }])))
+      .rejects.toBeInstanceOf(ValidationError);
+  });
+});
@@ -0,0 +1,91 @@
+import { describe, it, expect, jest } from '@jest/globals';
+import { generateIdempotencyKey } from '../idempotency.js';
+import { createMockCarespace } from '../mock/index.js';
+import { ServerError } from '../errors.js';
+
+const keyOf = (call) => call.headers['Idempotency-Key'];
+
+describe('generateIdempotencyKey', () => {
+  it('should generate distinct v4 UUIDs', () => {
+    const key = generateIdempotencyKey();
+    expect(key).toMatch(/^[0-9a-f]{8}-[0-9a-f]{4}-4[0-9a-f]{3}-[89ab][0-9a-f]{3}-[0-9a-f]{12}$/);
+    expect(generateIdempotencyKey()).not.toBe(key);
+  });
+
+  it('should use the Node.js crypto module when there is no global crypto', async () => {
+    const descriptor = Object.getOwnPropertyDescriptor(globalThis, 'crypto');
+    const random = jest.spyOn(Math, 'random');
+    delete globalThis.crypto;
+    try {
+      // A fresh copy of the module, loaded the way Node.js 14 to 18 load it
+      const { randomBytes, randomUUID } = await import('../crypto.js?without-global-crypto');
+
+      expect(randomUUID()).toMatch(/^[0-9a-f]{8}-[0-9a-f]{4}-4[0-9a-f]{3}-[89ab][0-9a-f]{3}-[0-9a-f]{12}$/);
+      expect(randomBytes(16)).toHaveLength(16);
+      expect(random).not.toHaveBeenCalled();
+    } finally {
+      Object.defineProperty(globalThis, 'crypto', descriptor);
+      random.mockRestore();
+    }
+  });
+});
+
+describe('Idempotency-Key header', () => {
+  it('should send a fresh key with every POST call and none with other methods', async () => {
+    const carespace = createMockCarespace({ seed: { clients: [{ id: 'c1', name: 'Jo' }] } });
+
+    await carespace.clients.createClient({ name: 'A' });
+    await carespace.clients.createClient({ name: 'B' });
+    await carespace.clients.updateClient('c1', { name: 'C' });
+
+    const [first, second, put] = carespace.mock.calls;
+    expect(keyOf(first)).toEqual(expect.any(String));
+    expect(keyOf(second)).not.toBe(keyOf(first));
+    expect(keyOf(put)).toBeUndefined();
+  });
+
+  it('should keep the key across retries of one call', async () => {
+    const carespace = createMockCarespace({
+      retry: { baseDelay: 0, jitter: false },
+      errors: [{ method: 'post', status: 503, times: 2 }]
+    });
+
+    await carespace.clients.createClient({ name: 'A' }, { retry: true });
+
+    expect(carespace.mock.calls).toHaveLength(3);
+    expect(new Set(carespace.mock.calls.map(keyOf)).size).toBe(1);
+  });
+
+  it('should use a per-call key and expose it on errors', async () => {
+    const carespace = createMockCarespace({ errors: [{ method: 'post', status: 500 }] });
+
+    const error = await carespace.clients.createClient({ name: 'A' }, { idempotencyKey: 'order-42' }).catch(e => e);
+
+    expect(error).toBeInstanceOf(ServerError);
+    expect(error.idempotencyKey).toBe('order-42');
+    expect(keyOf(carespace.mock.calls[0])).toBe('order-42');
+  });
+
+  it('should keep a key passed as a header', async () => {
+    const carespace = createMockCarespace();
+    await carespace.clients.createClient({ name: 'A' }, { headers: { 'idempotency-key': 'from-header' } });
+    expect(carespace.mock.calls[0].headers).toMatchObject({ 'idempotency-key': 'from-header' });
+    expect(keyOf(carespace.mock.calls[0])).toBeUndefined();
+  });
+
+  it('should be disabled per call or per client', async () => {
+    const carespace = createMockCarespace();
+    await carespace.clients.createClient({ name: 'A' }, { idempotencyKey: false });
+    expect(keyOf(carespace.mock.calls[0])).toBeUndefined();
+
+    const disabled = createMockCarespace({ idempotency: false });
+    await disabled.clients.createClient({ name: 'A' });
+    expect(keyOf(disabled.mock.calls[0])).toBeUndefined();
+  });
+
+  it('should support a custom header and generator', async () => {
+    const carespace = createMockCarespace({ idempotency: { header: 'X-Request-Key', generate: () => 'fixed' } });
+    await carespace.clients.createClient({ name: 'A' });
+    expect(carespace.mock.calls[0].headers['X-Request-Key']).toBe('fixed');
+  });
+});
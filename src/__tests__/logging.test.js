@@ -0,0 +1,159 @@
+import { describe, it, expect, jest } from '@jest/globals';
+import { loggingMiddleware } from '../logging.js';
+import { createMockCarespace } from '../mock/index.js';
+import { NotFoundError } from '../errors.js';
+
+const createLogger = () => ({
+  debug: jest.fn(),
+  info: jest.fn(),
+  warn: jest.fn(),
+  error: jest.fn()
+});
+
+const seed = { clients: [{ id: 'c1', name: 'Jo Smith', email: 'jo@example.com', status: 'active' }] };
+
+describe('request logging', () => {
+  it('should log one info line per request with status, duration and request id', async () => {
+    const logger = createLogger();
+    const carespace = createMockCarespace({ seed, logger });
+
+    await carespace.clients.getClient('c1');
+
+    expect(logger.info).toHaveBeenCalledTimes(1);
+    const [message, meta] = logger.info.mock.calls[0];
+    expect(message).toMatch(/^GET \/clients\/c1 200 \d+ms$/);
+    expect(meta).toMatchObject({
+      method: 'GET',
+      url: '/clients/c1',
+      attempt: 1,
+      status: 200,
+      durationMs: expect.any(Number),
+      requestId: 'mock-request-1'
+    });
+    expect(logger.debug).not.toHaveBeenCalled();
+  });
+
+  it('should include the idempotency key of POST requests', async () => {
+    const logger = createLogger();
+    const carespace = createMockCarespace({ logger });
+
+    await carespace.clients.createClient({ name: 'Sam' }, { idempotencyKey: 'order-42' });
+
+    expect(logger.info.mock.calls[0][1].idempotencyKey).toBe('order-42');
+  });
+
+  it('should redact credentials and patient fields at debug level', async () => {
+    const logger = createLogger();
+    const carespace = createMockCarespace({
+      seed: { users: [{ id: 'u1', email: 'pt@example.com', password: 'hunter2' }] },
+      logger,
+      logLevel: 'debug'
+    });
+
+    await carespace.auth.login({ email: 'pt@example.com', password: 'hunter2' });
+    await carespace.clients.createClient(
+      { name: 'Jo Smith', dateOfBirth: '1990-01-01', status: 'active' },
+      { headers: { Authorization: 'Bearer per-call-token' } }
+    );
+
+    const logged = JSON.stringify([...logger.debug.mock.calls, ...logger.info.mock.calls]);
+    expect(logged).not.toMatch(/hunter2|Jo Smith|1990-01-01|pt@example.com|Bearer /);
+    expect(logger.debug.mock.calls[0][1].body).toEqual({ email: '[REDACTED]', password: '[REDACTED]' });
+    expect(logger.debug.mock.calls[1][1].headers.Authorization).toBe('[REDACTED]');
+    expect(logger.info.mock.calls[1][1].body).toMatchObject({ name: '[REDACTED]', status: 'active' });
+  });
+
+  it('should redact snake_case passwords and patient fields', async () => {
+    const logger = createLogger();
+    const carespace = createMockCarespace({
+      seed: { users: [{ id: 'u1', email: 'pt@example.com', password: 'OldSecret1' }] },
+      logger,
+      logLevel: 'debug',
+      caseConversion: true
+    });
+
+    await expect(carespace.auth.changePassword('OldSecret1', 'NewSecret2')).resolves.toMatchObject({ success: true });
+    await carespace.clients.createClient({ name: 'Jo Smith', firstName: 'Jo', dateOfBirth: '1990-01-01' });
+
+    const logged = JSON.stringify([...logger.debug.mock.calls, ...logger.info.mock.calls, ...logger.warn.mock.calls]);
+    expect(logged).not.toMatch(/OldSecret1|NewSecret2|Jo Smith|"Jo"|1990-01-01/);
+    expect(logger.info.mock.calls[0][0]).toMatch(/^POST \/auth\/change-password 200 /);
+    expect(logger.debug.mock.calls[0][1].body).toEqual({ current_password: '[REDACTED]', new_password: '[REDACTED]' });
+    expect(logger.debug.mock.calls[1][1].body).toEqual({
+      name: '[REDACTED]',
+      first_name: '[REDACTED]',
+      date_of_birth: '[REDACTED]'
+    });
+  });
+
+  it('should redact patient fields in query strings', async () => {
+    const logger = createLogger();
+    const carespace = createMockCarespace({ seed, logger });
+
+    await carespace.clients.getClients({ email: 'jo@example.com', status: 'active' });
+
+    const [message] = logger.info.mock.calls[0];
+    expect(message).not.toMatch(/jo(%40|@)example/);
+    expect(message).toMatch(/status=active/);
+  });
+
+  it('should honor a custom list of patient fields', async () => {
+    const logger = createLogger();
+    const carespace = createMockCarespace({ logger, logLevel: 'debug', logRedactFields: ['condition'] });
+
+    await carespace.clients.createClient({ name: 'Jo Smith', condition: 'ACL' });
+
+    expect(logger.debug.mock.calls[0][1].body).toEqual({ name: 'Jo Smith', condition: '[REDACTED]' });
+  });
+
+  it('should log retries at warn with the attempt and delay', async () => {
+    const logger = createLogger();
+    const carespace = createMockCarespace({
+      seed,
+      logger,
+      retry: { baseDelay: 0, jitter: false },
+      errors: [{ method: 'get', status: 503 }]
+    });
+
+    await carespace.clients.getClient('c1');
+
+    expect(logger.error).toHaveBeenCalledWith(
+      expect.stringMatching(/^GET \/clients\/c1 failed: ServerError/),
+      expect.objectContaining({ status: 503, attempt: 1 })
+    );
+    expect(logger.warn).toHaveBeenCalledWith('Retrying GET /clients/c1 (attempt 2 of 3)', expect.objectContaining({
+      attempt: 2,
+      maxAttempts: 3,
+      delayMs: 0,
+      previousError: 'ServerError'
+    }));
+    expect(logger.info.mock.calls[0][1]).toMatchObject({ attempt: 2, status: 200 });
+  });
+
+  it('should log client errors at warn and respect the level', async () => {
+    const logger = createLogger();
+    const carespace = createMockCarespace({ logger, logLevel: 'warn' });
+
+    await expect(carespace.clients.getClient('missing')).rejects.toThrow(NotFoundError);
+    await carespace.clients.getClients();
+
+    expect(logger.warn).toHaveBeenCalledWith(
+      expect.stringMatching(/^GET \/clients\/missing failed: NotFoundError/),
+      expect.objectContaining({ status: 404, requestId: 'mock-request-1' })
+    );
+    expect(logger.info).not.toHaveBeenCalled();
+  });
+
+  it('should log nothing when silent', async () => {
+    const logger = createLogger();
+    const carespace = createMockCarespace({ logger, logLevel: 'silent' });
+
+    await expect(carespace.clients.getClient('missing')).rejects.toThrow(NotFoundError);
+
+    Object.values(logger).forEach(fn => expect(fn).not.toHaveBeenCalled());
+  });
+
+  it('should reject unknown levels', () => {
+    expect(() => loggingMiddleware({ logger: createLogger(), level: 'verbose' })).toThrow(TypeError);
+  });
+});
@@ -0,0 +1,153 @@
+import { describe, it, expect, beforeEach, afterEach, jest } from '@jest/globals';
+import { compose } from '../middleware.js';
+import { retryMiddleware } from '../retry.js';
+import { CarespaceClient } from '../client.js';
+import { CarespaceAPI } from '../api.js';
+import { NotFoundError, ServerError } from '../errors.js';
+import axios from 'axios';
+
+describe('compose', () => {
+  it('should run middleware outermost first', async () => {
+    const calls = [];
+    const run = compose([
+      async (req, next) => {
+        calls.push('a:before');
+        const res = await next(req);
+        calls.push('a:after');
+        return res;
+      },
+      async (req, next) => {
+        calls.push('b:before');
+        const res = await next(req);
+        calls.push('b:after');
+        return res;
+      }
+    ], async () => {
+      calls.push('handler');
+      return { data: 'ok' };
+    });
+
+    expect(await run({})).toEqual({ data: 'ok' });
+    expect(calls).toEqual(['a:before', 'b:before', 'handler', 'b:after', 'a:after']);
+  });
+
+  it('should support middleware that call next several times', async () => {
+    const handler = jest.fn()
+      .mockRejectedValueOnce(new ServerError())
+      .mockResolvedValueOnce({ data: 'ok' });
+    const run = compose([retryMiddleware({ baseDelay: 0 })], handler);
+
+    expect(await run({ method: 'get', options: {} })).toEqual({ data: 'ok' });
+    expect(handler).toHaveBeenCalledTimes(2);
+  });
+});
+
+describe('CarespaceClient middleware', () => {
+  let mockAxiosInstance;
+  let client;
+
+  beforeEach(() => {
+    mockAxiosInstance = {
+      get: jest.fn().mockResolvedValue({ status: 200, data: { id: 1 }, headers: {} }),
+      post: jest.fn().mockResolvedValue({ status: 201, data: { id: 2 }, headers: {} }),
+      interceptors: {
+        request: { use: jest.fn() },
+        response: { use: jest.fn() }
+      }
+    };
+    axios.create = jest.fn().mockReturnValue(mockAxiosInstance);
+    client = new CarespaceClient({ retry: { baseDelay: 0 } });
+  });
+
+  afterEach(() => {
+    jest.clearAllMocks();
+  });
+
+  it('should let middleware change the request', async () => {
+    client.use(async (req, next) => {
+      req.headers['X-Source'] = 'test';
+      req.url = `${req.url}?v=2`;
+      return next(req);
+    });
+
+    await client.get('/clients/1');
+
+    expect(mockAxiosInstance.get).toHaveBeenCalledWith('/clients/1?v=2', { headers: { 'X-Source': 'test' } });
+  });
+
+  it('should let middleware inspect and replace responses', async () => {
+    client.use(async (req, next) => {
+      const res = await next(req);
+      return { ...res, data: { ...res.data, seen: true } };
+    });
+
+    expect(await client.post('/clients', {})).toEqual({ id: 2, seen: true });
+  });
+
+  it('should let middleware short-circuit requests', async () => {
+    client.use(async () => ({ status: 200, data: 'stubbed', headers: {} }));
+
+    expect(await client.get('/clients/1')).toBe('stubbed');
+    expect(mockAxiosInstance.get).not.toHaveBeenCalled();
+  });
+
+  it('should pass SDK errors to middleware once after built-in retries', async () => {
+    mockAxiosInstance.get.mockRejectedValue(new ServerError());
+    const seen = [];
+    client.use(async (req, next) => {
+      try {
+        return await next(req);
+      } catch (error) {
+        seen.push(error);
+        throw error;
+      }
+    });
+
+    await expect(client.get('/clients/1')).rejects.toThrow(ServerError);
+    expect(seen).toHaveLength(1);
+    expect(mockAxiosInstance.get).toHaveBeenCalledTimes(3);
+  });
+
+  it('should let middleware recover from errors', async () => {
+    mockAxiosInstance.get.mockRejectedValue(new NotFoundError());
+    client.use(async (req, next) => {
+      try {
+        return await next(req);
+      } catch (error) {
+        if (error instanceof NotFoundError) {
+          return { status: 404, data: null, headers: {} };
+        }
+        throw error;
+      }
+    });
+
+    expect(await client.get('/clients/missing')).toBeNull();
+  });
+
+  it('should expose per-call options to middleware', async () => {
+    const middleware = jest.fn((req, next) => next(req));
+    client.use(middleware);
+
+    await client.get('/clients/1', { custom: 'value' });
+
+    expect(middleware.mock.calls[0][0]).toEqual(expect.objectContaining({
+      method: 'get',
+      url: '/clients/1',
+      options: { custom: 'value' }
+    }));
+  });
+
+  it('should reject non-function middleware', () => {
+    expect(() => client.use('nope')).toThrow(TypeError);
+  });
+});
+
+describe('CarespaceAPI.use', () => {
+  it('should register middleware on the client and chain', () => {
+    const api = new CarespaceAPI();
+    const middleware = async (req, next) => next(req);
+
+    expect(api.use(middleware)).toBe(api);
+    expect(api.client.middleware).toContain(middleware);
+  });
+});
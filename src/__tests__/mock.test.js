@@ -0,0 +1,197 @@
+import { describe, it, expect, beforeEach } from '@jest/globals';
+import { createMockCarespace } from '../mock/index.js';
+import {
+  AuthenticationError,
+  NetworkError,
+  NotFoundError,
+  RateLimitError,
+  ServerError,
+  ValidationError
+} from '../errors.js';
+
+describe('createMockCarespace', () => {
+  let carespace;
+
+  beforeEach(() => {
+    carespace = createMockCarespace({
+      seed: {
+        users: [{ id: 'user-1', email: 'pt@example.com', password: 'secret', role: 'therapist', name: 'Pat' }],
+        clients: [
+          { id: 'client-1', name: 'Jo Smith', status: 'active' },
+          { id: 'client-2', name: 'Sam Lee', status: 'inactive' },
+          { id: 'client-3', name: 'Jo Brown', status: 'active' }
+        ],
+        programs: [
+          { id: 'program-1', name: 'Knee Rehab', exercises: [{ name: 'Squats', sets: 3 }] },
+          { id: 'program-2', name: 'Back Basics', isTemplate: true }
+        ],
+        evaluations: [{ clientId: 'client-1', score: 7, date: '2024-03-01' }]
+      }
+    });
+  });
+
+  describe('clients', () => {
+    it('should support CRUD', async () => {
+      const created = await carespace.clients.createClient({ name: 'New Patient' });
+      expect(created).toMatchObject({ id: 'client-4', name: 'New Patient' });
+
+      await carespace.clients.updateClient(created.id, { status: 'active' });
+      expect(await carespace.clients.getClient(created.id)).toMatchObject({ name: 'New Patient', status: 'active' });
+
+      await carespace.clients.deleteClient(created.id);
+      await expect(carespace.clients.getClient(created.id)).rejects.toThrow(NotFoundError);
+    });
+
+    it('should filter, search and paginate lists', async () => {
+      expect((await carespace.clients.getClients({ status: 'active' })).data.map(c => c.id))
+        .toEqual(['client-1', 'client-3']);
+      expect((await carespace.clients.getClients({ search: 'lee' })).data.map(c => c.id)).toEqual(['client-2']);
+
+      const page = await carespace.clients.getClients({ page: 2, limit: 2 });
+      expect(page.data.map(c => c.id)).toEqual(['client-3']);
+      expect(page.meta).toEqual({ page: 2, limit: 2, total: 3, totalPages: 2 });
+    });
+
+    it('should work with the pagination iterators', async () => {
+      const ids = [];
+      for await (const client of carespace.clients.iterateClients({}, { pageSize: 1 })) {
+        ids.push(client.id);
+      }
+      expect(ids).toEqual(['client-1', 'client-2', 'client-3']);
+    });
+
+    it('should assign and unassign programs', async () => {
+      await carespace.clients.assignProgramToClient('client-1', 'program-1', { startDate: '2024-01-01' });
+
+      const programs = await carespace.clients.getClientPrograms('client-1');
+      expect(programs.data).toHaveLength(1);
+      expect(programs.data[0]).toMatchObject({ id: 'program-1', assignment: { startDate: '2024-01-01' } });
+      expect(await carespace.clients.getClientStats('client-1')).toMatchObject({ programs: 1, evaluations: 1 });
+
+      await carespace.clients.removeClientProgram('client-1', 'program-1');
+      expect((await carespace.clients.getClientPrograms('client-1')).data).toEqual([]);
+      await expect(carespace.clients.assignProgramToClient('client-1', 'missing')).rejects.toThrow(NotFoundError);
+    });
+
+    it('should reject invalid payloads', async () => {
+      const error = await carespace.clients.createClient({}, { validate: false }).catch(e => e);
+      expect(error).toBeInstanceOf(ValidationError);
+      expect(error.response.data.errors).toEqual([{ field: 'name', message: 'name is required', code: 'required' }]);
+    });
+  });
+
+  describe('programs', () => {
+    it('should manage exercises', async () => {
+      const exercise = await carespace.programs.addExerciseToProgram('program-1', { name: 'Lunges', reps: 10 });
+      await carespace.programs.updateProgramExercise('program-1', exercise.id, { reps: 12 });
+
+      const exercises = await carespace.programs.getProgramExercises('program-1');
+      expect(exercises.data.map(e => [e.name, e.reps])).toEqual([['Squats', undefined], ['Lunges', 12]]);
+
+      await carespace.programs.removeProgramExercise('program-1', exercise.id);
+      expect((await carespace.programs.getProgramExercises('program-1')).data).toHaveLength(1);
+    });
+
+    it('should duplicate programs with their exercises and list templates', async () => {
+      const copy = await carespace.programs.duplicateProgram('program-1', { name: 'Knee Rehab v2' });
+
+      expect(copy).toMatchObject({ name: 'Knee Rehab v2' });
+      expect((await carespace.programs.getProgramExercises(copy.id)).data[0]).toMatchObject({ name: 'Squats' });
+      expect((await carespace.programs.getProgramTemplates()).data.map(p => p.id)).toEqual(['program-2']);
+    });
+  });
+
+  describe('auth and users', () => {
+    it('should log in seeded users and serve their profile', async () => {
+      const session = await carespace.auth.login({ email: 'pt@example.com', password: 'secret' });
+      expect(session.access_token).toBeDefined();
+      expect(session.user).not.toHaveProperty('password');
+
+      carespace.setApiKey(session.access_token);
+      expect(await carespace.users.getUserProfile()).toMatchObject({ id: 'user-1' });
+
+      await expect(carespace.auth.login({ email: 'pt@example.com', password: 'wrong' }))
+        .rejects.toThrow(AuthenticationError);
+    });
+
+    it('should change the password of the logged-in user', async () => {
+      const { access_token: token } = await carespace.auth.login({ email: 'pt@example.com', password: 'secret' });
+      carespace.setApiKey(token);
+
+      await expect(carespace.auth.changePassword('wrong', 'n3w-secret')).rejects.toThrow(ValidationError);
+      await expect(carespace.auth.changePassword('secret', 'n3w-secret'))
+        .resolves.toEqual({ success: true, message: 'Password changed' });
+
+      expect(carespace.mock.store.find('users', 'user-1').password).toBe('n3w-secret');
+      await expect(carespace.auth.login({ email: 'pt@example.com', password: 'secret' }))
+        .rejects.toThrow(AuthenticationError);
+      await expect(carespace.auth.login({ email: 'pt@example.com', password: 'n3w-secret' }))
+        .resolves.toMatchObject({ user: { id: 'user-1' } });
+    });
+
+    it('should require a token when requireAuth is set', async () => {
+      const secured = createMockCarespace({ requireAuth: true, seed: { users: [{ email: 'a@b.c' }] } });
+      await expect(secured.users.getUsers()).rejects.toThrow(AuthenticationError);
+
+      const { access_token: token } = await secured.auth.login({ email: 'a@b.c', password: 'any' });
+      secured.setApiKey(token);
+      await expect(secured.users.getUsers()).resolves.toMatchObject({ meta: { total: 1 } });
+    });
+
+    it('should store user settings', async () => {
+      await carespace.users.updateUserSettings('user-1', { theme: 'dark' });
+      expect(await carespace.users.getUserSettings('user-1')).toEqual({ theme: 'dark' });
+    });
+  });
+
+  describe('error injection', () => {
+    it('should fail the nth matching call', async () => {
+      carespace.mock.injectError({ method: 'get', path: '/clients', call: 3, status: 429, headers: { 'retry-after': '1' } });
+
+      await carespace.clients.getClients();
+      await carespace.clients.getClient('client-1');
+      await carespace.clients.getClients();
+      const error = await carespace.clients.getClients().catch(e => e);
+
+      expect(error).toBeInstanceOf(RateLimitError);
+      expect(error.response.headers['retry-after']).toBe('1');
+      await expect(carespace.clients.getClients()).resolves.toBeDefined();
+    });
+
+    it('should accept error instances and repeat counts', async () => {
+      carespace.mock.injectError({ path: '/clients/{id}', error: () => new NetworkError('offline'), times: 2 });
+
+      await expect(carespace.clients.getClient('client-1')).rejects.toThrow('offline');
+      await expect(carespace.clients.getClient('client-1')).rejects.toThrow(NetworkError);
+      await expect(carespace.clients.getClient('client-1')).resolves.toMatchObject({ id: 'client-1' });
+    });
+
+    it('should let the SDK retry injected failures when retries are enabled', async () => {
+      const retrying = createMockCarespace({
+        retry: { baseDelay: 1, jitter: false },
+        errors: [{ status: 503 }],
+        seed: { clients: [{ id: 'c1', name: 'Jo' }] }
+      });
+
+      await expect(retrying.clients.getClient('c1')).resolves.toMatchObject({ id: 'c1' });
+      expect(retrying.mock.calls).toHaveLength(2);
+    });
+  });
+
+  describe('mock handle', () => {
+    it('should record calls and reset state', async () => {
+      await carespace.clients.createClient({ name: 'Kim' });
+      expect(carespace.mock.calls[0]).toMatchObject({ method: 'post', path: '/clients', data: { name: 'Kim' } });
+
+      carespace.mock.reset();
+      expect(carespace.mock.calls).toEqual([]);
+      await expect(carespace.clients.getClient('client-1')).rejects.toThrow(NotFoundError);
+    });
+
+    it('should answer unknown routes with 404 and default to 500 errors', async () => {
+      await expect(carespace.getClient().get('/unknown')).rejects.toThrow('No mock route for GET /unknown');
+      carespace.mock.injectError({});
+      await expect(carespace.clients.getClients()).rejects.toThrow(ServerError);
+    });
+  });
+});
@@ -0,0 +1,181 @@
+import { describe, it, expect, jest } from '@jest/globals';
+import { createMockCarespace } from '../mock/index.js';
+import { Client, Program, Exercise, User, Model, toModelList } from '../models.js';
+
+const seed = {
+  clients: [{ id: 'c1', name: 'Jo', status: 'active', address: { city: 'Boston' } }],
+  programs: [{ id: 'p1', name: 'Knee rehab', difficulty: 'beginner' }],
+  exercises: [{ id: 'e1', programId: 'p1', name: 'Squats', reps: 10 }],
+  users: [{ id: 'u1', name: 'Pat', role: 'therapist' }]
+};
+
+const createCarespace = (options = {}) => createMockCarespace({ seed, models: true, ...options });
+
+describe('models', () => {
+  it('should return plain objects unless models are enabled', async () => {
+    const plain = createMockCarespace({ seed });
+    const carespace = createCarespace();
+
+    expect(await plain.clients.getClient('c1')).not.toBeInstanceOf(Model);
+    expect(await plain.clients.getClient('c1', { models: true })).toBeInstanceOf(Client);
+    expect(await carespace.clients.getClient('c1')).toBeInstanceOf(Client);
+    expect(await carespace.users.getUser('u1')).toBeInstanceOf(User);
+    expect(await carespace.clients.getClient('c1', { raw: true })).not.toHaveProperty('save');
+  });
+
+  it('should wrap list items and keep pagination metadata', async () => {
+    const carespace = createCarespace();
+
+    const page = await carespace.programs.getPrograms({ limit: 10 });
+
+    expect(page.data[0]).toBeInstanceOf(Program);
+    expect(page.meta).toMatchObject({ page: 1, total: 1 });
+
+    const clients = [];
+    for await (const client of carespace.clients.iterateClients()) {
+      clients.push(client);
+    }
+    expect(clients[0]).toBeInstanceOf(Client);
+  });
+
+  it('should serialize to the plain resource', async () => {
+    const client = await createCarespace().clients.getClient('c1');
+
+    expect(client.name).toBe('Jo');
+    expect(JSON.parse(JSON.stringify(client))).toMatchObject(seed.clients[0]);
+    expect(Object.keys(client)).not.toContain('api');
+  });
+
+  it('should keep fields named like methods apart from the methods', async () => {
+    const carespace = createCarespace({
+      seed: { ...seed, clients: [{ ...seed.clients[0], programs: ['p1'] }] }
+    });
+    const client = await carespace.clients.getClient('c1');
+    const program = new Program({ id: 'p1', name: 'Knee rehab', exercises: [{ name: 'Squats' }] }, carespace.programs);
+
+    expect((await program.exercises()).data[0]).toBeInstanceOf(Exercise);
+    expect((await client.programs()).data).toEqual([]);
+    expect(program.toJSON().exercises).toEqual([{ name: 'Squats' }]);
+    expect(JSON.parse(JSON.stringify(client)).programs).toEqual(['p1']);
+    expect(program.isDirty()).toBe(false);
+
+    const put = jest.spyOn(carespace.client, 'put');
+    await program.update({ exercises: [], save: 'field' });
+
+    expect(put.mock.calls[0][1]).toEqual({ exercises: [], save: 'field' });
+    expect(typeof program.exercises).toBe('function');
+    expect(typeof program.save).toBe('function');
+    expect(program.toJSON()).toMatchObject({ exercises: [], save: 'field' });
+  });
+
+  it('should track changes and save only changed fields', async () => {
+    const carespace = createCarespace();
+    const client = await carespace.clients.getClient('c1');
+    const put = jest.spyOn(carespace.client, 'put');
+
+    expect(client.isDirty()).toBe(false);
+    client.status = 'discharged';
+    client.address.city = 'Cambridge';
+    delete client.name;
+
+    expect(client.isDirty('status')).toBe(true);
+    expect(client.getChanges()).toEqual({ status: 'discharged', address: { city: 'Cambridge' }, name: null });
+
+    await client.save();
+
+    expect(put).toHaveBeenCalledWith(
+      '/clients/c1',
+      { status: 'discharged', address: { city: 'Cambridge' }, name: null },
+      expect.anything()
+    );
+    expect(client.isDirty()).toBe(false);
+    expect(client.updatedAt).toEqual(expect.any(String));
+  });
+
+  it('should not send a request when nothing changed', async () => {
+    const carespace = createCarespace();
+    const client = await carespace.clients.getClient('c1');
+    const put = jest.spyOn(carespace.client, 'put');
+
+    await expect(client.save()).resolves.toBe(client);
+
+    expect(put).not.toHaveBeenCalled();
+  });
+
+  it('should update and delete clients', async () => {
+    const carespace = createCarespace();
+    const client = await carespace.clients.getClient('c1');
+
+    await client.update({ notes: 'Progressing well' });
+    expect((await carespace.clients.getClient('c1')).notes).toBe('Progressing well');
+
+    await client.delete();
+    await expect(carespace.clients.getClient('c1')).rejects.toMatchObject({ statusCode: 404 });
+  });
+
+  it('should create a model without an id on save', async () => {
+    const carespace = createCarespace();
+
+    const client = await new Client({ name: 'Sam' }, carespace.clients).save();
+
+    expect(client.id).toEqual(expect.any(String));
+    expect(client.isDirty()).toBe(false);
+  });
+
+  it('should assign programs and list them as Program models', async () => {
+    const carespace = createCarespace();
+    const client = await carespace.clients.getClient('c1');
+    const program = await carespace.programs.getProgram('p1');
+
+    await client.assign(program, { startDate: '2024-01-01' });
+    const programs = await client.programs();
+
+    expect(programs.data).toHaveLength(1);
+    expect(programs.data[0]).toBeInstanceOf(Program);
+    await programs.data[0].update({ difficulty: 'advanced' });
+    expect((await carespace.programs.getProgram('p1')).difficulty).toBe('advanced');
+
+    await client.unassign('p1');
+    expect((await client.programs()).data).toEqual([]);
+  });
+
+  it('should manage program exercises through Exercise models', async () => {
+    const carespace = createCarespace();
+    const program = await carespace.programs.getProgram('p1');
+
+    const [exercise] = (await program.exercises()).data;
+    expect(exercise).toBeInstanceOf(Exercise);
+    exercise.reps = 12;
+    await exercise.save();
+
+    const added = await program.addExercise({ name: 'Lunges' });
+    await added.delete();
+
+    expect((await program.exercises()).data.map(item => [item.name, item.reps])).toEqual([['Squats', 12]]);
+  });
+
+  it('should duplicate programs', async () => {
+    const program = await createCarespace().programs.getProgram('p1');
+
+    const copy = await program.duplicate({ name: 'Knee rehab (copy)' });
+
+    expect(copy).toBeInstanceOf(Program);
+    expect(copy.id).not.toBe('p1');
+    expect((await copy.exercises()).data).toHaveLength(1);
+  });
+
+  it('should reject a non-boolean models option', () => {
+    expect(() => createMockCarespace({ models: 'yes' })).toThrow('models must be a boolean, got yes');
+  });
+});
+
+describe('toModelList', () => {
+  it('should wrap arrays and the supported envelopes', () => {
+    expect(toModelList(User, [{ id: 'u1' }], null)[0]).toBeInstanceOf(User);
+    expect(toModelList(User, { items: [{ id: 'u1' }], nextCursor: 'x' }, null)).toEqual({
+      items: [expect.any(User)],
+      nextCursor: 'x'
+    });
+    expect(toModelList(User, null, null)).toBeNull();
+  });
+});
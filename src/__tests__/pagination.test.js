@@ -0,0 +1,129 @@
+import { describe, it, expect, jest } from '@jest/globals';
+import { parsePage, paginate } from '../pagination.js';
+import { ClientsAPI } from '../api/clients.js';
+
+async function collect(iterator) {
+  const items = [];
+  for await (const item of iterator) {
+    items.push(item);
+  }
+  return items;
+}
+
+describe('parsePage', () => {
+  it('should accept plain arrays', () => {
+    expect(parsePage([1, 2])).toEqual({ items: [1, 2] });
+  });
+
+  it('should read nested page metadata', () => {
+    const page = parsePage({ data: [1], meta: { page: 2, total_pages: 5, total: 41 } });
+    expect(page).toEqual(expect.objectContaining({ items: [1], page: 2, totalPages: 5, total: 41 }));
+  });
+
+  it('should read cursor metadata', () => {
+    expect(parsePage({ items: [1], next_cursor: 'abc' }).nextCursor).toBe('abc');
+    expect(parsePage({ results: [1], cursor: { next: 'xyz' } }).nextCursor).toBe('xyz');
+  });
+
+  it('should fall back to the first array property', () => {
+    expect(parsePage({ clients: [1, 2], hasMore: false })).toEqual(
+      expect.objectContaining({ items: [1, 2], hasMore: false })
+    );
+  });
+});
+
+describe('paginate', () => {
+  it('should follow page numbers until totalPages', async () => {
+    const fetchPage = jest.fn(async ({ page }) => ({
+      data: [page * 10, page * 10 + 1],
+      meta: { page, totalPages: 3 }
+    }));
+
+    const items = await collect(paginate(fetchPage, { pageSize: 2 }));
+
+    expect(items).toEqual([10, 11, 20, 21, 30, 31]);
+    expect(fetchPage).toHaveBeenCalledTimes(3);
+    expect(fetchPage).toHaveBeenNthCalledWith(2, { page: 2, limit: 2 });
+  });
+
+  it('should follow cursors until the cursor is empty', async () => {
+    const pages = {
+      undefined: { items: [1], nextCursor: 'b' },
+      b: { items: [2], nextCursor: 'c' },
+      c: { items: [3], nextCursor: null }
+    };
+    const fetchPage = jest.fn(async ({ cursor }) => pages[cursor]);
+
+    expect(await collect(paginate(fetchPage))).toEqual([1, 2, 3]);
+    expect(fetchPage).toHaveBeenLastCalledWith({ cursor: 'c' });
+  });
+
+  it('should stop at the total item count', async () => {
+    const fetchPage = jest.fn(async ({ page }) => ({ results: [page], total: 2 }));
+
+    expect(await collect(paginate(fetchPage))).toEqual([1, 2]);
+    expect(fetchPage).toHaveBeenCalledTimes(2);
+  });
+
+  it('should stop on a short page of a plain array response', async () => {
+    const fetchPage = jest.fn(async ({ page }) => (page === 1 ? [1, 2] : [3]));
+
+    expect(await collect(paginate(fetchPage, { pageSize: 2 }))).toEqual([1, 2, 3]);
+    expect(fetchPage).toHaveBeenCalledTimes(2);
+  });
+
+  it('should stop on an empty page', async () => {
+    const fetchPage = jest.fn(async ({ page }) => (page < 3 ? [page] : []));
+
+    expect(await collect(paginate(fetchPage))).toEqual([1, 2]);
+  });
+
+  it('should stop after maxItems without fetching further pages', async () => {
+    const fetchPage = jest.fn(async ({ page }) => [page * 10, page * 10 + 1]);
+
+    expect(await collect(paginate(fetchPage, { maxItems: 3 }))).toEqual([10, 11, 20]);
+    expect(fetchPage).toHaveBeenCalledTimes(2);
+  });
+
+  it('should stop when the endpoint ignores the page parameter', async () => {
+    const fetchPage = jest.fn(async () => [{ id: 1 }, { id: 2 }]);
+
+    expect(await collect(paginate(fetchPage))).toEqual([{ id: 1 }, { id: 2 }]);
+    expect(await collect(paginate(fetchPage, { pageSize: 2 }))).toEqual([{ id: 1 }, { id: 2 }]);
+    expect(fetchPage).toHaveBeenCalledTimes(4);
+  });
+
+  it('should stop when a cursor page has no next cursor and no page number', async () => {
+    const fetchPage = jest.fn(async ({ cursor }) => (cursor ? { items: [2], hasMore: true } : { items: [1], nextCursor: 'b' }));
+
+    expect(await collect(paginate(fetchPage))).toEqual([1, 2]);
+    expect(fetchPage).toHaveBeenCalledTimes(2);
+  });
+
+  it('should prefetch the next page before the current one is consumed', async () => {
+    const fetchPage = jest.fn(async ({ page }) => ({ data: [page], meta: { page, totalPages: 2 } }));
+    const iterator = paginate(fetchPage, { prefetch: true });
+
+    await iterator.next();
+
+    expect(fetchPage).toHaveBeenCalledTimes(2);
+    expect(await collect(iterator)).toEqual([2]);
+  });
+});
+
+describe('list iterators', () => {
+  it('should pass filters and pagination query to the list endpoint', async () => {
+    const mockClient = {
+      get: jest.fn()
+        .mockResolvedValueOnce({ data: [{ id: 1 }], meta: { page: 1, totalPages: 2 } })
+        .mockResolvedValueOnce({ data: [{ id: 2 }], meta: { page: 2, totalPages: 2 } })
+    };
+    const clients = new ClientsAPI(mockClient);
+
+    const items = await collect(clients.iterateClients({ status: 'active' }, { pageSize: 1 }));
+
+    expect(items).toEqual([{ id: 1 }, { id: 2 }]);
+    expect(mockClient.get).toHaveBeenNthCalledWith(1, '/clients?status=active&page=1&limit=1', { route: '/clients' });
+    expect(mockClient.get).toHaveBeenNthCalledWith(2, '/clients?status=active&page=2&limit=1', { route: '/clients' });
+  });
+});
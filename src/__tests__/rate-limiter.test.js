@@ -0,0 +1,145 @@
+import { describe, it, expect, beforeEach, afterEach, jest } from '@jest/globals';
+import { RateLimiter } from '../rate-limiter.js';
+import { CarespaceClient } from '../client.js';
+import { AbortError, RateLimitError } from '../errors.js';
+import axios from 'axios';
+
+const flush = () => new Promise(resolve => setTimeout(resolve, 0));
+
+function deferred() {
+  let resolve;
+  const promise = new Promise(r => {
+    resolve = r;
+  });
+  return { promise, resolve };
+}
+
+describe('RateLimiter', () => {
+  it('should cap the number of concurrent requests', async () => {
+    const limiter = new RateLimiter({ maxConcurrent: 2 });
+    const gates = [deferred(), deferred(), deferred()];
+    const started = [];
+
+    const results = gates.map((gate, index) => limiter.schedule(() => {
+      started.push(index);
+      return gate.promise;
+    }));
+    await flush();
+
+    expect(started).toEqual([0, 1]);
+    expect(limiter.queueDepth).toBe(1);
+
+    gates[0].resolve('a');
+    await results[0];
+    await flush();
+
+    expect(started).toEqual([0, 1, 2]);
+    expect(limiter.queueDepth).toBe(0);
+    gates[1].resolve();
+    gates[2].resolve();
+    await Promise.all(results);
+  });
+
+  it('should spread requests beyond the burst over time', async () => {
+    const limiter = new RateLimiter({ requestsPerSecond: 50, burst: 2 });
+    const start = Date.now();
+
+    await Promise.all([1, 2, 3].map(() => limiter.schedule(async () => Date.now())));
+
+    expect(Date.now() - start).toBeGreaterThanOrEqual(15);
+  });
+
+  it('should let high-priority requests skip the queue', async () => {
+    const limiter = new RateLimiter({ maxConcurrent: 1 });
+    const gate = deferred();
+    const order = [];
+
+    const first = limiter.schedule(() => gate.promise);
+    const queued = limiter.schedule(async () => order.push('normal'));
+    await limiter.schedule(async () => order.push('high'), { priority: 'high' });
+
+    expect(order).toEqual(['high']);
+    gate.resolve();
+    await Promise.all([first, queued]);
+    expect(order).toEqual(['high', 'normal']);
+  });
+
+  it('should pause until X-RateLimit-Reset when no requests remain', async () => {
+    const limiter = new RateLimiter();
+    limiter.update({ 'x-ratelimit-remaining': '0', 'x-ratelimit-reset': '0.03' });
+    const start = Date.now();
+
+    await limiter.schedule(async () => {});
+
+    expect(Date.now() - start).toBeGreaterThanOrEqual(20);
+  });
+
+  it('should pause after a 429 with Retry-After', () => {
+    const limiter = new RateLimiter();
+    limiter.update({}, new RateLimitError('slow down', 429, { headers: { 'retry-after': '5' } }));
+    expect(limiter.waitTime()).toBeGreaterThan(4000);
+  });
+
+  it('should lower available tokens to the server remaining count', () => {
+    const limiter = new RateLimiter({ requestsPerSecond: 10 });
+    limiter.update({ 'X-RateLimit-Remaining': '3' });
+    expect(limiter.tokens).toBeLessThanOrEqual(3);
+  });
+
+  it('should remove aborted requests from the queue', async () => {
+    const limiter = new RateLimiter({ maxConcurrent: 1 });
+    const gate = deferred();
+    const controller = new AbortController();
+    const fn = jest.fn();
+
+    const first = limiter.schedule(() => gate.promise);
+    const queued = limiter.schedule(fn, { signal: controller.signal });
+    controller.abort();
+
+    await expect(queued).rejects.toThrow(AbortError);
+    expect(limiter.queueDepth).toBe(0);
+    gate.resolve();
+    await first;
+    expect(fn).not.toHaveBeenCalled();
+  });
+});
+
+describe('CarespaceClient rate limiting', () => {
+  let mockAxiosInstance;
+
+  beforeEach(() => {
+    mockAxiosInstance = {
+      get: jest.fn(),
+      interceptors: {
+        request: { use: jest.fn() },
+        response: { use: jest.fn() }
+      }
+    };
+    axios.create = jest.fn().mockReturnValue(mockAxiosInstance);
+  });
+
+  afterEach(() => {
+    jest.clearAllMocks();
+  });
+
+  it('should queue requests beyond maxConcurrent and expose the queue depth', async () => {
+    const client = new CarespaceClient({ rateLimit: { maxConcurrent: 1 }, dedupe: false });
+    const gate = deferred();
+    mockAxiosInstance.get.mockReturnValueOnce(gate.promise).mockResolvedValue({ data: 2, headers: {} });
+
+    const first = client.get('/a');
+    const second = client.get('/b');
+    await flush();
+
+    expect(client.getQueueDepth()).toBe(1);
+    expect(mockAxiosInstance.get).toHaveBeenCalledTimes(1);
+
+    gate.resolve({ data: 1, headers: {} });
+    expect(await Promise.all([first, second])).toEqual([1, 2]);
+    expect(client.getQueueDepth()).toBe(0);
+  });
+
+  it('should report zero queue depth without a rate limiter', () => {
+    expect(new CarespaceClient().getQueueDepth()).toBe(0);
+  });
+});
@@ -0,0 +1,67 @@
+import { describe, it, expect } from '@jest/globals';
+import { createMockCarespace } from '../mock/index.js';
+
+const seed = {
+  clients: [
+    { id: 'c1', name: 'Jo', status: 'active' },
+    { id: 'c2', name: 'Sam', status: 'active' }
+  ]
+};
+
+describe('raw responses', () => {
+  it('should return the data by default', async () => {
+    const carespace = createMockCarespace({ seed });
+    await expect(carespace.clients.getClient('c1')).resolves.toMatchObject(seed.clients[0]);
+  });
+
+  it('should return status, headers, request id and duration with raw: true', async () => {
+    const carespace = createMockCarespace({ seed });
+
+    const response = await carespace.clients.getClients({ limit: 1 }, { raw: true });
+
+    expect(response).toEqual({
+      data: { data: [expect.objectContaining(seed.clients[0])], meta: { page: 1, limit: 1, total: 2, totalPages: 2 } },
+      status: 200,
+      headers: { 'content-type': 'application/json', 'x-request-id': 'mock-request-1' },
+      requestId: 'mock-request-1',
+      durationMs: expect.any(Number)
+    });
+  });
+
+  it('should work for every HTTP method', async () => {
+    const carespace = createMockCarespace({ seed });
+
+    const created = await carespace.clients.createClient({ name: 'Alex' }, { raw: true });
+    const updated = await carespace.clients.updateClient('c1', { status: 'discharged' }, { raw: true });
+    const deleted = await carespace.clients.deleteClient('c2', { raw: true });
+
+    expect(created).toMatchObject({ status: 201, data: { name: 'Alex' } });
+    expect(updated).toMatchObject({ status: 200, data: { status: 'discharged' } });
+    expect(deleted).toMatchObject({ status: 200, requestId: 'mock-request-3' });
+    expect(await carespace.client.get('/clients/c1', { raw: true })).toMatchObject({ status: 200 });
+  });
+
+  it('should still store session tokens from a raw login', async () => {
+    const carespace = createMockCarespace({
+      session: true,
+      requireAuth: true,
+      seed: { ...seed, users: [{ id: 'u1', email: 'pt@example.com', password: 'secret' }] }
+    });
+
+    const login = await carespace.auth.login({ email: 'pt@example.com', password: 'secret' }, { raw: true });
+
+    expect(login.data.access_token).toEqual(expect.any(String));
+    await expect(carespace.clients.getClient('c1')).resolves.toMatchObject({ id: 'c1' });
+  });
+
+  it('should ignore raw in iterators', async () => {
+    const carespace = createMockCarespace({ seed });
+    const ids = [];
+
+    for await (const client of carespace.clients.iterateClients({}, { pageSize: 1, raw: true })) {
+      ids.push(client.id);
+    }
+
+    expect(ids).toEqual(['c1', 'c2']);
+  });
+});
@@ -0,0 +1,121 @@
+import { describe, it, expect, beforeEach, afterEach } from '@jest/globals';
+import { mkdtemp, readFile, rm } from 'fs/promises';
+import { tmpdir } from 'os';
+import { join } from 'path';
+import { CarespaceAPI } from '../api.js';
+import { MockTransport } from '../mock/index.js';
+import { RecordingTransport } from '../transports/recording.js';
+import { NotFoundError, ReplayError } from '../errors.js';
+
+describe('RecordingTransport', () => {
+  let dir;
+  let cassette;
+  let backend;
+
+  const createApi = (mode, transport = backend) => new CarespaceAPI({
+    apiKey: 'secret-key',
+    retry: false,
+    transport,
+    recording: { mode, cassette, redactFields: ['condition'] }
+  });
+
+  beforeEach(async () => {
+    dir = await mkdtemp(join(tmpdir(), 'carespace-cassettes-'));
+    cassette = join(dir, 'nested', 'clients.json');
+    backend = new MockTransport({
+      seed: { clients: [{ id: 'client-1', name: 'Jo Smith', email: 'jo@example.com', condition: 'ACL', status: 'active' }] }
+    });
+  });
+
+  afterEach(async () => {
+    await rm(dir, { recursive: true, force: true });
+  });
+
+  it('should record redacted interactions and replay them without the network', async () => {
+    const recorder = createApi('record');
+    await recorder.clients.getClients({ status: 'active' });
+    await recorder.clients.createClient({ name: 'Sam Lee', dateOfBirth: '1990-01-01', status: 'active' });
+    await expect(recorder.clients.getClient('missing')).rejects.toThrow(NotFoundError);
+
+    const file = await readFile(cassette, 'utf8');
+    expect(file).not.toMatch(/secret-key|Jo Smith|jo@example.com|Sam Lee|1990-01-01|ACL/);
+    const { interactions } = JSON.parse(file);
+    expect(interactions).toHaveLength(3);
+    expect(interactions[0].request).toMatchObject({
+      method: 'GET',
+      path: '/clients',
+      query: { status: 'active' },
+      headers: { Authorization: '[REDACTED]' }
+    });
+    expect(interactions[0].response.data.data[0]).toMatchObject({ id: 'client-1', name: '[REDACTED]', status: 'active' });
+
+    const offline = { request: () => { throw new Error('network used during replay'); } };
+    const replayer = createApi('replay', offline);
+
+    const clients = await replayer.clients.getClients({ status: 'active' });
+    expect(clients.data[0].id).toBe('client-1');
+    await expect(replayer.clients.createClient({ name: 'Other Name', dateOfBirth: '2000-02-02', status: 'active' }))
+      .resolves.toMatchObject({ status: 'active' });
+    await expect(replayer.clients.getClient('missing')).rejects.toThrow(NotFoundError);
+  });
+
+  it('should redact snake_case credential and patient fields', async () => {
+    backend.seed({ users: [{ id: 'user-1', email: 'pt@example.com', password: 'OldSecret1' }] });
+    const recorder = new CarespaceAPI({
+      apiKey: 'secret-key',
+      retry: false,
+      transport: backend,
+      caseConversion: true,
+      recording: { mode: 'record', cassette }
+    });
+    await expect(recorder.auth.changePassword('OldSecret1', 'NewSecret2')).resolves.toMatchObject({ success: true });
+    await recorder.clients.createClient({ name: 'Sam Lee', firstName: 'Sam', dateOfBirth: '1990-01-01' });
+
+    const file = await readFile(cassette, 'utf8');
+    expect(file).not.toMatch(/OldSecret1|NewSecret2|Sam|1990-01-01/);
+    const { interactions } = JSON.parse(file);
+    expect(interactions[0].request.body).toEqual({ current_password: '[REDACTED]', new_password: '[REDACTED]' });
+    expect(interactions[0].response).toMatchObject({ status: 200, data: { success: true, message: 'Password changed' } });
+    expect(interactions[1].request.body).toMatchObject({ first_name: '[REDACTED]', date_of_birth: '[REDACTED]' });
+  });
+
+  it('should fail loudly on requests missing from the cassette', async () => {
+    await createApi('record').clients.getClients({ status: 'active' });
+    const replayer = createApi('replay');
+
+    await expect(replayer.clients.getClients({ status: 'inactive' })).rejects.toThrow(ReplayError);
+    await expect(replayer.clients.deleteClient('client-1')).rejects.toThrow(
+      `No recorded interaction for DELETE /clients/client-1 in cassette ${cassette}`
+    );
+    expect(backend.calls).toHaveLength(1);
+  });
+
+  it('should replay repeated requests in recorded order', async () => {
+    const recorder = createApi('record');
+    await recorder.clients.getClient('client-1');
+    await recorder.clients.updateClient('client-1', { status: 'discharged' });
+    await recorder.clients.getClient('client-1');
+
+    const replayer = createApi('replay');
+    expect((await replayer.clients.getClient('client-1')).status).toBe('active');
+    expect((await replayer.clients.getClient('client-1')).status).toBe('discharged');
+    expect((await replayer.clients.getClient('client-1')).status).toBe('discharged');
+  });
+
+  it('should record in auto mode when the cassette is missing and replay afterwards', async () => {
+    await createApi('auto').clients.getClient('client-1');
+    expect(backend.calls).toHaveLength(1);
+
+    await createApi('auto').clients.getClient('client-1');
+    expect(backend.calls).toHaveLength(1);
+  });
+
+  it('should refuse to replay a cassette that does not exist', async () => {
+    await expect(createApi('replay').clients.getClients()).rejects.toThrow(/does not exist/);
+  });
+
+  it('should validate its options', () => {
+    expect(() => new RecordingTransport(backend, {})).toThrow(TypeError);
+    expect(() => new RecordingTransport(backend, { cassette, mode: 'rewind' })).toThrow(TypeError);
+  });
+});
@@ -0,0 +1,183 @@
+import { describe, it, expect, beforeEach, afterEach, jest } from '@jest/globals';
+import { CarespaceClient } from '../client.js';
+import {
+  normalizeRetryConfig,
+  resolveRetryConfig,
+  getRetryAfter,
+  computeBackoff,
+  withRetry,
+  DEFAULT_RETRY_CONFIG
+} from '../retry.js';
+import {
+  ServerError,
+  TimeoutError,
+  RateLimitError,
+  NotFoundError
+} from '../errors.js';
+import axios from 'axios';
+
+const fastRetry = { baseDelay: 0, jitter: false };
+
+describe('retry helpers', () => {
+  describe('normalizeRetryConfig', () => {
+    it('should use defaults when no config is given', () => {
+      expect(normalizeRetryConfig()).toEqual(DEFAULT_RETRY_CONFIG);
+    });
+
+    it('should disable retries when false', () => {
+      expect(normalizeRetryConfig(false).maxAttempts).toBe(1);
+    });
+
+    it('should treat a number as maxAttempts', () => {
+      expect(normalizeRetryConfig(5).maxAttempts).toBe(5);
+    });
+
+    it('should merge object config with defaults', () => {
+      const config = normalizeRetryConfig({ baseDelay: 100 });
+      expect(config.baseDelay).toBe(100);
+      expect(config.maxAttempts).toBe(DEFAULT_RETRY_CONFIG.maxAttempts);
+    });
+  });
+
+  describe('resolveRetryConfig', () => {
+    it('should not retry non-idempotent methods by default', () => {
+      expect(resolveRetryConfig(DEFAULT_RETRY_CONFIG, 'post').maxAttempts).toBe(1);
+      expect(resolveRetryConfig(DEFAULT_RETRY_CONFIG, 'get').maxAttempts).toBe(3);
+    });
+
+    it('should allow a per-call override for non-idempotent methods', () => {
+      expect(resolveRetryConfig(DEFAULT_RETRY_CONFIG, 'post', true).maxAttempts).toBe(3);
+      expect(resolveRetryConfig(DEFAULT_RETRY_CONFIG, 'get', false).maxAttempts).toBe(1);
+    });
+  });
+
+  describe('getRetryAfter', () => {
+    it('should parse Retry-After seconds on 429', () => {
+      const error = new RateLimitError('slow down', 429, { headers: { 'retry-after': '2' } });
+      expect(getRetryAfter(error)).toBe(2000);
+    });
+
+    it('should parse Retry-After HTTP dates on 503', () => {
+      const date = new Date(Date.now() + 60000).toUTCString();
+      const error = new ServerError('unavailable', 503, { headers: { 'retry-after': date } });
+      expect(getRetryAfter(error)).toBeGreaterThan(50000);
+    });
+
+    it('should ignore Retry-After on other statuses', () => {
+      const error = new ServerError('boom', 500, { headers: { 'retry-after': '2' } });
+      expect(getRetryAfter(error)).toBeNull();
+    });
+  });
+
+  describe('computeBackoff', () => {
+    it('should grow exponentially up to maxDelay', () => {
+      const config = { baseDelay: 100, maxDelay: 350, jitter: false };
+      expect(computeBackoff(1, config)).toBe(100);
+      expect(computeBackoff(2, config)).toBe(200);
+      expect(computeBackoff(3, config)).toBe(350);
+    });
+
+    it('should keep jittered delays within half and full delay', () => {
+      const delay = computeBackoff(2, { baseDelay: 100, maxDelay: 1000, jitter: true });
+      expect(delay).toBeGreaterThanOrEqual(100);
+      expect(delay).toBeLessThanOrEqual(200);
+    });
+  });
+
+  describe('withRetry', () => {
+    it('should retry retryable errors until success', async () => {
+      const fn = jest.fn()
+        .mockRejectedValueOnce(new TimeoutError())
+        .mockResolvedValueOnce('ok');
+      const onRetry = jest.fn();
+
+      const result = await withRetry(fn, normalizeRetryConfig({ ...fastRetry, onRetry }));
+
+      expect(result).toBe('ok');
+      expect(fn).toHaveBeenCalledTimes(2);
+      expect(onRetry).toHaveBeenCalledWith(expect.any(TimeoutError), 1, 0);
+    });
+
+    it('should not retry non-retryable errors', async () => {
+      const fn = jest.fn().mockRejectedValue(new NotFoundError());
+
+      await expect(withRetry(fn, normalizeRetryConfig(fastRetry))).rejects.toThrow(NotFoundError);
+      expect(fn).toHaveBeenCalledTimes(1);
+    });
+
+    it('should give up after maxAttempts', async () => {
+      const fn = jest.fn().mockRejectedValue(new ServerError());
+
+      await expect(withRetry(fn, normalizeRetryConfig(fastRetry))).rejects.toThrow(ServerError);
+      expect(fn).toHaveBeenCalledTimes(3);
+    });
+
+    it('should not retry when Retry-After exceeds maxDelay', async () => {
+      const error = new RateLimitError('slow down', 429, { headers: { 'retry-after': '120' } });
+      const fn = jest.fn().mockRejectedValue(error);
+
+      await expect(withRetry(fn, normalizeRetryConfig(fastRetry))).rejects.toBe(error);
+      expect(fn).toHaveBeenCalledTimes(1);
+    });
+  });
+});
+
+describe('CarespaceClient retries', () => {
+  let mockAxiosInstance;
+
+  beforeEach(() => {
+    mockAxiosInstance = {
+      get: jest.fn(),
+      post: jest.fn(),
+      interceptors: {
+        request: { use: jest.fn() },
+        response: { use: jest.fn() }
+      }
+    };
+    axios.create = jest.fn().mockReturnValue(mockAxiosInstance);
+  });
+
+  afterEach(() => {
+    jest.clearAllMocks();
+  });
+
+  it('should retry GET requests on server errors', async () => {
+    const client = new CarespaceClient({ retry: fastRetry });
+    mockAxiosInstance.get
+      .mockRejectedValueOnce(new ServerError())
+      .mockResolvedValueOnce({ data: { ok: true } });
+
+    await expect(client.get('/test')).resolves.toEqual({ ok: true });
+    expect(mockAxiosInstance.get).toHaveBeenCalledTimes(2);
+    expect(mockAxiosInstance.get).toHaveBeenCalledWith('/test', {});
+  });
+
+  it('should not retry POST requests by default', async () => {
+    const client = new CarespaceClient({ retry: fastRetry });
+    mockAxiosInstance.post.mockRejectedValue(new ServerError());
+
+    await expect(client.post('/test', {})).rejects.toThrow(ServerError);
+    expect(mockAxiosInstance.post).toHaveBeenCalledTimes(1);
+  });
+
+  it('should retry POST requests with a per-call override', async () => {
+    const client = new CarespaceClient({ retry: fastRetry });
+    mockAxiosInstance.post
+      .mockRejectedValueOnce(new ServerError())
+      .mockResolvedValueOnce({ data: { ok: true } });
+
+    await expect(client.post('/test', {}, { retry: true })).resolves.toEqual({ ok: true });
+    expect(mockAxiosInstance.post).toHaveBeenCalledTimes(2);
+    const [first, second] = mockAxiosInstance.post.mock.calls.map(call => call[2].headers['Idempotency-Key']);
+    expect(first).toEqual(expect.any(String));
+    expect(second).toBe(first);
+  });
+
+  it('should not retry when disabled', async () => {
+    const client = new CarespaceClient({ retry: false });
+    mockAxiosInstance.get.mockRejectedValue(new ServerError());
+
+    await expect(client.get('/test')).rejects.toThrow(ServerError);
+    expect(mockAxiosInstance.get).toHaveBeenCalledTimes(1);
+  });
+});
@@ -0,0 +1,166 @@
+import { describe, it, expect, beforeEach, afterEach, jest } from '@jest/globals';
+import { Session, decodeJwtExpiry } from '../session.js';
+import { CarespaceClient } from '../client.js';
+import { AuthenticationError } from '../errors.js';
+import { AuthAPI } from '../api/auth.js';
+import axios from 'axios';
+
+function createJwt(payload) {
+  const encode = (value) => Buffer.from(JSON.stringify(value)).toString('base64url');
+  return `${encode({ alg: 'HS256' })}.${encode(payload)}.signature`;
+}
+
+describe('decodeJwtExpiry', () => {
+  it('should read the exp claim in milliseconds', () => {
+    expect(decodeJwtExpiry(createJwt({ exp: 1700000000 }))).toBe(1700000000000);
+  });
+
+  it('should return null for opaque tokens', () => {
+    expect(decodeJwtExpiry('not-a-jwt')).toBeNull();
+    expect(decodeJwtExpiry(createJwt({ sub: 'user' }))).toBeNull();
+  });
+});
+
+describe('Session', () => {
+  let refresh;
+  let session;
+
+  beforeEach(() => {
+    refresh = jest.fn().mockResolvedValue({ access_token: 'new-access', expires_in: 3600 });
+    session = new Session({ refresh });
+  });
+
+  it('should keep the refresh token when the response omits it', () => {
+    session.setTokens({ access_token: 'a', refresh_token: 'r' });
+    session.setTokens({ access_token: 'b' });
+
+    expect(session.accessToken).toBe('b');
+    expect(session.refreshToken).toBe('r');
+  });
+
+  it('should use expires_in over the JWT exp claim', () => {
+    session.setTokens({ access_token: createJwt({ exp: 1 }), expires_in: 3600 });
+    expect(session.isExpiring()).toBe(false);
+  });
+
+  it('should refresh ahead of JWT expiry', async () => {
+    const exp = Math.floor(Date.now() / 1000) + 30;
+    session.setTokens({ access_token: createJwt({ exp }), refresh_token: 'r' });
+
+    await session.ensureFresh();
+
+    expect(refresh).toHaveBeenCalledWith('r');
+    expect(session.accessToken).toBe('new-access');
+  });
+
+  it('should not refresh tokens that are not expiring', async () => {
+    session.setTokens({ access_token: 'a', refresh_token: 'r', expires_in: 3600 });
+    await session.ensureFresh();
+    expect(refresh).not.toHaveBeenCalled();
+  });
+
+  it('should share one refresh between concurrent callers', async () => {
+    session.setTokens({ access_token: 'a', refresh_token: 'r' });
+
+    await Promise.all([session.refresh(), session.refresh(), session.refresh()]);
+
+    expect(refresh).toHaveBeenCalledTimes(1);
+  });
+
+  it('should clear tokens when the refresh token is rejected', async () => {
+    refresh.mockRejectedValue(new AuthenticationError());
+    session.setTokens({ access_token: 'a', refresh_token: 'r' });
+
+    await expect(session.refresh()).rejects.toThrow(AuthenticationError);
+    expect(session.accessToken).toBeNull();
+    expect(session.refreshToken).toBeNull();
+  });
+});
+
+describe('CarespaceClient session mode', () => {
+  let mockAxiosInstance;
+  let client;
+
+  beforeEach(() => {
+    mockAxiosInstance = {
+      get: jest.fn(),
+      post: jest.fn(),
+      interceptors: {
+        request: { use: jest.fn() },
+        response: { use: jest.fn() }
+      }
+    };
+    axios.create = jest.fn().mockReturnValue(mockAxiosInstance);
+    client = new CarespaceClient({ apiKey: 'api-key', session: true, retry: false });
+  });
+
+  afterEach(() => {
+    jest.clearAllMocks();
+  });
+
+  it('should prefer the session access token over the API key', () => {
+    expect(client.getAccessToken()).toBe('api-key');
+    client.session.setTokens({ access_token: 'access' });
+    expect(client.getAccessToken()).toBe('access');
+  });
+
+  it('should refresh and replay once after an AuthenticationError', async () => {
+    client.session.setTokens({ access_token: 'old', refresh_token: 'r' });
+    mockAxiosInstance.get
+      .mockRejectedValueOnce(new AuthenticationError())
+      .mockResolvedValueOnce({ data: { ok: true } });
+    mockAxiosInstance.post.mockResolvedValue({ data: { access_token: 'new' } });
+
+    await expect(client.get('/clients')).resolves.toEqual({ ok: true });
+
+    expect(mockAxiosInstance.post).toHaveBeenCalledWith(
+      '/auth/refresh',
+      { refresh_token: 'r' },
+      { headers: { Authorization: 'Bearer old', 'Idempotency-Key': expect.any(String) } }
+    );
+    expect(mockAxiosInstance.get).toHaveBeenCalledTimes(2);
+    expect(client.getAccessToken()).toBe('new');
+  });
+
+  it('should not replay more than once', async () => {
+    client.session.setTokens({ access_token: 'old', refresh_token: 'r' });
+    mockAxiosInstance.get.mockRejectedValue(new AuthenticationError());
+    mockAxiosInstance.post.mockResolvedValue({ data: { access_token: 'new' } });
+
+    await expect(client.get('/clients')).rejects.toThrow(AuthenticationError);
+    expect(mockAxiosInstance.get).toHaveBeenCalledTimes(2);
+  });
+
+  it('should let concurrent failures wait on a single refresh', async () => {
+    client.session.setTokens({ access_token: 'old', refresh_token: 'r' });
+    mockAxiosInstance.get
+      .mockRejectedValueOnce(new AuthenticationError())
+      .mockRejectedValueOnce(new AuthenticationError())
+      .mockResolvedValue({ data: { ok: true } });
+    mockAxiosInstance.post.mockResolvedValue({ data: { access_token: 'new' } });
+
+    await Promise.all([client.get('/a'), client.get('/b')]);
+
+    expect(mockAxiosInstance.post).toHaveBeenCalledTimes(1);
+  });
+
+  it('should refresh an expiring token before changing the password but not replay a 401', async () => {
+    const exp = Math.floor(Date.now() / 1000) + 30;
+    client.session.setTokens({ access_token: createJwt({ exp }), refresh_token: 'r' });
+    mockAxiosInstance.post
+      .mockResolvedValueOnce({ data: { access_token: 'new', expires_in: 3600 } })
+      .mockRejectedValueOnce(new AuthenticationError('Current password is incorrect'));
+
+    await expect(new AuthAPI(client).changePassword('wrong', 'n3w-secret')).rejects.toThrow(AuthenticationError);
+
+    expect(mockAxiosInstance.post.mock.calls.map(([url]) => url)).toEqual(['/auth/refresh', '/auth/change-password']);
+    expect(mockAxiosInstance.post.mock.calls[1][2].headers.Authorization).toBe('Bearer new');
+  });
+
+  it('should not refresh without a session token', async () => {
+    mockAxiosInstance.get.mockRejectedValue(new AuthenticationError());
+
+    await expect(client.get('/clients')).rejects.toThrow(AuthenticationError);
+    expect(mockAxiosInstance.post).not.toHaveBeenCalled();
+  });
+});
@@ -0,0 +1,187 @@
+import { describe, it, expect, jest } from '@jest/globals';
+import { parseTraceparent, formatTraceparent } from '../telemetry.js';
+import { createMockCarespace } from '../mock/index.js';
+import { NotFoundError } from '../errors.js';
+
+const PARENT = '00-4bf92f3577b34da6a3ce929d0e0e4736-00f067aa0ba902b7-01';
+
+const createHooks = () => ({
+  onRequestStart: jest.fn(),
+  onRequestEnd: jest.fn(),
+  onRequestError: jest.fn()
+});
+
+const seed = { clients: [{ id: 'c1', name: 'Jo' }], programs: [{ id: 'p1', title: 'Knee' }] };
+
+describe('traceparent helpers', () => {
+  it('should parse valid headers', () => {
+    expect(parseTraceparent(PARENT)).toEqual({
+      version: '00',
+      traceId: '4bf92f3577b34da6a3ce929d0e0e4736',
+      parentId: '00f067aa0ba902b7',
+      flags: '01'
+    });
+  });
+
+  it('should reject invalid headers', () => {
+    expect(parseTraceparent(undefined)).toBeNull();
+    expect(parseTraceparent('not-a-header')).toBeNull();
+    expect(parseTraceparent('ff-4bf92f3577b34da6a3ce929d0e0e4736-00f067aa0ba902b7-01')).toBeNull();
+    expect(parseTraceparent('00-00000000000000000000000000000000-00f067aa0ba902b7-01')).toBeNull();
+    expect(parseTraceparent(`${PARENT}-extra`)).toBeNull();
+  });
+
+  it('should format headers', () => {
+    expect(formatTraceparent('4bf92f3577b34da6a3ce929d0e0e4736', '00f067aa0ba902b7')).toBe(PARENT);
+  });
+});
+
+describe('metrics hooks', () => {
+  it('should report the route template, status and duration', async () => {
+    const hooks = createHooks();
+    const carespace = createMockCarespace({ seed, hooks });
+
+    await carespace.clients.assignProgramToClient('c1', 'p1');
+    await carespace.clients.getClientPrograms('c1', { status: 'active' });
+
+    expect(hooks.onRequestStart).toHaveBeenCalledWith({
+      method: 'POST',
+      route: '/clients/{id}/programs/{programId}',
+      attempt: 1,
+      maxAttempts: 1,
+      startTime: expect.any(Number)
+    });
+    expect(hooks.onRequestEnd.mock.calls[1][0]).toEqual({
+      method: 'GET',
+      route: '/clients/{id}/programs',
+      attempt: 1,
+      maxAttempts: 1,
+      startTime: expect.any(Number),
+      status: 200,
+      durationMs: expect.any(Number),
+      requestId: 'mock-request-2'
+    });
+    expect(hooks.onRequestError).not.toHaveBeenCalled();
+  });
+
+  it('should report errors with their class', async () => {
+    const hooks = createHooks();
+    const carespace = createMockCarespace({ hooks });
+
+    await expect(carespace.clients.getClient('missing')).rejects.toThrow(NotFoundError);
+
+    expect(hooks.onRequestError).toHaveBeenCalledWith(expect.objectContaining({
+      method: 'GET',
+      route: '/clients/{id}',
+      status: 404,
+      errorClass: 'NotFoundError',
+      error: expect.any(NotFoundError),
+      durationMs: expect.any(Number),
+      requestId: 'mock-request-1'
+    }));
+    expect(hooks.onRequestEnd).not.toHaveBeenCalled();
+  });
+
+  it('should report every attempt of a retried call', async () => {
+    const hooks = createHooks();
+    const carespace = createMockCarespace({
+      seed,
+      hooks,
+      retry: { baseDelay: 0, jitter: false },
+      errors: [{ method: 'get', status: 503 }]
+    });
+
+    await carespace.clients.getClient('c1');
+
+    expect(hooks.onRequestStart.mock.calls.map(([event]) => event.attempt)).toEqual([1, 2]);
+    expect(hooks.onRequestError.mock.calls[0][0]).toMatchObject({ attempt: 1, maxAttempts: 3, errorClass: 'ServerError' });
+    expect(hooks.onRequestEnd.mock.calls[0][0]).toMatchObject({ attempt: 2, status: 200 });
+  });
+
+  it('should fall back to the path for direct client requests', async () => {
+    const hooks = createHooks();
+    const carespace = createMockCarespace({ seed, hooks });
+
+    await carespace.client.get('/clients?search=Jo');
+
+    expect(hooks.onRequestEnd.mock.calls[0][0].route).toBe('/clients');
+  });
+
+  it('should ignore hooks that throw or reject', async () => {
+    const carespace = createMockCarespace({
+      seed,
+      hooks: {
+        onRequestStart: () => { throw new Error('broken exporter'); },
+        onRequestEnd: () => Promise.reject(new Error('broken exporter'))
+      }
+    });
+
+    await expect(carespace.clients.getClient('c1')).resolves.toMatchObject({ id: 'c1' });
+  });
+});
+
+describe('trace propagation', () => {
+  const traceparentOf = (call) => call.headers.traceparent;
+
+  it('should start a trace per call with a new span per attempt', async () => {
+    const hooks = createHooks();
+    const carespace = createMockCarespace({
+      seed,
+      hooks,
+      tracing: true,
+      retry: { baseDelay: 0, jitter: false },
+      errors: [{ method: 'get', status: 503 }]
+    });
+
+    await carespace.clients.getClient('c1');
+    await carespace.clients.getClient('c1');
+
+    const [first, retry, next] = carespace.mock.calls.map(call => parseTraceparent(traceparentOf(call)));
+    expect(first.flags).toBe('01');
+    expect(retry.traceId).toBe(first.traceId);
+    expect(retry.parentId).not.toBe(first.parentId);
+    expect(next.traceId).not.toBe(first.traceId);
+    expect(hooks.onRequestEnd.mock.calls[0][0]).toMatchObject({
+      traceId: first.traceId,
+      spanId: retry.parentId,
+      parentSpanId: undefined
+    });
+  });
+
+  it('should continue the trace returned by getTraceparent', async () => {
+    const hooks = createHooks();
+    const carespace = createMockCarespace({ seed, hooks, tracing: { getTraceparent: () => PARENT } });
+
+    await carespace.clients.getClient('c1');
+
+    const sent = parseTraceparent(traceparentOf(carespace.mock.calls[0]));
+    expect(sent.traceId).toBe('4bf92f3577b34da6a3ce929d0e0e4736');
+    expect(sent.parentId).not.toBe('00f067aa0ba902b7');
+    expect(hooks.onRequestStart.mock.calls[0][0]).toMatchObject({
+      traceId: sent.traceId,
+      spanId: sent.parentId,
+      parentSpanId: '00f067aa0ba902b7'
+    });
+  });
+
+  it('should prefer the per-call traceparent and keep a caller header unchanged', async () => {
+    const carespace = createMockCarespace({ seed, tracing: { getTraceparent: () => undefined } });
+    const other = '00-0af7651916cd43dd8448eb211c80319c-b7ad6b7169203331-00';
+
+    await carespace.clients.getClient('c1', { traceparent: other });
+    await carespace.clients.getClient('c1', { headers: { traceparent: PARENT } });
+
+    const [perCall, header] = carespace.mock.calls;
+    expect(parseTraceparent(traceparentOf(perCall))).toMatchObject({
+      traceId: '0af7651916cd43dd8448eb211c80319c',
+      flags: '00'
+    });
+    expect(traceparentOf(header)).toBe(PARENT);
+  });
+
+  it('should not send traceparent unless tracing is enabled', async () => {
+    const carespace = createMockCarespace({ seed, hooks: createHooks() });
+    await carespace.clients.getClient('c1');
+    expect(traceparentOf(carespace.mock.calls[0])).toBeUndefined();
+  });
+});
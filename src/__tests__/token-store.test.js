@@ -0,0 +1,152 @@
+import { describe, it, expect, beforeEach, afterEach } from '@jest/globals';
+import { mkdtemp, readFile, rm, stat } from 'fs/promises';
+import { tmpdir } from 'os';
+import { join } from 'path';
+import {
+  TokenStore,
+  MemoryTokenStore,
+  FileTokenStore,
+  WebStorageTokenStore
+} from '../token-store.js';
+import { Session } from '../session.js';
+import { CarespaceError } from '../errors.js';
+
+const tokens = { access_token: 'access', refresh_token: 'refresh', expires_at: null };
+
+function createStorage() {
+  const items = new Map();
+  return {
+    getItem: (key) => (items.has(key) ? items.get(key) : null),
+    setItem: (key, value) => items.set(key, value),
+    removeItem: (key) => items.delete(key),
+    items
+  };
+}
+
+describe('MemoryTokenStore', () => {
+  it('should round-trip tokens', async () => {
+    const store = new MemoryTokenStore();
+    expect(await store.get()).toBeNull();
+
+    await store.set(tokens);
+    expect(await store.get()).toEqual(tokens);
+
+    await store.clear();
+    expect(await store.get()).toBeNull();
+  });
+
+  it('should encrypt tokens at rest when an encryption key is set', async () => {
+    const store = new MemoryTokenStore({ encryptionKey: 'secret' });
+    await store.set(tokens);
+
+    expect(store.value).toMatch(/^v1\./);
+    expect(store.value).not.toContain('access');
+    expect(await store.get()).toEqual(tokens);
+  });
+
+  it('should reject decryption with the wrong key', async () => {
+    const store = new MemoryTokenStore({ encryptionKey: 'secret' });
+    await store.set(tokens);
+
+    const other = new MemoryTokenStore({ encryptionKey: 'other' });
+    other.value = store.value;
+
+    await expect(other.get()).rejects.toThrow(CarespaceError);
+  });
+});
+
+describe('FileTokenStore', () => {
+  let dir;
+
+  beforeEach(async () => {
+    dir = await mkdtemp(join(tmpdir(), 'carespace-'));
+  });
+
+  afterEach(async () => {
+    await rm(dir, { recursive: true, force: true });
+  });
+
+  it('should persist tokens to a private file', async () => {
+    const path = join(dir, 'nested', 'tokens.json');
+    const store = new FileTokenStore({ path });
+
+    await store.set(tokens);
+
+    expect(JSON.parse(await readFile(path, 'utf8'))).toEqual(tokens);
+    expect((await stat(path)).mode & 0o777).toBe(0o600);
+    expect(await new FileTokenStore({ path }).get()).toEqual(tokens);
+  });
+
+  it('should return null when the file does not exist and clear idempotently', async () => {
+    const store = new FileTokenStore({ path: join(dir, 'missing.json') });
+    expect(await store.get()).toBeNull();
+    await expect(store.clear()).resolves.toBeUndefined();
+  });
+
+  it('should require a path', () => {
+    expect(() => new FileTokenStore()).toThrow('FileTokenStore requires a path');
+  });
+});
+
+describe('WebStorageTokenStore', () => {
+  it('should persist tokens under the configured key', async () => {
+    const storage = createStorage();
+    const store = new WebStorageTokenStore({ storage, key: 'tokens' });
+
+    await store.set(tokens);
+    expect(JSON.parse(storage.items.get('tokens'))).toEqual(tokens);
+
+    await store.clear();
+    expect(storage.items.has('tokens')).toBe(false);
+  });
+
+  it('should throw when Web Storage is unavailable', () => {
+    expect(() => new WebStorageTokenStore({ storage: 'session' })).toThrow('Web Storage is not available');
+  });
+});
+
+describe('custom stores', () => {
+  it('should require adapters to implement read/write/remove', async () => {
+    await expect(new TokenStore().get()).rejects.toThrow('must implement read()');
+  });
+});
+
+describe('Session with a token store', () => {
+  it('should restore persisted tokens on first use', async () => {
+    const store = new MemoryTokenStore();
+    await store.set(tokens);
+    const session = new Session({ store });
+
+    await session.ensureFresh();
+
+    expect(session.accessToken).toBe('access');
+    expect(session.refreshToken).toBe('refresh');
+  });
+
+  it('should persist new tokens and clear them on logout', async () => {
+    const store = new MemoryTokenStore();
+    const session = new Session({ store });
+
+    await session.setTokens({ access_token: 'a', refresh_token: 'r', expires_in: 60 });
+    expect(await store.get()).toEqual(expect.objectContaining({ access_token: 'a', refresh_token: 'r' }));
+
+    await session.clear();
+    expect(await store.get()).toBeNull();
+  });
+
+  it('should start empty and recover when the store cannot be read', async () => {
+    const previous = new MemoryTokenStore({ encryptionKey: 'old-key' });
+    await previous.set(tokens);
+    const store = new MemoryTokenStore({ encryptionKey: 'new-key' });
+    store.value = previous.value;
+    const session = new Session({ store });
+
+    await session.ensureFresh();
+    expect(session.accessToken).toBeNull();
+    expect(store.value).toBeNull();
+
+    await session.setTokens({ access_token: 'a', refresh_token: 'r' });
+    await session.ensureFresh();
+    expect(await store.get()).toEqual(expect.objectContaining({ access_token: 'a' }));
+  });
+});
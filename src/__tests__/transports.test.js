@@ -0,0 +1,183 @@
+import { describe, it, expect, jest } from '@jest/globals';
+import { FetchTransport, AxiosTransport, createTransport } from '../transports/index.js';
+import { CarespaceClient } from '../client.js';
+import {
+  AbortError,
+  NetworkError,
+  NotFoundError,
+  RateLimitError,
+  ServerError,
+  TimeoutError
+} from '../errors.js';
+
+function jsonResponse(status, body, headers = {}) {
+  return new Response(body === undefined ? null : JSON.stringify(body), {
+    status,
+    headers: { 'Content-Type': 'application/json', ...headers }
+  });
+}
+
+describe('FetchTransport', () => {
+  it('should send JSON requests relative to the base URL', async () => {
+    const fetch = jest.fn().mockResolvedValue(jsonResponse(201, { id: 1 }, { 'X-Request-Id': 'abc' }));
+    const transport = new FetchTransport({ baseURL: 'https://api.test.com/', headers: { 'X-App': 'a' }, fetch });
+
+    const response = await transport.request({ method: 'post', url: '/clients', data: { name: 'Jo' }, headers: { 'X-Trace': '1' } });
+
+    const [url, init] = fetch.mock.calls[0];
+    expect(url).toBe('https://api.test.com/clients');
+    expect(init.method).toBe('POST');
+    expect(init.body).toBe('{"name":"Jo"}');
+    expect(init.headers).toMatchObject({ 'Content-Type': 'application/json', 'X-App': 'a', 'X-Trace': '1' });
+    expect(response).toEqual({
+      status: 201,
+      statusText: '',
+      headers: { 'content-type': 'application/json', 'x-request-id': 'abc' },
+      data: { id: 1 }
+    });
+  });
+
+  it('should return text and empty bodies like axios', async () => {
+    const fetch = jest.fn()
+      .mockResolvedValueOnce(new Response('plain', { status: 200 }))
+      .mockResolvedValueOnce(new Response(null, { status: 204 }));
+    const transport = new FetchTransport({ fetch });
+
+    expect((await transport.request({ method: 'get', url: 'https://other.test/a' })).data).toBe('plain');
+    expect((await transport.request({ method: 'delete', url: 'https://other.test/a' })).data).toBe('');
+    expect(fetch.mock.calls[0][0]).toBe('https://other.test/a');
+  });
+
+  it('should only send a Content-Type with a body', async () => {
+    const fetch = jest.fn().mockImplementation(async () => jsonResponse(200, {}));
+    const transport = new FetchTransport({ fetch });
+
+    await transport.request({ method: 'get', url: 'https://other.test/a' });
+    await transport.request({ method: 'delete', url: 'https://other.test/a' });
+    await transport.request({ method: 'put', url: 'https://other.test/a', data: { a: 1 } });
+
+    expect(fetch.mock.calls.map(([, init]) => init.headers['Content-Type'])).toEqual([
+      undefined,
+      undefined,
+      'application/json'
+    ]);
+  });
+
+  it('should map error statuses to SDK errors', async () => {
+    const fetch = jest.fn()
+      .mockResolvedValueOnce(jsonResponse(404, { message: 'Client not found' }))
+      .mockResolvedValueOnce(jsonResponse(429, { error: 'Slow down' }, { 'Retry-After': '2' }))
+      .mockResolvedValueOnce(jsonResponse(502, undefined));
+    const transport = new FetchTransport({ fetch });
+
+    const notFound = transport.request({ method: 'get', url: '/clients/1' });
+    await expect(notFound).rejects.toThrow(NotFoundError);
+    await expect(notFound).rejects.toThrow('Client not found');
+
+    const rateLimited = await transport.request({ method: 'get', url: '/clients' }).catch(error => error);
+    expect(rateLimited).toBeInstanceOf(RateLimitError);
+    expect(rateLimited.response.headers['retry-after']).toBe('2');
+
+    await expect(transport.request({ method: 'get', url: '/clients' })).rejects.toThrow(ServerError);
+  });
+
+  it('should resolve 304 only when allowed', async () => {
+    const fetch = jest.fn().mockImplementation(async () => new Response(null, { status: 304 }));
+    const transport = new FetchTransport({ fetch });
+
+    await expect(transport.request({ method: 'get', url: '/a', allowNotModified: true }))
+      .resolves.toMatchObject({ status: 304 });
+    await expect(transport.request({ method: 'get', url: '/a' })).rejects.toThrow('HTTP 304');
+  });
+
+  it('should map network failures to NetworkError', async () => {
+    const fetch = jest.fn().mockRejectedValue(new TypeError('fetch failed'));
+    const transport = new FetchTransport({ fetch });
+
+    await expect(transport.request({ method: 'get', url: '/a' })).rejects.toThrow(NetworkError);
+  });
+
+  it('should map timeouts to TimeoutError', async () => {
+    const fetch = jest.fn().mockImplementation((url, init) => new Promise((resolve, reject) => {
+      init.signal.addEventListener('abort', () => reject(new Error('aborted')));
+    }));
+    const transport = new FetchTransport({ fetch, timeout: 5000 });
+
+    await expect(transport.request({ method: 'get', url: '/a', timeout: 10 })).rejects.toThrow(TimeoutError);
+  });
+
+  it('should map caller aborts to AbortError', async () => {
+    const controller = new AbortController();
+    const fetch = jest.fn().mockImplementation((url, init) => new Promise((resolve, reject) => {
+      init.signal.addEventListener('abort', () => reject(new Error('aborted')));
+      setTimeout(() => controller.abort(), 0);
+    }));
+    const transport = new FetchTransport({ fetch });
+
+    await expect(transport.request({ method: 'get', url: '/a', signal: controller.signal })).rejects.toThrow(AbortError);
+    await expect(transport.request({ method: 'get', url: '/a', signal: controller.signal })).rejects.toThrow(AbortError);
+    expect(fetch).toHaveBeenCalledTimes(1);
+  });
+
+  it('should run the client without axios', async () => {
+    const fetch = jest.fn().mockResolvedValue(jsonResponse(200, [{ id: 1 }]));
+    const client = new CarespaceClient({ baseURL: 'https://api.test.com', apiKey: 'key', transport: 'fetch', fetch });
+
+    await expect(client.get('/clients?page=1')).resolves.toEqual([{ id: 1 }]);
+    expect(fetch.mock.calls[0][0]).toBe('https://api.test.com/clients?page=1');
+    expect(fetch.mock.calls[0][1].headers.Authorization).toBe('Bearer key');
+    expect(client.transport).toBeInstanceOf(FetchTransport);
+  });
+});
+
+describe('AxiosTransport', () => {
+  it('should use an injected axios module and normalize responses', async () => {
+    const instance = { put: jest.fn().mockResolvedValue({ status: 200, statusText: 'OK', headers: { ETag: '"1"' }, data: { ok: true } }) };
+    const axios = { create: jest.fn().mockReturnValue(instance), isCancel: () => false };
+    const transport = new AxiosTransport({ baseURL: 'https://api.test.com', timeout: 100, axios });
+
+    const response = await transport.request({ method: 'put', url: '/a', data: { x: 1 }, headers: {} });
+
+    expect(axios.create).toHaveBeenCalledWith({
+      baseURL: 'https://api.test.com',
+      timeout: 100,
+      headers: { 'Content-Type': 'application/json' }
+    });
+    expect(instance.put).toHaveBeenCalledWith('/a', { x: 1 }, {});
+    expect(response).toEqual({ status: 200, statusText: 'OK', headers: { etag: '"1"' }, data: { ok: true } });
+  });
+
+  it('should create the axios instance once', async () => {
+    const instance = { get: jest.fn().mockResolvedValue({ status: 200, data: {} }) };
+    const axios = { create: jest.fn().mockReturnValue(instance), isCancel: () => false };
+    const transport = new AxiosTransport({ axios });
+
+    await Promise.all([transport.request({ method: 'get', url: '/a' }), transport.request({ method: 'get', url: '/b' })]);
+
+    expect(axios.create).toHaveBeenCalledTimes(1);
+  });
+
+  it('should map axios errors', () => {
+    const transport = new AxiosTransport({ axios: { isCancel: (error) => error.cancelled === true } });
+
+    expect(transport.mapError({ cancelled: true })).toBeInstanceOf(AbortError);
+    expect(transport.mapError({ request: {}, code: 'ETIMEDOUT' })).toBeInstanceOf(TimeoutError);
+    expect(transport.mapError({ request: {} })).toBeInstanceOf(NetworkError);
+    expect(transport.mapError(new Error('bad config')).message).toBe('Request setup error: bad config');
+
+    const error = transport.mapError({ response: { status: 404, statusText: 'Not Found', headers: {}, data: {} } });
+    expect(error).toBeInstanceOf(NotFoundError);
+    expect(error.message).toBe('HTTP 404: Not Found');
+  });
+});
+
+describe('createTransport', () => {
+  it('should return transport instances unchanged', () => {
+    const transport = { request: jest.fn() };
+    expect(createTransport({ transport })).toBe(transport);
+  });
+
+  it('should default to axios', () => {
+    expect(createTransport({ baseURL: 'https://api.test.com' })).toBeInstanceOf(AxiosTransport);
+  });
+});
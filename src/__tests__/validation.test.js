@@ -0,0 +1,148 @@
+import { describe, it, expect, jest } from '@jest/globals';
+import { validate, assertValid } from '../validation.js';
+import { CREATE_CLIENT_SCHEMA, CREATE_PROGRAM_SCHEMA, PROGRAM_EXERCISE_SCHEMA } from '../schemas.js';
+import { ValidationError } from '../errors.js';
+import { createMockCarespace } from '../mock/index.js';
+import { CarespaceClient } from '../client.js';
+
+describe('validate', () => {
+  it('should accept valid payloads', () => {
+    expect(validate(CREATE_CLIENT_SCHEMA, {
+      name: 'Jo Smith',
+      email: 'jo@example.com',
+      dateOfBirth: '1980-02-29',
+      gender: 'female',
+      status: 'active',
+      address: { city: 'Boston' }
+    })).toEqual([]);
+    expect(validate(CREATE_PROGRAM_SCHEMA, { name: 'Knee rehab', difficulty: 'beginner', tags: ['knee'] })).toEqual([]);
+    expect(validate(PROGRAM_EXERCISE_SCHEMA, { name: 'Squats', sets: 3, reps: 10, duration: 0.5 })).toEqual([]);
+  });
+
+  it('should report every problem with the server field error structure', () => {
+    expect(validate(CREATE_CLIENT_SCHEMA, {
+      email: 'jo@',
+      dateOfBirth: '1980-02-30',
+      status: 'archived',
+      address: { city: 1 }
+    })).toEqual([
+      { field: 'name', message: 'name is required', code: 'required' },
+      { field: 'email', message: 'email must be a valid email address', code: 'format' },
+      { field: 'dateOfBirth', message: 'dateOfBirth must be a date in YYYY-MM-DD format', code: 'format' },
+      { field: 'status', message: 'status must be one of active, inactive, discharged', code: 'enum' },
+      { field: 'address.city', message: 'address.city must be string', code: 'type' }
+    ]);
+  });
+
+  it('should check numbers, lengths, arrays and URLs', () => {
+    const errors = validate(PROGRAM_EXERCISE_SCHEMA, { name: '', sets: 2.5, reps: 0, videoUrl: 'video.mp4' });
+    expect(errors.map(error => [error.field, error.code])).toEqual([
+      ['name', 'required'],
+      ['name', 'minLength'],
+      ['sets', 'type'],
+      ['reps', 'minimum'],
+      ['videoUrl', 'format']
+    ]);
+    expect(validate(CREATE_PROGRAM_SCHEMA, { name: 'Rehab', tags: ['knee', 3] }))
+      .toEqual([{ field: 'tags.1', message: 'tags.1 must be string', code: 'type' }]);
+  });
+
+  it('should allow null optional fields and only reject unknown fields in strict mode', () => {
+    const payload = { name: 'Jo', email: null, favouriteColour: 'blue' };
+
+    expect(validate(CREATE_CLIENT_SCHEMA, payload)).toEqual([]);
+    expect(validate(CREATE_CLIENT_SCHEMA, payload, { strict: true })).toEqual([
+      { field: 'favouriteColour', message: 'favouriteColour is not allowed', code: 'additionalProperties' }
+    ]);
+    expect(validate(CREATE_CLIENT_SCHEMA, { name: 'Jo', metadata: { source: 'import' } }, { strict: true }))
+      .toEqual([]);
+  });
+
+  it('should only check the type and required fields with requiredOnly', () => {
+    expect(validate(CREATE_CLIENT_SCHEMA, { name: 'Jo', status: 'archived', therapistId: 42 }, { requiredOnly: true }))
+      .toEqual([]);
+    expect(validate(CREATE_PROGRAM_SCHEMA, { name: '', difficulty: 'expert' }, { requiredOnly: true }))
+      .toEqual([{ field: 'name', message: 'name is required', code: 'required' }]);
+    expect(validate(CREATE_CLIENT_SCHEMA, 'Jo', { requiredOnly: true }))
+      .toEqual([{ field: null, message: 'payload must be object', code: 'type' }]);
+  });
+
+  it('should reject payloads that are not objects', () => {
+    expect(validate(CREATE_CLIENT_SCHEMA, 'Jo'))
+      .toEqual([{ field: null, message: 'payload must be object', code: 'type' }]);
+  });
+});
+
+describe('assertValid', () => {
+  it('should throw a ValidationError without a status code', () => {
+    let error;
+    try {
+      assertValid(CREATE_CLIENT_SCHEMA, { email: 'jo' }, { name: 'client' });
+    } catch (e) {
+      error = e;
+    }
+
+    expect(error).toBeInstanceOf(ValidationError);
+    expect(error.message).toBe('Invalid client: name is required; email must be a valid email address');
+    expect(error.statusCode).toBeNull();
+    expect(error.errors).toHaveLength(2);
+  });
+});
+
+describe('payload validation in API methods', () => {
+  it('should throw before any request is sent', async () => {
+    const carespace = createMockCarespace({ validation: 'strict' });
+    const post = jest.spyOn(carespace.client, 'post');
+
+    await expect(carespace.clients.createClient({ name: 'Jo', gender: 'f' })).rejects.toMatchObject({
+      name: 'ValidationError',
+      errors: [{ field: 'gender', message: 'gender must be one of male, female, other, unknown', code: 'enum' }]
+    });
+    await expect(carespace.programs.createProgram({ name: 'Rehab', durationWeeks: 0 }))
+      .rejects.toBeInstanceOf(ValidationError);
+    await expect(carespace.programs.addExerciseToProgram('program-1', { reps: 10 }))
+      .rejects.toThrow('Invalid exercise: name is required');
+    expect(post).not.toHaveBeenCalled();
+  });
+
+  it('should leave enums, formats and types to the server by default', async () => {
+    const carespace = createMockCarespace();
+    const post = jest.spyOn(carespace.client, 'post');
+
+    await expect(carespace.clients.createClient({ name: 'Jo', status: 'archived', gender: 'f', therapistId: 42 }))
+      .resolves.toMatchObject({ name: 'Jo', status: 'archived' });
+    await expect(carespace.programs.createProgram({ name: 'Rehab', difficulty: 'expert' }))
+      .resolves.toMatchObject({ difficulty: 'expert' });
+    await expect(carespace.clients.createClient({ email: 'jo@' })).rejects.toMatchObject({
+      errors: [{ field: 'name', message: 'name is required', code: 'required' }]
+    });
+    expect(post).toHaveBeenCalledTimes(2);
+  });
+
+  it('should follow the client validation mode and per-call overrides', async () => {
+    const strict = createMockCarespace({ validation: 'strict' });
+    const off = createMockCarespace({ validation: false });
+    const payload = { name: 'Jo', nickname: 'JJ' };
+
+    await expect(strict.clients.createClient(payload)).rejects.toMatchObject({
+      errors: [{ field: 'nickname', code: 'additionalProperties' }]
+    });
+    await expect(strict.clients.createClient(payload, { validate: true })).resolves.toMatchObject({ name: 'Jo' });
+    await expect(off.clients.createClient({ email: 'jo@' }, { validate: 'strict' }))
+      .rejects.toBeInstanceOf(ValidationError);
+  });
+
+  it('should not pass the validate option on to the request', async () => {
+    const carespace = createMockCarespace();
+    const post = jest.spyOn(carespace.client, 'post');
+
+    await carespace.clients.createClient({ name: 'Jo' }, { validate: 'strict', headers: { 'X-Source': 'form' } });
+
+    expect(post).toHaveBeenCalledWith('/clients', { name: 'Jo' }, { route: '/clients', headers: { 'X-Source': 'form' } });
+  });
+
+  it('should reject an invalid validation mode', () => {
+    expect(() => new CarespaceClient({ validation: 'loose' }))
+      .toThrow('validation must be true, false or \'strict\', got loose');
+  });
+});
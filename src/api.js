@@ -3,6 +3,12 @@ import { AuthAPI } from './api/auth.js';
 import { UsersAPI } from './api/users.js';
 import { ClientsAPI } from './api/clients.js';
 import { ProgramsAPI } from './api/programs.js';
+import { FhirAPI } from './api/fhir.js';
+import { configFromEnv } from './config.js';
+
+/**
+ * @typedef {import('./middleware.js').Middleware} Middleware
+ */
 
 /**
  * Main Carespace API class
@@ -29,10 +35,36 @@ export class CarespaceAPI {
    * Create a new CarespaceAPI instance
    *
    * @param {Object} config - Configuration options
+   * @param {string} [config.environment] - `'production'`, `'staging'`, `'development'` or `'custom'`
    * @param {string} [config.baseURL='https://api-dev.carespace.ai'] - Base URL for the API
    * @param {string} [config.apiKey] - API key for authentication
    * @param {number} [config.timeout=30000] - Request timeout in milliseconds
    * @param {Object} [config.headers={}] - Additional headers to include with requests
+   * @param {boolean|number|Object} [config.retry] - Retry configuration, see {@link CarespaceClient}
+   * @param {boolean|Object} [config.session] - Enable session mode with automatic token refresh
+   * @param {TokenStore} [config.tokenStore] - Persist session tokens, e.g. a `FileTokenStore`
+   * @param {boolean|Object} [config.cache] - Enable the conditional GET cache
+   * @param {boolean} [config.dedupe=true] - Share identical concurrent GET requests
+   * @param {Object} [config.rateLimit] - Client-side rate limiting and concurrency control
+   * @param {boolean|Object} [config.circuitBreaker] - Fail fast with `CircuitOpenError` during outages
+   * @param {boolean|Object} [config.idempotency=true] - Send an `Idempotency-Key` with POST requests
+   * @param {string|Object|Function} [config.transport='axios'] - HTTP transport: `'axios'`,
+   *   `'fetch'` or a custom transport, see {@link createTransport}
+   * @param {Function} [config.fetch] - fetch implementation for the fetch transport
+   * @param {Object} [config.logger] - Logger such as `console`, enables request logging
+   * @param {string} [config.logLevel='info'] - `'debug'`, `'info'`, `'warn'`, `'error'` or `'silent'`
+   * @param {string[]} [config.logRedactFields] - Patient fields redacted in logs
+   * @param {Object} [config.hooks] - `onRequestStart`, `onRequestEnd` and `onRequestError` metrics hooks
+   * @param {boolean|Object} [config.tracing] - Propagate W3C trace context with `traceparent` headers
+   * @param {Object} [config.recording] - Record/replay requests with a cassette file
+   * @param {boolean|string} [config.validation=true] - Validate create payloads locally, `'strict'`
+   *   also rejects unknown fields
+   * @param {boolean} [config.models=false] - Return model instances with `save()`, `delete()` and
+   *   related-resource methods instead of plain objects
+   * @param {boolean} [config.caseConversion=false] - Convert keys to snake_case in requests and
+   *   to camelCase in responses
+   * @param {boolean|Object} [config.reviveDates=false] - Revive ISO date strings in responses as
+   *   Dates, `{ exclude: [...] }` keeps some fields as strings
    */
   constructor(config = {}) {
     this.client = new CarespaceClient(config);
@@ -42,6 +74,33 @@ export class CarespaceAPI {
     this.users = new UsersAPI(this.client);
     this.clients = new ClientsAPI(this.client);
     this.programs = new ProgramsAPI(this.client);
+    this.fhir = new FhirAPI(this.client);
+  }
+
+  /**
+   * Create an instance configured from `CARESPACE_*` environment variables
+   *
+   * Reads `CARESPACE_API_KEY`, `CARESPACE_ENVIRONMENT`, `CARESPACE_BASE_URL`,
+   * `CARESPACE_TIMEOUT`, `CARESPACE_RETRY_MAX_ATTEMPTS` and `CARESPACE_LOG_LEVEL`,
+   * see {@link configFromEnv}. Options in `overrides` take precedence. The API key
+   * is optional when `session` or `tokenStore` is set, as `auth.login` then
+   * supplies the tokens.
+   *
+   * @param {Object} [overrides={}] - Configuration options overriding the environment
+   * @param {Object} [env=process.env] - Environment variables
+   * @returns {CarespaceAPI} The configured instance
+   * @throws {TypeError} When neither an API key nor session mode is configured, or a variable is invalid
+   *
+   * @example
+   * // CARESPACE_API_KEY=... CARESPACE_ENVIRONMENT=production node worker.js
+   * const carespace = CarespaceAPI.fromEnv({ cache: true });
+   */
+  static fromEnv(overrides = {}, env) {
+    const config = { ...configFromEnv(env), ...overrides };
+    if (!config.apiKey && !config.session && !config.tokenStore) {
+      throw new TypeError('CARESPACE_API_KEY is not set and session mode is not enabled');
+    }
+    return new CarespaceAPI(config);
   }
 
   /**
@@ -53,6 +112,30 @@ export class CarespaceAPI {
     this.client.setApiKey(apiKey);
   }
 
+  /**
+   * Register a middleware on the HTTP client
+   *
+   * Middleware are async `(req, next) => res` functions that can change requests,
+   * inspect responses and errors, or short-circuit a request.
+   *
+   * @param {Middleware} middleware - The middleware to add
+   * @returns {CarespaceAPI} This instance, for chaining
+   *
+   * @example
+   * carespace.use(async (req, next) => {
+   *   const started = Date.now();
+   *   try {
+   *     return await next(req);
+   *   } finally {
+   *     console.log(`${req.method.toUpperCase()} ${req.url} took ${Date.now() - started}ms`);
+   *   }
+   * });
+   */
+  use(middleware) {
+    this.client.use(middleware);
+    return this;
+  }
+
   /**
    * Get the underlying HTTP client instance
    *
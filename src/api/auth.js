@@ -9,9 +9,13 @@ export class AuthAPI extends BaseAPI {
   /**
    * Authenticate user with email and password
    *
+   * In session mode the returned access and refresh tokens are stored on the client
+   * and used for all following requests.
+   *
    * @param {Object} credentials - Login credentials
    * @param {string} credentials.email - User's email address
    * @param {string} credentials.password - User's password
+   * @param {Object} [options={}] - Request options (`signal`, `timeout`, `headers`)
    * @returns {Promise<Object>} Authentication response with tokens
    * @throws {AuthenticationError} When credentials are invalid
    *
@@ -22,40 +26,69 @@ export class AuthAPI extends BaseAPI {
    * });
    * console.log(result.access_token);
    */
-  async login(credentials) {
-    return this.post('/auth/login', credentials);
+  async login(credentials, options = {}) {
+    const result = await this.post('/auth/login', credentials, {}, {
+      ...options,
+      skipAuthRefresh: true
+    });
+    if (this.client.session) {
+      await this.client.session.setTokens(options.raw ? result.data : result);
+    }
+    return result;
   }
 
   /**
    * Log out the current user
    *
+   * In session mode the stored tokens are cleared, even when the request fails.
+   *
+   * @param {Object} [options={}] - Request options (`signal`, `timeout`, `headers`)
    * @returns {Promise<Object>} Logout response
    * @throws {CarespaceError} When logout fails
    */
-  async logout() {
-    return this.post('/auth/logout');
+  async logout(options = {}) {
+    try {
+      return await this.post('/auth/logout', undefined, {}, { ...options, skipAuthRefresh: true });
+    } finally {
+      if (this.client.session) {
+        await this.client.session.clear();
+      }
+    }
   }
 
   /**
    * Refresh authentication token
    *
+   * In session mode the new tokens replace the stored ones.
+   *
    * @param {string} refreshToken - The refresh token
+   * @param {Object} [options={}] - Request options (`signal`, `timeout`, `headers`)
    * @returns {Promise<Object>} New authentication tokens
    * @throws {AuthenticationError} When refresh token is invalid
    */
-  async refreshToken(refreshToken) {
-    return this.post('/auth/refresh', { refresh_token: refreshToken });
+  async refreshToken(refreshToken, options = {}) {
+    const result = await this.post(
+      '/auth/refresh',
+      { refresh_token: refreshToken },
+      {},
+      { ...options, skipAuthRefresh: true }
+    );
+    if (this.client.session) {
+      await this.client.session.setTokens(options.raw ? result.data : result);
+    }
+    return result;
   }
 
   /**
    * Send password reset email
    *
    * @param {string} email - Email address to send reset link to
+   * @param {Object} [options={}] - Request options (`signal`, `timeout`, `headers`)
    * @returns {Promise<Object>} Success response
    * @throws {NotFoundError} When email is not found
    */
-  async forgotPassword(email) {
-    return this.post('/auth/forgot-password', { email });
+  async forgotPassword(email, options = {}) {
+    return this.post('/auth/forgot-password', { email }, {}, options);
   }
 
   /**
@@ -63,48 +96,56 @@ export class AuthAPI extends BaseAPI {
    *
    * @param {string} token - Password reset token
    * @param {string} password - New password
+   * @param {Object} [options={}] - Request options (`signal`, `timeout`, `headers`)
    * @returns {Promise<Object>} Success response
    * @throws {ValidationError} When token is invalid or expired
    */
-  async resetPassword(token, password) {
-    return this.post('/auth/reset-password', { token, password });
+  async resetPassword(token, password, options = {}) {
+    return this.post('/auth/reset-password', { token, password }, {}, options);
   }
 
   /**
    * Change password for authenticated user
    *
+   * A wrong current password fails with 401, so in session mode the request is
+   * not replayed after a 401. An expiring token is still refreshed before it is
+   * sent.
+   *
    * @param {string} currentPassword - Current password
    * @param {string} newPassword - New password
+   * @param {Object} [options={}] - Request options (`signal`, `timeout`, `headers`)
    * @returns {Promise<Object>} Success response
    * @throws {AuthenticationError} When current password is wrong
    * @throws {ValidationError} When new password doesn't meet requirements
    */
-  async changePassword(currentPassword, newPassword) {
+  async changePassword(currentPassword, newPassword, options = {}) {
     return this.post('/auth/change-password', {
       current_password: currentPassword,
       new_password: newPassword
-    });
+    }, {}, { ...options, skipAuthReplay: true });
   }
 
   /**
    * Verify email address using verification token
    *
    * @param {string} token - Email verification token
+   * @param {Object} [options={}] - Request options (`signal`, `timeout`, `headers`)
    * @returns {Promise<Object>} Success response
    * @throws {ValidationError} When token is invalid or expired
    */
-  async verifyEmail(token) {
-    return this.post('/auth/verify-email', { token });
+  async verifyEmail(token, options = {}) {
+    return this.post('/auth/verify-email', { token }, {}, options);
   }
 
   /**
    * Resend email verification
    *
    * @param {string} email - Email address to resend verification to
+   * @param {Object} [options={}] - Request options (`signal`, `timeout`, `headers`)
    * @returns {Promise<Object>} Success response
    * @throws {NotFoundError} When email is not found
    */
-  async resendVerification(email) {
-    return this.post('/auth/resend-verification', { email });
+  async resendVerification(email, options = {}) {
+    return this.post('/auth/resend-verification', { email }, {}, options);
   }
 }
@@ -1,8 +1,22 @@
+import { paginate } from '../pagination.js';
+import { assertValid } from '../validation.js';
+import { toModel, toModelList } from '../models.js';
+import { runBulk } from '../bulk.js';
+
 /**
  * Base API class for all endpoints
  *
  * Provides common functionality for all API endpoint classes including URL building,
  * query parameter handling, and HTTP method wrappers.
+ *
+ * The HTTP method wrappers pass the path template (e.g. `/clients/{id}`) to the
+ * client as the `route` request option, which metrics hooks report instead of the
+ * filled-in URL. With the `raw: true` request option they resolve to
+ * `{ data, status, headers, requestId, durationMs }` instead of the response data.
+ *
+ * With the `models` client option, or the per-call `models: true` request option,
+ * resource methods return model instances (see `models.js`) instead of plain
+ * objects. Raw responses are never wrapped.
  */
 export class BaseAPI {
   /**
@@ -62,18 +76,105 @@ export class BaseAPI {
     return queryString ? `?${queryString}` : '';
   }
 
+  /**
+   * Validate a request payload against a schema before it is sent
+   *
+   * Uses the client's `validation` mode unless the request options contain a
+   * `validate` override. `true` only checks required fields, leaving enums, formats
+   * and types to the server; `'strict'` checks the whole schema and rejects
+   * unknown fields; `false` skips validation.
+   *
+   * @param {Object} schema - JSON Schema of the payload
+   * @param {any} data - Request body data
+   * @param {Object} [options={}] - Request options, may contain `validate`
+   * @param {string} [name='payload'] - Name used in the error message
+   * @returns {Object} The request options without `validate`
+   * @throws {ValidationError} When the payload is invalid, listing every field error
+   *
+   * @example
+   * const requestOptions = this.validatePayload(CREATE_CLIENT_SCHEMA, data, options, 'client');
+   */
+  validatePayload(schema, data, options = {}, name = 'payload') {
+    const { validate, ...requestOptions } = options;
+    const mode = validate ?? this.client.validation ?? true;
+    if (mode) {
+      assertValid(schema, data, { name, strict: mode === 'strict', requiredOnly: mode !== 'strict' });
+    }
+    return requestOptions;
+  }
+
+  /**
+   * Check whether results of a call should be wrapped in models
+   *
+   * @param {Object} [options={}] - Request options, may contain `models` and `raw`
+   * @returns {boolean} True when models are enabled for the call
+   */
+  usesModels(options = {}) {
+    return !options.raw && Boolean(options.models ?? this.client.models);
+  }
+
+  /**
+   * Wrap a resource in a model when models are enabled
+   *
+   * @param {Function} ModelClass - Model class, e.g. `Client`
+   * @param {any} result - Response data
+   * @param {Object} [options={}] - Request options of the call
+   * @param {Object} [defaults={}] - Fields set when the resource does not have them
+   * @param {BaseAPI} [api=this] - API the model methods use
+   * @returns {Model|any} The model, or the result unchanged when models are disabled
+   */
+  toModel(ModelClass, result, options = {}, defaults = {}, api = this) {
+    return this.usesModels(options) ? toModel(ModelClass, result, api, defaults) : result;
+  }
+
+  /**
+   * Wrap the items of a list response in models when models are enabled
+   *
+   * @param {Function} ModelClass - Model class, e.g. `Client`
+   * @param {any} result - List response data
+   * @param {Object} [options={}] - Request options of the call
+   * @param {Object} [defaults={}] - Fields set when a resource does not have them
+   * @param {BaseAPI} [api=this] - API the model methods use
+   * @returns {any} The list response with model items, or unchanged when models are disabled
+   */
+  toModelList(ModelClass, result, options = {}, defaults = {}, api = this) {
+    return this.usesModels(options) ? toModelList(ModelClass, result, api, defaults) : result;
+  }
+
+  /**
+   * Wrap the items of an iterator in models when models are enabled
+   *
+   * @param {Function} ModelClass - Model class, e.g. `Client`
+   * @param {AsyncIterable<any>} iterator - Iterator over list items
+   * @param {Object} [options={}] - Options of the iterator
+   * @param {Object} [defaults={}] - Fields set when a resource does not have them
+   * @param {BaseAPI} [api=this] - API the model methods use
+   * @returns {AsyncIterable<any>} Iterator over models, or the iterator itself when models are disabled
+   */
+  iterateModels(ModelClass, iterator, options = {}, defaults = {}, api = this) {
+    if (!this.usesModels({ models: options.models })) {
+      return iterator;
+    }
+    return (async function* () {
+      for await (const item of iterator) {
+        yield toModel(ModelClass, item, api, defaults);
+      }
+    })();
+  }
+
   /**
    * Make a GET request
    *
    * @param {string} path - URL path (may contain {param} placeholders)
    * @param {Object} [params={}] - Path parameters
    * @param {Object} [queryParams={}] - Query parameters
+   * @param {Object} [options={}] - Request options passed to the HTTP client
    * @returns {Promise<any>} Response data
    * @throws {CarespaceError} When the request fails
    */
-  async get(path, params = {}, queryParams = {}) {
+  async get(path, params = {}, queryParams = {}, options = {}) {
     const url = this.buildUrl(path, params) + this.buildQueryParams(queryParams);
-    return this.client.get(url);
+    return this.client.get(url, { route: path, ...options });
   }
 
   /**
@@ -82,12 +183,13 @@ export class BaseAPI {
    * @param {string} path - URL path (may contain {param} placeholders)
    * @param {any} data - Request body data
    * @param {Object} [params={}] - Path parameters
+   * @param {Object} [options={}] - Request options passed to the HTTP client
    * @returns {Promise<any>} Response data
    * @throws {CarespaceError} When the request fails
    */
-  async post(path, data, params = {}) {
+  async post(path, data, params = {}, options = {}) {
     const url = this.buildUrl(path, params);
-    return this.client.post(url, data);
+    return this.client.post(url, data, { route: path, ...options });
   }
 
   /**
@@ -96,12 +198,13 @@ export class BaseAPI {
    * @param {string} path - URL path (may contain {param} placeholders)
    * @param {any} data - Request body data
    * @param {Object} [params={}] - Path parameters
+   * @param {Object} [options={}] - Request options passed to the HTTP client
    * @returns {Promise<any>} Response data
    * @throws {CarespaceError} When the request fails
    */
-  async put(path, data, params = {}) {
+  async put(path, data, params = {}, options = {}) {
     const url = this.buildUrl(path, params);
-    return this.client.put(url, data);
+    return this.client.put(url, data, { route: path, ...options });
   }
 
   /**
@@ -110,12 +213,13 @@ export class BaseAPI {
    * @param {string} path - URL path (may contain {param} placeholders)
    * @param {any} data - Request body data
    * @param {Object} [params={}] - Path parameters
+   * @param {Object} [options={}] - Request options passed to the HTTP client
    * @returns {Promise<any>} Response data
    * @throws {CarespaceError} When the request fails
    */
-  async patch(path, data, params = {}) {
+  async patch(path, data, params = {}, options = {}) {
     const url = this.buildUrl(path, params);
-    return this.client.patch(url, data);
+    return this.client.patch(url, data, { route: path, ...options });
   }
 
   /**
@@ -123,11 +227,73 @@ export class BaseAPI {
    *
    * @param {string} path - URL path (may contain {param} placeholders)
    * @param {Object} [params={}] - Path parameters
+   * @param {Object} [options={}] - Request options passed to the HTTP client
    * @returns {Promise<any>} Response data
    * @throws {CarespaceError} When the request fails
    */
-  async delete(path, params = {}) {
+  async delete(path, params = {}, options = {}) {
     const url = this.buildUrl(path, params);
-    return this.client.delete(url);
+    return this.client.delete(url, { route: path, ...options });
+  }
+
+  /**
+   * Iterate over every item of a paginated list endpoint
+   *
+   * Detects page, cursor and total metadata in the responses and stops at the last
+   * page. See {@link paginate} for the supported response shapes.
+   *
+   * @param {string} path - URL path (may contain {param} placeholders)
+   * @param {Object} [params={}] - Path parameters
+   * @param {Object} [queryParams={}] - Query parameters such as filters
+   * @param {Object} [options={}] - Pagination options, other keys are request options for every page
+   * @param {number} [options.pageSize] - Items per page, sent as `limit`
+   * @param {number} [options.maxItems] - Stop after this many items
+   * @param {number} [options.startPage=1] - First page to request
+   * @param {boolean} [options.prefetch=false] - Request the next page while the current one is consumed
+   * @returns {AsyncGenerator<any>} Async iterator over the list items
+   *
+   * @example
+   * for await (const user of this.paginate('/users', {}, { role: 'therapist' }, { pageSize: 100 })) {
+   *   console.log(user.email);
+   * }
+   */
+  paginate(path, params = {}, queryParams = {}, options = {}) {
+    const { pageSize, maxItems, startPage, prefetch, ...requestOptions } = options;
+    // The iterator needs page data, not raw responses
+    delete requestOptions.raw;
+    return paginate(
+      (pageQuery) => this.get(path, params, { ...queryParams, ...pageQuery }, requestOptions),
+      { pageSize, maxItems, startPage, prefetch }
+    );
+  }
+
+  /**
+   * Run a request for every item with bounded concurrency
+   *
+   * See {@link runBulk}. Failed items are collected in the report instead of
+   * rejecting the promise.
+   *
+   * @param {Iterable<any>} items - Items to process
+   * @param {Function} worker - Async function called with `(item, requestOptions, index)`
+   * @param {Object} [options={}] - Bulk options, other keys are request options for every item
+   * @param {number} [options.concurrency=5] - Items processed at once
+   * @param {boolean} [options.stopOnError=false] - Stop starting items after the first failure
+   * @param {Function} [options.onProgress] - Called after each item with the progress
+   * @param {AbortSignal} [options.signal] - Cancels the requests in flight and stops the batch
+   * @returns {Promise<Object>} Report `{ total, succeeded, failed, skipped, stopped }`
+   *
+   * @example
+   * bulkCreate(clientsData, options = {}) {
+   *   return this.bulk(clientsData, (data, requestOptions) => this.createClient(data, requestOptions), options);
+   * }
+   */
+  bulk(items, worker, options = {}) {
+    const { concurrency, stopOnError, onProgress, ...requestOptions } = options;
+    return runBulk(items, (item, index) => worker(item, requestOptions, index), {
+      concurrency,
+      stopOnError,
+      onProgress,
+      signal: requestOptions.signal
+    });
   }
 }
@@ -1,56 +1,103 @@
 import { BaseAPI } from './base.js';
+import { ProgramsAPI } from './programs.js';
+import { CREATE_CLIENT_SCHEMA } from '../schemas.js';
+import { Client, Program } from '../models.js';
+import { createClientExport } from '../export.js';
 
 /**
  * Clients API endpoints
  */
 export class ClientsAPI extends BaseAPI {
-  async getClients(params = {}) {
-    return this.get('/clients', {}, params);
+  async getClients(params = {}, options = {}) {
+    return this.toModelList(Client, await this.get('/clients', {}, params, options), options);
   }
 
-  async getClient(clientId) {
-    return this.get('/clients/{id}', { id: clientId });
+  async getClient(clientId, options = {}) {
+    return this.toModel(Client, await this.get('/clients/{id}', { id: clientId }, {}, options), options);
   }
 
-  async createClient(clientData) {
-    return this.post('/clients', clientData);
+  async createClient(clientData, options = {}) {
+    const requestOptions = this.validatePayload(CREATE_CLIENT_SCHEMA, clientData, options, 'client');
+    return this.toModel(Client, await this.post('/clients', clientData, {}, requestOptions), options);
   }
 
-  async updateClient(clientId, clientData) {
-    return this.put('/clients/{id}', clientData, { id: clientId });
+  async updateClient(clientId, clientData, options = {}) {
+    return this.toModel(Client, await this.put('/clients/{id}', clientData, { id: clientId }, options), options);
   }
 
-  async deleteClient(clientId) {
-    return this.delete('/clients/{id}', { id: clientId });
+  async deleteClient(clientId, options = {}) {
+    return this.delete('/clients/{id}', { id: clientId }, options);
   }
 
-  async getClientStats(clientId) {
-    return this.get('/clients/{id}/stats', { id: clientId });
+  async getClientStats(clientId, options = {}) {
+    return this.get('/clients/{id}/stats', { id: clientId }, {}, options);
   }
 
-  async getClientPrograms(clientId, params = {}) {
-    return this.get('/clients/{id}/programs', { id: clientId }, params);
+  async getClientPrograms(clientId, params = {}, options = {}) {
+    const programs = await this.get('/clients/{id}/programs', { id: clientId }, params, options);
+    return this.toModelList(Program, programs, options, {}, new ProgramsAPI(this.client));
   }
 
-  async assignProgramToClient(clientId, programId, assignmentData = {}) {
+  async assignProgramToClient(clientId, programId, assignmentData = {}, options = {}) {
     return this.post('/clients/{id}/programs/{programId}', assignmentData, {
       id: clientId,
       programId
-    });
+    }, options);
   }
 
-  async removeClientProgram(clientId, programId) {
+  async removeClientProgram(clientId, programId, options = {}) {
     return this.delete('/clients/{id}/programs/{programId}', {
       id: clientId,
       programId
-    });
+    }, options);
   }
 
-  async getClientEvaluations(clientId, params = {}) {
-    return this.get('/clients/{id}/evaluations', { id: clientId }, params);
+  async getClientEvaluations(clientId, params = {}, options = {}) {
+    return this.get('/clients/{id}/evaluations', { id: clientId }, params, options);
   }
 
-  async getClientReports(clientId, params = {}) {
-    return this.get('/clients/{id}/reports', { id: clientId }, params);
+  async getClientReports(clientId, params = {}, options = {}) {
+    return this.get('/clients/{id}/reports', { id: clientId }, params, options);
+  }
+
+  async bulkCreate(clientsData, options = {}) {
+    return this.bulk(clientsData, (clientData, requestOptions) => {
+      return this.createClient(clientData, requestOptions);
+    }, options);
+  }
+
+  async bulkUpdate(updates, options = {}) {
+    return this.bulk(updates, ({ id, ...clientData }, requestOptions) => {
+      return this.updateClient(id, clientData, requestOptions);
+    }, options);
+  }
+
+  async bulkAssignProgram(clients, program, assignmentData = {}, options = {}) {
+    const programId = program && typeof program === 'object' ? program.id : program;
+    return this.bulk(clients, (client, requestOptions) => {
+      const clientId = client && typeof client === 'object' ? client.id : client;
+      return this.assignProgramToClient(clientId, programId, assignmentData, requestOptions);
+    }, options);
+  }
+
+  async exportClient(clientId, options = {}) {
+    return createClientExport(this, clientId, options);
+  }
+
+  iterateClients(filters = {}, options = {}) {
+    return this.iterateModels(Client, this.paginate('/clients', {}, filters, options), options);
+  }
+
+  iterateClientPrograms(clientId, params = {}, options = {}) {
+    const programs = this.paginate('/clients/{id}/programs', { id: clientId }, params, options);
+    return this.iterateModels(Program, programs, options, {}, new ProgramsAPI(this.client));
+  }
+
+  iterateClientEvaluations(clientId, params = {}, options = {}) {
+    return this.paginate('/clients/{id}/evaluations', { id: clientId }, params, options);
+  }
+
+  iterateClientReports(clientId, params = {}, options = {}) {
+    return this.paginate('/clients/{id}/reports', { id: clientId }, params, options);
   }
 }
@@ -0,0 +1,149 @@
+import { BaseAPI } from './base.js';
+import { ClientsAPI } from './clients.js';
+import { ProgramsAPI } from './programs.js';
+import { collect } from '../pagination.js';
+import {
+  bundleEntries,
+  carePlanToProgram,
+  clientToPatient,
+  createBundle,
+  evaluationToObservation,
+  exerciseToActivityDefinition,
+  patientToClient,
+  programToCarePlan
+} from '../fhir.js';
+import { randomUUID } from '../crypto.js';
+
+/**
+ * FHIR R4 export and import
+ *
+ * Moves a client with their assigned programs and evaluations between Carespace
+ * and an EHR as FHIR R4 Bundles, using the clients and programs endpoints. See
+ * `fhir.js` for how each resource is mapped.
+ */
+export class FhirAPI extends BaseAPI {
+  /**
+   * Create a new FhirAPI instance
+   *
+   * @param {CarespaceClient} client - The HTTP client instance
+   */
+  constructor(client) {
+    super(client);
+    this.clients = new ClientsAPI(client);
+    this.programs = new ProgramsAPI(client);
+  }
+
+  /**
+   * Export a client as a FHIR R4 Bundle
+   *
+   * The Bundle holds the `Patient`, a `CarePlan` per assigned program, an
+   * `ActivityDefinition` per program exercise and an `Observation` per
+   * evaluation. Resources reference the patient by its `urn:uuid:` full URL.
+   *
+   * @param {string} clientId - Client ID
+   * @param {Object} [options={}] - Export options, other keys are request options for every request
+   * @param {string} [options.type='collection'] - Bundle type, `'collection'` or `'transaction'`
+   * @param {number} [options.pageSize] - Items per page when fetching collections
+   * @returns {Promise<Object>} Bundle resource
+   * @throws {CarespaceError} When a request fails
+   *
+   * @example
+   * const bundle = await carespace.fhir.exportPatient('client-123');
+   * await ehr.post('/fhir', bundle);
+   */
+  async exportPatient(clientId, options = {}) {
+    const { type = 'collection', pageSize, ...requestOptions } = options;
+    delete requestOptions.raw;
+    requestOptions.models = false;
+
+    const document = await this.clients.exportClient(clientId, { ...requestOptions, pageSize, format: 'json' });
+    const exercises = await Promise.all(document.programs.map(program =>
+      collect(this.programs.iterateProgramExercises(program.id, {}, { ...requestOptions, pageSize }))
+    ));
+
+    const patientUrl = `urn:uuid:${randomUUID()}`;
+    const context = { subject: patientUrl };
+    const definitions = new Map();
+    exercises.flat().forEach(exercise => {
+      const definition = exerciseToActivityDefinition(exercise);
+      definitions.set(definition.url || randomUUID(), definition);
+    });
+
+    return createBundle([
+      { fullUrl: patientUrl, resource: clientToPatient(document.client) },
+      ...document.programs.map((program, index) => programToCarePlan(program, {
+        ...context,
+        exercises: exercises[index]
+      })),
+      ...definitions.values(),
+      ...document.evaluations.map(evaluation => evaluationToObservation(evaluation, context))
+    ], { type });
+  }
+
+  /**
+   * Import a patient from a FHIR R4 Bundle
+   *
+   * Creates the client from the `Patient`, then for each `CarePlan` creates a
+   * program, adds its exercises in activity order and assigns it to the client.
+   * Exercises come from the `ActivityDefinition` an activity instantiates when it
+   * is in the Bundle, otherwise from the activity itself. Observations and other
+   * resources are reported as skipped, as the API has no endpoint for creating
+   * evaluations.
+   *
+   * The requests run one after another and stop at the first failure; resources
+   * created before it are kept.
+   *
+   * @param {Object} bundle - Bundle with exactly one `Patient`
+   * @param {Object} [options={}] - Request options for every request
+   * @returns {Promise<Object>} `{ client, programs: [{ program, exercises, assignment }], skipped }`,
+   *   where `skipped` lists `{ resourceType, id, reason }` for resources that were not imported
+   * @throws {TypeError} When `bundle` is not a Bundle or does not hold exactly one Patient
+   * @throws {ValidationError} When a mapped payload is invalid
+   * @throws {CarespaceError} When a request fails
+   *
+   * @example
+   * const { client, programs } = await carespace.fhir.importPatient(bundle);
+   * console.log(`Imported ${client.name} with ${programs.length} programs`);
+   */
+  async importPatient(bundle, options = {}) {
+    const patients = bundleEntries(bundle, 'Patient');
+    if (patients.length !== 1) {
+      throw new TypeError(`Expected a Bundle with exactly one Patient, got ${patients.length}`);
+    }
+
+    const definitions = {};
+    bundleEntries(bundle, 'ActivityDefinition').forEach(({ fullUrl, resource }) => {
+      [fullUrl, resource.url, resource.id && `ActivityDefinition/${resource.id}`]
+        .filter(Boolean)
+        .forEach(key => {
+          definitions[key] = resource;
+        });
+    });
+
+    const client = await this.clients.createClient(patientToClient(patients[0].resource), options);
+    const programs = [];
+    for (const { resource } of bundleEntries(bundle, 'CarePlan')) {
+      const mapped = carePlanToProgram(resource, definitions);
+      const program = await this.programs.createProgram(mapped.program, options);
+      const exercises = [];
+      for (const exercise of mapped.exercises) {
+        exercises.push(await this.programs.addExerciseToProgram(program.id, exercise, options));
+      }
+      const assignment = await this.clients.assignProgramToClient(client.id, program.id, mapped.assignment, options);
+      programs.push({ program, exercises, assignment });
+    }
+
+    const imported = ['Patient', 'CarePlan', 'ActivityDefinition'];
+    const skipped = bundleEntries(bundle)
+      .filter(({ resource }) => !imported.includes(resource.resourceType))
+      .map(({ resource }) => ({
+        resourceType: resource.resourceType,
+        id: resource.id,
+        reason: resource.resourceType === 'Observation'
+          ? 'Evaluations cannot be created through the API'
+          : `${resource.resourceType} resources are not supported`
+      }));
+
+    return { client, programs, skipped };
+  }
+}
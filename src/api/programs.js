@@ -1,56 +1,77 @@
 import { BaseAPI } from './base.js';
+import { CREATE_PROGRAM_SCHEMA, PROGRAM_EXERCISE_SCHEMA } from '../schemas.js';
+import { Program, Exercise } from '../models.js';
 
 /**
  * Programs API endpoints
  */
 export class ProgramsAPI extends BaseAPI {
-  async getPrograms(params = {}) {
-    return this.get('/programs', {}, params);
+  async getPrograms(params = {}, options = {}) {
+    return this.toModelList(Program, await this.get('/programs', {}, params, options), options);
   }
 
-  async getProgram(programId) {
-    return this.get('/programs/{id}', { id: programId });
+  async getProgram(programId, options = {}) {
+    return this.toModel(Program, await this.get('/programs/{id}', { id: programId }, {}, options), options);
   }
 
-  async createProgram(programData) {
-    return this.post('/programs', programData);
+  async createProgram(programData, options = {}) {
+    const requestOptions = this.validatePayload(CREATE_PROGRAM_SCHEMA, programData, options, 'program');
+    return this.toModel(Program, await this.post('/programs', programData, {}, requestOptions), options);
   }
 
-  async updateProgram(programId, programData) {
-    return this.put('/programs/{id}', programData, { id: programId });
+  async updateProgram(programId, programData, options = {}) {
+    return this.toModel(Program, await this.put('/programs/{id}', programData, { id: programId }, options), options);
   }
 
-  async deleteProgram(programId) {
-    return this.delete('/programs/{id}', { id: programId });
+  async deleteProgram(programId, options = {}) {
+    return this.delete('/programs/{id}', { id: programId }, options);
   }
 
-  async getProgramExercises(programId, params = {}) {
-    return this.get('/programs/{id}/exercises', { id: programId }, params);
+  async getProgramExercises(programId, params = {}, options = {}) {
+    const exercises = await this.get('/programs/{id}/exercises', { id: programId }, params, options);
+    return this.toModelList(Exercise, exercises, options, { programId });
   }
 
-  async addExerciseToProgram(programId, exerciseData) {
-    return this.post('/programs/{id}/exercises', exerciseData, { id: programId });
+  async addExerciseToProgram(programId, exerciseData, options = {}) {
+    const requestOptions = this.validatePayload(PROGRAM_EXERCISE_SCHEMA, exerciseData, options, 'exercise');
+    const exercise = await this.post('/programs/{id}/exercises', exerciseData, { id: programId }, requestOptions);
+    return this.toModel(Exercise, exercise, options, { programId });
   }
 
-  async updateProgramExercise(programId, exerciseId, exerciseData) {
-    return this.put('/programs/{id}/exercises/{exerciseId}', exerciseData, {
+  async updateProgramExercise(programId, exerciseId, exerciseData, options = {}) {
+    const exercise = await this.put('/programs/{id}/exercises/{exerciseId}', exerciseData, {
       id: programId,
       exerciseId
-    });
+    }, options);
+    return this.toModel(Exercise, exercise, options, { programId });
   }
 
-  async removeProgramExercise(programId, exerciseId) {
+  async removeProgramExercise(programId, exerciseId, options = {}) {
     return this.delete('/programs/{id}/exercises/{exerciseId}', {
       id: programId,
       exerciseId
-    });
+    }, options);
   }
 
-  async duplicateProgram(programId, duplicateData = {}) {
-    return this.post('/programs/{id}/duplicate', duplicateData, { id: programId });
+  async duplicateProgram(programId, duplicateData = {}, options = {}) {
+    const copy = await this.post('/programs/{id}/duplicate', duplicateData, { id: programId }, options);
+    return this.toModel(Program, copy, options);
   }
 
-  async getProgramTemplates(params = {}) {
-    return this.get('/programs/templates', {}, params);
+  async getProgramTemplates(params = {}, options = {}) {
+    return this.toModelList(Program, await this.get('/programs/templates', {}, params, options), options);
+  }
+
+  iteratePrograms(filters = {}, options = {}) {
+    return this.iterateModels(Program, this.paginate('/programs', {}, filters, options), options);
+  }
+
+  iterateProgramExercises(programId, params = {}, options = {}) {
+    const exercises = this.paginate('/programs/{id}/exercises', { id: programId }, params, options);
+    return this.iterateModels(Exercise, exercises, options, { programId });
+  }
+
+  iterateProgramTemplates(filters = {}, options = {}) {
+    return this.iterateModels(Program, this.paginate('/programs/templates', {}, filters, options), options);
   }
 }
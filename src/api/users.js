@@ -1,50 +1,61 @@
 import { BaseAPI } from './base.js';
+import { User } from '../models.js';
 
 /**
  * Users API endpoints
  */
 export class UsersAPI extends BaseAPI {
-  async getUsers(params = {}) {
-    return this.get('/users', {}, params);
+  async getUsers(params = {}, options = {}) {
+    return this.toModelList(User, await this.get('/users', {}, params, options), options);
   }
 
-  async getUser(userId) {
-    return this.get('/users/{id}', { id: userId });
+  async getUser(userId, options = {}) {
+    return this.toModel(User, await this.get('/users/{id}', { id: userId }, {}, options), options);
   }
 
-  async createUser(userData) {
-    return this.post('/users', userData);
+  async createUser(userData, options = {}) {
+    return this.toModel(User, await this.post('/users', userData, {}, options), options);
   }
 
-  async updateUser(userId, userData) {
-    return this.put('/users/{id}', userData, { id: userId });
+  async updateUser(userId, userData, options = {}) {
+    return this.toModel(User, await this.put('/users/{id}', userData, { id: userId }, options), options);
   }
 
-  async deleteUser(userId) {
-    return this.delete('/users/{id}', { id: userId });
+  async deleteUser(userId, options = {}) {
+    return this.delete('/users/{id}', { id: userId }, options);
   }
 
-  async getUserProfile() {
-    return this.get('/users/profile');
+  async getUserProfile(options = {}) {
+    return this.get('/users/profile', {}, {}, options);
   }
 
-  async updateUserProfile(profileData) {
-    return this.put('/users/profile', profileData);
+  async updateUserProfile(profileData, options = {}) {
+    return this.put('/users/profile', profileData, {}, options);
   }
 
-  async getUserSettings(userId) {
-    return this.get('/users/{id}/settings', { id: userId });
+  async getUserSettings(userId, options = {}) {
+    return this.get('/users/{id}/settings', { id: userId }, {}, options);
   }
 
-  async updateUserSettings(userId, settings) {
-    return this.put('/users/{id}/settings', settings, { id: userId });
+  async updateUserSettings(userId, settings, options = {}) {
+    return this.put('/users/{id}/settings', settings, { id: userId }, options);
   }
 
-  async getUserPreferences(userId) {
-    return this.get('/users/{id}/preferences', { id: userId });
+  async getUserPreferences(userId, options = {}) {
+    return this.get('/users/{id}/preferences', { id: userId }, {}, options);
   }
 
-  async updateUserPreferences(userId, preferences) {
-    return this.put('/users/{id}/preferences', preferences, { id: userId });
+  async updateUserPreferences(userId, preferences, options = {}) {
+    return this.put('/users/{id}/preferences', preferences, { id: userId }, options);
+  }
+
+  async bulkCreate(usersData, options = {}) {
+    return this.bulk(usersData, (userData, requestOptions) => {
+      return this.createUser(userData, requestOptions);
+    }, options);
+  }
+
+  iterateUsers(filters = {}, options = {}) {
+    return this.iterateModels(User, this.paginate('/users', {}, filters, options), options);
   }
 }
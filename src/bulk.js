@@ -0,0 +1,111 @@
+/**
+ * Number of items processed at once when no `concurrency` is given
+ */
+export const DEFAULT_BULK_CONCURRENCY = 5;
+
+/**
+ * Call a progress callback, ignoring its errors
+ *
+ * @param {Function} [onProgress] - Progress callback
+ * @param {Object} progress - Progress event
+ * @private
+ */
+function notify(onProgress, progress) {
+  if (!onProgress) {
+    return;
+  }
+  try {
+    onProgress(progress);
+  } catch {
+    // A failing progress callback must not fail the batch
+  }
+}
+
+/**
+ * Run an async operation for every item with bounded concurrency
+ *
+ * Failed items do not reject the returned promise; they are listed in the report
+ * with their error. With `stopOnError`, or once `signal` is aborted, no new items
+ * are started, the items in flight finish, and the remaining ones are reported as
+ * skipped.
+ *
+ * @param {Iterable<any>} items - Items to process
+ * @param {Function} worker - Async function called with `(item, index)`
+ * @param {Object} [options={}] - Bulk options
+ * @param {number} [options.concurrency=5] - Items processed at once
+ * @param {boolean} [options.stopOnError=false] - Stop starting items after the first failure
+ * @param {Function} [options.onProgress] - Called after each item with
+ *   `{ completed, total, succeeded, failed, index, item, result, error }`; errors it throws are ignored
+ * @param {AbortSignal} [options.signal] - Stop starting items once aborted
+ * @returns {Promise<Object>} Report `{ total, succeeded, failed, skipped, stopped }`. `succeeded`
+ *   lists `{ index, item, result }`, `failed` lists `{ index, item, error }` and `skipped`
+ *   lists `{ index, item }`, each in item order
+ * @throws {TypeError} When `concurrency` is not a positive integer
+ *
+ * @example
+ * const report = await runBulk(rows, (row) => carespace.clients.createClient(row), {
+ *   concurrency: 10,
+ *   onProgress: ({ completed, total }) => console.log(`${completed}/${total}`)
+ * });
+ * report.failed.forEach(({ item, error }) => console.error(item.email, error.message));
+ */
+export async function runBulk(items, worker, options = {}) {
+  const {
+    concurrency = DEFAULT_BULK_CONCURRENCY,
+    stopOnError = false,
+    onProgress,
+    signal
+  } = options;
+  if (!Number.isInteger(concurrency) || concurrency < 1) {
+    throw new TypeError(`concurrency must be a positive integer, got ${concurrency}`);
+  }
+
+  const list = Array.from(items);
+  const report = { total: list.length, succeeded: [], failed: [], skipped: [], stopped: false };
+  let next = 0;
+  let completed = 0;
+
+  const work = async () => {
+    while (next < list.length && !report.stopped) {
+      if (signal?.aborted) {
+        report.stopped = true;
+        break;
+      }
+      const index = next++;
+      const item = list[index];
+      let result;
+      let error;
+      try {
+        result = await worker(item, index);
+        report.succeeded.push({ index, item, result });
+      } catch (caught) {
+        error = caught;
+        report.failed.push({ index, item, error });
+        if (stopOnError) {
+          report.stopped = true;
+        }
+      }
+      completed++;
+      notify(onProgress, {
+        completed,
+        total: list.length,
+        succeeded: report.succeeded.length,
+        failed: report.failed.length,
+        index,
+        item,
+        result,
+        error
+      });
+    }
+  };
+
+  await Promise.all(Array.from({ length: Math.min(concurrency, list.length) }, work));
+
+  for (let index = next; index < list.length; index++) {
+    report.skipped.push({ index, item: list[index] });
+  }
+  const byIndex = (a, b) => a.index - b.index;
+  report.succeeded.sort(byIndex);
+  report.failed.sort(byIndex);
+  return report;
+}
@@ -0,0 +1,304 @@
+import { getHeader, toPlainHeaders } from './headers.js';
+import { sha256Hex } from './crypto.js';
+
+/**
+ * @typedef {import('./middleware.js').Middleware} Middleware
+ */
+
+/**
+ * In-memory cache store with least-recently-used eviction
+ *
+ * Cache stores implement `get`, `set`, `delete` and `keys`. Methods may return
+ * promises, so a shared store such as Redis can be plugged in.
+ */
+export class LRUCacheStore {
+  /**
+   * Create a new LRUCacheStore instance
+   *
+   * @param {Object} [options={}] - Store options
+   * @param {number} [options.maxEntries=500] - Entries kept before the least recently used is evicted
+   */
+  constructor(options = {}) {
+    this.maxEntries = options.maxEntries ?? 500;
+    this.entries = new Map();
+  }
+
+  get(key) {
+    if (!this.entries.has(key)) {
+      return undefined;
+    }
+    // Re-insert to mark as most recently used
+    const value = this.entries.get(key);
+    this.entries.delete(key);
+    this.entries.set(key, value);
+    return value;
+  }
+
+  set(key, value) {
+    this.entries.delete(key);
+    this.entries.set(key, value);
+    while (this.entries.size > this.maxEntries) {
+      this.entries.delete(this.entries.keys().next().value);
+    }
+  }
+
+  delete(key) {
+    this.entries.delete(key);
+  }
+
+  keys() {
+    return Array.from(this.entries.keys());
+  }
+
+  clear() {
+    this.entries.clear();
+  }
+}
+
+function stripQuery(url) {
+  const index = url.indexOf('?');
+  return index === -1 ? url : url.slice(0, index);
+}
+
+function parseCacheControl(value) {
+  const directives = {};
+  String(value || '').split(',').forEach(part => {
+    const [name, arg] = part.trim().split('=');
+    if (name) {
+      directives[name.toLowerCase()] = arg === undefined ? true : arg.replace(/"/g, '');
+    }
+  });
+  return directives;
+}
+
+function clone(data) {
+  return data === undefined ? data : JSON.parse(JSON.stringify(data));
+}
+
+/**
+ * Conditional GET cache
+ *
+ * Stores GET responses keyed by URL and access token. Fresh entries (per
+ * `Cache-Control: max-age`) are served without a request; stale entries are
+ * revalidated with `If-None-Match` / `If-Modified-Since` and served from the
+ * cache when the server answers `304 Not Modified`.
+ *
+ * @example
+ * ```javascript
+ * const cache = new HttpCache({ store: new LRUCacheStore({ maxEntries: 100 }) });
+ * const response = await cache.get('/programs/templates', token, (options) => send(options));
+ * ```
+ */
+export class HttpCache {
+  /**
+   * Create a new HttpCache instance
+   *
+   * @param {Object} [options={}] - Cache options
+   * @param {Object} [options.store] - Cache store, defaults to an `LRUCacheStore`
+   * @param {number} [options.maxEntries=500] - Size of the default LRU store
+   * @param {number} [options.defaultMaxAge=0] - Freshness in seconds when the response has no max-age
+   */
+  constructor(options = {}) {
+    this.store = options.store || new LRUCacheStore({ maxEntries: options.maxEntries });
+    this.defaultMaxAge = options.defaultMaxAge ?? 0;
+    this.tokenHashes = new Map();
+  }
+
+  /**
+   * Build the cache key for a URL and access token
+   *
+   * The token is hashed with SHA-256, which keeps it out of a shared store while
+   * making it practically impossible for two callers to share entries.
+   *
+   * @param {string} url - Request URL including the query string
+   * @param {string} [token] - Access token of the caller
+   * @returns {Promise<string>} Cache key
+   */
+  async key(url, token) {
+    if (!token) {
+      return `anonymous ${url}`;
+    }
+    if (!this.tokenHashes.has(token)) {
+      // Tokens rotate on refresh, so only the most recent few are worth keeping
+      if (this.tokenHashes.size >= 16) {
+        this.tokenHashes.delete(this.tokenHashes.keys().next().value);
+      }
+      this.tokenHashes.set(token, await sha256Hex(token));
+    }
+    return `${this.tokenHashes.get(token)} ${url}`;
+  }
+
+  /**
+   * Perform a GET through the cache
+   *
+   * @param {string} url - Request URL including the query string
+   * @param {string} [token] - Access token of the caller
+   * @param {Function} send - Sends the request, called with the conditional headers
+   *   to add, resolves to the response. A `304` must resolve rather than throw.
+   * @returns {Promise<Object>} Response with `data`, `status` and `headers`
+   */
+  async get(url, token, send) {
+    const key = await this.key(url, token);
+    const entry = await this.store.get(key);
+
+    if (entry && Date.now() < entry.expiresAt) {
+      return this.toResponse(entry);
+    }
+    if (!entry) {
+      const response = await send();
+      await this.save(key, url, response);
+      return response;
+    }
+
+    const headers = {};
+    if (entry.etag) {
+      headers['If-None-Match'] = entry.etag;
+    }
+    if (entry.lastModified) {
+      headers['If-Modified-Since'] = entry.lastModified;
+    }
+
+    const response = await send(headers);
+
+    if (response.status === 304) {
+      const refreshed = {
+        ...entry,
+        expiresAt: this.expiresAt(response.headers) ?? this.expiresAt(entry.headers) ?? Date.now()
+      };
+      await this.store.set(key, refreshed);
+      return this.toResponse(refreshed);
+    }
+
+    await this.save(key, url, response);
+    return response;
+  }
+
+  /**
+   * Remove cached entries affected by a mutation of `url`
+   *
+   * Invalidates the resource itself and its parent collection, so
+   * `PUT /programs/123` drops both `/programs/123` and `/programs` lists.
+   *
+   * @param {string} url - URL of the successful POST, PUT, PATCH or DELETE
+   * @returns {Promise<void>}
+   */
+  async invalidate(url) {
+    const path = stripQuery(url);
+    const parent = path.slice(0, path.lastIndexOf('/'));
+    const keys = await this.store.keys();
+
+    await Promise.all(keys
+      .filter(key => {
+        const cachedPath = stripQuery(key.slice(key.indexOf(' ') + 1));
+        return cachedPath === path || (parent && cachedPath === parent);
+      })
+      .map(key => this.store.delete(key)));
+  }
+
+  /**
+   * Remove every cached entry
+   *
+   * @returns {Promise<void>}
+   */
+  async clear() {
+    const keys = await this.store.keys();
+    await Promise.all(keys.map(key => this.store.delete(key)));
+  }
+
+  /**
+   * Compute when a response stops being fresh
+   *
+   * @param {Object} headers - Response headers
+   * @returns {number|undefined} Expiry timestamp, undefined without max-age
+   * @private
+   */
+  expiresAt(headers) {
+    const directives = parseCacheControl(getHeader(headers, 'Cache-Control'));
+    if (directives['no-cache']) {
+      return Date.now();
+    }
+    const maxAge = Number(directives['max-age']);
+    return Number.isNaN(maxAge) ? undefined : Date.now() + maxAge * 1000;
+  }
+
+  /**
+   * Store a successful response if it can be reused
+   *
+   * @param {string} key - Cache key
+   * @param {string} url - Request URL
+   * @param {Object} response - The response
+   * @returns {Promise<void>}
+   * @private
+   */
+  async save(key, url, response) {
+    const headers = toPlainHeaders(response.headers);
+    const directives = parseCacheControl(headers['cache-control']);
+    if (directives['no-store'] || response.status < 200 || response.status >= 300) {
+      return;
+    }
+
+    const expiresAt = this.expiresAt(headers) ?? Date.now() + this.defaultMaxAge * 1000;
+    const etag = headers.etag;
+    const lastModified = headers['last-modified'];
+    if (!etag && !lastModified && expiresAt <= Date.now()) {
+      return;
+    }
+
+    await this.store.set(key, {
+      url,
+      status: response.status,
+      data: clone(response.data),
+      headers,
+      etag,
+      lastModified,
+      expiresAt
+    });
+  }
+
+  /**
+   * Build a response object from a cache entry
+   *
+   * @param {Object} entry - Cache entry
+   * @returns {Object} Response with a copy of the cached data
+   * @private
+   */
+  toResponse(entry) {
+    return {
+      data: clone(entry.data),
+      status: entry.status,
+      headers: { ...entry.headers },
+      cached: true
+    };
+  }
+}
+
+/**
+ * Create middleware serving GET requests through an HTTP cache
+ *
+ * Successful POST, PUT, PATCH and DELETE requests invalidate the affected entries.
+ * Pass `cache: false` as a per-call option to bypass the cache.
+ *
+ * @param {HttpCache} cache - The cache
+ * @param {Function} [getToken] - Returns the caller's access token, used to key entries
+ * @returns {Middleware} Cache middleware
+ *
+ * @example
+ * carespace.use(cacheMiddleware(new HttpCache({ maxEntries: 100 })));
+ */
+export function cacheMiddleware(cache, getToken = () => undefined) {
+  return async (req, next) => {
+    if (req.options.cache === false) {
+      return next(req);
+    }
+
+    if (req.method === 'get') {
+      return cache.get(req.url, getToken(), (headers) => next(headers
+        ? { ...req, headers: { ...req.headers, ...headers }, allowNotModified: true }
+        : req));
+    }
+
+    const response = await next(req);
+    await cache.invalidate(req.url);
+    return response;
+  };
+}
@@ -0,0 +1,197 @@
+/**
+ * @typedef {import('./middleware.js').Middleware} Middleware
+ */
+
+const ISO_DATE = /^\d{4}-\d{2}-\d{2}(T\d{2}:\d{2}(:\d{2}(\.\d+)?)?(Z|[+-]\d{2}:?\d{2})?)?$/;
+
+/**
+ * Convert a camelCase key to snake_case
+ *
+ * Keys that are already snake_case are returned unchanged.
+ *
+ * @param {string} key - Key to convert
+ * @returns {string} The snake_case key
+ *
+ * @example
+ * toSnakeCase('newPassword') // returns 'new_password'
+ * toSnakeCase('patientID') // returns 'patient_id'
+ */
+export function toSnakeCase(key) {
+  return key
+    .replace(/([a-z\d])([A-Z])/g, '$1_$2')
+    .replace(/([A-Z]+)([A-Z][a-z])/g, '$1_$2')
+    .toLowerCase();
+}
+
+/**
+ * Convert a snake_case key to camelCase
+ *
+ * Leading underscores, as in `_id`, are kept.
+ *
+ * @param {string} key - Key to convert
+ * @returns {string} The camelCase key
+ *
+ * @example
+ * toCamelCase('refresh_token') // returns 'refreshToken'
+ */
+export function toCamelCase(key) {
+  // Checks the preceding character by hand, as lookbehind fails to parse in Safari before 16.4
+  return key.replace(/_+([A-Za-z\d])/g, (match, char, offset) => (
+    /[A-Za-z\d]/.test(key.charAt(offset - 1)) ? char.toUpperCase() : match
+  ));
+}
+
+/**
+ * Check whether a value is a plain object, as opposed to a Date, FormData, Blob...
+ *
+ * @param {any} value - Value to check
+ * @returns {boolean} True for object literals and `Object.create(null)` objects
+ * @private
+ */
+function isPlainObject(value) {
+  if (value === null || typeof value !== 'object') {
+    return false;
+  }
+  const proto = Object.getPrototypeOf(value);
+  return proto === Object.prototype || proto === null;
+}
+
+/**
+ * Convert the keys of plain objects recursively
+ *
+ * Arrays are converted item by item. Other values, including Dates, FormData and
+ * Blobs, are returned unchanged.
+ *
+ * @param {any} value - Value to convert
+ * @param {Function} convert - Key conversion, e.g. {@link toSnakeCase}
+ * @returns {any} A converted copy
+ *
+ * @example
+ * convertKeys({ currentPassword: 'a', items: [{ itemId: 1 }] }, toSnakeCase)
+ * // returns { current_password: 'a', items: [{ item_id: 1 }] }
+ */
+export function convertKeys(value, convert) {
+  if (Array.isArray(value)) {
+    return value.map(item => convertKeys(item, convert));
+  }
+  if (!isPlainObject(value)) {
+    return value;
+  }
+  const converted = {};
+  Object.keys(value).forEach(key => {
+    converted[convert(key)] = convertKeys(value[key], convert);
+  });
+  return converted;
+}
+
+/**
+ * Replace ISO 8601 date strings with Date objects, recursively
+ *
+ * Matches dates (`2024-03-01`) and date-times with an optional offset
+ * (`2024-03-01T10:00:00.000Z`). Date-only strings become midnight UTC.
+ *
+ * @param {any} value - Value to revive
+ * @param {Object} [options={}] - Revival options
+ * @param {string[]} [options.exclude=[]] - Keys whose values stay strings, at any depth
+ * @returns {any} A copy with Date objects
+ *
+ * @example
+ * reviveDates({ createdAt: '2024-03-01T10:00:00Z', dateOfBirth: '1980-01-01' }, { exclude: ['dateOfBirth'] })
+ * // returns { createdAt: Date, dateOfBirth: '1980-01-01' }
+ */
+export function reviveDates(value, options = {}) {
+  const exclude = new Set(options.exclude || []);
+  const revive = (item) => {
+    if (typeof item === 'string') {
+      if (!ISO_DATE.test(item)) {
+        return item;
+      }
+      const date = new Date(item);
+      return Number.isNaN(date.getTime()) ? item : date;
+    }
+    if (Array.isArray(item)) {
+      return item.map(revive);
+    }
+    if (!isPlainObject(item)) {
+      return item;
+    }
+    const revived = {};
+    Object.keys(item).forEach(key => {
+      revived[key] = exclude.has(key) ? item[key] : revive(item[key]);
+    });
+    return revived;
+  };
+  return revive(value);
+}
+
+/**
+ * Convert the keys of the query string of a URL
+ *
+ * @param {string} url - URL with an optional query string
+ * @param {Function} convert - Key conversion
+ * @returns {string} The URL with converted query keys
+ * @private
+ */
+function convertQueryKeys(url, convert) {
+  const index = url.indexOf('?');
+  if (index === -1) {
+    return url;
+  }
+  const params = new URLSearchParams();
+  new URLSearchParams(url.slice(index + 1)).forEach((value, key) => params.append(convert(key), value));
+  return `${url.slice(0, index)}?${params.toString()}`;
+}
+
+/**
+ * Create middleware converting between camelCase and the API's snake_case
+ *
+ * With `caseConversion`, request body and query keys are converted to snake_case,
+ * and response keys to camelCase, recursively. Field errors of a failed request
+ * are converted too, so `error.errors[].field` names the camelCase field. With
+ * `reviveDates`, ISO date strings in responses become Date objects.
+ *
+ * The middleware runs outside the other built-in middleware, so caches, logs and
+ * recordings hold the wire format. Pass `caseConversion: false` as a per-call
+ * option to send and receive a request unchanged.
+ *
+ * @param {Object} [options={}] - Conversion options
+ * @param {boolean} [options.caseConversion=false] - Convert keys
+ * @param {boolean|Object} [options.reviveDates=false] - Revive ISO date strings
+ * @param {string[]} [options.reviveDates.exclude] - Response keys whose values stay strings
+ * @returns {Middleware} Case conversion middleware
+ */
+export function caseConversionMiddleware(options = {}) {
+  const { caseConversion = false } = options;
+  const dates = options.reviveDates
+    ? { exclude: typeof options.reviveDates === 'object' ? options.reviveDates.exclude : [] }
+    : null;
+
+  return async (req, next) => {
+    if (req.options.caseConversion === false) {
+      return next(req);
+    }
+
+    let response;
+    try {
+      response = await next(caseConversion
+        ? { ...req, url: convertQueryKeys(req.url, toSnakeCase), data: convertKeys(req.data, toSnakeCase) }
+        : req);
+    } catch (error) {
+      if (caseConversion && error.response) {
+        error.response.data = convertKeys(error.response.data, toCamelCase);
+      }
+      if (caseConversion && Array.isArray(error.errors)) {
+        error.errors = error.errors.map(item => (typeof item?.field === 'string'
+          ? { ...item, field: item.field.split('.').map(toCamelCase).join('.') }
+          : item));
+      }
+      throw error;
+    }
+
+    let data = caseConversion ? convertKeys(response.data, toCamelCase) : response.data;
+    if (dates) {
+      data = reviveDates(data, dates);
+    }
+    return { ...response, data };
+  };
+}
@@ -0,0 +1,210 @@
+import { AbortError, CircuitOpenError, NetworkError, ServerError } from './errors.js';
+
+/**
+ * @typedef {import('./middleware.js').Middleware} Middleware
+ */
+
+/**
+ * Circuit breaker states
+ */
+export const CIRCUIT_STATES = ['closed', 'open', 'half-open'];
+
+/**
+ * Circuit breaker failing fast while the API is down
+ *
+ * While `closed`, outcomes are recorded over a rolling window. Once the window
+ * holds at least `minimumRequests` outcomes and the share of failures reaches
+ * `failureThreshold`, the circuit opens and every request fails at once with a
+ * `CircuitOpenError`. After `resetTimeout` the circuit turns `half-open` and lets
+ * `halfOpenRequests` probe requests through: the circuit closes when they all
+ * succeed and opens again on the first failure.
+ *
+ * Only errors of the `failureOn` classes count as failures. Other errors, such as
+ * a `NotFoundError`, show the API is up and count as successes; aborted requests
+ * are not counted.
+ *
+ * @example
+ * ```javascript
+ * const breaker = new CircuitBreaker({
+ *   failureThreshold: 0.5,
+ *   onStateChange: ({ from, to }) => alert(`Carespace circuit ${from} -> ${to}`)
+ * });
+ * const result = await breaker.execute(() => fetchSomething());
+ * ```
+ */
+export class CircuitBreaker {
+  /**
+   * Create a new CircuitBreaker instance
+   *
+   * @param {Object} [options={}] - Circuit breaker options
+   * @param {number} [options.failureThreshold=0.5] - Failure rate between 0 and 1 opening the circuit
+   * @param {number} [options.minimumRequests=10] - Outcomes in the window before the rate is checked
+   * @param {number} [options.windowMs=60000] - Rolling window of recorded outcomes in milliseconds
+   * @param {number} [options.resetTimeout=30000] - Milliseconds the circuit stays open before probing
+   * @param {number} [options.halfOpenRequests=1] - Probe requests that must succeed to close the circuit
+   * @param {Function[]} [options.failureOn=[ServerError, NetworkError]] - Error classes counted as
+   *   failures; `TimeoutError` is a `NetworkError`
+   * @param {Function} [options.onStateChange] - Called with `{ from, to, failures, requests, failureRate }`;
+   *   errors it throws are ignored
+   * @throws {TypeError} When `failureThreshold` is not between 0 and 1
+   */
+  constructor(options = {}) {
+    this.failureThreshold = options.failureThreshold ?? 0.5;
+    if (!(this.failureThreshold > 0 && this.failureThreshold <= 1)) {
+      throw new TypeError(`circuitBreaker.failureThreshold must be between 0 and 1, got ${this.failureThreshold}`);
+    }
+    this.minimumRequests = options.minimumRequests ?? 10;
+    this.windowMs = options.windowMs ?? 60000;
+    this.resetTimeout = options.resetTimeout ?? 30000;
+    this.halfOpenRequests = options.halfOpenRequests ?? 1;
+    this.failureOn = options.failureOn || [ServerError, NetworkError];
+    this.onStateChange = options.onStateChange;
+
+    this.state = 'closed';
+    this.outcomes = [];
+    this.openedAt = 0;
+    this.probes = 0;
+    this.probeSuccesses = 0;
+  }
+
+  /**
+   * Failures and requests recorded in the current window
+   *
+   * @returns {Object} `{ failures, requests, failureRate }`
+   */
+  getStats() {
+    const since = Date.now() - this.windowMs;
+    this.outcomes = this.outcomes.filter(outcome => outcome.time > since);
+    const failures = this.outcomes.filter(outcome => outcome.failed).length;
+    const requests = this.outcomes.length;
+    return { failures, requests, failureRate: requests > 0 ? failures / requests : 0 };
+  }
+
+  /**
+   * Run `fn` unless the circuit is open
+   *
+   * @param {Function} fn - Starts the request, returns a promise
+   * @returns {Promise<any>} Result of `fn`
+   * @throws {CircuitOpenError} When the circuit is open, or half-open with every probe in flight
+   */
+  async execute(fn) {
+    this.acquire();
+    const probe = this.state === 'half-open';
+
+    try {
+      const result = await fn();
+      this.record(false, probe);
+      return result;
+    } catch (error) {
+      if (error instanceof AbortError) {
+        if (probe) {
+          this.probes--;
+        }
+      } else {
+        this.record(this.failureOn.some(ErrorClass => error instanceof ErrorClass), probe);
+      }
+      throw error;
+    }
+  }
+
+  /**
+   * Let a request through or throw
+   *
+   * @throws {CircuitOpenError} When the request must fail fast
+   * @private
+   */
+  acquire() {
+    if (this.state === 'open') {
+      const remaining = this.openedAt + this.resetTimeout - Date.now();
+      if (remaining > 0) {
+        throw new CircuitOpenError(
+          `Circuit open after repeated failures; retry in ${Math.ceil(remaining / 1000)}s`,
+          Math.ceil(remaining / 1000)
+        );
+      }
+      this.transition('half-open');
+    }
+
+    if (this.state === 'half-open') {
+      if (this.probes >= this.halfOpenRequests) {
+        throw new CircuitOpenError('Circuit half-open; waiting for probe requests to finish', 0);
+      }
+      this.probes++;
+    }
+  }
+
+  /**
+   * Record the outcome of a request and change state when needed
+   *
+   * @param {boolean} failed - Whether the request failed
+   * @param {boolean} probe - Whether it was a half-open probe
+   * @private
+   */
+  record(failed, probe) {
+    if (probe && this.state === 'half-open') {
+      if (failed) {
+        this.transition('open');
+      } else if (++this.probeSuccesses >= this.halfOpenRequests) {
+        this.transition('closed');
+      }
+      return;
+    }
+    if (this.state !== 'closed') {
+      return;
+    }
+
+    this.outcomes.push({ time: Date.now(), failed });
+    const { requests, failureRate } = this.getStats();
+    if (failed && requests >= this.minimumRequests && failureRate >= this.failureThreshold) {
+      this.transition('open');
+    }
+  }
+
+  /**
+   * Move to a new state and notify `onStateChange`
+   *
+   * @param {string} to - New state
+   * @private
+   */
+  transition(to) {
+    const from = this.state;
+    const stats = this.getStats();
+    this.state = to;
+    this.probes = 0;
+    this.probeSuccesses = 0;
+    if (to === 'open') {
+      this.openedAt = Date.now();
+    }
+    if (to === 'closed') {
+      this.outcomes = [];
+    }
+
+    if (this.onStateChange) {
+      try {
+        this.onStateChange({ from, to, ...stats });
+      } catch {
+        // A failing listener must not fail the request that changed the state
+      }
+    }
+  }
+
+  /**
+   * Close the circuit and forget recorded outcomes
+   */
+  reset() {
+    if (this.state !== 'closed') {
+      this.transition('closed');
+    }
+    this.outcomes = [];
+  }
+}
+
+/**
+ * Create middleware running every request attempt through a circuit breaker
+ *
+ * @param {CircuitBreaker} breaker - The circuit breaker
+ * @returns {Middleware} Circuit breaker middleware
+ */
+export function circuitBreakerMiddleware(breaker) {
+  return (req, next) => breaker.execute(() => next(req));
+}
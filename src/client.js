@@ -1,11 +1,30 @@
-import axios from 'axios';
-import { createError, TimeoutError, NetworkError } from './errors.js';
+import { compose } from './middleware.js';
+import { normalizeRetryConfig, retryMiddleware } from './retry.js';
+import { Session, sessionMiddleware } from './session.js';
+import { HttpCache, cacheMiddleware } from './cache.js';
+import { RequestDeduper, dedupeMiddleware } from './dedupe.js';
+import { RateLimiter, rateLimitMiddleware } from './rate-limiter.js';
+import { CircuitBreaker, circuitBreakerMiddleware } from './circuit-breaker.js';
+import { idempotencyMiddleware } from './idempotency.js';
+import { loggingMiddleware } from './logging.js';
+import { telemetryMiddleware } from './telemetry.js';
+import { createTransport, RecordingTransport } from './transports/index.js';
+import { CarespaceError } from './errors.js';
+import { resolveConfig, getDevHostWarning } from './config.js';
+import { caseConversionMiddleware } from './case-conversion.js';
+import { getRequestId, toPlainHeaders } from './headers.js';
+
+/**
+ * @typedef {import('./middleware.js').Middleware} Middleware
+ * @typedef {import('./transports/index.js').Transport} Transport
+ */
 
 /**
  * HTTP client for Carespace API
  *
  * Provides a simplified interface for making HTTP requests to the Carespace API
- * with automatic error handling, authentication, and request/response interceptors.
+ * with automatic error handling, authentication, and a middleware pipeline. Requests
+ * are sent by a pluggable transport: axios by default, or the native `fetch` API.
  *
  * @example
  * ```javascript
@@ -23,60 +42,140 @@ export class CarespaceClient {
    * Create a new CarespaceClient instance
    *
    * @param {Object} config - Configuration options
-   * @param {string} [config.baseURL='https://api-dev.carespace.ai'] - Base URL for the API
+   * @param {string} [config.environment] - `'production'`, `'staging'`, `'development'` or
+   *   `'custom'`; defaults to `'custom'` when a `baseURL` is given and `'development'` otherwise
+   * @param {string} [config.baseURL='https://api-dev.carespace.ai'] - Base URL for the API,
+   *   required for the `'custom'` environment
    * @param {string} [config.apiKey] - API key for authentication
    * @param {number} [config.timeout=30000] - Request timeout in milliseconds
    * @param {Object} [config.headers={}] - Additional headers to include with requests
+   * @param {boolean|number|Object} [config.retry] - Retry configuration, `false` to disable
+   * @param {number} [config.retry.maxAttempts=3] - Maximum attempts including the first one
+   * @param {number} [config.retry.baseDelay=500] - Initial backoff delay in milliseconds
+   * @param {number} [config.retry.maxDelay=30000] - Upper bound for a single backoff delay
+   * @param {boolean} [config.retry.jitter=true] - Randomize backoff delays
+   * @param {Function[]} [config.retry.retryOn] - Error classes that are retried
+   * @param {string[]} [config.retry.methods] - HTTP methods retried without a per-call override
+   * @param {Function} [config.retry.onRetry] - Called with `(error, attempt, delay)` before each retry
+   * @param {boolean|Object} [config.session] - Enable session mode: store tokens from `auth.login`
+   *   and refresh them automatically
+   * @param {number} [config.session.refreshMargin=60000] - Refresh this many milliseconds before
+   *   the access token expires
+   * @param {TokenStore} [config.tokenStore] - Persist session tokens; enables session mode
+   * @param {boolean|Object} [config.cache] - Enable the conditional GET cache
+   * @param {Object} [config.cache.store] - Cache store, defaults to an in-memory LRU store
+   * @param {number} [config.cache.maxEntries=500] - Size of the default LRU store
+   * @param {number} [config.cache.defaultMaxAge=0] - Freshness in seconds without `Cache-Control: max-age`
+   * @param {boolean} [config.dedupe=true] - Share identical concurrent GET requests
+   * @param {Object} [config.rateLimit] - Enable client-side rate limiting
+   * @param {number} [config.rateLimit.requestsPerSecond] - Sustained request rate
+   * @param {number} [config.rateLimit.burst] - Requests allowed in a burst
+   * @param {number} [config.rateLimit.maxConcurrent] - Requests allowed in flight at once
+   * @param {boolean|Object} [config.circuitBreaker=false] - Fail fast with `CircuitOpenError` while
+   *   the API keeps failing, see {@link CircuitBreaker} for the options
+   * @param {number} [config.circuitBreaker.failureThreshold=0.5] - Failure rate opening the circuit
+   * @param {number} [config.circuitBreaker.minimumRequests=10] - Requests before the rate is checked
+   * @param {number} [config.circuitBreaker.resetTimeout=30000] - Milliseconds before probing again
+   * @param {Function} [config.circuitBreaker.onStateChange] - Called on every state change
+   * @param {string|Transport|Function} [config.transport='axios'] - `'axios'`, `'fetch'`, a
+   *   transport instance, or a factory called with `{ baseURL, timeout, headers }`
+   * @param {Function} [config.fetch] - fetch implementation for the fetch transport
+   * @param {boolean|Object} [config.idempotency=true] - Send an `Idempotency-Key` with POST
+   *   requests, `false` to disable
+   * @param {string} [config.idempotency.header='Idempotency-Key'] - Header name
+   * @param {string[]} [config.idempotency.methods=['post']] - HTTP methods receiving a key
+   * @param {Function} [config.idempotency.generate] - Returns a new key
+   * @param {Object} [config.logger] - Logger with `debug`, `info`, `warn` and `error` methods,
+   *   e.g. `console`; enables request logging
+   * @param {string} [config.logLevel='info'] - Minimum level logged: `'debug'`, `'info'`,
+   *   `'warn'`, `'error'` or `'silent'`; setting it without a logger logs to `console`
+   * @param {string[]} [config.logRedactFields] - Patient fields redacted in logs, defaults to
+   *   common identifying fields such as `name`, `email` and `dateOfBirth`
+   * @param {Object} [config.hooks] - Metrics hooks called for every request attempt, see
+   *   {@link telemetryMiddleware}
+   * @param {Function} [config.hooks.onRequestStart] - Called before each attempt
+   * @param {Function} [config.hooks.onRequestEnd] - Called with status and duration after success
+   * @param {Function} [config.hooks.onRequestError] - Called with the error class after failure
+   * @param {boolean|Object} [config.tracing=false] - Send W3C `traceparent` headers
+   * @param {Function} [config.tracing.getTraceparent] - Returns the `traceparent` of the active trace
+   * @param {Object} [config.recording] - Record requests to a cassette file or replay them
+   * @param {string} config.recording.cassette - Path of the cassette file
+   * @param {string} [config.recording.mode='replay'] - `'record'`, `'replay'` or `'auto'`
+   * @param {string[]} [config.recording.redactHeaders] - Extra headers to redact in the cassette
+   * @param {string[]} [config.recording.redactFields] - Extra body and query fields to redact
+   * @param {boolean|string} [config.validation=true] - Validate create payloads before sending:
+   *   `true` to check required fields, `'strict'` to check the whole schema and reject unknown
+   *   fields, or `false`
+   * @param {boolean} [config.models=false] - Return `Client`, `Program`, `Exercise` and `User`
+   *   model instances instead of plain objects from the resource APIs
+   * @param {boolean} [config.caseConversion=false] - Send snake_case body and query keys and
+   *   return camelCase response keys
+   * @param {boolean|Object} [config.reviveDates=false] - Turn ISO date strings in responses into Dates
+   * @param {string[]} [config.reviveDates.exclude] - Response keys whose values stay strings
+   * @throws {TypeError} When an option is invalid, see {@link resolveConfig}
    */
   constructor(config = {}) {
-    this.baseURL = config.baseURL || 'https://api-dev.carespace.ai';
+    const { environment, baseURL } = resolveConfig(config);
+    this.environment = environment;
+    this.baseURL = baseURL;
     this.apiKey = config.apiKey;
     this.timeout = config.timeout || 30000;
+    this.validation = config.validation ?? true;
+    this.models = config.models === true;
+    this.retry = normalizeRetryConfig(config.retry);
+    this.session = config.session || config.tokenStore
+      ? this.createSession(config.session, config.tokenStore)
+      : null;
+    this.cache = config.cache
+      ? new HttpCache(typeof config.cache === 'object' ? config.cache : {})
+      : null;
+    this.deduper = config.dedupe === false ? null : new RequestDeduper();
+    this.rateLimiter = config.rateLimit ? new RateLimiter(config.rateLimit) : null;
+    this.circuitBreaker = config.circuitBreaker
+      ? new CircuitBreaker(typeof config.circuitBreaker === 'object' ? config.circuitBreaker : {})
+      : null;
+    this.middleware = [];
 
-    // Create axios instance with default configuration
-    this.client = axios.create({
+    const getToken = () => this.getAccessToken();
+    this.builtinMiddleware = [
+      (config.caseConversion || config.reviveDates) && caseConversionMiddleware({
+        caseConversion: config.caseConversion,
+        reviveDates: config.reviveDates
+      }),
+      config.idempotency !== false &&
+        idempotencyMiddleware(typeof config.idempotency === 'object' ? config.idempotency : {}),
+      this.deduper && dedupeMiddleware(this.deduper, getToken),
+      this.session && sessionMiddleware(this.session),
+      this.cache && cacheMiddleware(this.cache, getToken),
+      retryMiddleware(this.retry),
+      this.circuitBreaker && circuitBreakerMiddleware(this.circuitBreaker),
+      this.rateLimiter && rateLimitMiddleware(this.rateLimiter),
+      (config.hooks || config.tracing) && telemetryMiddleware({
+        hooks: config.hooks,
+        tracing: config.tracing
+      }),
+      (config.logger || config.logLevel) && loggingMiddleware({
+        logger: config.logger || console,
+        level: config.logLevel,
+        redactFields: config.logRedactFields
+      })
+    ].filter(Boolean);
+
+    const transport = createTransport({
+      transport: config.transport,
       baseURL: this.baseURL,
       timeout: this.timeout,
-      headers: {
-        'Content-Type': 'application/json',
-        ...config.headers
-      }
+      headers: config.headers,
+      fetch: config.fetch
     });
+    this.transport = config.recording
+      ? new RecordingTransport(transport, config.recording)
+      : transport;
 
-    // Setup request interceptor for authentication
-    this.client.interceptors.request.use(
-      (config) => {
-        if (this.apiKey) {
-          config.headers.Authorization = `Bearer ${this.apiKey}`;
-        }
-        return config;
-      },
-      (error) => {
-        return Promise.reject(error);
-      }
-    );
-
-    // Setup response interceptor for error handling
-    this.client.interceptors.response.use(
-      (response) => response,
-      (error) => {
-        if (error.response) {
-          // Server responded with error status
-          const { status, data } = error.response;
-          const errorMessage = data?.message || data?.error || `HTTP ${status}: ${error.response.statusText}`;
-          throw createError(status, errorMessage, error.response);
-        } else if (error.request) {
-          // Request was made but no response received
-          if (error.code === 'ECONNABORTED') {
-            throw new TimeoutError('Request timeout');
-          }
-          throw new NetworkError('Network error - no response received');
-        } else {
-          // Something happened in setting up the request
-          throw new NetworkError(`Request setup error: ${error.message}`);
-        }
-      }
-    );
+    const warning = getDevHostWarning(this.baseURL);
+    if (warning) {
+      (config.logger || console).warn(warning);
+    }
   }
 
   /**
@@ -88,17 +187,221 @@ export class CarespaceClient {
     this.apiKey = apiKey;
   }
 
+  /**
+   * Get the number of requests waiting for the rate limiter
+   *
+   * @returns {number} Queue depth, 0 when rate limiting is disabled
+   */
+  getQueueDepth() {
+    return this.rateLimiter ? this.rateLimiter.queueDepth : 0;
+  }
+
+  /**
+   * Get the state of the circuit breaker
+   *
+   * @returns {string} `'closed'`, `'open'` or `'half-open'`; always `'closed'` when the
+   *   circuit breaker is disabled
+   */
+  getCircuitState() {
+    return this.circuitBreaker ? this.circuitBreaker.state : 'closed';
+  }
+
+  /**
+   * Get the token sent in the Authorization header
+   *
+   * @returns {string|undefined} The session access token, falling back to the API key
+   */
+  getAccessToken() {
+    return this.session?.accessToken || this.apiKey;
+  }
+
+  /**
+   * Create the session used in session mode
+   *
+   * @param {boolean|Object} [options] - Session options
+   * @param {TokenStore} [store] - Token store persisting the session
+   * @returns {Session} The session instance
+   * @private
+   */
+  createSession(options, store) {
+    return new Session({
+      ...(typeof options === 'object' ? options : {}),
+      store,
+      refresh: (refreshToken) => this.post(
+        '/auth/refresh',
+        { refresh_token: refreshToken },
+        { skipAuthRefresh: true, priority: 'high' }
+      )
+    });
+  }
+
+  /**
+   * Register a middleware
+   *
+   * Middleware are async `(req, next) => res` functions, see {@link compose}. They
+   * run in registration order, outside the built-in middleware (case conversion,
+   * idempotency keys, deduplication, session refresh, cache, retry, circuit breaker,
+   * rate limiting, telemetry and logging), so they see each logical request once and
+   * receive SDK errors.
+   *
+   * @param {Middleware} middleware - The middleware to add
+   * @returns {CarespaceClient} This client, for chaining
+   *
+   * @example
+   * client.use(async (req, next) => {
+   *   req.headers['X-Request-Source'] = 'dashboard';
+   *   const res = await next(req);
+   *   console.log(req.method, req.url, res.status);
+   *   return res;
+   * });
+   */
+  use(middleware) {
+    if (typeof middleware !== 'function') {
+      throw new TypeError('Middleware must be a function');
+    }
+    this.middleware.push(middleware);
+    return this;
+  }
+
+  /**
+   * Make a request through the middleware pipeline
+   *
+   * Concurrent GETs with the same URL, query, headers and credentials share one
+   * network call and its result or error. Requests carrying an AbortSignal are
+   * never shared, since aborting one caller would abort the others.
+   *
+   * In session mode the access token is refreshed before it expires, and a request
+   * failing with an `AuthenticationError` is replayed once after a refresh.
+   *
+   * With the HTTP cache enabled, GET responses are served from the cache or
+   * revalidated, and successful mutations invalidate the cached resource.
+   *
+   * Idempotent methods are retried according to the client retry configuration.
+   * Pass `options.retry` to override it for a single call, e.g. `{ retry: false }`
+   * to disable retries or `{ retry: true }` to retry a POST.
+   *
+   * POST requests carry an `Idempotency-Key` header that stays the same across
+   * retries and session replays of the call.
+   *
+   * @param {string} method - HTTP method
+   * @param {string} url - The URL to request
+   * @param {any} [data] - The data to send in the request body
+   * @param {Object} [options={}] - Request options, available to middleware as `req.options`
+   * @param {AbortSignal} [options.signal] - Signal to cancel the request, including retry delays
+   * @param {number} [options.timeout] - Timeout for this request in milliseconds
+   * @param {Object} [options.headers] - Extra headers for this request
+   * @param {boolean|number|Object} [options.retry] - Per-call retry override
+   * @param {boolean} [options.skipAuthRefresh=false] - Bypass session refresh handling
+   * @param {boolean} [options.skipAuthReplay=false] - Refresh an expiring session token first, but
+   *   do not refresh and replay the request after a 401
+   * @param {boolean} [options.cache] - Set to `false` to bypass the HTTP cache
+   * @param {boolean} [options.dedupe] - Set to `false` to always send a separate request
+   * @param {string} [options.priority] - `'high'` skips the rate limiter queue
+   * @param {string|boolean} [options.idempotencyKey] - Idempotency key for this call, `false` for none
+   * @param {string} [options.route] - Route template reported to metrics hooks, e.g. `/clients/{id}`
+   * @param {string} [options.traceparent] - `traceparent` of the trace this call belongs to
+   * @param {boolean} [options.caseConversion] - Set to `false` to skip key conversion and date revival
+   * @param {boolean} [options.raw=false] - Make `get`, `post`, `put`, `patch` and `delete` return
+   *   `{ data, status, headers, requestId, durationMs }` instead of the data
+   * @returns {Promise<Object>} The response with `data`, `status` and `headers`
+   * @throws {CarespaceError} When the request fails, with `method` and `url` set
+   */
+  async request(method, url, data, options = {}) {
+    const { headers, signal, timeout, ...rest } = options;
+    const req = {
+      method,
+      url,
+      data,
+      headers: { ...headers },
+      signal,
+      timeout,
+      options: rest,
+      context: {}
+    };
+
+    const run = compose(
+      [...this.middleware, ...this.builtinMiddleware],
+      (finalReq) => this.dispatch(finalReq)
+    );
+
+    try {
+      return await run(req);
+    } catch (error) {
+      // Errors of nested requests, such as a session refresh, keep their own request
+      if (error instanceof CarespaceError && error.method === null) {
+        error.method = method.toUpperCase();
+        error.url = url;
+      }
+      throw error;
+    }
+  }
+
+  /**
+   * Send a request with the transport
+   *
+   * The Authorization header is added here, so every attempt carries the current
+   * access token.
+   *
+   * @param {Object} req - Middleware request object
+   * @returns {Promise<Object>} The transport response
+   * @private
+   */
+  dispatch(req) {
+    const token = this.getAccessToken();
+    const headers = token
+      ? { Authorization: `Bearer ${token}`, ...req.headers }
+      : req.headers;
+
+    return this.transport.request({
+      method: req.method,
+      url: req.url,
+      data: req.data,
+      headers,
+      signal: req.signal,
+      timeout: req.timeout,
+      allowNotModified: req.allowNotModified
+    });
+  }
+
+  /**
+   * Send a request and unwrap the response
+   *
+   * @param {string} method - HTTP method
+   * @param {string} url - The URL to request
+   * @param {any} data - The data to send in the request body
+   * @param {Object} options - Request options, see `request`
+   * @param {boolean} [options.raw=false] - Return the raw response instead of its data
+   * @returns {Promise<any>} The response data, or `{ data, status, headers, requestId, durationMs }`
+   *   when `raw` is set
+   * @private
+   */
+  async send(method, url, data, options) {
+    const started = Date.now();
+    const response = await this.request(method, url, data, options);
+    if (!options.raw) {
+      return response.data;
+    }
+
+    const headers = toPlainHeaders(response.headers);
+    return {
+      data: response.data,
+      status: response.status,
+      headers,
+      requestId: getRequestId(headers) ?? null,
+      durationMs: Date.now() - started
+    };
+  }
+
   /**
    * Make a GET request
    *
    * @param {string} url - The URL to request
-   * @param {Object} [options={}] - Additional axios options
-   * @returns {Promise<any>} The response data
+   * @param {Object} [options={}] - Request options, see `request`
+   * @returns {Promise<any>} The response data, or the raw response with `raw: true`
    * @throws {CarespaceError} When the request fails
    */
   async get(url, options = {}) {
-    const response = await this.client.get(url, options);
-    return response.data;
+    return this.send('get', url, undefined, options);
   }
 
   /**
@@ -106,13 +409,12 @@ export class CarespaceClient {
    *
    * @param {string} url - The URL to request
    * @param {any} data - The data to send in the request body
-   * @param {Object} [options={}] - Additional axios options
-   * @returns {Promise<any>} The response data
+   * @param {Object} [options={}] - Request options, see `request`
+   * @returns {Promise<any>} The response data, or the raw response with `raw: true`
    * @throws {CarespaceError} When the request fails
    */
   async post(url, data, options = {}) {
-    const response = await this.client.post(url, data, options);
-    return response.data;
+    return this.send('post', url, data, options);
   }
 
   /**
@@ -120,13 +422,12 @@ export class CarespaceClient {
    *
    * @param {string} url - The URL to request
    * @param {any} data - The data to send in the request body
-   * @param {Object} [options={}] - Additional axios options
-   * @returns {Promise<any>} The response data
+   * @param {Object} [options={}] - Request options, see `request`
+   * @returns {Promise<any>} The response data, or the raw response with `raw: true`
    * @throws {CarespaceError} When the request fails
    */
   async put(url, data, options = {}) {
-    const response = await this.client.put(url, data, options);
-    return response.data;
+    return this.send('put', url, data, options);
   }
 
   /**
@@ -134,25 +435,23 @@ export class CarespaceClient {
    *
    * @param {string} url - The URL to request
    * @param {any} data - The data to send in the request body
-   * @param {Object} [options={}] - Additional axios options
-   * @returns {Promise<any>} The response data
+   * @param {Object} [options={}] - Request options, see `request`
+   * @returns {Promise<any>} The response data, or the raw response with `raw: true`
    * @throws {CarespaceError} When the request fails
    */
   async patch(url, data, options = {}) {
-    const response = await this.client.patch(url, data, options);
-    return response.data;
+    return this.send('patch', url, data, options);
   }
 
   /**
    * Make a DELETE request
    *
    * @param {string} url - The URL to request
-   * @param {Object} [options={}] - Additional axios options
-   * @returns {Promise<any>} The response data
+   * @param {Object} [options={}] - Request options, see `request`
+   * @returns {Promise<any>} The response data, or the raw response with `raw: true`
    * @throws {CarespaceError} When the request fails
    */
   async delete(url, options = {}) {
-    const response = await this.client.delete(url, options);
-    return response.data;
+    return this.send('delete', url, undefined, options);
   }
 }
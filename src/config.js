@@ -0,0 +1,206 @@
+import { VALIDATION_MODES } from './validation.js';
+import { LOG_LEVELS } from './logging.js';
+
+/**
+ * Base URLs of the named Carespace environments
+ *
+ * Use `environment: 'custom'` with a `baseURL` for anything else, such as a local
+ * server or a proxy.
+ */
+export const ENVIRONMENTS = {
+  production: 'https://api.carespace.ai',
+  staging: 'https://api-staging.carespace.ai',
+  development: 'https://api-dev.carespace.ai'
+};
+
+/**
+ * Environment used when neither `environment` nor `baseURL` is configured
+ */
+export const DEFAULT_ENVIRONMENT = 'development';
+
+const ENVIRONMENT_NAMES = [...Object.keys(ENVIRONMENTS), 'custom'];
+
+const isPlainObject = (value) => value !== null && typeof value === 'object' && !Array.isArray(value);
+
+/**
+ * Resolve and validate the environment, base URL and basic client options
+ *
+ * A `baseURL` without an `environment` selects the `custom` environment, so
+ * existing configurations keep working. Without either, the development API is
+ * used.
+ *
+ * @param {Object} [config={}] - Client configuration
+ * @returns {Object} `{ environment, baseURL }`
+ * @throws {TypeError} When an option has the wrong type or value, naming the option
+ *
+ * @example
+ * resolveConfig({ environment: 'staging' })
+ * // returns { environment: 'staging', baseURL: 'https://api-staging.carespace.ai' }
+ */
+export function resolveConfig(config = {}) {
+  const {
+    environment,
+    baseURL,
+    apiKey,
+    timeout,
+    headers,
+    logLevel,
+    validation,
+    models,
+    caseConversion,
+    reviveDates
+  } = config;
+
+  if (environment !== undefined && !ENVIRONMENT_NAMES.includes(environment)) {
+    throw new TypeError(`environment must be one of ${ENVIRONMENT_NAMES.join(', ')}, got ${environment}`);
+  }
+  if (baseURL !== undefined) {
+    let url;
+    try {
+      url = new URL(baseURL);
+    } catch {
+      url = null;
+    }
+    if (!url || !['http:', 'https:'].includes(url.protocol)) {
+      throw new TypeError(`baseURL must be an absolute http(s) URL, got ${baseURL}`);
+    }
+  }
+  if (environment === 'custom' && baseURL === undefined) {
+    throw new TypeError('environment \'custom\' requires a baseURL');
+  }
+  if (environment && environment !== 'custom' && baseURL !== undefined &&
+    baseURL.replace(/\/+$/, '') !== ENVIRONMENTS[environment]) {
+    throw new TypeError(
+      `baseURL ${baseURL} does not match environment '${environment}' (${ENVIRONMENTS[environment]}); ` +
+      'use environment \'custom\' for other URLs'
+    );
+  }
+  if (apiKey !== undefined && apiKey !== null && (typeof apiKey !== 'string' || apiKey.trim() === '')) {
+    throw new TypeError('apiKey must be a non-empty string');
+  }
+  if (timeout !== undefined && !(typeof timeout === 'number' && timeout > 0 && Number.isFinite(timeout))) {
+    throw new TypeError(`timeout must be a positive number of milliseconds, got ${timeout}`);
+  }
+  if (headers !== undefined && !isPlainObject(headers)) {
+    throw new TypeError('headers must be an object of header names and values');
+  }
+  if (logLevel !== undefined && !LOG_LEVELS.includes(logLevel)) {
+    throw new TypeError(`logLevel must be one of ${LOG_LEVELS.join(', ')}, got ${logLevel}`);
+  }
+  if (validation !== undefined && !VALIDATION_MODES.includes(validation)) {
+    throw new TypeError(`validation must be true, false or 'strict', got ${validation}`);
+  }
+  if (models !== undefined && typeof models !== 'boolean') {
+    throw new TypeError(`models must be a boolean, got ${models}`);
+  }
+  if (caseConversion !== undefined && typeof caseConversion !== 'boolean') {
+    throw new TypeError(`caseConversion must be a boolean, got ${caseConversion}`);
+  }
+  if (reviveDates !== undefined && typeof reviveDates !== 'boolean' &&
+    !(isPlainObject(reviveDates) && (reviveDates.exclude === undefined || Array.isArray(reviveDates.exclude)))) {
+    throw new TypeError('reviveDates must be a boolean or { exclude: string[] }');
+  }
+
+  if (baseURL !== undefined) {
+    return { environment: environment || 'custom', baseURL };
+  }
+  const name = environment || DEFAULT_ENVIRONMENT;
+  return { environment: name, baseURL: ENVIRONMENTS[name] };
+}
+
+/**
+ * Check whether production code is about to call the development API
+ *
+ * @param {string} baseURL - Resolved base URL
+ * @param {Object} [env] - Environment variables, defaults to `process.env` where available
+ * @returns {string|null} Warning message, or null when there is nothing to warn about
+ */
+export function getDevHostWarning(baseURL, env = globalThis.process?.env) {
+  if (env?.NODE_ENV !== 'production') {
+    return null;
+  }
+  if (new URL(baseURL).host !== new URL(ENVIRONMENTS.development).host) {
+    return null;
+  }
+  return `Carespace SDK: NODE_ENV is production but requests go to the development API (${baseURL}). ` +
+    'Set environment: \'production\' (CARESPACE_ENVIRONMENT=production) to use the production API.';
+}
+
+/**
+ * Read a number from an environment variable
+ *
+ * @param {Object} env - Environment variables
+ * @param {string} name - Variable name
+ * @returns {number|undefined} The value, or undefined when unset
+ * @throws {TypeError} When the variable is set but not a positive number
+ * @private
+ */
+function readNumber(env, name) {
+  const value = env[name];
+  if (value === undefined || value === '') {
+    return undefined;
+  }
+  const number = Number(value);
+  if (!(number > 0 && Number.isFinite(number))) {
+    throw new TypeError(`${name} must be a positive number, got '${value}'`);
+  }
+  return number;
+}
+
+/**
+ * Build a client configuration from `CARESPACE_*` environment variables
+ *
+ * | Variable | Option |
+ * |----------|--------|
+ * | `CARESPACE_API_KEY` | `apiKey` |
+ * | `CARESPACE_ENVIRONMENT` | `environment` |
+ * | `CARESPACE_BASE_URL` | `baseURL` |
+ * | `CARESPACE_TIMEOUT` | `timeout` in milliseconds |
+ * | `CARESPACE_RETRY_MAX_ATTEMPTS` | `retry.maxAttempts`, `1` disables retries |
+ * | `CARESPACE_LOG_LEVEL` | `logLevel` |
+ *
+ * Unset and empty variables are left out.
+ *
+ * @param {Object} [env=process.env] - Environment variables
+ * @returns {Object} Client configuration
+ * @throws {TypeError} When a variable is invalid, naming the variable
+ */
+export function configFromEnv(env = globalThis.process?.env || {}) {
+  const config = {};
+  if (env.CARESPACE_API_KEY) {
+    config.apiKey = env.CARESPACE_API_KEY;
+  }
+  if (env.CARESPACE_ENVIRONMENT) {
+    if (!ENVIRONMENT_NAMES.includes(env.CARESPACE_ENVIRONMENT)) {
+      throw new TypeError(
+        `CARESPACE_ENVIRONMENT must be one of ${ENVIRONMENT_NAMES.join(', ')}, got '${env.CARESPACE_ENVIRONMENT}'`
+      );
+    }
+    config.environment = env.CARESPACE_ENVIRONMENT;
+  }
+  if (env.CARESPACE_BASE_URL) {
+    config.baseURL = env.CARESPACE_BASE_URL;
+  }
+
+  const timeout = readNumber(env, 'CARESPACE_TIMEOUT');
+  if (timeout !== undefined) {
+    config.timeout = timeout;
+  }
+  const maxAttempts = readNumber(env, 'CARESPACE_RETRY_MAX_ATTEMPTS');
+  if (maxAttempts !== undefined) {
+    if (!Number.isInteger(maxAttempts)) {
+      throw new TypeError(`CARESPACE_RETRY_MAX_ATTEMPTS must be a whole number, got '${maxAttempts}'`);
+    }
+    config.retry = { maxAttempts };
+  }
+  if (env.CARESPACE_LOG_LEVEL) {
+    if (!LOG_LEVELS.includes(env.CARESPACE_LOG_LEVEL)) {
+      throw new TypeError(
+        `CARESPACE_LOG_LEVEL must be one of ${LOG_LEVELS.join(', ')}, got '${env.CARESPACE_LOG_LEVEL}'`
+      );
+    }
+    config.logLevel = env.CARESPACE_LOG_LEVEL;
+  }
+
+  return config;
+}
@@ -0,0 +1,200 @@
+/**
+ * Crypto primitives
+ *
+ * Use the Web Crypto API in browsers and Node.js 15+, and the Node.js `crypto`
+ * module on Node.js 14, which has no `webcrypto`. Both produce the same output,
+ * so tokens encrypted by one can be decrypted by the other.
+ */
+
+const AES_KEY_BYTES = 32;
+const GCM_TAG_BYTES = 16;
+
+// Node.js 14 to 18 have no global `crypto` in ES modules. The module is loaded
+// up front so the synchronous random helpers can use it.
+const nodeCrypto = typeof globalThis.crypto?.getRandomValues === 'function'
+  ? undefined
+  : await import('crypto').catch(() => undefined);
+
+/**
+ * Format bytes as lowercase hex
+ *
+ * @param {Uint8Array} bytes - Bytes
+ * @returns {string} Hex string
+ * @private
+ */
+function toHex(bytes) {
+  return Array.from(bytes, byte => byte.toString(16).padStart(2, '0')).join('');
+}
+
+/**
+ * Get the Web Crypto API
+ *
+ * Uses `globalThis.crypto` in browsers and recent Node.js versions, and the
+ * `crypto` module's `webcrypto` otherwise.
+ *
+ * @returns {Promise<Crypto|undefined>} Web Crypto implementation, undefined on Node.js 14
+ */
+export async function getCrypto() {
+  if (globalThis.crypto?.subtle) {
+    return globalThis.crypto;
+  }
+  const { webcrypto } = await getNodeCrypto();
+  return webcrypto?.subtle ? webcrypto : undefined;
+}
+
+/**
+ * Get the Node.js `crypto` module, for runtimes without Web Crypto
+ *
+ * @returns {Promise<Object>} The module
+ * @throws {Error} When neither Web Crypto nor the `crypto` module is available
+ * @private
+ */
+async function getNodeCrypto() {
+  try {
+    return nodeCrypto || await import('crypto');
+  } catch {
+    throw new Error('No crypto implementation is available in this runtime');
+  }
+}
+
+/**
+ * Compute the SHA-256 digest of some bytes
+ *
+ * @param {Uint8Array|string} data - Bytes, or a string encoded as UTF-8
+ * @returns {Promise<string>} Lower-case hex digest
+ */
+export async function sha256Hex(data) {
+  const bytes = typeof data === 'string' ? new TextEncoder().encode(data) : data;
+  const crypto = await getCrypto();
+  if (!crypto) {
+    const { createHash } = await getNodeCrypto();
+    return createHash('sha256').update(bytes).digest('hex');
+  }
+  return toHex(new Uint8Array(await crypto.subtle.digest('SHA-256', bytes)));
+}
+
+/**
+ * Generate cryptographically random bytes
+ *
+ * Uses `crypto.getRandomValues`, or `randomBytes` of the Node.js `crypto` module.
+ * Only runtimes with neither fall back to `Math.random`.
+ *
+ * @param {number} length - Number of bytes
+ * @returns {Uint8Array} The bytes
+ */
+export function randomBytes(length) {
+  if (typeof globalThis.crypto?.getRandomValues === 'function') {
+    return globalThis.crypto.getRandomValues(new Uint8Array(length));
+  }
+  if (nodeCrypto) {
+    return new Uint8Array(nodeCrypto.randomBytes(length));
+  }
+  return Uint8Array.from({ length }, () => Math.random() * 256 | 0);
+}
+
+/**
+ * Generate random lowercase hex
+ *
+ * @param {number} length - Number of random bytes
+ * @returns {string} Hex string of `length * 2` characters
+ */
+export function randomHex(length) {
+  return toHex(randomBytes(length));
+}
+
+/**
+ * Derive a 256-bit AES-GCM key from a password with PBKDF2-SHA-256
+ *
+ * @param {string} password - Password
+ * @param {Uint8Array} salt - Salt
+ * @param {number} iterations - PBKDF2 iterations
+ * @returns {Promise<CryptoKey|Uint8Array>} Key for {@link aesGcmEncrypt} and {@link aesGcmDecrypt}
+ */
+export async function deriveAesKey(password, salt, iterations) {
+  const crypto = await getCrypto();
+  if (!crypto) {
+    const { pbkdf2 } = await getNodeCrypto();
+    return new Promise((resolve, reject) => {
+      pbkdf2(password, salt, iterations, AES_KEY_BYTES, 'sha256', (error, key) => {
+        if (error) {
+          reject(error);
+        } else {
+          resolve(new Uint8Array(key));
+        }
+      });
+    });
+  }
+  const material = await crypto.subtle.importKey(
+    'raw',
+    new TextEncoder().encode(password),
+    'PBKDF2',
+    false,
+    ['deriveKey']
+  );
+  return crypto.subtle.deriveKey(
+    { name: 'PBKDF2', salt, iterations, hash: 'SHA-256' },
+    material,
+    { name: 'AES-GCM', length: AES_KEY_BYTES * 8 },
+    false,
+    ['encrypt', 'decrypt']
+  );
+}
+
+/**
+ * Encrypt with AES-GCM
+ *
+ * @param {CryptoKey|Uint8Array} key - Key from {@link deriveAesKey}
+ * @param {Uint8Array} iv - 12-byte initialization vector
+ * @param {Uint8Array} plaintext - Data to encrypt
+ * @returns {Promise<Uint8Array>} Ciphertext followed by the 16-byte tag, as Web Crypto returns it
+ */
+export async function aesGcmEncrypt(key, iv, plaintext) {
+  const crypto = await getCrypto();
+  if (!crypto) {
+    const { createCipheriv } = await getNodeCrypto();
+    const cipher = createCipheriv('aes-256-gcm', key, iv);
+    const ciphertext = Buffer.concat([cipher.update(plaintext), cipher.final(), cipher.getAuthTag()]);
+    return new Uint8Array(ciphertext);
+  }
+  return new Uint8Array(await crypto.subtle.encrypt({ name: 'AES-GCM', iv }, key, plaintext));
+}
+
+/**
+ * Decrypt data produced by {@link aesGcmEncrypt}
+ *
+ * @param {CryptoKey|Uint8Array} key - Key from {@link deriveAesKey}
+ * @param {Uint8Array} iv - Initialization vector used to encrypt
+ * @param {Uint8Array} data - Ciphertext followed by the tag
+ * @returns {Promise<Uint8Array>} The plaintext
+ * @throws {Error} When the key is wrong or the data was tampered with
+ */
+export async function aesGcmDecrypt(key, iv, data) {
+  const crypto = await getCrypto();
+  if (!crypto) {
+    const { createDecipheriv } = await getNodeCrypto();
+    const decipher = createDecipheriv('aes-256-gcm', key, iv);
+    decipher.setAuthTag(data.subarray(data.length - GCM_TAG_BYTES));
+    const plaintext = Buffer.concat([decipher.update(data.subarray(0, data.length - GCM_TAG_BYTES)), decipher.final()]);
+    return new Uint8Array(plaintext);
+  }
+  return new Uint8Array(await crypto.subtle.decrypt({ name: 'AES-GCM', iv }, key, data));
+}
+
+/**
+ * Generate a random version 4 UUID
+ *
+ * @returns {string} The UUID, from the same random source as {@link randomBytes}
+ */
+export function randomUUID() {
+  if (typeof globalThis.crypto?.randomUUID === 'function') {
+    return globalThis.crypto.randomUUID();
+  }
+  if (typeof nodeCrypto?.randomUUID === 'function') {
+    return nodeCrypto.randomUUID();
+  }
+  const bytes = randomBytes(16);
+  bytes[6] = (bytes[6] & 0x0f) | 0x40;
+  bytes[8] = (bytes[8] & 0x3f) | 0x80;
+  const hex = toHex(bytes);
+  return `${hex.slice(0, 8)}-${hex.slice(8, 12)}-${hex.slice(12, 16)}-${hex.slice(16, 20)}-${hex.slice(20)}`;
+}
@@ -0,0 +1,89 @@
+/**
+ * @typedef {import('./middleware.js').Middleware} Middleware
+ */
+
+/**
+ * Shares the result of identical concurrent requests
+ *
+ * While a request for a key is in flight, later calls with the same key receive
+ * the same promise instead of starting a new request. The key is released as
+ * soon as the request settles, so results are never reused afterwards.
+ *
+ * @example
+ * ```javascript
+ * const deduper = new RequestDeduper();
+ * const [a, b] = await Promise.all([
+ *   deduper.run('GET /clients/1', () => fetchClient('1')),
+ *   deduper.run('GET /clients/1', () => fetchClient('1')) // No second request
+ * ]);
+ * ```
+ */
+export class RequestDeduper {
+  constructor() {
+    this.inFlight = new Map();
+  }
+
+  /**
+   * Run `fn`, or join the in-flight call with the same key
+   *
+   * @param {string} key - Request identity
+   * @param {Function} fn - Starts the request, returns a promise
+   * @returns {Promise<any>} Result or error shared by every caller with this key
+   */
+  run(key, fn) {
+    if (this.inFlight.has(key)) {
+      return this.inFlight.get(key);
+    }
+
+    const promise = Promise.resolve()
+      .then(fn)
+      .finally(() => this.inFlight.delete(key));
+    this.inFlight.set(key, promise);
+    return promise;
+  }
+
+  /**
+   * Number of distinct requests in flight
+   *
+   * @returns {number} In-flight request count
+   */
+  get size() {
+    return this.inFlight.size;
+  }
+}
+
+// Copy JSON bodies; binary bodies such as Blobs are shared as they are
+function clone(data) {
+  const isJson = Array.isArray(data) || (data !== null && typeof data === 'object' &&
+    [Object.prototype, null].includes(Object.getPrototypeOf(data)));
+  return isJson ? JSON.parse(JSON.stringify(data)) : data;
+}
+
+/**
+ * Create middleware merging identical concurrent GET requests
+ *
+ * Requests are identical when URL, query, headers and access token match. Every
+ * caller receives its own copy of the response data, so changing one result does
+ * not affect the others.
+ * Requests carrying an AbortSignal are never merged, since aborting one caller
+ * would abort the others. Pass `dedupe: false` as a per-call option to opt out.
+ *
+ * @param {RequestDeduper} deduper - Tracks the in-flight requests
+ * @param {Function} [getToken] - Returns the caller's access token
+ * @returns {Middleware} Deduplication middleware
+ */
+export function dedupeMiddleware(deduper, getToken = () => undefined) {
+  return (req, next) => {
+    if (req.method !== 'get' || req.options.dedupe === false || req.signal) {
+      return next(req);
+    }
+
+    // Keys only live in memory for the duration of the request, so the token is used as is
+    const key = [
+      getToken() || 'anonymous',
+      req.url,
+      JSON.stringify(req.headers)
+    ].join(' ');
+    return deduper.run(key, () => next(req)).then(response => ({ ...response, data: clone(response.data) }));
+  };
+}
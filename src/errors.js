@@ -1,5 +1,15 @@
+import { getHeader, getRequestId, parseRetryAfter } from './headers.js';
+import { DEFAULT_SECRET_FIELDS, DEFAULT_PHI_FIELDS, redactTokens, redactUrl } from './redact.js';
+
+const LOG_REDACTED_FIELDS = [...DEFAULT_SECRET_FIELDS, ...DEFAULT_PHI_FIELDS];
+
 /**
  * Base error class for all Carespace API errors
+ *
+ * Besides the status code and response, errors carry the server request id and
+ * the Retry-After delay in seconds when the response has them. The client sets
+ * `method` and `url` (path and query relative to the base URL) for errors thrown
+ * by a request.
  */
 export class CarespaceError extends Error {
   constructor(message, statusCode = null, response = null) {
@@ -7,6 +17,36 @@ export class CarespaceError extends Error {
     this.name = 'CarespaceError';
     this.statusCode = statusCode;
     this.response = response;
+    this.requestId = getRequestId(response?.headers) ?? null;
+    this.method = null;
+    this.url = null;
+
+    const retryAfter = parseRetryAfter(getHeader(response?.headers, 'Retry-After'));
+    this.retryAfter = retryAfter === null ? null : Math.ceil(retryAfter / 1000);
+  }
+
+  /**
+   * Serialize the error for logging
+   *
+   * The response body and headers are left out, bearer tokens are removed from
+   * the message and credential and patient query parameters from the URL.
+   *
+   * @returns {Object} Plain object safe to pass to `JSON.stringify` and loggers
+   */
+  toJSON() {
+    const json = {
+      name: this.name,
+      message: redactTokens(this.message),
+      statusCode: this.statusCode,
+      requestId: this.requestId,
+      method: this.method,
+      url: this.url && redactUrl(this.url, LOG_REDACTED_FIELDS),
+      retryAfter: this.retryAfter
+    };
+    if (this.idempotencyKey) {
+      json.idempotencyKey = this.idempotencyKey;
+    }
+    return json;
   }
 }
 
@@ -42,13 +82,44 @@ export class NotFoundError extends CarespaceError {
 
 /**
  * Validation errors (400, 422)
+ *
+ * `errors` lists the field errors of the response body as `{ field, message, code }`.
  */
 export class ValidationError extends CarespaceError {
-  constructor(message = 'Validation failed', statusCode = 400, response = null, errors = []) {
+  constructor(
+    message = 'Validation failed',
+    statusCode = 400,
+    response = null,
+    errors = parseFieldErrors(response?.data)
+  ) {
     super(message, statusCode, response);
     this.name = 'ValidationError';
     this.errors = errors;
   }
+
+  toJSON() {
+    return { ...super.toJSON(), errors: this.errors };
+  }
+}
+
+/**
+ * Conflict errors (409), e.g. a duplicate email or a stale update
+ */
+export class ConflictError extends CarespaceError {
+  constructor(message = 'Conflict', statusCode = 409, response = null) {
+    super(message, statusCode, response);
+    this.name = 'ConflictError';
+  }
+}
+
+/**
+ * Request body too large errors (413)
+ */
+export class PayloadTooLargeError extends CarespaceError {
+  constructor(message = 'Payload too large', statusCode = 413, response = null) {
+    super(message, statusCode, response);
+    this.name = 'PayloadTooLargeError';
+  }
 }
 
 /**
@@ -91,6 +162,39 @@ export class TimeoutError extends NetworkError {
   }
 }
 
+/**
+ * Request aborted through an AbortSignal
+ */
+export class AbortError extends CarespaceError {
+  constructor(message = 'Request aborted', response = null) {
+    super(message, null, response);
+    this.name = 'AbortError';
+  }
+}
+
+/**
+ * Request refused because the circuit breaker is open
+ *
+ * `retryAfter` holds the seconds until the circuit lets a probe request through.
+ */
+export class CircuitOpenError extends CarespaceError {
+  constructor(message = 'Circuit open', retryAfter = null) {
+    super(message, null, null);
+    this.name = 'CircuitOpenError';
+    this.retryAfter = retryAfter;
+  }
+}
+
+/**
+ * Request not found in the cassette during replay
+ */
+export class ReplayError extends CarespaceError {
+  constructor(message = 'No recorded interaction matches the request', response = null) {
+    super(message, null, response);
+    this.name = 'ReplayError';
+  }
+}
+
 /**
  * Create appropriate error based on status code and response
  */
@@ -102,6 +206,10 @@ export function createError(status, message, response = null) {
     return new AuthorizationError(message, status, response);
   case 404:
     return new NotFoundError(message, status, response);
+  case 409:
+    return new ConflictError(message, status, response);
+  case 413:
+    return new PayloadTooLargeError(message, status, response);
   case 400:
   case 422:
     return new ValidationError(message, status, response);
@@ -116,3 +224,87 @@ export function createError(status, message, response = null) {
     return new CarespaceError(message, status, response);
   }
 }
+
+/**
+ * Normalize one field error entry
+ *
+ * @param {string|Object} item - Field error in one of the shapes of {@link parseFieldErrors}
+ * @returns {Object|null} `{ field, message, code }`, or null for unusable entries
+ * @private
+ */
+function toFieldError(item) {
+  if (typeof item === 'string') {
+    return { field: null, message: item, code: null };
+  }
+  if (!item || typeof item !== 'object') {
+    return null;
+  }
+
+  const path = item.field ?? item.path ?? item.param ?? item.property ?? item.loc ??
+    item.source?.pointer?.split('/').pop() ?? item.source?.parameter;
+  const constraints = item.constraints && typeof item.constraints === 'object'
+    ? Object.keys(item.constraints)
+    : [];
+  const message = item.message ?? item.msg ?? item.detail ?? item.title ??
+    constraints.map(key => item.constraints[key]).join('; ');
+
+  return {
+    field: Array.isArray(path) ? path.filter(part => part !== 'body').join('.') : path ?? null,
+    message: message || null,
+    code: item.code ?? item.type ?? item.rule ?? constraints[0] ?? null
+  };
+}
+
+/**
+ * Parse the field errors of a 400 or 422 response body
+ *
+ * Understands the common shapes:
+ * - `{ errors: [{ field, message, code }] }` and variants using `path`, `param`,
+ *   `property`, `loc` (with `msg` and `type`) or JSON:API `source.pointer`
+ * - `{ errors: { email: ['is invalid'] } }` maps of field to messages
+ * - `{ detail: [...] }`, `{ details: [...] }` and `{ message: ['...'] }` lists
+ *
+ * @param {any} data - Response body
+ * @returns {Object[]} Field errors as `{ field, message, code }`; `field` and `code`
+ *   are null when the body does not say
+ *
+ * @example
+ * parseFieldErrors({ errors: { email: ['is invalid'] } })
+ * // returns [{ field: 'email', message: 'is invalid', code: null }]
+ */
+export function parseFieldErrors(data) {
+  if (!data || typeof data !== 'object') {
+    return [];
+  }
+
+  const source = [data.errors, data.fieldErrors, data.details, data.detail, data.message]
+    .find(value => Array.isArray(value) || (value && typeof value === 'object'));
+  if (Array.isArray(source)) {
+    return source.map(toFieldError).filter(Boolean);
+  }
+  if (!source) {
+    return [];
+  }
+
+  return Object.keys(source).flatMap(field => [].concat(source[field])
+    .map(toFieldError)
+    .filter(Boolean)
+    .map(error => ({ ...error, field })));
+}
+
+/**
+ * Create the error for a non-successful HTTP response
+ *
+ * The message is taken from the `message` or `error` field of the response body,
+ * then the first field error, falling back to the status line.
+ *
+ * @param {Object} response - Response with `status`, `statusText`, `headers` and `data`
+ * @returns {CarespaceError} The error matching the status code
+ */
+export function createResponseError(response) {
+  const { status, data } = response;
+  const text = (value) => (typeof value === 'string' && value) || undefined;
+  const message = text(data?.message) || text(data?.error) ||
+    parseFieldErrors(data)[0]?.message || `HTTP ${status}: ${response.statusText}`;
+  return createError(status, message, response);
+}
@@ -0,0 +1,191 @@
+import { createZip } from './zip.js';
+import { sha256Hex } from './crypto.js';
+import { collect } from './pagination.js';
+
+/**
+ * Formats supported by `clients.exportClient`
+ */
+export const EXPORT_FORMATS = ['json', 'csv', 'zip'];
+
+/**
+ * Related collections included in a client export
+ */
+export const EXPORT_COLLECTIONS = ['programs', 'evaluations', 'reports'];
+
+/**
+ * Version of the ZIP bundle manifest
+ */
+export const EXPORT_MANIFEST_VERSION = 1;
+
+// Page size of collection requests unless the caller sets one. A short page then
+// ends the collection even when the endpoint returns no pagination metadata.
+const DEFAULT_PAGE_SIZE = 100;
+
+const isPlainObject = (value) => value !== null && typeof value === 'object' &&
+  [Object.prototype, null].includes(Object.getPrototypeOf(value));
+
+/**
+ * Flatten nested objects into dotted column names
+ *
+ * Arrays are kept as values and written as JSON by {@link toCsv}.
+ *
+ * @param {Object} record - Record to flatten
+ * @returns {Object} Flat record
+ *
+ * @example
+ * flattenRecord({ id: 'c1', address: { city: 'Boston' } })
+ * // returns { id: 'c1', 'address.city': 'Boston' }
+ */
+export function flattenRecord(record) {
+  const row = {};
+  const walk = (value, prefix) => {
+    Object.keys(value).forEach(key => {
+      const name = prefix ? `${prefix}.${key}` : key;
+      if (isPlainObject(value[key]) && Object.keys(value[key]).length > 0) {
+        walk(value[key], name);
+      } else {
+        row[name] = value[key];
+      }
+    });
+  };
+  walk(record || {}, '');
+  return row;
+}
+
+/**
+ * Format a value as a CSV cell
+ *
+ * Text starting with `=`, `+`, `-`, `@`, a tab or a carriage return gets a
+ * leading `'`, so spreadsheets show it instead of running it as a formula.
+ * Numbers are written as they are.
+ *
+ * @param {any} value - Cell value
+ * @returns {string} Escaped cell
+ * @private
+ */
+function toCell(value) {
+  let text;
+  if (value === null || value === undefined) {
+    text = '';
+  } else if (value instanceof Date) {
+    text = value.toISOString();
+  } else if (typeof value === 'object') {
+    text = JSON.stringify(value);
+  } else {
+    text = String(value);
+  }
+  if (typeof value !== 'number' && /^[=+\-@\t\r]/.test(text)) {
+    text = `'${text}`;
+  }
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+/**
+ * Convert records to CSV
+ *
+ * Nested objects become dotted columns, arrays and other objects are written as
+ * JSON. Cells that a spreadsheet would run as a formula are prefixed with `'`. The columns are the union of all record keys in first-seen order. Rows
+ * end with CRLF as in RFC 4180.
+ *
+ * @param {Object[]} records - Records
+ * @returns {string} CSV with a header row, or an empty string without records
+ */
+export function toCsv(records) {
+  const rows = records.map(flattenRecord);
+  const columns = [];
+  rows.forEach(row => Object.keys(row).forEach(column => {
+    if (!columns.includes(column)) {
+      columns.push(column);
+    }
+  }));
+  if (columns.length === 0) {
+    return '';
+  }
+  const lines = [
+    columns.map(toCell).join(','),
+    ...rows.map(row => columns.map(column => toCell(row[column])).join(','))
+  ];
+  return lines.join('\r\n') + '\r\n';
+}
+
+/**
+ * Fetch a client with all related collections and build an export
+ *
+ * Backs `clients.exportClient`. Collections are fetched page by page until the
+ * last page, in parallel. A page shorter than `pageSize` or a repeat of the
+ * previous page ends a collection, so endpoints that ignore the `page` parameter
+ * are fetched once or twice rather than forever.
+ *
+ * | Format | Result |
+ * |--------|--------|
+ * | `json` | Document `{ exportedAt, client, programs, evaluations, reports }` |
+ * | `csv` | Object of file names (`client.csv`, `programs.csv`, ...) to CSV text |
+ * | `zip` | `Uint8Array` with `client.json`, `csv/*.csv` and `manifest.json` |
+ *
+ * The ZIP manifest records the export start and end times, the number of items
+ * per collection and the size and SHA-256 checksum of every file.
+ *
+ * @param {ClientsAPI} clients - Clients API
+ * @param {string} clientId - Client ID
+ * @param {Object} [options={}] - Export options, other keys are request options for every request
+ * @param {string} [options.format='json'] - `'json'`, `'csv'` or `'zip'`
+ * @param {number} [options.pageSize=100] - Items per page when fetching collections
+ * @returns {Promise<Object|Uint8Array>} The export, see the table above
+ * @throws {TypeError} When the format is not supported
+ * @throws {CarespaceError} When a request fails
+ */
+export async function createClientExport(clients, clientId, options = {}) {
+  const { format = 'json', pageSize = DEFAULT_PAGE_SIZE, ...requestOptions } = options;
+  if (!EXPORT_FORMATS.includes(format)) {
+    throw new TypeError(`format must be one of ${EXPORT_FORMATS.join(', ')}, got ${format}`);
+  }
+  // Exports hold plain data, whatever the client options
+  delete requestOptions.raw;
+  requestOptions.models = false;
+
+  const startedAt = new Date();
+  const listOptions = { ...requestOptions, pageSize };
+  const [client, programs, evaluations, reports] = await Promise.all([
+    clients.getClient(clientId, requestOptions),
+    collect(clients.iterateClientPrograms(clientId, {}, listOptions)),
+    collect(clients.iterateClientEvaluations(clientId, {}, listOptions)),
+    collect(clients.iterateClientReports(clientId, {}, listOptions))
+  ]);
+  const completedAt = new Date();
+
+  const document = { exportedAt: completedAt.toISOString(), client, programs, evaluations, reports };
+  if (format === 'json') {
+    return document;
+  }
+
+  const csv = { 'client.csv': toCsv([client]) };
+  EXPORT_COLLECTIONS.forEach(name => {
+    csv[`${name}.csv`] = toCsv(document[name]);
+  });
+  if (format === 'csv') {
+    return csv;
+  }
+
+  const files = [
+    { name: 'client.json', data: JSON.stringify(document, null, 2) },
+    ...Object.keys(csv).map(name => ({ name: `csv/${name}`, data: csv[name] }))
+  ].map(file => ({ ...file, data: new TextEncoder().encode(file.data), date: completedAt }));
+
+  const manifest = {
+    version: EXPORT_MANIFEST_VERSION,
+    clientId: client?.id ?? clientId,
+    startedAt: startedAt.toISOString(),
+    completedAt: completedAt.toISOString(),
+    counts: Object.fromEntries(EXPORT_COLLECTIONS.map(name => [name, document[name].length])),
+    files: await Promise.all(files.map(async file => ({
+      path: file.name,
+      bytes: file.data.length,
+      sha256: await sha256Hex(file.data)
+    })))
+  };
+
+  return createZip([
+    ...files,
+    { name: 'manifest.json', data: JSON.stringify(manifest, null, 2), date: completedAt }
+  ]);
+}
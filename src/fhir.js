@@ -0,0 +1,569 @@
+import { randomUUID } from './crypto.js';
+import { GENDERS } from './schemas.js';
+
+/**
+ * FHIR R4 mapping
+ *
+ * Converts Carespace resources to FHIR R4 resources and back:
+ *
+ * | Carespace | FHIR R4 |
+ * |-----------|---------|
+ * | Client | `Patient` |
+ * | Program assigned to a client | `CarePlan` |
+ * | Program exercise | `ActivityDefinition`, referenced from `CarePlan.activity` |
+ * | Evaluation | `Observation` |
+ *
+ * Fields without a FHIR counterpart, such as exercise sets and reps, are kept in
+ * extensions under {@link FHIR_SYSTEM}, so a round trip preserves them. Carespace
+ * ids are kept as identifiers with the `${FHIR_SYSTEM}/<kind>` system.
+ */
+
+/**
+ * Base URL of the Carespace identifier systems, extensions and canonical URLs
+ */
+export const FHIR_SYSTEM = 'https://carespace.ai/fhir';
+
+/**
+ * FHIR version produced and accepted
+ */
+export const FHIR_VERSION = '4.0.1';
+
+/**
+ * Bundle types produced by {@link createBundle}
+ */
+export const BUNDLE_TYPES = ['collection', 'transaction'];
+
+const OBSERVATION_CATEGORY = {
+  coding: [{
+    system: 'http://terminology.hl7.org/CodeSystem/observation-category',
+    code: 'exam',
+    display: 'Exam'
+  }]
+};
+
+const CARE_PLAN_STATUSES = {
+  active: 'active',
+  paused: 'on-hold',
+  completed: 'completed',
+  cancelled: 'revoked',
+  removed: 'revoked'
+};
+
+const OBSERVATION_STATUSES = {
+  draft: 'preliminary',
+  pending: 'preliminary',
+  preliminary: 'preliminary',
+  amended: 'amended',
+  cancelled: 'cancelled'
+};
+
+const FHIR_ID = /^[A-Za-z0-9\-.]{1,64}$/;
+
+const extensionUrl = (name) => `${FHIR_SYSTEM}/StructureDefinition/${name}`;
+const identifierSystem = (kind) => `${FHIR_SYSTEM}/${kind}`;
+
+/**
+ * Remove undefined, null, empty string, empty array and empty object values
+ *
+ * FHIR does not allow empty elements.
+ *
+ * @param {Object} resource - Resource or element
+ * @returns {Object} The cleaned copy
+ * @private
+ */
+function compact(resource) {
+  const result = {};
+  Object.keys(resource).forEach(key => {
+    let value = resource[key];
+    if (Array.isArray(value)) {
+      value = value.filter(item => item !== undefined && item !== null);
+    } else if (value && typeof value === 'object' && !(value instanceof Date)) {
+      value = compact(value);
+    }
+    const empty = value === undefined || value === null || value === '' ||
+      (Array.isArray(value) && value.length === 0) ||
+      (typeof value === 'object' && !Array.isArray(value) && Object.keys(value).length === 0);
+    if (!empty) {
+      result[key] = value;
+    }
+  });
+  return result;
+}
+
+/**
+ * Format a date or date string as a FHIR `date` (YYYY-MM-DD)
+ *
+ * @param {Date|string} [value] - Date
+ * @returns {string|undefined} The date
+ * @private
+ */
+function toDate(value) {
+  if (value instanceof Date) {
+    return Number.isNaN(value.getTime()) ? undefined : value.toISOString().slice(0, 10);
+  }
+  return typeof value === 'string' && /^\d{4}-\d{2}-\d{2}/.test(value) ? value.slice(0, 10) : undefined;
+}
+
+/**
+ * Format a date or date string as a FHIR `dateTime`
+ *
+ * Dates without a time are kept as dates, which `dateTime` allows.
+ *
+ * @param {Date|string} [value] - Date
+ * @returns {string|undefined} The date-time
+ * @private
+ */
+function toDateTime(value) {
+  if (typeof value === 'string' && /^\d{4}-\d{2}-\d{2}$/.test(value)) {
+    return value;
+  }
+  const date = value instanceof Date ? value : (typeof value === 'string' ? new Date(value) : null);
+  return date && !Number.isNaN(date.getTime()) ? date.toISOString() : undefined;
+}
+
+/**
+ * Build a Carespace identifier
+ *
+ * @param {string} kind - `client`, `program`, `exercise` or `evaluation`
+ * @param {string} [id] - Carespace id
+ * @returns {Object[]|undefined} Identifier list
+ * @private
+ */
+function identifiers(kind, id) {
+  return id === undefined || id === null ? undefined : [{ system: identifierSystem(kind), value: String(id) }];
+}
+
+/**
+ * Get the Carespace id from an identifier list
+ *
+ * @param {Object} resource - FHIR resource
+ * @param {string} kind - `client`, `program`, `exercise` or `evaluation`
+ * @returns {string|undefined} The id
+ * @private
+ */
+function identifierValue(resource, kind) {
+  return (resource.identifier || []).find(item => item.system === identifierSystem(kind))?.value;
+}
+
+/**
+ * Get the resource id, when the Carespace id is a valid FHIR id
+ *
+ * @param {string} [id] - Carespace id
+ * @returns {string|undefined} The FHIR id
+ * @private
+ */
+function resourceId(id) {
+  return id !== undefined && id !== null && FHIR_ID.test(String(id)) ? String(id) : undefined;
+}
+
+/**
+ * Build an extension when the value is set
+ *
+ * @param {string} name - Extension name under {@link FHIR_SYSTEM}
+ * @param {string} type - Value type, e.g. `String` or `Integer`
+ * @param {any} value - Value
+ * @returns {Object|undefined} The extension
+ * @private
+ */
+function extension(name, type, value) {
+  return value === undefined || value === null || value === ''
+    ? undefined
+    : { url: extensionUrl(name), [`value${type}`]: value };
+}
+
+/**
+ * Read a Carespace extension value
+ *
+ * @param {Object} resource - FHIR resource or element
+ * @param {string} name - Extension name under {@link FHIR_SYSTEM}
+ * @returns {any} The value, undefined when absent
+ * @private
+ */
+function extensionValue(resource, name) {
+  const found = (resource.extension || []).find(item => item.url === extensionUrl(name));
+  if (!found) {
+    return undefined;
+  }
+  const key = Object.keys(found).find(item => item.startsWith('value'));
+  return key ? found[key] : undefined;
+}
+
+/**
+ * Map a client to a FHIR `Patient`
+ *
+ * @param {Object} client - Carespace client
+ * @returns {Object} Patient resource
+ *
+ * @example
+ * clientToPatient({ id: 'c1', name: 'Jo Smith', email: 'jo@example.com', dateOfBirth: '1980-01-01' })
+ * // returns { resourceType: 'Patient', id: 'c1', name: [{ text: 'Jo Smith', family: 'Smith', given: ['Jo'] }], ... }
+ */
+export function clientToPatient(client) {
+  const words = typeof client.name === 'string' ? client.name.trim().split(/\s+/) : [];
+  const address = client.address || {};
+  const contact = client.emergencyContact || {};
+
+  return compact({
+    resourceType: 'Patient',
+    id: resourceId(client.id),
+    meta: { lastUpdated: client.updatedAt ? toDateTime(client.updatedAt) : undefined },
+    extension: [
+      extension('client-status', 'Code', client.status),
+      extension('client-condition', 'String', client.condition),
+      extension('client-notes', 'String', client.notes)
+    ],
+    identifier: identifiers('client', client.id),
+    active: client.status ? client.status === 'active' : undefined,
+    name: words.length > 0
+      ? [{ use: 'official', text: words.join(' '), family: words.length > 1 ? words.pop() : undefined, given: words }]
+      : undefined,
+    telecom: [
+      client.email && { system: 'email', value: client.email },
+      client.phone && { system: 'phone', value: client.phone }
+    ],
+    gender: GENDERS.includes(client.gender) ? client.gender : undefined,
+    birthDate: toDate(client.dateOfBirth),
+    address: [{
+      line: [address.line1, address.line2],
+      city: address.city,
+      state: address.state,
+      postalCode: address.postalCode,
+      country: address.country
+    }],
+    contact: [{
+      relationship: contact.relationship ? [{ text: contact.relationship }] : undefined,
+      name: contact.name ? { text: contact.name } : undefined,
+      telecom: contact.phone ? [{ system: 'phone', value: contact.phone }] : undefined
+    }]
+  });
+}
+
+/**
+ * Map a FHIR `Patient` to client data for `clients.createClient`
+ *
+ * @param {Object} patient - Patient resource
+ * @returns {Object} Client data
+ */
+export function patientToClient(patient) {
+  const name = (patient.name || []).find(item => item.use === 'official') || (patient.name || [])[0] || {};
+  const telecom = (system) => (patient.telecom || []).find(item => item.system === system)?.value;
+  const address = (patient.address || [])[0];
+  const contact = (patient.contact || [])[0];
+  const active = typeof patient.active === 'boolean' ? (patient.active ? 'active' : 'inactive') : undefined;
+
+  return compact({
+    name: name.text || [...(name.given || []), name.family].filter(Boolean).join(' '),
+    email: telecom('email'),
+    phone: telecom('phone'),
+    dateOfBirth: patient.birthDate,
+    gender: GENDERS.includes(patient.gender) ? patient.gender : undefined,
+    status: extensionValue(patient, 'client-status') || active,
+    condition: extensionValue(patient, 'client-condition'),
+    notes: extensionValue(patient, 'client-notes'),
+    address: address && {
+      line1: address.line?.[0],
+      line2: address.line?.[1],
+      city: address.city,
+      state: address.state,
+      postalCode: address.postalCode,
+      country: address.country
+    },
+    emergencyContact: contact && {
+      name: contact.name?.text || [...(contact.name?.given || []), contact.name?.family].filter(Boolean).join(' '),
+      phone: (contact.telecom || []).find(item => item.system === 'phone')?.value,
+      relationship: contact.relationship?.[0]?.text || contact.relationship?.[0]?.coding?.[0]?.display
+    },
+    metadata: patient.id ? { fhirId: patient.id } : undefined
+  });
+}
+
+/**
+ * Get the canonical URL of an exercise's `ActivityDefinition`
+ *
+ * @param {Object} exercise - Carespace exercise
+ * @returns {string|undefined} Canonical URL, undefined without an id
+ */
+export function activityDefinitionUrl(exercise) {
+  return exercise.id === undefined || exercise.id === null
+    ? undefined
+    : `${FHIR_SYSTEM}/ActivityDefinition/${encodeURIComponent(exercise.id)}`;
+}
+
+/**
+ * Describe the dose of an exercise, e.g. `3 sets x 10 reps`
+ *
+ * @param {Object} exercise - Carespace exercise
+ * @returns {string|undefined} Dose description
+ * @private
+ */
+function describeDose(exercise) {
+  const parts = [
+    exercise.sets !== undefined && exercise.reps !== undefined
+      ? `${exercise.sets} sets x ${exercise.reps} reps`
+      : exercise.reps !== undefined && `${exercise.reps} reps`,
+    exercise.duration !== undefined && `${exercise.duration} s`,
+    exercise.weight !== undefined && `${exercise.weight}`,
+    exercise.frequency
+  ].filter(Boolean);
+  return parts.length > 0 ? parts.join(', ') : undefined;
+}
+
+/**
+ * Map a program exercise to a FHIR `ActivityDefinition`
+ *
+ * @param {Object} exercise - Carespace exercise
+ * @returns {Object} ActivityDefinition resource
+ */
+export function exerciseToActivityDefinition(exercise) {
+  return compact({
+    resourceType: 'ActivityDefinition',
+    id: resourceId(exercise.id),
+    extension: [
+      extension('exercise-sets', 'Integer', exercise.sets),
+      extension('exercise-reps', 'Integer', exercise.reps),
+      extension('exercise-duration', 'Decimal', exercise.duration),
+      extension('exercise-rest-seconds', 'Integer', exercise.restSeconds),
+      extension('exercise-weight', 'String', exercise.weight === undefined ? undefined : String(exercise.weight)),
+      extension('exercise-order', 'Integer', exercise.order)
+    ],
+    url: activityDefinitionUrl(exercise),
+    identifier: identifiers('exercise', exercise.id),
+    title: exercise.name,
+    status: 'active',
+    description: exercise.description,
+    usage: exercise.notes,
+    kind: 'ServiceRequest',
+    timingTiming: exercise.frequency ? { code: { text: exercise.frequency } } : undefined,
+    relatedArtifact: exercise.videoUrl ? [{ type: 'documentation', label: 'Video', url: exercise.videoUrl }] : undefined
+  });
+}
+
+/**
+ * Map a FHIR `ActivityDefinition` to exercise data for `programs.addExerciseToProgram`
+ *
+ * @param {Object} activityDefinition - ActivityDefinition resource
+ * @returns {Object} Exercise data
+ */
+export function activityDefinitionToExercise(activityDefinition) {
+  const weight = extensionValue(activityDefinition, 'exercise-weight');
+  return compact({
+    name: activityDefinition.title || activityDefinition.name,
+    description: activityDefinition.description,
+    notes: activityDefinition.usage,
+    sets: extensionValue(activityDefinition, 'exercise-sets'),
+    reps: extensionValue(activityDefinition, 'exercise-reps'),
+    duration: extensionValue(activityDefinition, 'exercise-duration'),
+    restSeconds: extensionValue(activityDefinition, 'exercise-rest-seconds'),
+    weight: weight !== undefined && /^\d+(\.\d+)?$/.test(weight) ? Number(weight) : weight,
+    order: extensionValue(activityDefinition, 'exercise-order'),
+    frequency: activityDefinition.timingTiming?.code?.text,
+    videoUrl: (activityDefinition.relatedArtifact || []).find(item => item.url)?.url
+  });
+}
+
+/**
+ * Map a program assigned to a client to a FHIR `CarePlan`
+ *
+ * Each exercise becomes an activity that instantiates the exercise's
+ * `ActivityDefinition`.
+ *
+ * @param {Object} program - Carespace program, with the `assignment` returned by
+ *   `clients.getClientPrograms`
+ * @param {Object} context - Mapping context
+ * @param {string} context.subject - Reference to the patient, e.g. `Patient/c1` or a `urn:uuid:`
+ * @param {Object[]} [context.exercises=[]] - Exercises of the program
+ * @returns {Object} CarePlan resource
+ */
+export function programToCarePlan(program, context) {
+  const assignment = program.assignment || {};
+  const status = CARE_PLAN_STATUSES[assignment.status] || 'active';
+  return compact({
+    resourceType: 'CarePlan',
+    id: resourceId(program.id),
+    identifier: identifiers('program', program.id),
+    status,
+    intent: 'plan',
+    category: program.category ? [{ text: program.category }] : undefined,
+    title: program.name,
+    description: program.description,
+    subject: { reference: context.subject },
+    period: { start: toDateTime(assignment.startDate), end: toDateTime(assignment.endDate) },
+    created: toDateTime(assignment.assignedAt),
+    activity: (context.exercises || []).map(exercise => ({
+      detail: compact({
+        kind: 'ServiceRequest',
+        instantiatesCanonical: activityDefinitionUrl(exercise) ? [activityDefinitionUrl(exercise)] : undefined,
+        code: { text: exercise.name },
+        status: status === 'completed' ? 'completed' : 'not-started',
+        description: describeDose(exercise)
+      })
+    }))
+  });
+}
+
+/**
+ * Map a FHIR `CarePlan` to program, exercise and assignment data
+ *
+ * Activities instantiating an `ActivityDefinition` found in `activityDefinitions`
+ * take their exercise from it, other activities become exercises named after
+ * `detail.code`.
+ *
+ * @param {Object} carePlan - CarePlan resource
+ * @param {Object} [activityDefinitions={}] - ActivityDefinitions keyed by canonical URL or full URL
+ * @returns {Object} `{ program, exercises, assignment }`
+ */
+export function carePlanToProgram(carePlan, activityDefinitions = {}) {
+  const exercises = (carePlan.activity || [])
+    .map(activity => activity.detail)
+    .filter(Boolean)
+    .map(detail => {
+      const definition = (detail.instantiatesCanonical || [])
+        .map(url => activityDefinitions[url])
+        .find(Boolean);
+      return definition
+        ? activityDefinitionToExercise(definition)
+        : compact({ name: detail.code?.text || detail.code?.coding?.[0]?.display, description: detail.description });
+    })
+    .filter(exercise => exercise.name);
+  const status = Object.keys(CARE_PLAN_STATUSES).find(key => CARE_PLAN_STATUSES[key] === carePlan.status);
+
+  return {
+    program: compact({
+      name: carePlan.title || 'Imported care plan',
+      description: carePlan.description,
+      category: carePlan.category?.[0]?.text
+    }),
+    exercises,
+    assignment: compact({
+      startDate: carePlan.period?.start,
+      endDate: carePlan.period?.end,
+      status: status === 'removed' ? 'cancelled' : status
+    })
+  };
+}
+
+/**
+ * Convert evaluation metrics to Observation components
+ *
+ * @param {Object} [metrics] - Metric names and values
+ * @returns {Object[]|undefined} Components
+ * @private
+ */
+function toComponents(metrics) {
+  if (!metrics || typeof metrics !== 'object') {
+    return undefined;
+  }
+  return Object.keys(metrics)
+    .filter(key => ['number', 'string', 'boolean'].includes(typeof metrics[key]))
+    .map(key => {
+      const value = metrics[key];
+      const type = typeof value === 'number' ? 'valueQuantity' : typeof value === 'string' ? 'valueString' : 'valueBoolean';
+      return { code: { text: key }, [type]: typeof value === 'number' ? { value } : value };
+    });
+}
+
+/**
+ * Map an evaluation to a FHIR `Observation`
+ *
+ * `score` becomes the Observation value, numeric and text entries of `metrics`
+ * (or `results`) become components.
+ *
+ * @param {Object} evaluation - Carespace evaluation
+ * @param {Object} context - Mapping context
+ * @param {string} context.subject - Reference to the patient
+ * @returns {Object} Observation resource
+ */
+export function evaluationToObservation(evaluation, context) {
+  const score = evaluation.score;
+  return compact({
+    resourceType: 'Observation',
+    id: resourceId(evaluation.id),
+    identifier: identifiers('evaluation', evaluation.id),
+    status: OBSERVATION_STATUSES[evaluation.status] || 'final',
+    category: [OBSERVATION_CATEGORY],
+    code: { text: evaluation.type || evaluation.name || 'Carespace evaluation' },
+    subject: { reference: context.subject },
+    effectiveDateTime: toDateTime(evaluation.date || evaluation.completedAt || evaluation.createdAt),
+    valueQuantity: typeof score === 'number' ? { value: score } : undefined,
+    valueString: typeof score === 'string' ? score : undefined,
+    component: toComponents(evaluation.metrics || evaluation.results),
+    note: evaluation.notes ? [{ text: evaluation.notes }] : undefined
+  });
+}
+
+/**
+ * Map a FHIR `Observation` to evaluation data
+ *
+ * @param {Object} observation - Observation resource
+ * @returns {Object} Evaluation data
+ */
+export function observationToEvaluation(observation) {
+  const metrics = {};
+  (observation.component || []).forEach(component => {
+    const key = component.code?.text || component.code?.coding?.[0]?.code;
+    const value = component.valueQuantity?.value ?? component.valueString ?? component.valueBoolean;
+    if (key && value !== undefined) {
+      metrics[key] = value;
+    }
+  });
+  const status = Object.keys(OBSERVATION_STATUSES).find(key => OBSERVATION_STATUSES[key] === observation.status);
+
+  return compact({
+    id: identifierValue(observation, 'evaluation'),
+    type: observation.code?.text || observation.code?.coding?.[0]?.display,
+    status: status || (observation.status === 'final' ? 'completed' : undefined),
+    date: observation.effectiveDateTime,
+    score: observation.valueQuantity?.value ?? observation.valueString,
+    metrics,
+    notes: (observation.note || []).map(note => note.text).join('\n')
+  });
+}
+
+/**
+ * Wrap resources in a FHIR R4 `Bundle`
+ *
+ * Every entry gets a `urn:uuid:` full URL. Pass an entry as `{ fullUrl, resource }`
+ * to choose the full URL, e.g. when other resources reference it. Transaction
+ * bundles create every resource with a POST.
+ *
+ * @param {Object[]} entries - Resources, or `{ fullUrl, resource }` entries
+ * @param {Object} [options={}] - Bundle options
+ * @param {string} [options.type='collection'] - `'collection'` or `'transaction'`
+ * @returns {Object} Bundle resource
+ * @throws {TypeError} When the type is not supported
+ */
+export function createBundle(entries, options = {}) {
+  const { type = 'collection' } = options;
+  if (!BUNDLE_TYPES.includes(type)) {
+    throw new TypeError(`type must be one of ${BUNDLE_TYPES.join(', ')}, got ${type}`);
+  }
+  return {
+    resourceType: 'Bundle',
+    type,
+    timestamp: new Date().toISOString(),
+    entry: entries.map(item => {
+      const entry = item.resource
+        ? { fullUrl: item.fullUrl || `urn:uuid:${randomUUID()}`, resource: item.resource }
+        : { fullUrl: `urn:uuid:${randomUUID()}`, resource: item };
+      return type === 'transaction'
+        ? { ...entry, request: { method: 'POST', url: entry.resource.resourceType } }
+        : entry;
+    })
+  };
+}
+
+/**
+ * Get the resources of a Bundle
+ *
+ * @param {Object} bundle - Bundle resource
+ * @param {string} [resourceType] - Only return resources of this type
+ * @returns {Object[]} `{ fullUrl, resource }` entries
+ * @throws {TypeError} When `bundle` is not a Bundle
+ */
+export function bundleEntries(bundle, resourceType) {
+  if (!bundle || bundle.resourceType !== 'Bundle') {
+    throw new TypeError('Expected a FHIR Bundle');
+  }
+  return (bundle.entry || [])
+    .filter(entry => entry.resource && (!resourceType || entry.resource.resourceType === resourceType));
+}
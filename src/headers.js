@@ -0,0 +1,94 @@
+/**
+ * Read a header value case-insensitively
+ *
+ * Works with plain objects, axios `AxiosHeaders` and fetch `Headers` instances.
+ *
+ * @param {Object|Headers} [headers] - Response or request headers
+ * @param {string} name - Header name
+ * @returns {string|undefined} The header value
+ */
+export function getHeader(headers, name) {
+  if (!headers) {
+    return undefined;
+  }
+  if (typeof headers.get === 'function') {
+    const value = headers.get(name);
+    if (value !== null && value !== undefined) {
+      return value;
+    }
+  }
+
+  const lower = name.toLowerCase();
+  const key = Object.keys(headers).find(header => header.toLowerCase() === lower);
+  return key === undefined ? undefined : headers[key];
+}
+
+/**
+ * Convert response headers to a plain object with lowercase names
+ *
+ * @param {Object|Headers} [headers] - Response headers
+ * @returns {Object} Plain header object
+ */
+export function toPlainHeaders(headers) {
+  const plain = {};
+  if (!headers) {
+    return plain;
+  }
+  if (typeof headers.forEach === 'function' && typeof headers.toJSON !== 'function') {
+    headers.forEach((value, name) => {
+      plain[name.toLowerCase()] = value;
+    });
+    return plain;
+  }
+
+  const source = typeof headers.toJSON === 'function' ? headers.toJSON() : headers;
+  Object.keys(source).forEach(name => {
+    plain[name.toLowerCase()] = source[name];
+  });
+  return plain;
+}
+
+/**
+ * Headers servers commonly use to identify a request
+ */
+export const REQUEST_ID_HEADERS = ['x-request-id', 'x-correlation-id', 'request-id', 'x-amzn-requestid'];
+
+/**
+ * Read the server-assigned request id from response headers
+ *
+ * @param {Object|Headers} [headers] - Response headers
+ * @returns {string|undefined} The request id
+ */
+export function getRequestId(headers) {
+  for (const name of REQUEST_ID_HEADERS) {
+    const value = getHeader(headers, name);
+    if (value) {
+      return value;
+    }
+  }
+  return undefined;
+}
+
+/**
+ * Parse a Retry-After header value
+ *
+ * @param {string} [value] - Delay in seconds or an HTTP date
+ * @returns {number|null} Delay in milliseconds, or null when absent or invalid
+ */
+export function parseRetryAfter(value) {
+  if (value === undefined || value === null || value === '') {
+    return null;
+  }
+
+  const seconds = Number(value);
+  if (!Number.isNaN(seconds)) {
+    return Math.max(0, seconds * 1000);
+  }
+
+  const date = Date.parse(value);
+  if (!Number.isNaN(date)) {
+    return Math.max(0, date - Date.now());
+  }
+
+  return null;
+}
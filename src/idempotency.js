@@ -0,0 +1,56 @@
+import { getHeader } from './headers.js';
+import { randomUUID } from './crypto.js';
+
+/**
+ * @typedef {import('./middleware.js').Middleware} Middleware
+ */
+
+/**
+ * Generate a random idempotency key
+ *
+ * @returns {string} A version 4 UUID
+ */
+export function generateIdempotencyKey() {
+  return randomUUID();
+}
+
+/**
+ * Create middleware adding an `Idempotency-Key` header to POST requests
+ *
+ * The key is generated once per logical call, before the retry middleware, so
+ * every retry of the call carries the same key and the server can drop
+ * duplicates. Pass `idempotencyKey` as a per-call option to supply your own key,
+ * or `idempotencyKey: false` to send none. Errors thrown for the call carry the
+ * key as `error.idempotencyKey`.
+ *
+ * @param {Object} [options={}] - Idempotency options
+ * @param {string} [options.header='Idempotency-Key'] - Header name
+ * @param {string[]} [options.methods=['post']] - HTTP methods receiving a key
+ * @param {Function} [options.generate] - Returns a new key, defaults to a random UUID
+ * @returns {Middleware} Idempotency middleware
+ */
+export function idempotencyMiddleware(options = {}) {
+  const {
+    header = 'Idempotency-Key',
+    methods = ['post'],
+    generate = generateIdempotencyKey
+  } = options;
+
+  return async (req, next) => {
+    if (!methods.includes(req.method) || req.options.idempotencyKey === false) {
+      return next(req);
+    }
+
+    const existing = getHeader(req.headers, header);
+    const key = req.options.idempotencyKey || existing || generate();
+    const headers = key === existing ? req.headers : { ...req.headers, [header]: key };
+    req.context.idempotencyKey = key;
+
+    try {
+      return await next({ ...req, headers });
+    } catch (error) {
+      error.idempotencyKey = key;
+      throw error;
+    }
+  };
+}
@@ -7,8 +7,93 @@ export { AuthAPI } from './api/auth.js';
 export { UsersAPI } from './api/users.js';
 export { ClientsAPI } from './api/clients.js';
 export { ProgramsAPI } from './api/programs.js';
+export { FhirAPI } from './api/fhir.js';
 export { BaseAPI } from './api/base.js';
 
+// Token storage exports
+export {
+  TokenStore,
+  MemoryTokenStore,
+  FileTokenStore,
+  WebStorageTokenStore
+} from './token-store.js';
+
+// Transport exports
+export {
+  createTransport,
+  AxiosTransport,
+  FetchTransport,
+  RecordingTransport
+} from './transports/index.js';
+
+// Testing exports
+export { createMockCarespace, MockTransport, MockStore } from './mock/index.js';
+
+// Middleware exports
+export { compose } from './middleware.js';
+export { retryMiddleware } from './retry.js';
+export { HttpCache, LRUCacheStore, cacheMiddleware } from './cache.js';
+export { RequestDeduper, dedupeMiddleware } from './dedupe.js';
+export { RateLimiter, rateLimitMiddleware } from './rate-limiter.js';
+export { CircuitBreaker, circuitBreakerMiddleware, CIRCUIT_STATES } from './circuit-breaker.js';
+export { idempotencyMiddleware, generateIdempotencyKey } from './idempotency.js';
+export { loggingMiddleware, LOG_LEVELS } from './logging.js';
+export { ENVIRONMENTS, DEFAULT_ENVIRONMENT, resolveConfig, configFromEnv } from './config.js';
+export { telemetryMiddleware, parseTraceparent, formatTraceparent } from './telemetry.js';
+export {
+  caseConversionMiddleware,
+  convertKeys,
+  reviveDates,
+  toCamelCase,
+  toSnakeCase
+} from './case-conversion.js';
+
+// Bulk exports
+export { runBulk, DEFAULT_BULK_CONCURRENCY } from './bulk.js';
+
+// Data export helpers
+export {
+  EXPORT_FORMATS,
+  EXPORT_COLLECTIONS,
+  EXPORT_MANIFEST_VERSION,
+  createClientExport,
+  flattenRecord,
+  toCsv
+} from './export.js';
+export { createZip, crc32 } from './zip.js';
+
+// FHIR exports
+export {
+  FHIR_SYSTEM,
+  FHIR_VERSION,
+  BUNDLE_TYPES,
+  activityDefinitionToExercise,
+  activityDefinitionUrl,
+  bundleEntries,
+  carePlanToProgram,
+  clientToPatient,
+  createBundle,
+  evaluationToObservation,
+  exerciseToActivityDefinition,
+  observationToEvaluation,
+  patientToClient,
+  programToCarePlan
+} from './fhir.js';
+
+// Model exports
+export { Model, Client, Program, Exercise, User, toModel, toModelList } from './models.js';
+
+// Validation exports
+export { validate, assertValid, VALIDATION_MODES } from './validation.js';
+export {
+  CREATE_CLIENT_SCHEMA,
+  CREATE_PROGRAM_SCHEMA,
+  PROGRAM_EXERCISE_SCHEMA,
+  CLIENT_STATUSES,
+  GENDERS,
+  PROGRAM_DIFFICULTIES
+} from './schemas.js';
+
 // Error exports
 export {
   CarespaceError,
@@ -16,10 +101,18 @@ export {
   AuthorizationError,
   NotFoundError,
   ValidationError,
+  ConflictError,
+  PayloadTooLargeError,
   RateLimitError,
   ServerError,
   NetworkError,
-  TimeoutError
+  TimeoutError,
+  AbortError,
+  CircuitOpenError,
+  ReplayError,
+  createError,
+  createResponseError,
+  parseFieldErrors
 } from './errors.js';
 
 // Default export for convenience
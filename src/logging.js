@@ -0,0 +1,130 @@
+import { AbortError } from './errors.js';
+import { getRequestId } from './headers.js';
+import {
+  DEFAULT_REDACTED_HEADERS,
+  DEFAULT_SECRET_FIELDS,
+  DEFAULT_PHI_FIELDS,
+  redactHeaders,
+  redactFields,
+  redactTokens,
+  redactUrl
+} from './redact.js';
+
+/**
+ * @typedef {import('./middleware.js').Middleware} Middleware
+ */
+
+/**
+ * Log levels in increasing severity
+ */
+export const LOG_LEVELS = ['debug', 'info', 'warn', 'error', 'silent'];
+
+/**
+ * Pick the level for a failed request
+ *
+ * @param {Error} error - The error thrown by the request
+ * @returns {string} `'info'` for aborts, `'warn'` for 4xx responses, `'error'` otherwise
+ * @private
+ */
+function failureLevel(error) {
+  if (error instanceof AbortError) {
+    return 'info';
+  }
+  return error.statusCode >= 400 && error.statusCode < 500 ? 'warn' : 'error';
+}
+
+/**
+ * Create middleware logging every request attempt
+ *
+ * Logs method, URL, status, duration, attempt, server request id and idempotency
+ * key. Retry attempts are logged at `warn`. At `debug`, redacted request headers
+ * and bodies and response bodies are logged too.
+ *
+ * Bearer tokens, credential headers and password fields (login, change password,
+ * reset password) are always redacted. Patient fields are redacted in bodies and
+ * query strings; the list is configurable.
+ *
+ * Loggers receive `(message, meta)`, so `console` works as a logger.
+ *
+ * @param {Object} options - Logging options
+ * @param {Object} options.logger - Object with `debug`, `info`, `warn` and `error` methods
+ * @param {string} [options.level='info'] - Minimum level: `'debug'`, `'info'`, `'warn'`,
+ *   `'error'` or `'silent'`
+ * @param {string[]} [options.redactFields=DEFAULT_PHI_FIELDS] - Patient fields to redact
+ * @returns {Middleware} Logging middleware
+ * @throws {TypeError} When the level is unknown
+ *
+ * @example
+ * carespace.use(loggingMiddleware({ logger: console, level: 'debug' }));
+ */
+export function loggingMiddleware(options) {
+  const { logger, level = 'info', redactFields: patientFields = DEFAULT_PHI_FIELDS } = options;
+  const threshold = LOG_LEVELS.indexOf(level);
+  if (threshold === -1) {
+    throw new TypeError(`logLevel must be one of ${LOG_LEVELS.join(', ')}, got ${level}`);
+  }
+
+  const fields = [...DEFAULT_SECRET_FIELDS, ...patientFields];
+  const enabled = (name) => LOG_LEVELS.indexOf(name) >= threshold && name !== 'silent';
+  const log = (name, message, meta) => {
+    if (enabled(name) && typeof logger[name] === 'function') {
+      logger[name](message, meta);
+    }
+  };
+
+  return async (req, next) => {
+    const method = req.method.toUpperCase();
+    const url = redactUrl(req.url, fields);
+    const attempt = req.context.attempt ?? 1;
+    const base = { method, url, attempt };
+    if (req.context.idempotencyKey) {
+      base.idempotencyKey = req.context.idempotencyKey;
+    }
+
+    if (attempt > 1) {
+      log('warn', `Retrying ${method} ${url} (attempt ${attempt} of ${req.context.maxAttempts})`, {
+        ...base,
+        maxAttempts: req.context.maxAttempts,
+        delayMs: req.context.retryDelay,
+        previousError: req.context.lastError
+      });
+    }
+    if (enabled('debug')) {
+      log('debug', `${method} ${url}`, {
+        ...base,
+        headers: redactHeaders(req.headers, DEFAULT_REDACTED_HEADERS),
+        body: redactFields(req.data, fields)
+      });
+    }
+
+    const started = Date.now();
+    try {
+      const response = await next(req);
+      const durationMs = Date.now() - started;
+      const meta = {
+        ...base,
+        status: response.status,
+        durationMs,
+        requestId: getRequestId(response.headers)
+      };
+      if (enabled('debug')) {
+        meta.body = redactFields(response.data, fields);
+      }
+      log('info', `${method} ${url} ${response.status} ${durationMs}ms`, meta);
+      return response;
+    } catch (error) {
+      const durationMs = Date.now() - started;
+      const message = redactTokens(error.message);
+      req.context.lastError = error.name;
+      log(failureLevel(error), `${method} ${url} failed: ${error.name}: ${message} ${durationMs}ms`, {
+        ...base,
+        status: error.statusCode ?? undefined,
+        durationMs,
+        requestId: getRequestId(error.response?.headers),
+        error: error.name,
+        message
+      });
+      throw error;
+    }
+  };
+}
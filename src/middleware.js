@@ -0,0 +1,43 @@
+/**
+ * Request middleware
+ *
+ * A middleware is an async function `(req, next) => res`. It may change the request
+ * before calling `next(req)`, inspect or replace the response, handle errors thrown
+ * by `next`, call `next` several times (e.g. to retry) or not at all to
+ * short-circuit the request.
+ *
+ * The request object has the shape:
+ * - `method` - Lowercase HTTP method
+ * - `url` - Path and query string relative to the base URL
+ * - `data` - Request body
+ * - `headers` - Per-request headers
+ * - `signal` - AbortSignal, if any
+ * - `timeout` - Per-request timeout in milliseconds, if any
+ * - `options` - Remaining per-call options such as `retry` or `cache`
+ * - `context` - Scratch space shared by the middleware of one request
+ *
+ * The response object has at least `data`, `status` and `headers`.
+ *
+ * @typedef {Function} Middleware
+ */
+
+/**
+ * Compose middleware around a final handler
+ *
+ * The first middleware is the outermost: it sees the request first and the
+ * response last.
+ *
+ * @param {Middleware[]} middleware - Middleware in order
+ * @param {Function} handler - Final handler sending the request, `(req) => res`
+ * @returns {Function} Function running the whole chain for a request
+ *
+ * @example
+ * const run = compose([logging, retry], (req) => transport.request(req));
+ * const response = await run({ method: 'get', url: '/users', headers: {}, options: {} });
+ */
+export function compose(middleware, handler) {
+  return middleware.reduceRight(
+    (next, fn) => (req) => fn(req, next),
+    (req) => handler(req)
+  );
+}
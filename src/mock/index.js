@@ -0,0 +1,350 @@
+import { CarespaceAPI } from '../api.js';
+import { AbortError } from '../errors.js';
+import { getHeader } from '../headers.js';
+import { sleep } from '../retry.js';
+import { MockStore, clone } from './store.js';
+import { ROUTES, Created, httpError } from './routes.js';
+
+// Auth routes callable without an access token when `requireAuth` is set
+const PUBLIC_PATHS = [
+  '/auth/login',
+  '/auth/refresh',
+  '/auth/forgot-password',
+  '/auth/reset-password',
+  '/auth/verify-email',
+  '/auth/resend-verification'
+];
+
+/**
+ * Compile a `/clients/{id}` style path template into a matcher
+ *
+ * @param {string} template - Path template
+ * @returns {Function} Returns the decoded path parameters, or null when the path does not match
+ * @private
+ */
+function compilePath(template) {
+  const names = [];
+  const pattern = template
+    .replace(/[.*+?^$()|[\]\\]/g, '\\$&')
+    .replace(/\{(\w+)\}/g, (_, name) => {
+      names.push(name);
+      return '([^/]+)';
+    });
+  const regex = new RegExp(`^${pattern}/?$`);
+
+  return (path) => {
+    const match = regex.exec(path);
+    if (!match) {
+      return null;
+    }
+    return Object.fromEntries(names.map((name, i) => [name, decodeURIComponent(match[i + 1])]));
+  };
+}
+
+/**
+ * Split a request URL into its path and query parameters
+ *
+ * @param {string} url - Request URL, relative or absolute
+ * @returns {Object} `{ path, query }`, repeated query keys become arrays
+ * @private
+ */
+function parseUrl(url) {
+  const parsed = new URL(url, 'http://mock.local');
+  const query = {};
+  parsed.searchParams.forEach((value, key) => {
+    if (key in query) {
+      query[key] = [].concat(query[key], value);
+    } else {
+      query[key] = value;
+    }
+  });
+  return { path: parsed.pathname, query };
+}
+
+/**
+ * Transport answering requests from an in-memory store
+ *
+ * Implements the routes used by `AuthAPI`, `UsersAPI`, `ClientsAPI` and
+ * `ProgramsAPI`, including pagination (`page`/`limit`), field filters and
+ * `search`. Errors are thrown as the same SDK error classes a real server
+ * response would produce, and scripted failures can be injected with
+ * {@link MockTransport#injectError}.
+ *
+ * @example
+ * ```javascript
+ * const transport = new MockTransport({ seed: { clients: [{ id: 'c1', name: 'Jo' }] } });
+ * const carespace = new CarespaceAPI({ transport });
+ * ```
+ */
+export class MockTransport {
+  /**
+   * Create a new MockTransport instance
+   *
+   * @param {Object} [options={}] - Mock options
+   * @param {Object} [options.seed] - Initial data, see {@link MockStore#seed}
+   * @param {MockStore} [options.store] - Store to use instead of a new one
+   * @param {number} [options.latency=0] - Delay in milliseconds before each response
+   * @param {boolean} [options.requireAuth=false] - Reject requests without a token issued by
+   *   `auth.login` or the configured `apiKey` with a 401
+   * @param {string} [options.apiKey] - API key accepted when `requireAuth` is set
+   */
+  constructor(options = {}) {
+    this.store = options.store || new MockStore(options.seed);
+    this.latency = options.latency ?? 0;
+    this.requireAuth = options.requireAuth ?? false;
+    this.apiKey = options.apiKey;
+    this.routes = ROUTES.map(([method, template, handler]) => ({
+      method,
+      template,
+      match: compilePath(template),
+      handler
+    }));
+    this.calls = [];
+    this.errorRules = [];
+    this.resetState();
+  }
+
+  /**
+   * Forget issued tokens
+   *
+   * @private
+   */
+  resetState() {
+    this.state = {
+      tokenCount: 0,
+      requestCount: 0,
+      accessTokens: new Map(),
+      refreshTokens: new Map()
+    };
+  }
+
+  /**
+   * Add data to the store
+   *
+   * @param {Object} data - Records to add, see {@link MockStore#seed}
+   * @returns {MockTransport} This transport, for chaining
+   */
+  seed(data) {
+    this.store.seed(data);
+    return this;
+  }
+
+  /**
+   * Remove all data, recorded calls, injected errors and issued tokens
+   *
+   * @returns {MockTransport} This transport, for chaining
+   */
+  reset() {
+    this.store.reset();
+    this.calls = [];
+    this.errorRules = [];
+    this.resetState();
+    return this;
+  }
+
+  /**
+   * Make matching requests fail
+   *
+   * Without `call` the rule fires on the next matching request. Rules are checked
+   * in the order they were added.
+   *
+   * @param {Object} rule - Error rule
+   * @param {string} [rule.method] - Only match this HTTP method
+   * @param {string|RegExp} [rule.path] - Only match this path or `/clients/{id}` style template
+   * @param {number} [rule.call] - Fire on the nth matching request (1-based)
+   * @param {number} [rule.times=1] - Number of requests to fail, `Infinity` for all
+   * @param {number} [rule.status=500] - HTTP status of the failure
+   * @param {string} [rule.message] - Error message in the response body
+   * @param {Object} [rule.headers] - Response headers, e.g. `{ 'retry-after': '1' }`
+   * @param {Object} [rule.data] - Additional response body fields
+   * @param {Error|Function} [rule.error] - Error to throw instead, e.g. `new TimeoutError()`
+   * @returns {MockTransport} This transport, for chaining
+   *
+   * @example
+   * mock.injectError({ method: 'get', path: '/clients', call: 3, status: 429, headers: { 'retry-after': '1' } });
+   */
+  injectError(rule) {
+    let matchPath = () => true;
+    if (rule.path instanceof RegExp) {
+      matchPath = (path) => rule.path.test(path);
+    } else if (rule.path) {
+      const match = compilePath(rule.path);
+      matchPath = (path) => match(path) !== null;
+    }
+
+    this.errorRules.push({
+      ...rule,
+      method: rule.method?.toLowerCase(),
+      matchPath,
+      times: rule.times ?? 1,
+      seen: 0,
+      fired: 0
+    });
+    return this;
+  }
+
+  /**
+   * Remove all injected error rules
+   *
+   * @returns {MockTransport} This transport, for chaining
+   */
+  clearErrors() {
+    this.errorRules = [];
+    return this;
+  }
+
+  /**
+   * Get the error to throw for a request, if any rule fires
+   *
+   * @param {string} method - HTTP method
+   * @param {string} path - Request path
+   * @returns {Error|null} The injected error
+   * @private
+   */
+  takeError(method, path) {
+    for (const rule of this.errorRules) {
+      if ((rule.method && rule.method !== method) || !rule.matchPath(path)) {
+        continue;
+      }
+      rule.seen++;
+      if ((rule.call && rule.seen < rule.call) || rule.fired >= rule.times) {
+        continue;
+      }
+      rule.fired++;
+      if (rule.error) {
+        return typeof rule.error === 'function' ? rule.error() : rule.error;
+      }
+      return httpError(rule.status ?? 500, rule.message, { ...rule.data, headers: rule.headers });
+    }
+    return null;
+  }
+
+  /**
+   * Answer a request from the store
+   *
+   * @param {Object} req - Transport request
+   * @returns {Promise<Object>} Response with `status`, `statusText`, `headers` and `data`
+   * @throws {CarespaceError} The error a server would return, or an injected error
+   */
+  async request(req) {
+    if (req.signal?.aborted) {
+      throw new AbortError('Request aborted');
+    }
+
+    const method = req.method.toLowerCase();
+    const { path, query } = parseUrl(req.url);
+    this.calls.push({ method, url: req.url, path, query, data: clone(req.data), headers: { ...req.headers } });
+
+    if (this.latency > 0) {
+      await sleep(this.latency, req.signal);
+    }
+
+    const requestId = `mock-request-${++this.state.requestCount}`;
+    try {
+      const response = this.respond(method, path, query, req);
+      response.headers['x-request-id'] = requestId;
+      return response;
+    } catch (error) {
+      if (error.response) {
+        error.response.headers = { 'x-request-id': requestId, ...error.response.headers };
+        error.requestId = error.requestId || requestId;
+      }
+      throw error;
+    }
+  }
+
+  /**
+   * Route a request to its handler
+   *
+   * @param {string} method - Lowercase HTTP method
+   * @param {string} path - Request path
+   * @param {Object} query - Query parameters
+   * @param {Object} req - Transport request
+   * @returns {Object} Response without the request id header
+   * @throws {CarespaceError} The error a server would return, or an injected error
+   * @private
+   */
+  respond(method, path, query, req) {
+    const injected = this.takeError(method, path);
+    if (injected) {
+      throw injected;
+    }
+
+    const token = getHeader(req.headers, 'Authorization')?.replace(/^Bearer\s+/i, '');
+    if (this.requireAuth && !PUBLIC_PATHS.includes(path) &&
+      !this.state.accessTokens.has(token) && !(this.apiKey && token === this.apiKey)) {
+      throw httpError(401, 'Authentication required');
+    }
+
+    for (const route of this.routes) {
+      if (route.method !== method) {
+        continue;
+      }
+      const params = route.match(path);
+      if (!params) {
+        continue;
+      }
+
+      const result = route.handler({
+        store: this.store,
+        state: this.state,
+        params,
+        query,
+        body: clone(req.data),
+        token
+      });
+      const isCreated = result instanceof Created;
+
+      return {
+        status: isCreated ? 201 : 200,
+        statusText: isCreated ? 'Created' : 'OK',
+        headers: { 'content-type': 'application/json' },
+        data: clone(isCreated ? result.data : result)
+      };
+    }
+
+    throw httpError(404, `No mock route for ${method.toUpperCase()} ${path}`);
+  }
+}
+
+/**
+ * Create a CarespaceAPI backed by an in-memory mock server
+ *
+ * Intended for unit tests of code using the SDK. Retries are disabled unless a
+ * `retry` option is passed, so injected errors surface on the first attempt. The
+ * mock transport is available as `carespace.mock`.
+ *
+ * @param {Object} [options={}] - Mock options and `CarespaceAPI` configuration
+ * @param {Object} [options.seed] - Initial data, see {@link MockStore#seed}
+ * @param {Object[]} [options.errors] - Error rules, see {@link MockTransport#injectError}
+ * @param {number} [options.latency=0] - Delay in milliseconds before each response
+ * @param {boolean} [options.requireAuth=false] - Require a token from `auth.login` or the `apiKey`
+ * @returns {CarespaceAPI} The API instance, with the transport as `mock`
+ *
+ * @example
+ * ```javascript
+ * const carespace = createMockCarespace({
+ *   seed: { clients: [{ id: 'client-1', name: 'Jo Smith', status: 'active' }] },
+ *   errors: [{ path: '/clients', call: 3, status: 429 }]
+ * });
+ *
+ * await carespace.clients.getClients({ status: 'active' });
+ * expect(carespace.mock.calls).toHaveLength(1);
+ * ```
+ */
+export function createMockCarespace(options = {}) {
+  const { seed, store, errors = [], latency, requireAuth, ...config } = options;
+  const transport = new MockTransport({ seed, store, latency, requireAuth, apiKey: config.apiKey });
+  errors.forEach(rule => transport.injectError(rule));
+
+  const carespace = new CarespaceAPI({
+    baseURL: 'https://mock.carespace.local',
+    retry: false,
+    ...config,
+    transport
+  });
+  carespace.mock = transport;
+  return carespace;
+}
+
+export { MockStore };
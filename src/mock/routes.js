@@ -0,0 +1,327 @@
+import { createResponseError } from '../errors.js';
+import { clone, toPage } from './store.js';
+
+const STATUS_TEXT = {
+  400: 'Bad Request',
+  401: 'Unauthorized',
+  403: 'Forbidden',
+  404: 'Not Found',
+  409: 'Conflict',
+  422: 'Unprocessable Entity',
+  429: 'Too Many Requests',
+  500: 'Internal Server Error',
+  502: 'Bad Gateway',
+  503: 'Service Unavailable'
+};
+
+/**
+ * Create the error a real server response with this status would produce
+ *
+ * @param {number} status - HTTP status code
+ * @param {string} [message] - Error message for the response body
+ * @param {Object} [extra={}] - Additional response body fields or `headers`
+ * @returns {CarespaceError} The error
+ */
+export function httpError(status, message, extra = {}) {
+  const { headers = {}, ...body } = extra;
+  return createResponseError({
+    status,
+    statusText: STATUS_TEXT[status] || '',
+    headers,
+    data: { message: message || STATUS_TEXT[status] || `HTTP ${status}`, ...body }
+  });
+}
+
+function notFound(kind, id) {
+  return httpError(404, `${kind} ${id} not found`);
+}
+
+function required(body, fields) {
+  const missing = fields.filter(field => body?.[field] === undefined || body[field] === '');
+  if (missing.length > 0) {
+    throw httpError(400, `Missing required field: ${missing.join(', ')}`, {
+      errors: missing.map(field => ({ field, message: `${field} is required`, code: 'required' }))
+    });
+  }
+}
+
+function publicUser(user) {
+  if (!user) {
+    return user;
+  }
+  const rest = { ...user };
+  delete rest.password;
+  return rest;
+}
+
+function getOr404(store, collection, kind, id) {
+  const record = store.find(collection, id);
+  if (!record) {
+    throw notFound(kind, id);
+  }
+  return record;
+}
+
+function issueTokens(ctx, userId) {
+  const n = ++ctx.state.tokenCount;
+  const tokens = {
+    access_token: `mock-access-token-${n}`,
+    refresh_token: `mock-refresh-token-${n}`,
+    token_type: 'Bearer',
+    expires_in: 3600
+  };
+  ctx.state.accessTokens.set(tokens.access_token, userId);
+  ctx.state.refreshTokens.set(tokens.refresh_token, userId);
+  return tokens;
+}
+
+function currentUser(ctx) {
+  const userId = ctx.state.accessTokens.get(ctx.token);
+  const user = userId !== undefined
+    ? ctx.store.find('users', userId)
+    : ctx.store.users.values().next().value;
+  if (!user) {
+    throw httpError(401, 'Not authenticated');
+  }
+  return user;
+}
+
+/**
+ * Response data returned with a `201 Created` status
+ */
+export class Created {
+  constructor(data) {
+    this.data = data;
+  }
+}
+
+const created = (data) => new Created(data);
+
+/**
+ * Route table of the mock API
+ *
+ * Each entry is `[method, path template, handler]`. Handlers receive
+ * `{ store, state, params, query, body, token }` and return response data, wrapped
+ * in `Created` for a 201. More specific templates come before parameterized ones.
+ */
+export const ROUTES = [
+  // Auth
+  ['post', '/auth/login', (ctx) => {
+    required(ctx.body, ['email', 'password']);
+    const user = ctx.store.list('users', {}, item => item.email === ctx.body.email)[0];
+    if (!user || (user.password !== undefined && user.password !== ctx.body.password)) {
+      throw httpError(401, 'Invalid email or password');
+    }
+    return { ...issueTokens(ctx, user.id), user: publicUser(user) };
+  }],
+  ['post', '/auth/logout', (ctx) => {
+    ctx.state.accessTokens.delete(ctx.token);
+    return { success: true };
+  }],
+  ['post', '/auth/refresh', (ctx) => {
+    const userId = ctx.state.refreshTokens.get(ctx.body?.refresh_token);
+    if (userId === undefined) {
+      throw httpError(401, 'Invalid refresh token');
+    }
+    ctx.state.refreshTokens.delete(ctx.body.refresh_token);
+    return issueTokens(ctx, userId);
+  }],
+  ['post', '/auth/forgot-password', (ctx) => {
+    required(ctx.body, ['email']);
+    return { success: true, message: 'Password reset email sent' };
+  }],
+  ['post', '/auth/reset-password', (ctx) => {
+    required(ctx.body, ['token', 'password']);
+    return { success: true, message: 'Password reset' };
+  }],
+  ['post', '/auth/change-password', (ctx) => {
+    required(ctx.body, ['current_password', 'new_password']);
+    const user = currentUser(ctx);
+    if (user.password !== undefined && user.password !== ctx.body.current_password) {
+      throw httpError(400, 'Current password is incorrect', {
+        errors: [{ field: 'current_password', message: 'Current password is incorrect', code: 'invalid' }]
+      });
+    }
+    ctx.store.update('users', user.id, { password: ctx.body.new_password });
+    return { success: true, message: 'Password changed' };
+  }],
+  ['post', '/auth/verify-email', (ctx) => {
+    required(ctx.body, ['token']);
+    return { success: true, message: 'Email verified' };
+  }],
+  ['post', '/auth/resend-verification', (ctx) => {
+    required(ctx.body, ['email']);
+    return { success: true, message: 'Verification email sent' };
+  }],
+
+  // Users
+  ['get', '/users/profile', (ctx) => publicUser(currentUser(ctx))],
+  ['put', '/users/profile', (ctx) => publicUser(ctx.store.update('users', currentUser(ctx).id, ctx.body))],
+  ['get', '/users', (ctx) => {
+    const page = toPage(ctx.store.list('users', ctx.query), ctx.query);
+    return { ...page, data: page.data.map(publicUser) };
+  }],
+  ['post', '/users', (ctx) => {
+    required(ctx.body, ['email']);
+    if (ctx.store.list('users', {}, item => item.email === ctx.body.email).length > 0) {
+      throw httpError(409, `User with email ${ctx.body.email} already exists`);
+    }
+    return created(publicUser(ctx.store.insert('users', ctx.body)));
+  }],
+  ['get', '/users/{id}', (ctx) => publicUser(getOr404(ctx.store, 'users', 'User', ctx.params.id))],
+  ['put', '/users/{id}', (ctx) => {
+    getOr404(ctx.store, 'users', 'User', ctx.params.id);
+    return publicUser(ctx.store.update('users', ctx.params.id, ctx.body));
+  }],
+  ['delete', '/users/{id}', (ctx) => {
+    if (!ctx.store.remove('users', ctx.params.id)) {
+      throw notFound('User', ctx.params.id);
+    }
+    return { success: true };
+  }],
+  ['get', '/users/{id}/settings', (ctx) => {
+    getOr404(ctx.store, 'users', 'User', ctx.params.id);
+    return ctx.store.settings.get(ctx.params.id) || {};
+  }],
+  ['put', '/users/{id}/settings', (ctx) => {
+    getOr404(ctx.store, 'users', 'User', ctx.params.id);
+    const settings = { ...ctx.store.settings.get(ctx.params.id), ...clone(ctx.body) };
+    ctx.store.settings.set(ctx.params.id, settings);
+    return settings;
+  }],
+  ['get', '/users/{id}/preferences', (ctx) => {
+    getOr404(ctx.store, 'users', 'User', ctx.params.id);
+    return ctx.store.preferences.get(ctx.params.id) || {};
+  }],
+  ['put', '/users/{id}/preferences', (ctx) => {
+    getOr404(ctx.store, 'users', 'User', ctx.params.id);
+    const preferences = { ...ctx.store.preferences.get(ctx.params.id), ...clone(ctx.body) };
+    ctx.store.preferences.set(ctx.params.id, preferences);
+    return preferences;
+  }],
+
+  // Clients
+  ['get', '/clients', (ctx) => toPage(ctx.store.list('clients', ctx.query), ctx.query)],
+  ['post', '/clients', (ctx) => {
+    required(ctx.body, ['name']);
+    return created(ctx.store.insert('clients', ctx.body));
+  }],
+  ['get', '/clients/{id}', (ctx) => getOr404(ctx.store, 'clients', 'Client', ctx.params.id)],
+  ['put', '/clients/{id}', (ctx) => {
+    getOr404(ctx.store, 'clients', 'Client', ctx.params.id);
+    return ctx.store.update('clients', ctx.params.id, ctx.body);
+  }],
+  ['delete', '/clients/{id}', (ctx) => {
+    if (!ctx.store.remove('clients', ctx.params.id)) {
+      throw notFound('Client', ctx.params.id);
+    }
+    return { success: true };
+  }],
+  ['get', '/clients/{id}/stats', (ctx) => {
+    const client = getOr404(ctx.store, 'clients', 'Client', ctx.params.id);
+    const byClient = item => item.clientId === client.id;
+    return {
+      clientId: client.id,
+      programs: ctx.store.assignments.filter(byClient).length,
+      evaluations: ctx.store.list('evaluations', {}, byClient).length,
+      reports: ctx.store.list('reports', {}, byClient).length
+    };
+  }],
+  ['get', '/clients/{id}/programs', (ctx) => {
+    getOr404(ctx.store, 'clients', 'Client', ctx.params.id);
+    const programs = ctx.store.assignments
+      .filter(item => item.clientId === ctx.params.id)
+      .map(({ clientId: _clientId, programId, ...assignment }) => ({
+        ...ctx.store.find('programs', programId),
+        assignment
+      }))
+      .filter(program => program.id !== undefined);
+    return toPage(programs, ctx.query);
+  }],
+  ['post', '/clients/{id}/programs/{programId}', (ctx) => {
+    getOr404(ctx.store, 'clients', 'Client', ctx.params.id);
+    getOr404(ctx.store, 'programs', 'Program', ctx.params.programId);
+    return created(ctx.store.assign(ctx.params.id, ctx.params.programId, ctx.body || {}));
+  }],
+  ['delete', '/clients/{id}/programs/{programId}', (ctx) => {
+    if (!ctx.store.unassign(ctx.params.id, ctx.params.programId)) {
+      throw httpError(404, `Program ${ctx.params.programId} is not assigned to client ${ctx.params.id}`);
+    }
+    return { success: true };
+  }],
+  ['get', '/clients/{id}/evaluations', (ctx) => {
+    getOr404(ctx.store, 'clients', 'Client', ctx.params.id);
+    return toPage(ctx.store.list('evaluations', ctx.query, item => item.clientId === ctx.params.id), ctx.query);
+  }],
+  ['get', '/clients/{id}/reports', (ctx) => {
+    getOr404(ctx.store, 'clients', 'Client', ctx.params.id);
+    return toPage(ctx.store.list('reports', ctx.query, item => item.clientId === ctx.params.id), ctx.query);
+  }],
+
+  // Programs
+  ['get', '/programs/templates', (ctx) => {
+    return toPage(ctx.store.list('programs', ctx.query, item => item.isTemplate === true), ctx.query);
+  }],
+  ['get', '/programs', (ctx) => toPage(ctx.store.list('programs', ctx.query), ctx.query)],
+  ['post', '/programs', (ctx) => {
+    required(ctx.body, ['name']);
+    const { exercises, ...program } = ctx.body;
+    const stored = ctx.store.insert('programs', program);
+    (exercises || [])
+      .filter(exercise => exercise && typeof exercise === 'object')
+      .forEach(exercise => ctx.store.insert('exercises', { ...exercise, programId: stored.id }));
+    return created(stored);
+  }],
+  ['get', '/programs/{id}', (ctx) => getOr404(ctx.store, 'programs', 'Program', ctx.params.id)],
+  ['put', '/programs/{id}', (ctx) => {
+    getOr404(ctx.store, 'programs', 'Program', ctx.params.id);
+    return ctx.store.update('programs', ctx.params.id, ctx.body);
+  }],
+  ['delete', '/programs/{id}', (ctx) => {
+    if (!ctx.store.remove('programs', ctx.params.id)) {
+      throw notFound('Program', ctx.params.id);
+    }
+    return { success: true };
+  }],
+  ['get', '/programs/{id}/exercises', (ctx) => {
+    getOr404(ctx.store, 'programs', 'Program', ctx.params.id);
+    return toPage(ctx.store.list('exercises', ctx.query, item => item.programId === ctx.params.id), ctx.query);
+  }],
+  ['post', '/programs/{id}/exercises', (ctx) => {
+    getOr404(ctx.store, 'programs', 'Program', ctx.params.id);
+    required(ctx.body, ['name']);
+    return created(ctx.store.insert('exercises', { ...ctx.body, programId: ctx.params.id }));
+  }],
+  ['put', '/programs/{id}/exercises/{exerciseId}', (ctx) => {
+    const exercise = ctx.store.find('exercises', ctx.params.exerciseId);
+    if (!exercise || exercise.programId !== ctx.params.id) {
+      throw notFound('Exercise', ctx.params.exerciseId);
+    }
+    return ctx.store.update('exercises', exercise.id, { ...ctx.body, programId: exercise.programId });
+  }],
+  ['delete', '/programs/{id}/exercises/{exerciseId}', (ctx) => {
+    const exercise = ctx.store.find('exercises', ctx.params.exerciseId);
+    if (!exercise || exercise.programId !== ctx.params.id) {
+      throw notFound('Exercise', ctx.params.exerciseId);
+    }
+    ctx.store.remove('exercises', exercise.id);
+    return { success: true };
+  }],
+  ['post', '/programs/{id}/duplicate', (ctx) => {
+    const program = getOr404(ctx.store, 'programs', 'Program', ctx.params.id);
+    const fields = { ...program };
+    delete fields.id;
+    delete fields.createdAt;
+    delete fields.updatedAt;
+    const copy = ctx.store.insert('programs', {
+      ...fields,
+      name: `${program.name} (Copy)`,
+      isTemplate: false,
+      ...ctx.body
+    });
+    ctx.store.exercisesOf(program.id).forEach(({ id: _exerciseId, ...exercise }) => {
+      ctx.store.insert('exercises', { ...exercise, programId: copy.id });
+    });
+    return created(copy);
+  }]
+];
@@ -0,0 +1,304 @@
+const COLLECTIONS = ['users', 'clients', 'programs', 'exercises', 'evaluations', 'reports'];
+
+const SEARCH_FIELDS = ['name', 'firstName', 'lastName', 'email', 'description'];
+
+// Query parameters that control paging and searching rather than filter on a field
+const RESERVED_QUERY = ['page', 'limit', 'search', 'sort', 'order', 'startDate', 'endDate'];
+
+/**
+ * Deep copy a JSON value
+ *
+ * @param {any} value - Value to copy
+ * @returns {any} The copy
+ */
+export function clone(value) {
+  return value === undefined ? value : JSON.parse(JSON.stringify(value));
+}
+
+/**
+ * In-memory data store behind the mock transport
+ *
+ * Holds users, clients, programs, exercises, program assignments, evaluations and
+ * reports. Records are plain objects keyed by `id`; ids are generated as
+ * `<kind>-<n>` when not supplied.
+ *
+ * @example
+ * ```javascript
+ * const store = new MockStore({
+ *   clients: [{ id: 'client-1', name: 'Jo Smith', status: 'active' }],
+ *   programs: [{ id: 'program-1', name: 'Knee Rehab', exercises: [{ name: 'Squats' }] }]
+ * });
+ * store.list('clients', { status: 'active' });
+ * ```
+ */
+export class MockStore {
+  /**
+   * Create a new MockStore instance
+   *
+   * @param {Object} [seed] - Initial data, see {@link MockStore#seed}
+   */
+  constructor(seed) {
+    this.reset();
+    if (seed) {
+      this.seed(seed);
+    }
+  }
+
+  /**
+   * Remove all data
+   */
+  reset() {
+    COLLECTIONS.forEach(name => {
+      this[name] = new Map();
+    });
+    this.assignments = [];
+    this.settings = new Map();
+    this.preferences = new Map();
+    this.counters = {};
+  }
+
+  /**
+   * Add data to the store
+   *
+   * Programs may embed their exercises as an `exercises` array of objects.
+   *
+   * @param {Object} data - Records to add
+   * @param {Object[]} [data.users] - Users, optionally with a `password` used by `auth.login`
+   * @param {Object[]} [data.clients] - Clients
+   * @param {Object[]} [data.programs] - Programs, `isTemplate: true` lists them as templates
+   * @param {Object[]} [data.exercises] - Exercises with a `programId`
+   * @param {Object[]} [data.assignments] - Program assignments with `clientId` and `programId`
+   * @param {Object[]} [data.evaluations] - Evaluations with a `clientId`
+   * @param {Object[]} [data.reports] - Reports with a `clientId`
+   * @param {Object} [data.settings] - User settings keyed by user id
+   * @param {Object} [data.preferences] - User preferences keyed by user id
+   */
+  seed(data) {
+    (data.users || []).forEach(user => this.insert('users', user));
+    (data.clients || []).forEach(client => this.insert('clients', client));
+    (data.programs || []).forEach(({ exercises, ...program }) => {
+      const created = this.insert('programs', program);
+      (exercises || [])
+        .filter(exercise => exercise && typeof exercise === 'object')
+        .forEach(exercise => this.insert('exercises', { ...exercise, programId: created.id }));
+    });
+    (data.exercises || []).forEach(exercise => this.insert('exercises', exercise));
+    (data.assignments || []).forEach(({ clientId, programId, ...assignment }) => {
+      this.assign(clientId, programId, assignment);
+    });
+    (data.evaluations || []).forEach(evaluation => this.insert('evaluations', evaluation));
+    (data.reports || []).forEach(report => this.insert('reports', report));
+    Object.entries(data.settings || {}).forEach(([id, value]) => this.settings.set(id, clone(value)));
+    Object.entries(data.preferences || {}).forEach(([id, value]) => this.preferences.set(id, clone(value)));
+  }
+
+  /**
+   * Generate the next id for a collection
+   *
+   * @param {string} collection - Collection name
+   * @returns {string} A new id such as `client-3`
+   * @private
+   */
+  nextId(collection) {
+    const prefix = collection.replace(/s$/, '');
+    let id;
+    do {
+      this.counters[collection] = (this.counters[collection] || 0) + 1;
+      id = `${prefix}-${this.counters[collection]}`;
+    } while (this[collection].has(id));
+    return id;
+  }
+
+  /**
+   * Insert a record
+   *
+   * @param {string} collection - Collection name
+   * @param {Object} record - Record to insert, `id` is generated when missing
+   * @returns {Object} The stored record
+   */
+  insert(collection, record) {
+    const now = new Date().toISOString();
+    const stored = {
+      createdAt: now,
+      updatedAt: now,
+      ...clone(record),
+      id: record.id !== undefined ? String(record.id) : this.nextId(collection)
+    };
+    this[collection].set(stored.id, stored);
+    return stored;
+  }
+
+  /**
+   * Get a record by id
+   *
+   * @param {string} collection - Collection name
+   * @param {string} id - Record id
+   * @returns {Object|undefined} The stored record
+   */
+  find(collection, id) {
+    return this[collection].get(String(id));
+  }
+
+  /**
+   * Merge changes into a record
+   *
+   * @param {string} collection - Collection name
+   * @param {string} id - Record id
+   * @param {Object} changes - Fields to update
+   * @returns {Object|undefined} The updated record, undefined when it does not exist
+   */
+  update(collection, id, changes) {
+    const record = this.find(collection, id);
+    if (!record) {
+      return undefined;
+    }
+    const updated = { ...record, ...clone(changes), id: record.id, updatedAt: new Date().toISOString() };
+    this[collection].set(record.id, updated);
+    return updated;
+  }
+
+  /**
+   * Remove a record
+   *
+   * Deleting a client or program also removes its assignments, and deleting a
+   * program removes its exercises.
+   *
+   * @param {string} collection - Collection name
+   * @param {string} id - Record id
+   * @returns {boolean} True when the record existed
+   */
+  remove(collection, id) {
+    const key = String(id);
+    if (!this[collection].delete(key)) {
+      return false;
+    }
+    if (collection === 'clients') {
+      this.assignments = this.assignments.filter(item => item.clientId !== key);
+    }
+    if (collection === 'programs') {
+      this.assignments = this.assignments.filter(item => item.programId !== key);
+      this.exercisesOf(key).forEach(exercise => this.exercises.delete(exercise.id));
+    }
+    return true;
+  }
+
+  /**
+   * List records matching a query
+   *
+   * @param {string} collection - Collection name
+   * @param {Object} [query={}] - Field filters, `search`, `startDate` and `endDate`
+   * @param {Function} [predicate] - Additional filter
+   * @returns {Object[]} Matching records in insertion order
+   */
+  list(collection, query = {}, predicate = () => true) {
+    return Array.from(this[collection].values())
+      .filter(predicate)
+      .filter(record => matches(record, query));
+  }
+
+  /**
+   * Get the exercises of a program
+   *
+   * @param {string} programId - Program id
+   * @returns {Object[]} Exercises in insertion order
+   */
+  exercisesOf(programId) {
+    return this.list('exercises', {}, exercise => exercise.programId === String(programId));
+  }
+
+  /**
+   * Assign a program to a client, replacing an existing assignment
+   *
+   * @param {string} clientId - Client id
+   * @param {string} programId - Program id
+   * @param {Object} [data={}] - Assignment details such as `startDate`
+   * @returns {Object} The assignment
+   */
+  assign(clientId, programId, data = {}) {
+    this.unassign(clientId, programId);
+    const assignment = {
+      ...clone(data),
+      clientId: String(clientId),
+      programId: String(programId),
+      assignedAt: data.assignedAt || new Date().toISOString()
+    };
+    this.assignments.push(assignment);
+    return assignment;
+  }
+
+  /**
+   * Remove a program assignment
+   *
+   * @param {string} clientId - Client id
+   * @param {string} programId - Program id
+   * @returns {boolean} True when the assignment existed
+   */
+  unassign(clientId, programId) {
+    const before = this.assignments.length;
+    this.assignments = this.assignments.filter(item =>
+      item.clientId !== String(clientId) || item.programId !== String(programId));
+    return this.assignments.length < before;
+  }
+}
+
+/**
+ * Check a record against list query parameters
+ *
+ * Unknown parameters compare as strings against the record field; `search` looks
+ * for a case-insensitive substring in name and email fields; `startDate` and
+ * `endDate` bound the record's `date` or `createdAt`.
+ *
+ * @param {Object} record - Stored record
+ * @param {Object} query - Query parameters
+ * @returns {boolean} True when the record matches
+ * @private
+ */
+function matches(record, query) {
+  if (query.search) {
+    const needle = String(query.search).toLowerCase();
+    const found = SEARCH_FIELDS.some(field =>
+      typeof record[field] === 'string' && record[field].toLowerCase().includes(needle));
+    if (!found) {
+      return false;
+    }
+  }
+
+  const date = record.date || record.createdAt;
+  if (query.startDate && (!date || date < query.startDate)) {
+    return false;
+  }
+  if (query.endDate && (!date || date.slice(0, query.endDate.length) > query.endDate)) {
+    return false;
+  }
+
+  return Object.entries(query)
+    .filter(([key]) => !RESERVED_QUERY.includes(key))
+    .every(([key, value]) => {
+      const values = Array.isArray(value) ? value : [value];
+      return values.some(expected => String(record[key]) === String(expected));
+    });
+}
+
+/**
+ * Slice a list into a page
+ *
+ * @param {Object[]} items - All matching records
+ * @param {Object} query - Query with optional `page` and `limit`
+ * @param {number} [defaultLimit=20] - Page size without `limit`
+ * @returns {Object} `{ data, meta: { page, limit, total, totalPages } }`
+ */
+export function toPage(items, query, defaultLimit = 20) {
+  const limit = Math.max(1, Number(query.limit) || defaultLimit);
+  const page = Math.max(1, Number(query.page) || 1);
+  const start = (page - 1) * limit;
+
+  return {
+    data: clone(items.slice(start, start + limit)),
+    meta: {
+      page,
+      limit,
+      total: items.length,
+      totalPages: Math.max(1, Math.ceil(items.length / limit))
+    }
+  };
+}
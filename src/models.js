@@ -0,0 +1,373 @@
+import { ITEM_KEYS } from './pagination.js';
+
+/**
+ * Resource models
+ *
+ * Optional classes wrapping the plain JSON returned by `ClientsAPI`, `ProgramsAPI`
+ * and `UsersAPI` when the client is created with `models: true`. Fields are own
+ * properties of the model, so `client.name` and `JSON.stringify(client)` work as
+ * with plain objects, and instance methods call the API the model came from.
+ *
+ * Fields named like a method or other model member, such as the `exercises`
+ * array of a program, would hide that member. They are kept apart instead and
+ * read with `toJSON()`.
+ *
+ * Models track changes: `save()` sends only the fields that changed since the
+ * model was loaded or last saved.
+ */
+
+const SNAPSHOT = Symbol('snapshot');
+const SHADOWED = Symbol('shadowed');
+
+/**
+ * Serialize field values for change detection
+ *
+ * @param {Object} fields - Fields from `toJSON()`
+ * @returns {Map<string, string>} Serialized value of every field
+ * @private
+ */
+function snapshot(fields) {
+  return new Map(Object.keys(fields).map(key => [key, JSON.stringify(fields[key])]));
+}
+
+/**
+ * Set fields on a model
+ *
+ * Fields that would hide a method or other model member go to the model's
+ * separate store instead of becoming properties.
+ *
+ * @param {Model} model - Model instance
+ * @param {Object} data - Fields
+ * @private
+ */
+function assign(model, data) {
+  Object.entries(data || {}).forEach(([key, value]) => {
+    if (key in model && !Object.prototype.propertyIsEnumerable.call(model, key)) {
+      model[SHADOWED][key] = value;
+    } else {
+      model[key] = value;
+    }
+  });
+}
+
+/**
+ * Get the plain data of a model or API result
+ *
+ * @param {any} value - Model or plain object
+ * @returns {any} Plain data
+ * @private
+ */
+function plain(value) {
+  return value instanceof Model ? value.toJSON() : value;
+}
+
+/**
+ * Get the id of a model, a plain resource or an id
+ *
+ * @param {Object|string} resource - Resource or id
+ * @returns {string} The id
+ * @private
+ */
+function idOf(resource) {
+  return resource && typeof resource === 'object' ? resource.id : resource;
+}
+
+/**
+ * Base class of the resource models
+ */
+export class Model {
+  /**
+   * Create a model
+   *
+   * @param {Object} [data={}] - Resource fields
+   * @param {BaseAPI} api - API the instance methods use
+   */
+  constructor(data = {}, api) {
+    Object.defineProperty(this, 'api', { value: api, writable: true });
+    Object.defineProperty(this, SNAPSHOT, { value: new Map(), writable: true });
+    Object.defineProperty(this, SHADOWED, { value: {} });
+    this.reset(data);
+  }
+
+  /**
+   * Replace the saved state with fields returned by the API
+   *
+   * Applies the fields and marks the model as clean.
+   *
+   * @param {Object} [data={}] - Resource fields
+   * @returns {Model} This model
+   */
+  reset(data = {}) {
+    assign(this, plain(data));
+    this[SNAPSHOT] = snapshot(this.toJSON());
+    return this;
+  }
+
+  /**
+   * Get the fields changed since the model was loaded or saved
+   *
+   * Removed fields are reported as `null`.
+   *
+   * @returns {Object} Changed fields and their new values
+   *
+   * @example
+   * client.status = 'discharged';
+   * client.getChanges(); // returns { status: 'discharged' }
+   */
+  getChanges() {
+    const changes = {};
+    const fields = this.toJSON();
+    const current = snapshot(fields);
+    current.forEach((value, key) => {
+      if (this[SNAPSHOT].get(key) !== value) {
+        changes[key] = fields[key];
+      }
+    });
+    this[SNAPSHOT].forEach((_value, key) => {
+      if (!current.has(key)) {
+        changes[key] = null;
+      }
+    });
+    return changes;
+  }
+
+  /**
+   * Check whether the model has unsaved changes
+   *
+   * @param {string} [field] - Only check this field
+   * @returns {boolean} True when there are unsaved changes
+   */
+  isDirty(field) {
+    const changes = this.getChanges();
+    return field === undefined ? Object.keys(changes).length > 0 : field in changes;
+  }
+
+  /**
+   * Save the model
+   *
+   * Sends only the changed fields, and nothing when the model is clean. A model
+   * without an `id` is created with all of its fields.
+   *
+   * @param {Object} [options={}] - Request options
+   * @returns {Promise<Model>} This model, updated with the API response
+   */
+  async save(options = {}) {
+    if (this.id === undefined || this.id === null) {
+      return this.reset(await this.create(this.toJSON(), options));
+    }
+    const changes = this.getChanges();
+    if (Object.keys(changes).length === 0) {
+      return this;
+    }
+    return this.reset(await this.persist(changes, options));
+  }
+
+  /**
+   * Apply changes and save
+   *
+   * Other unsaved changes are sent as well.
+   *
+   * @param {Object} [changes={}] - Fields to change
+   * @param {Object} [options={}] - Request options
+   * @returns {Promise<Model>} This model, updated with the API response
+   */
+  async update(changes = {}, options = {}) {
+    assign(this, changes);
+    return this.save(options);
+  }
+
+  /**
+   * Delete the resource
+   *
+   * @param {Object} [options={}] - Request options
+   * @returns {Promise<any>} API response
+   */
+  async delete(options = {}) {
+    return this.destroy(options);
+  }
+
+  /**
+   * Get the plain resource fields
+   *
+   * Includes fields kept apart because they are named like a model member.
+   *
+   * @returns {Object} Resource fields
+   */
+  toJSON() {
+    return { ...this[SHADOWED], ...this };
+  }
+}
+
+/**
+ * Client (patient) model returned by `ClientsAPI`
+ */
+export class Client extends Model {
+  create(data, options) {
+    return this.api.createClient(data, options);
+  }
+
+  persist(changes, options) {
+    return this.api.updateClient(this.id, changes, options);
+  }
+
+  destroy(options) {
+    return this.api.deleteClient(this.id, options);
+  }
+
+  /**
+   * Get the programs assigned to the client
+   *
+   * @param {Object} [params={}] - Query parameters
+   * @param {Object} [options={}] - Request options
+   * @returns {Promise<any>} The list response with `Program` items
+   */
+  async programs(params = {}, options = {}) {
+    return this.api.getClientPrograms(this.id, params, { ...options, models: true });
+  }
+
+  /**
+   * Assign a program to the client
+   *
+   * @param {Program|Object|string} program - Program or program id
+   * @param {Object} [assignmentData={}] - Assignment fields such as `startDate`
+   * @param {Object} [options={}] - Request options
+   * @returns {Promise<any>} The assignment
+   */
+  async assign(program, assignmentData = {}, options = {}) {
+    return this.api.assignProgramToClient(this.id, idOf(program), assignmentData, options);
+  }
+
+  /**
+   * Remove a program assignment from the client
+   *
+   * @param {Program|Object|string} program - Program or program id
+   * @param {Object} [options={}] - Request options
+   * @returns {Promise<any>} API response
+   */
+  async unassign(program, options = {}) {
+    return this.api.removeClientProgram(this.id, idOf(program), options);
+  }
+}
+
+/**
+ * Program model returned by `ProgramsAPI`
+ */
+export class Program extends Model {
+  create(data, options) {
+    return this.api.createProgram(data, options);
+  }
+
+  persist(changes, options) {
+    return this.api.updateProgram(this.id, changes, options);
+  }
+
+  destroy(options) {
+    return this.api.deleteProgram(this.id, options);
+  }
+
+  /**
+   * Get the exercises of the program
+   *
+   * @param {Object} [params={}] - Query parameters
+   * @param {Object} [options={}] - Request options
+   * @returns {Promise<any>} The list response with `Exercise` items
+   */
+  async exercises(params = {}, options = {}) {
+    return this.api.getProgramExercises(this.id, params, { ...options, models: true });
+  }
+
+  /**
+   * Add an exercise to the program
+   *
+   * @param {Object} exerciseData - Exercise fields
+   * @param {Object} [options={}] - Request options
+   * @returns {Promise<Exercise>} The new exercise
+   */
+  async addExercise(exerciseData, options = {}) {
+    return this.api.addExerciseToProgram(this.id, exerciseData, { ...options, models: true });
+  }
+
+  /**
+   * Duplicate the program
+   *
+   * @param {Object} [duplicateData={}] - Fields of the copy, such as `name`
+   * @param {Object} [options={}] - Request options
+   * @returns {Promise<Program>} The copy
+   */
+  async duplicate(duplicateData = {}, options = {}) {
+    return this.api.duplicateProgram(this.id, duplicateData, { ...options, models: true });
+  }
+}
+
+/**
+ * Program exercise model returned by `ProgramsAPI`
+ *
+ * Has the `programId` of its program, which the exercise endpoints need.
+ */
+export class Exercise extends Model {
+  create(data, options) {
+    return this.api.addExerciseToProgram(this.programId, data, options);
+  }
+
+  persist(changes, options) {
+    return this.api.updateProgramExercise(this.programId, this.id, changes, options);
+  }
+
+  destroy(options) {
+    return this.api.removeProgramExercise(this.programId, this.id, options);
+  }
+}
+
+/**
+ * User model returned by `UsersAPI`
+ */
+export class User extends Model {
+  create(data, options) {
+    return this.api.createUser(data, options);
+  }
+
+  persist(changes, options) {
+    return this.api.updateUser(this.id, changes, options);
+  }
+
+  destroy(options) {
+    return this.api.deleteUser(this.id, options);
+  }
+}
+
+/**
+ * Wrap a single resource in a model
+ *
+ * @param {Function} ModelClass - Model class
+ * @param {Object|null} data - Resource fields
+ * @param {BaseAPI} api - API the instance methods use
+ * @param {Object} [defaults={}] - Fields set when the resource does not have them
+ * @returns {Model|any} The model, or `data` unchanged when it is not an object or already a model
+ */
+export function toModel(ModelClass, data, api, defaults = {}) {
+  if (!data || typeof data !== 'object' || Array.isArray(data) || data instanceof Model) {
+    return data;
+  }
+  return new ModelClass({ ...defaults, ...data }, api);
+}
+
+/**
+ * Wrap the items of a list response in models
+ *
+ * Supports plain arrays and envelopes with a `data`/`items`/`results`/`records`
+ * array, keeping the pagination metadata.
+ *
+ * @param {Function} ModelClass - Model class
+ * @param {Object[]|Object} result - List response
+ * @param {BaseAPI} api - API the instance methods use
+ * @param {Object} [defaults={}] - Fields set when a resource does not have them
+ * @returns {Model[]|Object} The list response with model items
+ */
+export function toModelList(ModelClass, result, api, defaults = {}) {
+  const wrap = (items) => items.map(item => toModel(ModelClass, item, api, defaults));
+  if (Array.isArray(result)) {
+    return wrap(result);
+  }
+  const key = result && typeof result === 'object' && ITEM_KEYS.find(name => Array.isArray(result[name]));
+  return key ? { ...result, [key]: wrap(result[key]) } : result;
+}
@@ -0,0 +1,188 @@
+/**
+ * Keys holding the items of a list response envelope
+ */
+export const ITEM_KEYS = ['data', 'items', 'results', 'records'];
+const META_KEYS = ['meta', 'pagination', 'paging', 'page_info', 'pageInfo'];
+
+function pick(source, keys) {
+  for (const key of keys) {
+    if (source[key] !== undefined) {
+      return source[key];
+    }
+  }
+  return undefined;
+}
+
+function toNumber(value) {
+  const number = Number(value);
+  return value === null || value === undefined || Number.isNaN(number) ? undefined : number;
+}
+
+/**
+ * Parse a list response into its items and pagination metadata
+ *
+ * Supports plain arrays, envelopes with a `data`/`items`/`results`/`records` array,
+ * and metadata either at the top level or nested in `meta`/`pagination`.
+ *
+ * @param {any} response - The list response
+ * @returns {Object} `{ items, page, totalPages, total, hasMore, nextCursor }`, where
+ *   metadata that is not present is `undefined`
+ *
+ * @example
+ * parsePage({ data: [{ id: 1 }], meta: { page: 1, totalPages: 3 } })
+ * // returns { items: [{ id: 1 }], page: 1, totalPages: 3, ... }
+ */
+export function parsePage(response) {
+  if (Array.isArray(response)) {
+    return { items: response };
+  }
+  if (!response || typeof response !== 'object') {
+    return { items: [] };
+  }
+
+  let items = pick(response, ITEM_KEYS);
+  if (!Array.isArray(items)) {
+    items = Object.values(response).find(Array.isArray) || [];
+  }
+
+  const nested = pick(response, META_KEYS);
+  const meta = nested && typeof nested === 'object' ? { ...response, ...nested } : response;
+
+  let nextCursor = pick(meta, ['nextCursor', 'next_cursor', 'endCursor', 'end_cursor']);
+  if (nextCursor === undefined && meta.cursor && typeof meta.cursor === 'object') {
+    nextCursor = meta.cursor.next;
+  }
+
+  const hasMore = pick(meta, ['hasMore', 'has_more', 'hasNextPage', 'has_next_page']);
+
+  return {
+    items,
+    page: toNumber(pick(meta, ['page', 'currentPage', 'current_page'])),
+    totalPages: toNumber(pick(meta, ['totalPages', 'total_pages', 'pageCount', 'page_count', 'lastPage', 'last_page'])),
+    total: toNumber(pick(meta, ['total', 'totalCount', 'total_count', 'totalItems', 'total_items'])),
+    hasMore: typeof hasMore === 'boolean' ? hasMore : undefined,
+    nextCursor
+  };
+}
+
+/**
+ * Work out the query for the page following `page`
+ *
+ * @param {Object} page - Parsed page from `parsePage`
+ * @param {Object} request - Query used to fetch `page`
+ * @param {number} seen - Number of items received so far
+ * @param {number} [pageSize] - Requested page size
+ * @returns {Object|null} Pagination query for the next page, or null at the end
+ * @private
+ */
+function nextRequest(page, request, seen, pageSize) {
+  const limit = pageSize ? { limit: pageSize } : {};
+
+  if (page.nextCursor !== undefined) {
+    return page.nextCursor ? { cursor: page.nextCursor, ...limit } : null;
+  }
+  if (page.items.length === 0 || page.hasMore === false) {
+    return null;
+  }
+
+  const current = page.page ?? request.page;
+  if (current === undefined) {
+    // A cursor page without a next cursor is the last one
+    return null;
+  }
+  if (page.totalPages !== undefined && current >= page.totalPages) {
+    return null;
+  }
+  if (page.total !== undefined && seen >= page.total) {
+    return null;
+  }
+
+  const hasMeta = page.hasMore !== undefined || page.totalPages !== undefined || page.total !== undefined;
+  if (!hasMeta && pageSize && page.items.length < pageSize) {
+    return null;
+  }
+
+  return { page: current + 1, ...limit };
+}
+
+/**
+ * Iterate over every item of a paginated list
+ *
+ * Pages are requested with `page`/`limit` query parameters, switching to `cursor`
+ * when the response carries a next cursor. Iteration stops when the response
+ * metadata reports the last page, when a page comes back empty or short, when a
+ * page repeats the previous one (the endpoint ignores `page`), or when `maxItems`
+ * items have been yielded.
+ *
+ * @param {Function} fetchPage - Called with the pagination query, resolves to a list response
+ * @param {Object} [options={}] - Pagination options
+ * @param {number} [options.pageSize] - Items per page, sent as `limit`
+ * @param {number} [options.maxItems=Infinity] - Stop after this many items
+ * @param {number} [options.startPage=1] - First page to request
+ * @param {boolean} [options.prefetch=false] - Request the next page while the current one is consumed
+ * @returns {AsyncGenerator<any>} Async iterator over the list items
+ *
+ * @example
+ * for await (const client of paginate((query) => api.getClients(query), { pageSize: 50 })) {
+ *   console.log(client.name);
+ * }
+ */
+export async function* paginate(fetchPage, options = {}) {
+  const { pageSize, maxItems = Infinity, startPage = 1, prefetch = false } = options;
+  if (maxItems <= 0) {
+    return;
+  }
+
+  let request = { page: startPage, ...(pageSize ? { limit: pageSize } : {}) };
+  let pending = fetchPage(request);
+  let seen = 0;
+  let yielded = 0;
+  let previous = null;
+
+  while (pending) {
+    const page = parsePage(await pending);
+    const signature = page.items.length > 0 ? JSON.stringify(page.items) : null;
+    if (signature !== null && signature === previous) {
+      return;
+    }
+    previous = signature;
+    seen += page.items.length;
+    const next = nextRequest(page, request, seen, pageSize);
+
+    pending = null;
+    if (next && prefetch && yielded + page.items.length < maxItems) {
+      pending = fetchPage(next);
+      // Avoid an unhandled rejection if iteration stops before the prefetch is awaited
+      pending.catch(() => {});
+    }
+
+    for (const item of page.items) {
+      yield item;
+      if (++yielded >= maxItems) {
+        return;
+      }
+    }
+
+    if (next && !pending) {
+      pending = fetchPage(next);
+    }
+    request = next;
+  }
+}
+
+/**
+ * Collect every item of an async iterator into an array
+ *
+ * @param {AsyncIterable<any>} iterator - Iterator, e.g. from {@link paginate}
+ * @returns {Promise<any[]>} The items
+ *
+ * @example
+ * const clients = await collect(carespace.clients.iterateClients({ status: 'active' }));
+ */
+export async function collect(iterator) {
+  const items = [];
+  for await (const item of iterator) {
+    items.push(item);
+  }
+  return items;
+}
@@ -0,0 +1,251 @@
+import { AbortError } from './errors.js';
+import { getHeader } from './headers.js';
+import { getRetryAfter } from './retry.js';
+
+/**
+ * @typedef {import('./middleware.js').Middleware} Middleware
+ */
+
+/**
+ * Parse an `X-RateLimit-Reset` value into a timestamp
+ *
+ * Large values are epoch seconds, small values are seconds from now.
+ *
+ * @param {string} value - Header value
+ * @returns {number|null} Reset time in milliseconds, or null when invalid
+ * @private
+ */
+function parseReset(value) {
+  const number = Number(value);
+  if (value === undefined || value === null || value === '' || Number.isNaN(number)) {
+    return null;
+  }
+  return number > 1e9 ? number * 1000 : Date.now() + number * 1000;
+}
+
+/**
+ * Client-side rate limiter
+ *
+ * Combines a token bucket (`requestsPerSecond` with `burst` capacity) with a
+ * maximum number of concurrent requests. Requests wait in a FIFO queue until both
+ * allow them to start. High-priority requests skip the queue and start at once.
+ *
+ * The limiter adapts to the server: when `X-RateLimit-Remaining` reaches zero it
+ * pauses until `X-RateLimit-Reset`, and a 429 with `Retry-After` pauses it for
+ * that long.
+ *
+ * @example
+ * ```javascript
+ * const limiter = new RateLimiter({ requestsPerSecond: 10, burst: 20, maxConcurrent: 4 });
+ * const result = await limiter.schedule(() => fetchSomething());
+ * console.log(limiter.queueDepth);
+ * ```
+ */
+export class RateLimiter {
+  /**
+   * Create a new RateLimiter instance
+   *
+   * @param {Object} [options={}] - Limiter options
+   * @param {number} [options.requestsPerSecond=Infinity] - Sustained request rate
+   * @param {number} [options.burst] - Bucket capacity, defaults to one second of requests
+   * @param {number} [options.maxConcurrent=Infinity] - Requests allowed in flight at once
+   */
+  constructor(options = {}) {
+    this.requestsPerSecond = options.requestsPerSecond ?? Infinity;
+    this.burst = options.burst ?? Math.max(1, Math.ceil(this.requestsPerSecond));
+    this.maxConcurrent = options.maxConcurrent ?? Infinity;
+    this.tokens = this.burst;
+    this.lastRefill = Date.now();
+    this.pausedUntil = 0;
+    this.active = 0;
+    this.queue = [];
+    this.timer = null;
+  }
+
+  /**
+   * Number of requests waiting to start
+   *
+   * @returns {number} Queue depth
+   */
+  get queueDepth() {
+    return this.queue.length;
+  }
+
+  /**
+   * Run `fn` once the rate and concurrency limits allow it
+   *
+   * @param {Function} fn - Starts the request, returns a promise
+   * @param {Object} [options={}] - Scheduling options
+   * @param {string} [options.priority='normal'] - `'high'` skips the queue
+   * @param {AbortSignal} [options.signal] - Removes the request from the queue when aborted
+   * @returns {Promise<any>} Result of `fn`
+   * @throws {AbortError} When the signal is aborted while queued
+   */
+  schedule(fn, options = {}) {
+    const { priority = 'normal', signal } = options;
+
+    return new Promise((resolve, reject) => {
+      if (signal?.aborted) {
+        reject(new AbortError('Request aborted'));
+        return;
+      }
+
+      const task = { fn, resolve, reject, signal, onAbort: null };
+      if (priority === 'high') {
+        this.start(task);
+        return;
+      }
+
+      if (signal) {
+        task.onAbort = () => {
+          const index = this.queue.indexOf(task);
+          if (index !== -1) {
+            this.queue.splice(index, 1);
+            reject(new AbortError('Request aborted'));
+          }
+        };
+        signal.addEventListener('abort', task.onAbort, { once: true });
+      }
+
+      this.queue.push(task);
+      this.drain();
+    });
+  }
+
+  /**
+   * Adapt to rate-limit information from a response or error
+   *
+   * @param {Object} [headers] - Response headers
+   * @param {Error} [error] - Error thrown by the request
+   */
+  update(headers, error) {
+    const retryAfter = error ? getRetryAfter(error) : null;
+    if (retryAfter !== null) {
+      this.pause(Date.now() + retryAfter);
+    }
+
+    const header = getHeader(headers, 'X-RateLimit-Remaining');
+    const remaining = Number(header);
+    if (header === undefined || header === null || header === '' || Number.isNaN(remaining)) {
+      return;
+    }
+
+    if (remaining <= 0) {
+      const reset = parseReset(getHeader(headers, 'X-RateLimit-Reset'));
+      if (reset !== null) {
+        this.pause(reset);
+      }
+    } else if (Number.isFinite(this.requestsPerSecond)) {
+      this.refill();
+      this.tokens = Math.min(this.tokens, remaining);
+    }
+  }
+
+  /**
+   * Hold queued requests until the given time
+   *
+   * @param {number} until - Timestamp in milliseconds
+   */
+  pause(until) {
+    this.pausedUntil = Math.max(this.pausedUntil, until);
+    this.drain();
+  }
+
+  /**
+   * Add tokens accrued since the last refill
+   *
+   * @private
+   */
+  refill() {
+    const now = Date.now();
+    if (Number.isFinite(this.requestsPerSecond)) {
+      const elapsed = now - this.lastRefill;
+      this.tokens = Math.min(this.burst, this.tokens + elapsed * this.requestsPerSecond / 1000);
+    }
+    this.lastRefill = now;
+  }
+
+  /**
+   * Milliseconds until the next queued request may start
+   *
+   * @returns {number} Wait time, 0 when a request can start now
+   * @private
+   */
+  waitTime() {
+    this.refill();
+    const pauseWait = this.pausedUntil - Date.now();
+    const tokenWait = this.tokens >= 1 ? 0 : (1 - this.tokens) * 1000 / this.requestsPerSecond;
+    return Math.max(0, pauseWait, tokenWait);
+  }
+
+  /**
+   * Start as many queued requests as the limits allow
+   *
+   * @private
+   */
+  drain() {
+    if (this.timer) {
+      clearTimeout(this.timer);
+      this.timer = null;
+    }
+
+    while (this.queue.length > 0 && this.active < this.maxConcurrent) {
+      const wait = this.waitTime();
+      if (wait > 0) {
+        this.timer = setTimeout(() => {
+          this.timer = null;
+          this.drain();
+        }, wait);
+        return;
+      }
+      this.start(this.queue.shift());
+    }
+  }
+
+  /**
+   * Run a task, consuming a token
+   *
+   * @param {Object} task - Queued task
+   * @private
+   */
+  start(task) {
+    if (task.onAbort) {
+      task.signal.removeEventListener('abort', task.onAbort);
+    }
+    this.refill();
+    if (Number.isFinite(this.requestsPerSecond)) {
+      this.tokens -= 1;
+    }
+    this.active++;
+
+    Promise.resolve()
+      .then(task.fn)
+      .then(task.resolve, task.reject)
+      .finally(() => {
+        this.active--;
+        this.drain();
+      });
+  }
+}
+
+/**
+ * Create middleware running every request through a rate limiter
+ *
+ * Rate-limit headers of responses and errors are fed back to the limiter. Pass
+ * `priority: 'high'` as a per-call option to skip the queue.
+ *
+ * @param {RateLimiter} limiter - The rate limiter
+ * @returns {Middleware} Rate limiting middleware
+ */
+export function rateLimitMiddleware(limiter) {
+  return (req, next) => limiter.schedule(async () => {
+    try {
+      const response = await next(req);
+      limiter.update(response.headers);
+      return response;
+    } catch (error) {
+      limiter.update(error.response?.headers, error);
+      throw error;
+    }
+  }, { priority: req.options.priority, signal: req.signal });
+}
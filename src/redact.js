@@ -0,0 +1,140 @@
+/**
+ * Replacement for redacted values
+ */
+export const REDACTED = '[REDACTED]';
+
+/**
+ * Headers carrying credentials, redacted by default
+ */
+export const DEFAULT_REDACTED_HEADERS = [
+  'authorization',
+  'proxy-authorization',
+  'cookie',
+  'set-cookie',
+  'x-api-key'
+];
+
+/**
+ * Credential fields of request and response bodies, redacted by default
+ *
+ * Fields are matched ignoring case, `_` and `-`, so snake_case bodies such as
+ * `current_password` are covered too.
+ */
+export const DEFAULT_SECRET_FIELDS = [
+  'password',
+  'currentPassword',
+  'newPassword',
+  'token',
+  'accessToken',
+  'refreshToken'
+];
+
+/**
+ * Patient identifying fields (PHI), redacted by default
+ */
+export const DEFAULT_PHI_FIELDS = [
+  'name',
+  'firstName',
+  'lastName',
+  'fullName',
+  'email',
+  'phone',
+  'phoneNumber',
+  'dateOfBirth',
+  'dob',
+  'birthDate',
+  'address',
+  'ssn',
+  'mrn',
+  'medicalRecordNumber',
+  'insuranceNumber',
+  'notes',
+  'diagnosis'
+];
+
+/**
+ * Normalize a field name for matching
+ *
+ * Case, `_` and `-` are ignored, so `currentPassword`, `current_password` and
+ * `current-password` all match.
+ *
+ * @param {string} name - Field name
+ * @returns {string} The normalized name
+ * @private
+ */
+function normalizeField(name) {
+  return String(name).toLowerCase().replace(/[_-]/g, '');
+}
+
+/**
+ * Redact credential headers
+ *
+ * @param {Object} [headers={}] - Headers to redact
+ * @param {string[]} [names=DEFAULT_REDACTED_HEADERS] - Header names to redact, case-insensitive
+ * @returns {Object} Copy of the headers with matching values replaced
+ */
+export function redactHeaders(headers = {}, names = DEFAULT_REDACTED_HEADERS) {
+  const redacted = new Set(names.map(name => name.toLowerCase()));
+  return Object.fromEntries(Object.entries(headers || {}).map(([name, value]) => [
+    name,
+    redacted.has(name.toLowerCase()) ? REDACTED : value
+  ]));
+}
+
+/**
+ * Redact fields of a JSON value, at any depth
+ *
+ * @param {any} value - Value to redact
+ * @param {string[]} fields - Field names to redact, ignoring case, `_` and `-`
+ * @returns {any} Copy of the value with matching fields replaced
+ */
+export function redactFields(value, fields) {
+  const redacted = new Set(fields.map(normalizeField));
+
+  const walk = (item) => {
+    if (Array.isArray(item)) {
+      return item.map(walk);
+    }
+    if (!item || typeof item !== 'object') {
+      return item;
+    }
+    return Object.fromEntries(Object.entries(item).map(([key, child]) => [
+      key,
+      redacted.has(normalizeField(key)) && child !== null && child !== undefined ? REDACTED : walk(child)
+    ]));
+  };
+
+  return walk(value);
+}
+
+/**
+ * Redact bearer tokens inside free text such as error messages
+ *
+ * @param {string} text - Text to redact
+ * @returns {string} The text with bearer tokens replaced
+ */
+export function redactTokens(text) {
+  return String(text).replace(/(Bearer\s+)[^\s"',]+/gi, `$1${REDACTED}`);
+}
+
+/**
+ * Redact query parameters of a URL
+ *
+ * @param {string} url - URL with an optional query string
+ * @param {string[]} fields - Parameter names to redact, ignoring case, `_` and `-`
+ * @returns {string} The URL with matching parameter values replaced
+ */
+export function redactUrl(url, fields) {
+  const index = url.indexOf('?');
+  if (index === -1) {
+    return url;
+  }
+
+  const redacted = new Set(fields.map(normalizeField));
+  const params = new URLSearchParams(url.slice(index + 1));
+  const result = new URLSearchParams();
+  params.forEach((value, key) => {
+    result.append(key, redacted.has(normalizeField(key)) ? REDACTED : value);
+  });
+  return `${url.slice(0, index)}?${result.toString()}`;
+}
@@ -0,0 +1,225 @@
+import {
+  AbortError,
+  ServerError,
+  TimeoutError,
+  NetworkError,
+  RateLimitError
+} from './errors.js';
+import { getHeader, parseRetryAfter } from './headers.js';
+
+/**
+ * @typedef {import('./middleware.js').Middleware} Middleware
+ */
+
+/**
+ * HTTP methods that are safe to retry without side effects
+ */
+export const IDEMPOTENT_METHODS = ['get', 'head', 'options', 'put', 'delete'];
+
+/**
+ * Default retry configuration
+ */
+export const DEFAULT_RETRY_CONFIG = {
+  maxAttempts: 3,
+  baseDelay: 500,
+  maxDelay: 30000,
+  jitter: true,
+  retryOn: [ServerError, TimeoutError, NetworkError, RateLimitError],
+  methods: IDEMPOTENT_METHODS,
+  onRetry: null
+};
+
+/**
+ * Normalize a user supplied retry option into a full retry configuration
+ *
+ * @param {boolean|number|Object} [retry] - `false` disables retries, a number sets
+ *   `maxAttempts`, an object overrides individual settings
+ * @param {Object} [defaults=DEFAULT_RETRY_CONFIG] - Configuration to merge into
+ * @returns {Object} The normalized retry configuration
+ */
+export function normalizeRetryConfig(retry, defaults = DEFAULT_RETRY_CONFIG) {
+  if (retry === false) {
+    return { ...defaults, maxAttempts: 1 };
+  }
+  if (retry === undefined || retry === null || retry === true) {
+    return { ...defaults };
+  }
+  if (typeof retry === 'number') {
+    return { ...defaults, maxAttempts: retry };
+  }
+  return { ...defaults, ...retry };
+}
+
+/**
+ * Resolve the retry configuration for a single request
+ *
+ * Non-idempotent methods are only retried when the caller passes an explicit
+ * per-call `retry` option.
+ *
+ * @param {Object} config - Client level retry configuration
+ * @param {string} method - HTTP method of the request
+ * @param {boolean|number|Object} [override] - Per-call retry option
+ * @returns {Object} Retry configuration for this request
+ */
+export function resolveRetryConfig(config, method, override) {
+  if (override === undefined) {
+    if (!config.methods.includes(method.toLowerCase())) {
+      return { ...config, maxAttempts: 1 };
+    }
+    return config;
+  }
+  return normalizeRetryConfig(override, config);
+}
+
+/**
+ * Check whether an error should be retried
+ *
+ * @param {Error} error - The error thrown by the request
+ * @param {Object} config - Retry configuration
+ * @returns {boolean} True when the error is an instance of a retryable class
+ */
+export function isRetryableError(error, config) {
+  return config.retryOn.some(ErrorClass => error instanceof ErrorClass);
+}
+
+/**
+ * Read the Retry-After header from a 429 or 503 error response
+ *
+ * @param {Error} error - The error thrown by the request
+ * @returns {number|null} Delay in milliseconds, or null when absent
+ */
+export function getRetryAfter(error) {
+  if (error.statusCode !== 429 && error.statusCode !== 503) {
+    return null;
+  }
+
+  return parseRetryAfter(getHeader(error.response?.headers, 'Retry-After'));
+}
+
+/**
+ * Compute the delay before the next attempt using exponential backoff
+ *
+ * @param {number} attempt - The attempt that just failed (1-based)
+ * @param {Object} config - Retry configuration
+ * @returns {number} Delay in milliseconds
+ */
+export function computeBackoff(attempt, config) {
+  const delay = Math.min(config.baseDelay * Math.pow(2, attempt - 1), config.maxDelay);
+  if (!config.jitter) {
+    return delay;
+  }
+  return delay / 2 + Math.random() * (delay / 2);
+}
+
+/**
+ * Wait for the given number of milliseconds
+ *
+ * @param {number} ms - Milliseconds to wait
+ * @param {AbortSignal} [signal] - Signal that cancels the wait
+ * @returns {Promise<void>}
+ * @throws {AbortError} When the signal is aborted
+ */
+export function sleep(ms, signal) {
+  return new Promise((resolve, reject) => {
+    if (signal?.aborted) {
+      reject(new AbortError('Request aborted'));
+      return;
+    }
+
+    const onAbort = () => {
+      clearTimeout(timer);
+      reject(new AbortError('Request aborted'));
+    };
+    const timer = setTimeout(() => {
+      signal?.removeEventListener('abort', onAbort);
+      resolve();
+    }, ms);
+    signal?.addEventListener('abort', onAbort, { once: true });
+  });
+}
+
+/**
+ * Run a request function, retrying it according to the retry configuration
+ *
+ * A `Retry-After` header on 429/503 responses takes precedence over the computed
+ * backoff. When the server asks to wait longer than `maxDelay` the error is
+ * thrown instead of retried.
+ *
+ * @param {Function} fn - Function performing the request, receives the attempt number
+ * @param {Object} config - Retry configuration for this request
+ * @param {AbortSignal} [config.signal] - Signal that cancels pending retry delays
+ * @returns {Promise<any>} Result of the first successful attempt
+ * @throws {CarespaceError} The last error when all attempts fail
+ */
+export async function withRetry(fn, config) {
+  let attempt = 1;
+
+  for (;;) {
+    try {
+      return await fn(attempt);
+    } catch (error) {
+      if (attempt >= config.maxAttempts || !isRetryableError(error, config)) {
+        throw error;
+      }
+
+      const retryAfter = getRetryAfter(error);
+      if (retryAfter !== null && retryAfter > config.maxDelay) {
+        throw error;
+      }
+
+      const delay = retryAfter !== null ? retryAfter : computeBackoff(attempt, config);
+      if (config.onRetry) {
+        config.onRetry(error, attempt, delay);
+      }
+
+      await sleep(delay, config.signal);
+      attempt++;
+    }
+  }
+}
+
+/**
+ * Create middleware retrying failed requests
+ *
+ * Middleware further down the chain can read the current attempt from
+ * `req.context.attempt`, the attempt limit from `req.context.maxAttempts` and the
+ * delay before the current attempt from `req.context.retryDelay`.
+ *
+ * The client already retries through its `retry` option. Registering this
+ * middleware on top of the built-in retry multiplies the attempts, so turn the
+ * built-in one off with `retry: false` first.
+ *
+ * @param {boolean|number|Object} [retry] - Retry configuration, see `normalizeRetryConfig`
+ * @returns {Middleware} Retry middleware honoring the per-call `retry` option
+ *
+ * @example
+ * // Replace the built-in retry rather than stacking on top of it
+ * const carespace = new CarespaceAPI({ retry: false });
+ * carespace.use(retryMiddleware({ maxAttempts: 5, baseDelay: 1000 }));
+ */
+export function retryMiddleware(retry) {
+  const config = normalizeRetryConfig(retry);
+
+  return (req, next) => {
+    const resolved = resolveRetryConfig(config, req.method, req.options.retry);
+    const context = req.context || {};
+    context.maxAttempts = resolved.maxAttempts;
+
+    return withRetry(
+      (attempt) => {
+        context.attempt = attempt;
+        return next(req);
+      },
+      {
+        ...resolved,
+        signal: req.signal,
+        onRetry: (error, attempt, delay) => {
+          context.retryDelay = delay;
+          if (resolved.onRetry) {
+            resolved.onRetry(error, attempt, delay);
+          }
+        }
+      }
+    );
+  };
+}
@@ -0,0 +1,109 @@
+/**
+ * Request payload schemas
+ *
+ * Plain JSON Schema objects describing the payloads of `clients.createClient`,
+ * `programs.createProgram` and `programs.addExerciseToProgram`. The SDK validates
+ * payloads against them before sending, and they can be reused with form
+ * libraries or any JSON Schema validator.
+ */
+
+/**
+ * Client statuses
+ */
+export const CLIENT_STATUSES = ['active', 'inactive', 'discharged'];
+
+/**
+ * Administrative genders, as in FHIR
+ */
+export const GENDERS = ['male', 'female', 'other', 'unknown'];
+
+/**
+ * Program difficulty levels
+ */
+export const PROGRAM_DIFFICULTIES = ['beginner', 'intermediate', 'advanced'];
+
+/**
+ * Schema of the `clients.createClient` payload
+ */
+export const CREATE_CLIENT_SCHEMA = {
+  title: 'CreateClient',
+  type: 'object',
+  required: ['name'],
+  properties: {
+    name: { type: 'string', minLength: 1, maxLength: 200 },
+    email: { type: 'string', format: 'email' },
+    phone: { type: 'string', minLength: 1 },
+    dateOfBirth: { type: 'string', format: 'date' },
+    gender: { type: 'string', enum: GENDERS },
+    condition: { type: 'string' },
+    status: { type: 'string', enum: CLIENT_STATUSES },
+    notes: { type: 'string' },
+    therapistId: { type: 'string', minLength: 1 },
+    address: {
+      type: 'object',
+      properties: {
+        line1: { type: 'string' },
+        line2: { type: 'string' },
+        city: { type: 'string' },
+        state: { type: 'string' },
+        postalCode: { type: 'string' },
+        country: { type: 'string' }
+      }
+    },
+    emergencyContact: {
+      type: 'object',
+      properties: {
+        name: { type: 'string' },
+        phone: { type: 'string' },
+        relationship: { type: 'string' }
+      }
+    },
+    metadata: { type: 'object' }
+  }
+};
+
+/**
+ * Schema of the `programs.createProgram` payload
+ */
+export const CREATE_PROGRAM_SCHEMA = {
+  title: 'CreateProgram',
+  type: 'object',
+  required: ['name'],
+  properties: {
+    name: { type: 'string', minLength: 1, maxLength: 200 },
+    description: { type: 'string' },
+    category: { type: 'string' },
+    difficulty: { type: 'string', enum: PROGRAM_DIFFICULTIES },
+    duration: { type: ['string', 'integer'] },
+    durationWeeks: { type: 'integer', minimum: 1 },
+    exercises: { type: 'array', items: { type: ['string', 'object'] } },
+    tags: { type: 'array', items: { type: 'string' } },
+    isTemplate: { type: 'boolean' },
+    startDate: { type: 'string', format: 'date' },
+    metadata: { type: 'object' }
+  }
+};
+
+/**
+ * Schema of the `programs.addExerciseToProgram` payload
+ */
+export const PROGRAM_EXERCISE_SCHEMA = {
+  title: 'ProgramExercise',
+  type: 'object',
+  required: ['name'],
+  properties: {
+    name: { type: 'string', minLength: 1, maxLength: 200 },
+    exerciseId: { type: 'string', minLength: 1 },
+    description: { type: 'string' },
+    sets: { type: 'integer', minimum: 1 },
+    reps: { type: 'integer', minimum: 1 },
+    duration: { type: 'number', minimum: 0 },
+    restSeconds: { type: 'integer', minimum: 0 },
+    weight: { type: ['string', 'number'] },
+    frequency: { type: 'string' },
+    order: { type: 'integer', minimum: 0 },
+    notes: { type: 'string' },
+    videoUrl: { type: 'string', format: 'uri' },
+    metadata: { type: 'object' }
+  }
+};
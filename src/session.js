@@ -0,0 +1,272 @@
+import { AuthenticationError } from './errors.js';
+
+/**
+ * @typedef {import('./token-store.js').TokenStore} TokenStore
+ * @typedef {import('./middleware.js').Middleware} Middleware
+ */
+
+/**
+ * Decode the `exp` claim of a JWT
+ *
+ * @param {string} token - The JWT access token
+ * @returns {number|null} Expiry as a millisecond timestamp, or null when the token
+ *   is not a JWT or has no `exp` claim
+ */
+export function decodeJwtExpiry(token) {
+  if (typeof token !== 'string') {
+    return null;
+  }
+
+  const parts = token.split('.');
+  if (parts.length !== 3) {
+    return null;
+  }
+
+  try {
+    const base64 = parts[1].replace(/-/g, '+').replace(/_/g, '/');
+    const json = typeof atob === 'function'
+      ? atob(base64)
+      : Buffer.from(base64, 'base64').toString('binary');
+    const payload = JSON.parse(json);
+    return typeof payload.exp === 'number' ? payload.exp * 1000 : null;
+  } catch {
+    return null;
+  }
+}
+
+/**
+ * Access token session
+ *
+ * Holds the access and refresh tokens returned by `auth.login` and refreshes them
+ * ahead of expiry. Concurrent callers share a single in-flight refresh.
+ *
+ * @example
+ * ```javascript
+ * const session = new Session({
+ *   refresh: (refreshToken) => client.post('/auth/refresh', { refresh_token: refreshToken })
+ * });
+ * session.setTokens({ access_token: 'jwt', refresh_token: 'refresh' });
+ * await session.ensureFresh();
+ * ```
+ */
+export class Session {
+  /**
+   * Create a new Session instance
+   *
+   * @param {Object} options - Session options
+   * @param {Function} options.refresh - Called with the refresh token, resolves to new tokens
+   * @param {number} [options.refreshMargin=60000] - Refresh this many milliseconds before expiry
+   * @param {TokenStore} [options.store] - Store persisting tokens across restarts
+   */
+  constructor(options = {}) {
+    this.refresher = options.refresh;
+    this.refreshMargin = options.refreshMargin ?? 60000;
+    this.store = options.store || null;
+    this.accessToken = null;
+    this.refreshToken = null;
+    this.expiresAt = null;
+    this.refreshPromise = null;
+    this.loadPromise = null;
+  }
+
+  /**
+   * Load persisted tokens from the token store
+   *
+   * Tokens are only read once; later calls resolve immediately. A store that
+   * cannot be read, e.g. after the encryption key changed or the file was
+   * corrupted, is cleared and the session starts without tokens.
+   *
+   * @returns {Promise<void>}
+   */
+  load() {
+    if (!this.loadPromise) {
+      this.loadPromise = this.store ? this.restore() : Promise.resolve();
+    }
+    return this.loadPromise;
+  }
+
+  /**
+   * Read tokens from the store unless tokens were set in the meantime
+   *
+   * @returns {Promise<void>}
+   * @private
+   */
+  async restore() {
+    let stored;
+    try {
+      stored = await this.store.get();
+    } catch {
+      stored = null;
+      await this.store.clear().catch(() => {});
+    }
+    if (stored && !this.accessToken) {
+      this.accessToken = stored.access_token || null;
+      this.refreshToken = stored.refresh_token || null;
+      this.expiresAt = stored.expires_at ?? null;
+    }
+  }
+
+  /**
+   * Write the current tokens to the token store
+   *
+   * @returns {Promise<void>}
+   * @private
+   */
+  async persist() {
+    if (!this.store) {
+      return;
+    }
+    if (!this.accessToken) {
+      await this.store.clear();
+      return;
+    }
+    await this.store.set({
+      access_token: this.accessToken,
+      refresh_token: this.refreshToken,
+      expires_at: this.expiresAt
+    });
+  }
+
+  /**
+   * Store tokens from a login or refresh response
+   *
+   * A missing `refresh_token` keeps the current one. The expiry is taken from
+   * `expires_in` when present, otherwise from the JWT `exp` claim. camelCase
+   * responses (`accessToken`, `refreshToken`, `expiresIn`), as returned with the
+   * `caseConversion` option, are accepted as well.
+   *
+   * @param {Object} tokens - Authentication response
+   * @param {string} tokens.access_token - The access token
+   * @param {string} [tokens.refresh_token] - The refresh token
+   * @param {number} [tokens.expires_in] - Access token lifetime in seconds
+   * @returns {Promise<void>} Resolves once the tokens are persisted
+   */
+  async setTokens(tokens = {}) {
+    const accessToken = tokens.access_token || tokens.accessToken;
+    const refreshToken = tokens.refresh_token || tokens.refreshToken;
+    const expiresIn = tokens.expires_in ?? tokens.expiresIn;
+    if (!accessToken) {
+      return;
+    }
+
+    this.accessToken = accessToken;
+    if (refreshToken) {
+      this.refreshToken = refreshToken;
+    }
+    this.expiresAt = typeof expiresIn === 'number'
+      ? Date.now() + expiresIn * 1000
+      : decodeJwtExpiry(accessToken);
+    await this.persist();
+  }
+
+  /**
+   * Forget all stored tokens
+   *
+   * @returns {Promise<void>} Resolves once the token store is cleared
+   */
+  async clear() {
+    this.accessToken = null;
+    this.refreshToken = null;
+    this.expiresAt = null;
+    await this.persist();
+  }
+
+  /**
+   * Check whether the access token expires within the refresh margin
+   *
+   * @returns {boolean} True when the token should be refreshed
+   */
+  isExpiring() {
+    return this.expiresAt !== null && Date.now() >= this.expiresAt - this.refreshMargin;
+  }
+
+  /**
+   * Check whether the session can be refreshed
+   *
+   * @returns {boolean} True when a refresh token is stored
+   */
+  canRefresh() {
+    return Boolean(this.refreshToken && this.refresher);
+  }
+
+  /**
+   * Refresh the access token if it is about to expire
+   *
+   * @returns {Promise<void>}
+   * @throws {AuthenticationError} When the refresh token is rejected
+   */
+  async ensureFresh() {
+    await this.load();
+    if (this.accessToken && this.canRefresh() && this.isExpiring()) {
+      await this.refresh();
+    }
+  }
+
+  /**
+   * Refresh the access token
+   *
+   * Calls made while a refresh is in flight wait on the same refresh. The session
+   * is cleared when the server rejects the refresh token.
+   *
+   * @returns {Promise<void>}
+   * @throws {AuthenticationError} When no refresh token is stored or it is rejected
+   */
+  refresh() {
+    if (this.refreshPromise) {
+      return this.refreshPromise;
+    }
+    if (!this.canRefresh()) {
+      return Promise.reject(new AuthenticationError('No refresh token available'));
+    }
+
+    this.refreshPromise = (async () => {
+      try {
+        await this.setTokens(await this.refresher(this.refreshToken));
+      } catch (error) {
+        if (error instanceof AuthenticationError) {
+          await this.clear();
+        }
+        throw error;
+      } finally {
+        this.refreshPromise = null;
+      }
+    })();
+
+    return this.refreshPromise;
+  }
+}
+
+/**
+ * Create middleware keeping a session's access token fresh
+ *
+ * The token is refreshed before it expires, and a request failing with an
+ * `AuthenticationError` is replayed once after a refresh. Pass
+ * `skipAuthRefresh: true` as a per-call option to bypass this handling, or
+ * `skipAuthReplay: true` to keep the refresh before the request but not replay it.
+ *
+ * @param {Session} session - The session
+ * @returns {Middleware} Session middleware
+ */
+export function sessionMiddleware(session) {
+  return async (req, next) => {
+    if (req.options.skipAuthRefresh) {
+      return next(req);
+    }
+
+    await session.ensureFresh();
+    const token = session.accessToken;
+
+    try {
+      return await next(req);
+    } catch (error) {
+      if (!(error instanceof AuthenticationError) || req.options.skipAuthReplay || !token || !session.canRefresh()) {
+        throw error;
+      }
+      // Another request may already have refreshed the token we sent
+      if (session.accessToken === token) {
+        await session.refresh();
+      }
+      return next(req);
+    }
+  };
+}
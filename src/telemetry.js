@@ -0,0 +1,170 @@
+import { getHeader, getRequestId } from './headers.js';
+import { randomHex } from './crypto.js';
+
+/**
+ * @typedef {import('./middleware.js').Middleware} Middleware
+ */
+
+const TRACEPARENT = /^([0-9a-f]{2})-([0-9a-f]{32})-([0-9a-f]{16})-([0-9a-f]{2})(-.*)?$/;
+
+/**
+ * Parse a W3C `traceparent` header
+ *
+ * @param {string} [header] - Header value such as `00-<trace-id>-<parent-id>-01`
+ * @returns {Object|null} `{ version, traceId, parentId, flags }`, or `null` when the
+ *   header is missing or invalid
+ *
+ * @example
+ * parseTraceparent('00-4bf92f3577b34da6a3ce929d0e0e4736-00f067aa0ba902b7-01').traceId
+ * // returns '4bf92f3577b34da6a3ce929d0e0e4736'
+ */
+export function parseTraceparent(header) {
+  const match = typeof header === 'string' ? TRACEPARENT.exec(header.trim()) : null;
+  if (!match) {
+    return null;
+  }
+
+  const [, version, traceId, parentId, flags, rest] = match;
+  if (version === 'ff' || (version === '00' && rest) ||
+    /^0+$/.test(traceId) || /^0+$/.test(parentId)) {
+    return null;
+  }
+  return { version, traceId, parentId, flags };
+}
+
+/**
+ * Format a W3C `traceparent` header
+ *
+ * @param {string} traceId - 32 hex character trace id
+ * @param {string} spanId - 16 hex character id of the span sending the request
+ * @param {string} [flags='01'] - Trace flags, `'01'` when sampled
+ * @returns {string} Header value
+ */
+export function formatTraceparent(traceId, spanId, flags = '01') {
+  return `00-${traceId}-${spanId}-${flags}`;
+}
+
+/**
+ * Call a hook, ignoring anything it throws or rejects with
+ *
+ * @param {Function} [hook] - Hook to call
+ * @param {Object} event - Hook event
+ * @private
+ */
+function callHook(hook, event) {
+  if (typeof hook !== 'function') {
+    return;
+  }
+  try {
+    const result = hook(event);
+    if (result && typeof result.catch === 'function') {
+      result.catch(() => {});
+    }
+  } catch {
+    // Observability must never break API calls
+  }
+}
+
+/**
+ * Create middleware reporting request metrics and propagating trace context
+ *
+ * Hooks run for every attempt, so retries show up as events with `attempt > 1`.
+ * Each event carries the HTTP method and the route template the resource method
+ * used (e.g. `/clients/{id}/programs`) rather than the filled-in URL, keeping metric
+ * cardinality low and ids and query parameters out of metric labels. Requests
+ * sent directly with `CarespaceClient` report their path without the query string.
+ *
+ * Event fields:
+ * - `onRequestStart` - `method`, `route`, `attempt`, `maxAttempts`, `startTime`, and
+ *   `traceId`, `spanId`, `parentSpanId` when tracing
+ * - `onRequestEnd` - start fields plus `status`, `durationMs` and `requestId`
+ * - `onRequestError` - start fields plus `status` (or `null`), `durationMs`, `requestId`,
+ *   `errorClass` and `error`
+ *
+ * With tracing enabled every attempt sends a `traceparent` header with a new span
+ * id. The trace id and flags come from the per-call `traceparent` option, then
+ * `tracing.getTraceparent()` (e.g. the active OpenTelemetry span), and a new trace
+ * is started when neither returns a valid value. A `traceparent` header set by the
+ * caller is sent unchanged.
+ *
+ * Hooks are called synchronously and must not throw; anything they throw or reject
+ * with is ignored.
+ *
+ * @param {Object} [options={}] - Telemetry options
+ * @param {Object} [options.hooks={}] - Hook functions
+ * @param {Function} [options.hooks.onRequestStart] - Called before each attempt
+ * @param {Function} [options.hooks.onRequestEnd] - Called after each successful attempt
+ * @param {Function} [options.hooks.onRequestError] - Called after each failed attempt
+ * @param {boolean|Object} [options.tracing=false] - Send `traceparent` headers
+ * @param {Function} [options.tracing.getTraceparent] - Returns the `traceparent` of the
+ *   current trace, if any
+ * @returns {Middleware} Telemetry middleware
+ *
+ * @example
+ * carespace.use(telemetryMiddleware({
+ *   hooks: {
+ *     onRequestEnd: ({ method, route, status, durationMs }) =>
+ *       histogram.record(durationMs, { method, route, status })
+ *   }
+ * }));
+ */
+export function telemetryMiddleware(options = {}) {
+  const { hooks = {}, tracing = false } = options;
+  const getTraceparent = typeof tracing === 'object' ? tracing.getTraceparent : undefined;
+
+  const resolveTrace = (req) => {
+    const sent = parseTraceparent(getHeader(req.headers, 'traceparent'));
+    if (sent) {
+      return { traceId: sent.traceId, parentSpanId: undefined, flags: sent.flags, sent };
+    }
+    const parent = parseTraceparent(req.options.traceparent) ||
+      parseTraceparent(getTraceparent ? getTraceparent() : undefined);
+    return parent
+      ? { traceId: parent.traceId, parentSpanId: parent.parentId, flags: parent.flags }
+      : { traceId: randomHex(16), parentSpanId: undefined, flags: '01' };
+  };
+
+  return async (req, next) => {
+    const event = {
+      method: req.method.toUpperCase(),
+      route: req.options.route || req.url.split('?')[0],
+      attempt: req.context.attempt ?? 1,
+      maxAttempts: req.context.maxAttempts ?? 1,
+      startTime: Date.now()
+    };
+
+    let sendReq = req;
+    if (tracing) {
+      // One trace per call: retries share the trace id with a new span each
+      req.context.trace = req.context.trace || resolveTrace(req);
+      const { traceId, parentSpanId, flags, sent } = req.context.trace;
+      const spanId = sent ? sent.parentId : randomHex(8);
+      Object.assign(event, { traceId, spanId, parentSpanId });
+      if (!sent) {
+        sendReq = { ...req, headers: { ...req.headers, traceparent: formatTraceparent(traceId, spanId, flags) } };
+      }
+    }
+
+    callHook(hooks.onRequestStart, { ...event });
+    try {
+      const response = await next(sendReq);
+      callHook(hooks.onRequestEnd, {
+        ...event,
+        status: response.status,
+        durationMs: Date.now() - event.startTime,
+        requestId: getRequestId(response.headers)
+      });
+      return response;
+    } catch (error) {
+      callHook(hooks.onRequestError, {
+        ...event,
+        status: error.statusCode ?? null,
+        durationMs: Date.now() - event.startTime,
+        requestId: getRequestId(error.response?.headers),
+        errorClass: error.name,
+        error
+      });
+      throw error;
+    }
+  };
+}
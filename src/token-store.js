@@ -0,0 +1,307 @@
+import { CarespaceError } from './errors.js';
+import { aesGcmDecrypt, aesGcmEncrypt, deriveAesKey, randomBytes } from './crypto.js';
+
+const ENCRYPTION_VERSION = 'v1';
+const PBKDF2_ITERATIONS = 100000;
+
+function toBase64(bytes) {
+  if (typeof Buffer !== 'undefined') {
+    return Buffer.from(bytes).toString('base64');
+  }
+  return btoa(String.fromCharCode(...bytes));
+}
+
+function fromBase64(value) {
+  if (typeof Buffer !== 'undefined') {
+    return new Uint8Array(Buffer.from(value, 'base64'));
+  }
+  return Uint8Array.from(atob(value), c => c.charCodeAt(0));
+}
+
+/**
+ * Base class for token storage adapters
+ *
+ * Adapters implement `read`, `write` and `remove` on serialized strings. The base
+ * class handles JSON serialization and optional AES-GCM encryption at rest, with
+ * the key derived from `encryptionKey` using PBKDF2.
+ *
+ * Custom stores can either extend this class or implement `get`, `set` and `clear`
+ * directly.
+ *
+ * @example
+ * ```javascript
+ * class RedisTokenStore extends TokenStore {
+ *   constructor(redis, options) {
+ *     super(options);
+ *     this.redis = redis;
+ *   }
+ *   read() { return this.redis.get('carespace:tokens'); }
+ *   write(value) { return this.redis.set('carespace:tokens', value); }
+ *   remove() { return this.redis.del('carespace:tokens'); }
+ * }
+ * ```
+ */
+export class TokenStore {
+  /**
+   * Create a new TokenStore instance
+   *
+   * @param {Object} [options={}] - Store options
+   * @param {string} [options.encryptionKey] - Secret used to encrypt tokens at rest
+   */
+  constructor(options = {}) {
+    this.encryptionKey = options.encryptionKey;
+    this.derivedKeys = new Map();
+  }
+
+  /**
+   * Load the stored tokens
+   *
+   * @returns {Promise<Object|null>} The stored tokens, or null when empty
+   * @throws {CarespaceError} When the stored tokens cannot be decrypted
+   */
+  async get() {
+    const raw = await this.read();
+    if (raw === null || raw === undefined || raw === '') {
+      return null;
+    }
+    const json = this.encryptionKey ? await this.decrypt(raw) : raw;
+    return JSON.parse(json);
+  }
+
+  /**
+   * Persist tokens
+   *
+   * @param {Object} tokens - Tokens to store
+   * @returns {Promise<void>}
+   */
+  async set(tokens) {
+    const json = JSON.stringify(tokens);
+    await this.write(this.encryptionKey ? await this.encrypt(json) : json);
+  }
+
+  /**
+   * Remove the stored tokens
+   *
+   * @returns {Promise<void>}
+   */
+  async clear() {
+    await this.remove();
+  }
+
+  /**
+   * Read the serialized tokens
+   *
+   * @returns {Promise<string|null>} The serialized tokens
+   * @abstract
+   */
+  async read() {
+    throw new Error('TokenStore adapters must implement read()');
+  }
+
+  /**
+   * Write the serialized tokens
+   *
+   * @param {string} _value - The serialized tokens
+   * @returns {Promise<void>}
+   * @abstract
+   */
+  async write(_value) {
+    throw new Error('TokenStore adapters must implement write()');
+  }
+
+  /**
+   * Delete the serialized tokens
+   *
+   * @returns {Promise<void>}
+   * @abstract
+   */
+  async remove() {
+    throw new Error('TokenStore adapters must implement remove()');
+  }
+
+  /**
+   * Derive the AES-GCM key for a salt
+   *
+   * @param {Uint8Array} salt - PBKDF2 salt
+   * @returns {Promise<CryptoKey>} The derived key
+   * @private
+   */
+  async deriveKey(salt) {
+    const cacheKey = toBase64(salt);
+    if (!this.derivedKeys.has(cacheKey)) {
+      this.derivedKeys.set(cacheKey, await deriveAesKey(this.encryptionKey, salt, PBKDF2_ITERATIONS));
+    }
+    return this.derivedKeys.get(cacheKey);
+  }
+
+  /**
+   * Encrypt a serialized value
+   *
+   * @param {string} plaintext - Value to encrypt
+   * @returns {Promise<string>} `v1.<salt>.<iv>.<ciphertext>` with base64 parts
+   * @private
+   */
+  async encrypt(plaintext) {
+    const salt = randomBytes(16);
+    const iv = randomBytes(12);
+    const key = await this.deriveKey(salt);
+    const ciphertext = await aesGcmEncrypt(key, iv, new TextEncoder().encode(plaintext));
+    return [ENCRYPTION_VERSION, toBase64(salt), toBase64(iv), toBase64(ciphertext)].join('.');
+  }
+
+  /**
+   * Decrypt a value produced by `encrypt`
+   *
+   * @param {string} value - Encrypted value
+   * @returns {Promise<string>} The plaintext
+   * @throws {CarespaceError} When the value is malformed or the key is wrong
+   * @private
+   */
+  async decrypt(value) {
+    const [version, salt, iv, ciphertext] = String(value).split('.');
+    if (version !== ENCRYPTION_VERSION || !ciphertext) {
+      throw new CarespaceError('Stored tokens are not encrypted with a supported format');
+    }
+
+    try {
+      const key = await this.deriveKey(fromBase64(salt));
+      const plaintext = await aesGcmDecrypt(key, fromBase64(iv), fromBase64(ciphertext));
+      return new TextDecoder().decode(plaintext);
+    } catch {
+      throw new CarespaceError('Unable to decrypt stored tokens - check the encryption key');
+    }
+  }
+}
+
+/**
+ * Token store keeping tokens in process memory
+ *
+ * Tokens are lost when the process exits. This is the behaviour of session mode
+ * without a `tokenStore`.
+ */
+export class MemoryTokenStore extends TokenStore {
+  constructor(options = {}) {
+    super(options);
+    this.value = null;
+  }
+
+  async read() {
+    return this.value;
+  }
+
+  async write(value) {
+    this.value = value;
+  }
+
+  async remove() {
+    this.value = null;
+  }
+}
+
+/**
+ * Token store persisting tokens to a JSON file (Node.js only)
+ *
+ * The file is created with `0600` permissions so only the current user can read it.
+ *
+ * @example
+ * ```javascript
+ * const store = new FileTokenStore({
+ *   path: `${os.homedir()}/.carespace/tokens.json`,
+ *   encryptionKey: process.env.CARESPACE_TOKEN_KEY
+ * });
+ * ```
+ */
+export class FileTokenStore extends TokenStore {
+  /**
+   * Create a new FileTokenStore instance
+   *
+   * @param {Object} options - Store options
+   * @param {string} options.path - Path of the token file
+   * @param {number} [options.mode=0o600] - File permissions
+   * @param {string} [options.encryptionKey] - Secret used to encrypt tokens at rest
+   */
+  constructor(options = {}) {
+    super(options);
+    if (!options.path) {
+      throw new Error('FileTokenStore requires a path');
+    }
+    this.path = options.path;
+    this.mode = options.mode ?? 0o600;
+  }
+
+  async read() {
+    const fs = await import('fs/promises');
+    try {
+      return await fs.readFile(this.path, 'utf8');
+    } catch (error) {
+      if (error.code === 'ENOENT') {
+        return null;
+      }
+      throw error;
+    }
+  }
+
+  async write(value) {
+    const fs = await import('fs/promises');
+    const path = await import('path');
+    await fs.mkdir(path.dirname(this.path), { recursive: true });
+    await fs.writeFile(this.path, value, { encoding: 'utf8', mode: this.mode });
+  }
+
+  async remove() {
+    const fs = await import('fs/promises');
+    try {
+      await fs.unlink(this.path);
+    } catch (error) {
+      if (error.code !== 'ENOENT') {
+        throw error;
+      }
+    }
+  }
+}
+
+/**
+ * Token store backed by the Web Storage API (`localStorage` or `sessionStorage`)
+ *
+ * @example
+ * ```javascript
+ * const store = new WebStorageTokenStore({ storage: 'session' });
+ * ```
+ */
+export class WebStorageTokenStore extends TokenStore {
+  /**
+   * Create a new WebStorageTokenStore instance
+   *
+   * @param {Object} [options={}] - Store options
+   * @param {string|Storage} [options.storage='local'] - `'local'`, `'session'` or a Storage object
+   * @param {string} [options.key='carespace.tokens'] - Storage key
+   * @param {string} [options.encryptionKey] - Secret used to encrypt tokens at rest
+   */
+  constructor(options = {}) {
+    super(options);
+    const storage = options.storage ?? 'local';
+    if (storage === 'local') {
+      this.storage = globalThis.localStorage;
+    } else if (storage === 'session') {
+      this.storage = globalThis.sessionStorage;
+    } else {
+      this.storage = storage;
+    }
+    if (!this.storage) {
+      throw new Error('Web Storage is not available in this environment');
+    }
+    this.key = options.key ?? 'carespace.tokens';
+  }
+
+  async read() {
+    return this.storage.getItem(this.key);
+  }
+
+  async write(value) {
+    this.storage.setItem(this.key, value);
+  }
+
+  async remove() {
+    this.storage.removeItem(this.key);
+  }
+}
@@ -0,0 +1,145 @@
+import {
+  CarespaceError,
+  createResponseError,
+  TimeoutError,
+  NetworkError,
+  AbortError
+} from '../errors.js';
+import { toPlainHeaders } from '../headers.js';
+
+const BODYLESS_METHODS = ['get', 'delete', 'head', 'options'];
+
+/**
+ * Normalize an axios response into the transport response shape
+ *
+ * @param {Object} response - The axios response
+ * @returns {Object} Response with `status`, `statusText`, plain `headers` and `data`
+ * @private
+ */
+function toResponse(response) {
+  return {
+    status: response.status,
+    statusText: response.statusText,
+    headers: toPlainHeaders(response.headers),
+    data: response.data
+  };
+}
+
+/**
+ * HTTP transport backed by axios
+ *
+ * axios is imported on the first request, so runtimes using another transport
+ * never load it.
+ *
+ * @example
+ * ```javascript
+ * const transport = new AxiosTransport({ baseURL: 'https://api.carespace.ai', timeout: 30000 });
+ * const response = await transport.request({ method: 'get', url: '/users', headers: {} });
+ * ```
+ */
+export class AxiosTransport {
+  /**
+   * Create a new AxiosTransport instance
+   *
+   * @param {Object} [config={}] - Transport configuration
+   * @param {string} [config.baseURL] - Base URL for relative request URLs
+   * @param {number} [config.timeout] - Default request timeout in milliseconds
+   * @param {Object} [config.headers={}] - Headers sent with every request
+   * @param {Object} [config.axios] - axios module to use instead of importing it
+   */
+  constructor(config = {}) {
+    this.baseURL = config.baseURL;
+    this.timeout = config.timeout;
+    this.headers = config.headers || {};
+    this.axios = config.axios || null;
+    this.instancePromise = null;
+  }
+
+  /**
+   * Get the axios instance, creating it on first use
+   *
+   * @returns {Promise<Object>} The axios instance
+   */
+  getInstance() {
+    if (!this.instancePromise) {
+      this.instancePromise = (async () => {
+        if (!this.axios) {
+          this.axios = (await import('axios')).default;
+        }
+        return this.axios.create({
+          baseURL: this.baseURL,
+          timeout: this.timeout,
+          headers: {
+            'Content-Type': 'application/json',
+            ...this.headers
+          }
+        });
+      })();
+    }
+    return this.instancePromise;
+  }
+
+  /**
+   * Send a request
+   *
+   * @param {Object} req - Request with `method`, `url`, `data`, `headers`, `signal`,
+   *   `timeout` and `allowNotModified`
+   * @returns {Promise<Object>} Response with `status`, `statusText`, `headers` and `data`
+   * @throws {CarespaceError} Status-based errors, `TimeoutError`, `NetworkError` or `AbortError`
+   */
+  async request(req) {
+    const instance = await this.getInstance();
+
+    const config = {};
+    if (req.headers && Object.keys(req.headers).length > 0) {
+      config.headers = req.headers;
+    }
+    if (req.signal) {
+      config.signal = req.signal;
+    }
+    if (req.timeout !== undefined) {
+      config.timeout = req.timeout;
+    }
+    if (req.allowNotModified) {
+      config.validateStatus = (status) => (status >= 200 && status < 300) || status === 304;
+    }
+
+    try {
+      const response = BODYLESS_METHODS.includes(req.method)
+        ? await instance[req.method](req.url, config)
+        : await instance[req.method](req.url, req.data, config);
+      return toResponse(response);
+    } catch (error) {
+      throw this.mapError(error);
+    }
+  }
+
+  /**
+   * Map an axios error to the SDK error hierarchy
+   *
+   * @param {Error} error - Error thrown by axios
+   * @returns {CarespaceError} The SDK error
+   */
+  mapError(error) {
+    if (error instanceof CarespaceError) {
+      return error;
+    }
+    if (this.axios?.isCancel(error)) {
+      // Request was cancelled through its AbortSignal
+      return new AbortError('Request aborted');
+    }
+    if (error.response) {
+      // Server responded with error status
+      return createResponseError(toResponse(error.response));
+    }
+    if (error.request) {
+      // Request was made but no response received
+      if (error.code === 'ECONNABORTED' || error.code === 'ETIMEDOUT') {
+        return new TimeoutError('Request timeout');
+      }
+      return new NetworkError('Network error - no response received');
+    }
+    // Something happened in setting up the request
+    return new NetworkError(`Request setup error: ${error.message}`);
+  }
+}
@@ -0,0 +1,167 @@
+import {
+  createResponseError,
+  TimeoutError,
+  NetworkError,
+  AbortError
+} from '../errors.js';
+import { toPlainHeaders } from '../headers.js';
+
+/**
+ * Join the base URL and a request URL
+ *
+ * @param {string} [baseURL] - Base URL
+ * @param {string} url - Absolute URL or path relative to the base URL
+ * @returns {string} The full URL
+ * @private
+ */
+function joinURL(baseURL, url) {
+  if (!baseURL || /^[a-z][a-z\d+\-.]*:\/\//i.test(url)) {
+    return url;
+  }
+  return `${baseURL.replace(/\/+$/, '')}/${url.replace(/^\/+/, '')}`;
+}
+
+/**
+ * Check whether a body is sent as-is rather than JSON encoded
+ *
+ * @param {any} data - Request body
+ * @returns {boolean} True for strings, binary data, forms and streams
+ * @private
+ */
+function isRawBody(data) {
+  return typeof data === 'string' ||
+    data instanceof ArrayBuffer ||
+    ArrayBuffer.isView(data) ||
+    (typeof Blob !== 'undefined' && data instanceof Blob) ||
+    (typeof FormData !== 'undefined' && data instanceof FormData) ||
+    (typeof URLSearchParams !== 'undefined' && data instanceof URLSearchParams) ||
+    (typeof ReadableStream !== 'undefined' && data instanceof ReadableStream);
+}
+
+/**
+ * Read a response body, parsing JSON when possible
+ *
+ * @param {Response} response - The fetch response
+ * @returns {Promise<any>} Parsed JSON, text, or an empty string for empty bodies
+ * @private
+ */
+async function readBody(response) {
+  const text = await response.text();
+  if (!text) {
+    return '';
+  }
+  try {
+    return JSON.parse(text);
+  } catch {
+    return text;
+  }
+}
+
+/**
+ * HTTP transport backed by the native `fetch` API
+ *
+ * Has no dependencies, so the SDK runs on Cloudflare Workers, Deno, Bun, browsers
+ * and Node.js 18+. Errors map to the same classes as the axios transport.
+ *
+ * @example
+ * ```javascript
+ * const carespace = new CarespaceAPI({ apiKey: env.CARESPACE_API_KEY, transport: 'fetch' });
+ * ```
+ */
+export class FetchTransport {
+  /**
+   * Create a new FetchTransport instance
+   *
+   * @param {Object} [config={}] - Transport configuration
+   * @param {string} [config.baseURL] - Base URL for relative request URLs
+   * @param {number} [config.timeout] - Default request timeout in milliseconds, 0 for none
+   * @param {Object} [config.headers={}] - Headers sent with every request
+   * @param {Function} [config.fetch] - fetch implementation, defaults to `globalThis.fetch`
+   */
+  constructor(config = {}) {
+    this.baseURL = config.baseURL;
+    this.timeout = config.timeout;
+    this.headers = config.headers || {};
+    this.fetch = config.fetch || null;
+  }
+
+  /**
+   * Send a request
+   *
+   * @param {Object} req - Request with `method`, `url`, `data`, `headers`, `signal`,
+   *   `timeout` and `allowNotModified`
+   * @returns {Promise<Object>} Response with `status`, `statusText`, `headers` and `data`
+   * @throws {CarespaceError} Status-based errors, `TimeoutError`, `NetworkError` or `AbortError`
+   */
+  async request(req) {
+    const fetchImpl = this.fetch || globalThis.fetch;
+    if (typeof fetchImpl !== 'function') {
+      throw new NetworkError('Request setup error: fetch is not available in this environment');
+    }
+    if (req.signal?.aborted) {
+      throw new AbortError('Request aborted');
+    }
+
+    let headers = {
+      Accept: 'application/json, text/plain, */*',
+      ...this.headers,
+      ...req.headers
+    };
+    let body;
+    if (req.data !== undefined && req.data !== null) {
+      body = isRawBody(req.data) ? req.data : JSON.stringify(req.data);
+      // Only requests with a body get a default Content-Type: in browsers it would
+      // turn every GET into a CORS preflight. FormData lets fetch set the multipart boundary.
+      if (typeof FormData === 'undefined' || !(req.data instanceof FormData)) {
+        headers = { 'Content-Type': 'application/json', ...headers };
+      }
+    }
+
+    const controller = new AbortController();
+    const onAbort = () => controller.abort();
+    req.signal?.addEventListener('abort', onAbort, { once: true });
+
+    let timedOut = false;
+    const timeout = req.timeout ?? this.timeout;
+    const timer = timeout > 0
+      ? setTimeout(() => {
+        timedOut = true;
+        controller.abort();
+      }, timeout)
+      : null;
+
+    let response;
+    try {
+      const raw = await fetchImpl(joinURL(this.baseURL, req.url), {
+        method: req.method.toUpperCase(),
+        headers,
+        body,
+        signal: controller.signal
+      });
+      response = {
+        status: raw.status,
+        statusText: raw.statusText,
+        headers: toPlainHeaders(raw.headers),
+        data: await readBody(raw)
+      };
+    } catch (error) {
+      if (timedOut) {
+        throw new TimeoutError('Request timeout');
+      }
+      if (req.signal?.aborted) {
+        throw new AbortError('Request aborted');
+      }
+      throw new NetworkError('Network error - no response received');
+    } finally {
+      clearTimeout(timer);
+      req.signal?.removeEventListener('abort', onAbort);
+    }
+
+    const ok = (response.status >= 200 && response.status < 300) ||
+      (response.status === 304 && req.allowNotModified);
+    if (!ok) {
+      throw createResponseError(response);
+    }
+    return response;
+  }
+}
@@ -0,0 +1,49 @@
+import { AxiosTransport } from './axios.js';
+import { FetchTransport } from './fetch.js';
+import { RecordingTransport } from './recording.js';
+
+/**
+ * HTTP transport interface
+ *
+ * A transport sends one request and resolves to `{ status, statusText, headers, data }`.
+ * It throws the SDK error classes: status-based errors through `createError`,
+ * `TimeoutError`, `NetworkError` and `AbortError`. A `304` resolves when
+ * `req.allowNotModified` is set.
+ *
+ * @typedef {Object} Transport
+ * @property {Function} request - `(req) => Promise<Object>`, where `req` has `method`,
+ *   `url`, `data`, `headers`, `signal`, `timeout` and `allowNotModified`
+ */
+
+/**
+ * Create the transport for a client configuration
+ *
+ * @param {Object} config - Client configuration
+ * @param {string|Transport|Function} [config.transport='axios'] - `'axios'`, `'fetch'`, a
+ *   transport instance, or a factory called with `{ baseURL, timeout, headers }`
+ * @param {string} config.baseURL - Base URL for the API
+ * @param {number} config.timeout - Default request timeout in milliseconds
+ * @param {Object} [config.headers] - Headers sent with every request
+ * @param {Function} [config.fetch] - fetch implementation for the fetch transport
+ * @returns {Transport} The transport
+ * @throws {TypeError} When the transport option is not supported
+ */
+export function createTransport(config) {
+  const { transport = 'axios', baseURL, timeout, headers, fetch } = config;
+
+  if (transport && typeof transport.request === 'function') {
+    return transport;
+  }
+  if (typeof transport === 'function') {
+    return transport({ baseURL, timeout, headers });
+  }
+  if (transport === 'fetch') {
+    return new FetchTransport({ baseURL, timeout, headers, fetch });
+  }
+  if (transport === 'axios') {
+    return new AxiosTransport({ baseURL, timeout, headers });
+  }
+  throw new TypeError(`Unknown transport: ${transport}`);
+}
+
+export { AxiosTransport, FetchTransport, RecordingTransport };
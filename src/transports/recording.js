@@ -0,0 +1,267 @@
+import { ReplayError, createResponseError } from '../errors.js';
+import { toPlainHeaders } from '../headers.js';
+import {
+  DEFAULT_REDACTED_HEADERS,
+  DEFAULT_SECRET_FIELDS,
+  DEFAULT_PHI_FIELDS,
+  redactHeaders,
+  redactFields
+} from '../redact.js';
+
+const MODES = ['record', 'replay', 'auto'];
+
+/**
+ * JSON encode a value with object keys in sorted order
+ *
+ * @param {any} value - Value to encode
+ * @returns {string} Canonical JSON
+ * @private
+ */
+function stableStringify(value) {
+  if (Array.isArray(value)) {
+    return `[${value.map(stableStringify).join(',')}]`;
+  }
+  if (value && typeof value === 'object') {
+    return `{${Object.keys(value).sort()
+      .filter(key => value[key] !== undefined)
+      .map(key => `${JSON.stringify(key)}:${stableStringify(value[key])}`)
+      .join(',')}}`;
+  }
+  return value === undefined ? 'null' : JSON.stringify(value);
+}
+
+/**
+ * Split a request URL into its path and query parameters
+ *
+ * @param {string} url - Request URL
+ * @returns {Object} `{ path, query }`
+ * @private
+ */
+function parseUrl(url) {
+  const parsed = new URL(url, 'http://cassette.local');
+  const query = {};
+  parsed.searchParams.forEach((value, key) => {
+    query[key] = key in query ? [].concat(query[key], value) : value;
+  });
+  return { path: parsed.pathname, query };
+}
+
+/**
+ * Transport wrapper recording interactions to a cassette file and replaying them
+ *
+ * Requests are matched on method, path, query and body. Credential headers,
+ * credentials and patient identifying fields are redacted before anything is
+ * written; matching compares the redacted forms, so replays work without the
+ * original values ever touching disk. Replay throws a `ReplayError` for any
+ * request that is not in the cassette.
+ *
+ * Requests with the same match key replay their recorded responses in order, and
+ * the last one repeats once they run out.
+ *
+ * @example
+ * ```javascript
+ * const carespace = new CarespaceAPI({
+ *   apiKey: process.env.CARESPACE_API_KEY,
+ *   recording: { mode: 'auto', cassette: '__cassettes__/clients.json' }
+ * });
+ * ```
+ */
+export class RecordingTransport {
+  /**
+   * Create a new RecordingTransport instance
+   *
+   * @param {Object} transport - Transport sending requests while recording
+   * @param {Object} options - Recording options
+   * @param {string} options.cassette - Path of the cassette file
+   * @param {string} [options.mode='replay'] - `'record'` overwrites the cassette, `'replay'`
+   *   never touches the network, `'auto'` replays when the cassette exists and records otherwise
+   * @param {string[]} [options.redactHeaders] - Headers to redact in addition to the defaults
+   * @param {string[]} [options.redactFields] - Body and query fields to redact in addition to
+   *   the default credential and PHI fields
+   * @throws {TypeError} When the cassette path or mode is invalid
+   */
+  constructor(transport, options = {}) {
+    if (!options.cassette) {
+      throw new TypeError('recording.cassette must be the path of the cassette file');
+    }
+    const mode = options.mode || 'replay';
+    if (!MODES.includes(mode)) {
+      throw new TypeError(`recording.mode must be one of ${MODES.join(', ')}, got ${mode}`);
+    }
+
+    this.transport = transport;
+    this.cassette = options.cassette;
+    this.mode = mode;
+    this.headersToRedact = [...DEFAULT_REDACTED_HEADERS, ...(options.redactHeaders || [])];
+    this.fieldsToRedact = [...DEFAULT_SECRET_FIELDS, ...DEFAULT_PHI_FIELDS, ...(options.redactFields || [])];
+    this.interactions = [];
+    this.replayed = new Map();
+    this.loadPromise = null;
+    this.writePromise = Promise.resolve();
+  }
+
+  /**
+   * Read the cassette and settle the mode, once
+   *
+   * @returns {Promise<void>}
+   * @throws {ReplayError} When replaying and the cassette does not exist
+   * @private
+   */
+  load() {
+    if (!this.loadPromise) {
+      this.loadPromise = (async () => {
+        if (this.mode === 'record') {
+          return;
+        }
+
+        const fs = await import('fs/promises');
+        let contents;
+        try {
+          contents = await fs.readFile(this.cassette, 'utf8');
+        } catch (error) {
+          if (error.code !== 'ENOENT') {
+            throw error;
+          }
+          if (this.mode === 'replay') {
+            throw new ReplayError(`Cassette ${this.cassette} does not exist; record it first`);
+          }
+          this.mode = 'record';
+          return;
+        }
+
+        this.interactions = JSON.parse(contents).interactions || [];
+        this.mode = 'replay';
+      })();
+    }
+    return this.loadPromise;
+  }
+
+  /**
+   * Describe a request the way it is stored and matched
+   *
+   * @param {Object} req - Transport request
+   * @returns {Object} `{ method, path, query, body }` with redacted query and body
+   * @private
+   */
+  describe(req) {
+    const { path, query } = parseUrl(req.url);
+    return {
+      method: req.method.toUpperCase(),
+      path,
+      query: redactFields(query, this.fieldsToRedact),
+      body: redactFields(req.data ?? null, this.fieldsToRedact)
+    };
+  }
+
+  /**
+   * Send or replay a request
+   *
+   * @param {Object} req - Transport request
+   * @returns {Promise<Object>} Response with `status`, `statusText`, `headers` and `data`
+   * @throws {ReplayError} When replaying a request that is not in the cassette
+   * @throws {CarespaceError} Recorded or live error responses
+   */
+  async request(req) {
+    await this.load();
+    const request = this.describe(req);
+
+    if (this.mode === 'replay') {
+      return this.replay(req, request);
+    }
+
+    let response;
+    try {
+      response = await this.transport.request(req);
+    } catch (error) {
+      if (error.response?.status) {
+        await this.append(req, request, error.response);
+      }
+      throw error;
+    }
+    await this.append(req, request, response);
+    return response;
+  }
+
+  /**
+   * Answer a request from the cassette
+   *
+   * @param {Object} req - Transport request
+   * @param {Object} request - Described request
+   * @returns {Object} The recorded response
+   * @throws {ReplayError} When no interaction matches
+   * @private
+   */
+  replay(req, request) {
+    const key = stableStringify(request);
+    const candidates = this.interactions.filter(interaction => stableStringify({
+      method: interaction.request.method,
+      path: interaction.request.path,
+      query: interaction.request.query,
+      body: interaction.request.body
+    }) === key);
+
+    if (candidates.length === 0) {
+      const query = Object.keys(request.query).length > 0 ? ` query ${stableStringify(request.query)}` : '';
+      const body = request.body !== null ? ` body ${stableStringify(request.body)}` : '';
+      throw new ReplayError(
+        `No recorded interaction for ${request.method} ${request.path}${query}${body} in cassette ${this.cassette}`
+      );
+    }
+
+    const count = this.replayed.get(key) || 0;
+    this.replayed.set(key, count + 1);
+    const { response } = candidates[Math.min(count, candidates.length - 1)];
+
+    const replayed = JSON.parse(JSON.stringify(response));
+    const ok = (replayed.status >= 200 && replayed.status < 300) ||
+      (replayed.status === 304 && req.allowNotModified);
+    if (!ok) {
+      throw createResponseError(replayed);
+    }
+    return replayed;
+  }
+
+  /**
+   * Add a redacted interaction and write the cassette
+   *
+   * @param {Object} req - Transport request
+   * @param {Object} request - Described request
+   * @param {Object} response - Response or error response
+   * @returns {Promise<void>}
+   * @private
+   */
+  append(req, request, response) {
+    this.interactions.push({
+      request: { ...request, headers: redactHeaders(req.headers, this.headersToRedact) },
+      response: {
+        status: response.status,
+        statusText: response.statusText,
+        headers: redactHeaders(toPlainHeaders(response.headers), this.headersToRedact),
+        data: redactFields(response.data, this.fieldsToRedact)
+      },
+      recordedAt: new Date().toISOString()
+    });
+    return this.save();
+  }
+
+  /**
+   * Write the cassette to disk
+   *
+   * Writes are serialized so concurrent requests cannot interleave them.
+   *
+   * @returns {Promise<void>}
+   */
+  save() {
+    this.writePromise = this.writePromise.catch(() => {}).then(async () => {
+      const fs = await import('fs/promises');
+      const path = await import('path');
+      await fs.mkdir(path.dirname(this.cassette), { recursive: true });
+      await fs.writeFile(
+        this.cassette,
+        `${JSON.stringify({ version: 1, interactions: this.interactions }, null, 2)}\n`,
+        'utf8'
+      );
+    });
+    return this.writePromise;
+  }
+}
@@ -0,0 +1,231 @@
+import { ValidationError } from './errors.js';
+
+/**
+ * Validation modes accepted by the `validation` option
+ */
+export const VALIDATION_MODES = [true, false, 'strict'];
+
+const FORMATS = {
+  email: (value) => /^[^\s@]+@[^\s@]+\.[^\s@]+$/.test(value),
+  date: (value) => {
+    const match = /^(\d{4})-(\d{2})-(\d{2})$/.exec(value);
+    if (!match) {
+      return false;
+    }
+    const date = new Date(Date.UTC(Number(match[1]), Number(match[2]) - 1, Number(match[3])));
+    return date.toISOString().slice(0, 10) === value;
+  },
+  'date-time': (value) => /^\d{4}-\d{2}-\d{2}T\d{2}:\d{2}(:\d{2}(\.\d+)?)?(Z|[+-]\d{2}:\d{2})$/.test(value) &&
+    !Number.isNaN(Date.parse(value)),
+  uri: (value) => {
+    try {
+      return Boolean(new URL(value).protocol);
+    } catch {
+      return false;
+    }
+  }
+};
+
+const FORMAT_NAMES = {
+  email: 'a valid email address',
+  date: 'a date in YYYY-MM-DD format',
+  'date-time': 'an ISO 8601 date and time',
+  uri: 'an absolute URL'
+};
+
+/**
+ * Get the JSON Schema type of a value
+ *
+ * @param {any} value - Value to check
+ * @returns {string} `'null'`, `'array'`, `'integer'`, `'number'` or the `typeof` name
+ * @private
+ */
+function typeOf(value) {
+  if (value === null) {
+    return 'null';
+  }
+  if (Array.isArray(value)) {
+    return 'array';
+  }
+  if (typeof value === 'number') {
+    return Number.isInteger(value) ? 'integer' : 'number';
+  }
+  return typeof value;
+}
+
+/**
+ * Check a value against one or more JSON Schema types
+ *
+ * @param {any} value - Value to check
+ * @param {string|string[]} types - Allowed types
+ * @returns {boolean} True when the value has one of the types
+ * @private
+ */
+function hasType(value, types) {
+  const actual = typeOf(value);
+  return [].concat(types).some(type => type === actual || (type === 'number' && actual === 'integer'));
+}
+
+/**
+ * Validate a value against a schema
+ *
+ * Schemas are plain JSON Schema objects. The supported keywords are `type`,
+ * `required`, `properties`, `additionalProperties`, `items`, `enum`, `format`
+ * (`email`, `date`, `date-time`, `uri`), `minLength`, `maxLength`, `minimum` and
+ * `maximum`. Unknown keywords, such as `title` or `description`, are ignored.
+ *
+ * Errors use the server's field error structure. `field` is the dotted path of the
+ * value (`address.city`, `tags.0`) and `code` the schema keyword that failed.
+ * Optional properties may be null.
+ *
+ * With `requiredOnly` only the root `type` and `required` keywords are checked,
+ * so values the server may accept, such as a status the schema does not list,
+ * are left to the server.
+ *
+ * @param {Object} schema - JSON Schema
+ * @param {any} value - Value to validate
+ * @param {Object} [options={}] - Validation options
+ * @param {boolean} [options.strict=false] - Reject properties the schema does not list
+ * @param {boolean} [options.requiredOnly=false] - Only check that the payload has the
+ *   schema's type and its required fields; ignored with `strict`
+ * @returns {Object[]} Field errors as `{ field, message, code }`, empty when valid
+ *
+ * @example
+ * validate(CREATE_CLIENT_SCHEMA, { email: 'jo@' })
+ * // returns [
+ * //   { field: 'name', message: 'name is required', code: 'required' },
+ * //   { field: 'email', message: 'email must be a valid email address', code: 'format' }
+ * // ]
+ */
+export function validate(schema, value, options = {}) {
+  const errors = [];
+  const strict = options.strict === true;
+  check(schema, value, null, { strict, requiredOnly: !strict && options.requiredOnly === true }, errors);
+  return errors;
+}
+
+/**
+ * Validate one value and push its errors
+ *
+ * @param {Object} schema - JSON Schema
+ * @param {any} value - Value to validate
+ * @param {string|null} field - Dotted path of the value, null for the root
+ * @param {Object} options - `{ strict, requiredOnly }`, see {@link validate}
+ * @param {Object[]} errors - Collected errors
+ * @private
+ */
+function check(schema, value, field, options, errors) {
+  const label = field || 'payload';
+  const fail = (code, message) => errors.push({ field, message: `${label} ${message}`, code });
+
+  if (schema.type && !hasType(value, schema.type)) {
+    fail('type', `must be ${[].concat(schema.type).join(' or ')}`);
+    return;
+  }
+  if (options.requiredOnly) {
+    checkRequired(schema, value, field, errors);
+    return;
+  }
+  if (schema.enum && !schema.enum.includes(value)) {
+    fail('enum', `must be one of ${schema.enum.join(', ')}`);
+    return;
+  }
+
+  if (typeof value === 'string') {
+    if (schema.minLength !== undefined && value.length < schema.minLength) {
+      fail('minLength', schema.minLength === 1 ? 'must not be empty' : `must be at least ${schema.minLength} characters`);
+    }
+    if (schema.maxLength !== undefined && value.length > schema.maxLength) {
+      fail('maxLength', `must be at most ${schema.maxLength} characters`);
+    }
+    if (schema.format && FORMATS[schema.format] && !FORMATS[schema.format](value)) {
+      fail('format', `must be ${FORMAT_NAMES[schema.format]}`);
+    }
+  }
+  if (typeof value === 'number') {
+    if (schema.minimum !== undefined && value < schema.minimum) {
+      fail('minimum', `must be at least ${schema.minimum}`);
+    }
+    if (schema.maximum !== undefined && value > schema.maximum) {
+      fail('maximum', `must be at most ${schema.maximum}`);
+    }
+  }
+
+  if (Array.isArray(value) && schema.items) {
+    value.forEach((item, index) => check(schema.items, item, path(field, index), options, errors));
+  }
+
+  if (typeOf(value) === 'object') {
+    const properties = schema.properties || {};
+    checkRequired(schema, value, field, errors);
+    Object.keys(value).forEach(name => {
+      // Missing and null optional fields are fine; required ones were reported above
+      if (value[name] === undefined || value[name] === null) {
+        return;
+      }
+      if (properties[name]) {
+        check(properties[name], value[name], path(field, name), options, errors);
+      } else if (schema.additionalProperties === false || (options.strict && schema.properties)) {
+        errors.push({ field: path(field, name), message: `${path(field, name)} is not allowed`, code: 'additionalProperties' });
+      }
+    });
+  }
+}
+
+/**
+ * Push an error for each required property an object is missing
+ *
+ * Empty strings count as missing.
+ *
+ * @param {Object} schema - JSON Schema
+ * @param {any} value - Value to check
+ * @param {string|null} field - Dotted path of the value, null for the root
+ * @param {Object[]} errors - Collected errors
+ * @private
+ */
+function checkRequired(schema, value, field, errors) {
+  if (typeOf(value) !== 'object') {
+    return;
+  }
+  (schema.required || []).forEach(name => {
+    if (value[name] === undefined || value[name] === null || value[name] === '') {
+      errors.push({ field: path(field, name), message: `${path(field, name)} is required`, code: 'required' });
+    }
+  });
+}
+
+/**
+ * Join a field path
+ *
+ * @param {string|null} parent - Parent path
+ * @param {string|number} key - Property name or array index
+ * @returns {string} Dotted path
+ * @private
+ */
+function path(parent, key) {
+  return parent ? `${parent}.${key}` : String(key);
+}
+
+/**
+ * Validate a request payload and throw when it is invalid
+ *
+ * @param {Object} schema - JSON Schema of the payload
+ * @param {any} value - Payload
+ * @param {Object} [options={}] - Validation options
+ * @param {string} [options.name='payload'] - Name used in the error message, e.g. the method
+ * @param {boolean} [options.strict=false] - Reject properties the schema does not list
+ * @param {boolean} [options.requiredOnly=false] - Only check the payload type and required fields
+ * @throws {ValidationError} With `errors` listing every problem and no status code, since the
+ *   request was never sent
+ */
+export function assertValid(schema, value, options = {}) {
+  const errors = validate(schema, value, options);
+  if (errors.length > 0) {
+    throw new ValidationError(
+      `Invalid ${options.name || 'payload'}: ${errors.map(error => error.message).join('; ')}`,
+      null,
+      null,
+      errors
+    );
+  }
+}
@@ -0,0 +1,133 @@
+const CRC_TABLE = Array.from({ length: 256 }, (_value, n) => {
+  let c = n;
+  for (let k = 0; k < 8; k++) {
+    c = c & 1 ? 0xedb88320 ^ (c >>> 1) : c >>> 1;
+  }
+  return c >>> 0;
+});
+
+// General purpose flag: file names are UTF-8
+const UTF8_FLAG = 0x0800;
+const ZIP_VERSION = 20;
+
+/**
+ * Compute the CRC-32 checksum used by ZIP files
+ *
+ * @param {Uint8Array} bytes - Data
+ * @returns {number} Unsigned CRC-32
+ */
+export function crc32(bytes) {
+  let crc = 0xffffffff;
+  for (let i = 0; i < bytes.length; i++) {
+    crc = CRC_TABLE[(crc ^ bytes[i]) & 0xff] ^ (crc >>> 8);
+  }
+  return (crc ^ 0xffffffff) >>> 0;
+}
+
+/**
+ * Encode a date as MS-DOS time and date fields, in UTC
+ *
+ * @param {Date} date - Date to encode
+ * @returns {number[]} `[time, date]`
+ * @private
+ */
+function dosDateTime(date) {
+  const year = Math.max(date.getUTCFullYear(), 1980);
+  return [
+    (date.getUTCHours() << 11) | (date.getUTCMinutes() << 5) | Math.floor(date.getUTCSeconds() / 2),
+    ((year - 1980) << 9) | ((date.getUTCMonth() + 1) << 5) | date.getUTCDate()
+  ];
+}
+
+/**
+ * Create a ZIP archive
+ *
+ * Files are stored without compression, which keeps the writer small and
+ * dependency-free; every ZIP tool can read the result.
+ *
+ * @param {Object[]} files - Files in archive order
+ * @param {string} files[].name - Path inside the archive, using `/` separators
+ * @param {Uint8Array|string} files[].data - Contents, strings are encoded as UTF-8
+ * @param {Date} [files[].date=new Date()] - Modification time
+ * @returns {Uint8Array} The archive
+ *
+ * @example
+ * const zip = createZip([{ name: 'hello.txt', data: 'Hello' }]);
+ * await fs.writeFile('hello.zip', zip);
+ */
+export function createZip(files) {
+  const encoder = new TextEncoder();
+  const entries = files.map(file => {
+    const data = typeof file.data === 'string' ? encoder.encode(file.data) : file.data;
+    return { name: encoder.encode(file.name), data, crc: crc32(data), dos: dosDateTime(file.date || new Date()) };
+  });
+
+  const localSize = entries.reduce((size, entry) => size + 30 + entry.name.length + entry.data.length, 0);
+  const centralSize = entries.reduce((size, entry) => size + 46 + entry.name.length, 0);
+  const bytes = new Uint8Array(localSize + centralSize + 22);
+  const view = new DataView(bytes.buffer);
+  let offset = 0;
+
+  const u16 = (value) => {
+    view.setUint16(offset, value, true);
+    offset += 2;
+  };
+  const u32 = (value) => {
+    view.setUint32(offset, value, true);
+    offset += 4;
+  };
+  const raw = (data) => {
+    bytes.set(data, offset);
+    offset += data.length;
+  };
+
+  entries.forEach(entry => {
+    entry.offset = offset;
+    u32(0x04034b50);
+    u16(ZIP_VERSION);
+    u16(UTF8_FLAG);
+    u16(0); // stored
+    u16(entry.dos[0]);
+    u16(entry.dos[1]);
+    u32(entry.crc);
+    u32(entry.data.length);
+    u32(entry.data.length);
+    u16(entry.name.length);
+    u16(0);
+    raw(entry.name);
+    raw(entry.data);
+  });
+
+  const centralOffset = offset;
+  entries.forEach(entry => {
+    u32(0x02014b50);
+    u16(ZIP_VERSION);
+    u16(ZIP_VERSION);
+    u16(UTF8_FLAG);
+    u16(0);
+    u16(entry.dos[0]);
+    u16(entry.dos[1]);
+    u32(entry.crc);
+    u32(entry.data.length);
+    u32(entry.data.length);
+    u16(entry.name.length);
+    u16(0);
+    u16(0);
+    u16(0);
+    u16(0);
+    u32(0);
+    u32(entry.offset);
+    raw(entry.name);
+  });
+
+  u32(0x06054b50);
+  u16(0);
+  u16(0);
+  u16(entries.length);
+  u16(entries.length);
+  u32(centralSize);
+  u32(centralOffset);
+  u16(0);
+
+  return bytes;
+}